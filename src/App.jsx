@@ -1,5 +1,5 @@
 import { useState, useMemo } from 'react'
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, BarChart, Bar } from 'recharts'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea, BarChart, Bar, ComposedChart, Area } from 'recharts'
 import './App.css'
 
 /**
@@ -26,10 +26,13 @@ import {
   DEMOGRAPHIC_PARAMS,
   DEMOGRAPHIC_PRESSURE_PER_YEAR,
   SENIOR_EMPLOYMENT,
-  PENSION_REFORM,
   MIGRATION_PARAMS,
   MIGRATION_NET_WORKERS_PER_YEAR,
   DEPENDANCE_PARAMS,
+  INFLATION_SCENARIOS,
+  LONG_HORIZON_YEARS,
+  EXPLOSIVE_DEBT_RATIO,
+  listMacroOverrides,
   projectFiscalPath,
   getBaselineProjection,
   compareProjections,
@@ -38,300 +41,81 @@ import {
 } from './projection-engine-v1.8'
 
 // Import policy impact calculation and data
-import { BASELINE, PRESETS, PENSION_REFORM_PRESETS, calculatePolicyImpact, BEHAVIORAL_RESPONSE, FISCAL_MULTIPLIERS } from './policy-impact'
+import { BASELINE, PRESETS, PENSION_REFORM_PRESETS, LEVER_BOUNDS, calculatePolicyImpact, calculatePolicyImpactPath, SCHEDULE_BASE_YEAR, LEVER_SCHEDULE_PRESETS, MULTIPLIER_REGIME } from './policy-impact'
+
+// Import injectable calibration (alternative multiplier sets)
+import { CALIBRATION_PRESETS, createModelConfig } from './model-config'
+
+// Import stochastic runner (fan chart)
+import { runMonteCarlo } from './monte-carlo'
+
+// Import OAT maturity ladder presets
+import { ISSUANCE_MIX_PRESETS } from './debt-stock'
+
+// Import per-pillar account parameters (ACOSS ceiling)
+import { PILLAR_ACCOUNTS_PARAMS } from './pillar-accounts'
+
+// Import funded pension pillar parameters (capitalisation)
+import { FUNDED_PENSION_PARAMS } from './funded-pension'
+
+// Import goal-seek solver (lever positions for a deficit / debt target)
+import { goalSeek } from './goal-seek'
+
+// Import consolidation optimiser (least growth cost packages, Pareto frontier)
+import { OPTIMIZER_OBJECTIVES, optimizeConsolidation } from './consolidation-optimizer'
+
+// Import EU fiscal-rules compliance checker (2024 framework)
+import { EU_FISCAL_RULES, FISCAL_RULE_KEYS, assessFiscalRules } from './eu-fiscal-rules'
+
+// Import cohort demographics (INSEE scenarios, long-horizon mode)
+import { COHORT_PARAMS, DEMOGRAPHIC_SCENARIOS } from './demographics'
+
+// Import APE portfolio (state asset sales)
+import { STATE_ASSETS, ASSET_VALUATIONS } from './asset-sales'
+
+// Import scripted macro shock library (stress scenarios)
+import { MACRO_SHOCKS } from './macro-shocks'
+
+// Import debt sustainability analysis (IMF bound tests)
+import { DSA_PARAMS, runDebtSustainabilityAnalysis } from './dsa'
+
+// Import sovereign rating scale (downgrade markers, rating chart)
+import { RATING_SCALE, RATING_PARAMS, ratingIndex, ratingPremium } from './credit-rating'
+
+// Import parameter sensitivity (tornado chart, low / high scenarios)
+import { SENSITIVITY_GROUPS, SENSITIVITY_PARAMS, runSensitivity, runRangeScenarios } from './sensitivity'
+
+// Import parameter registry (Hypothèses tab tables)
+import { PARAMETER_GROUPS, PARAMETER_REGISTRY, CONFIDENCE_LABELS, valueAt, formatParameterValue } from './parameter-registry'
+
+// Import generational accounting (accounts by birth cohort)
+import { GENERATIONAL_PARAMS, runGenerationalAccounting } from './generational-accounting'
+
+// Import distributional impact (gains and losses by income decile)
+import { DISTRIBUTIONAL_PARAMS, distributionalImpact } from './distributional'
 
 // =============================================================================
-// ASSUMPTIONS DATA - Academic literature and model parameters
+// ASSUMPTIONS NOTES - Context for the registry tables (Hypothèses tab)
 // =============================================================================
 
-const ASSUMPTIONS = {
-  macro: [
-    {
-      parameter: "PIB nominal 2025",
-      value: "2 850 Md€",
-      impact: "Base de calcul pour tous les ratios",
-      source: "PLF 2025, INSEE",
-      link: "https://www.insee.fr/fr/statistiques"
-    },
-    {
-      parameter: "Croissance nominale",
-      value: "2,5%",
-      impact: "0,7% réel + 1,8% inflation",
-      source: "PLF 2025, Banque de France",
-      link: "https://www.banque-france.fr/fr/publications-et-statistiques/publications/projections-macroeconomiques"
-    },
-    {
-      parameter: "Taux d'intérêt moyen dette",
-      value: "2,1%",
-      impact: "Charge d'intérêts ~69 Md€/an",
-      source: "Agence France Trésor",
-      link: "https://www.aft.gouv.fr/"
-    },
-    {
-      parameter: "Taux de chômage 2025",
-      value: "7,3%",
-      impact: "Base pour la loi d'Okun",
-      source: "INSEE",
-      link: "https://www.insee.fr/fr/statistiques"
-    },
-  ],
-  fiscal: [
-    {
-      parameter: "Élasticité fiscale au PIB",
-      value: "0,45",
-      impact: "45% de la croissance supplémentaire devient recettes",
-      source: "Girouard & André (2005), OCDE",
-      link: "https://www.oecd.org/tax/public-finance/"
-    },
-    {
-      parameter: "Élasticité IR au revenu",
-      value: "0,9",
-      impact: "+1pp taux IR ≈ +8,5 Md€ recettes statiques",
-      source: "CPO, Rapport impôts sur le revenu",
-      link: "https://www.ccomptes.fr/fr/institutions-associees/conseil-des-prelevements-obligatoires-cpo"
-    },
-    {
-      parameter: "Élasticité IS au bénéfice",
-      value: "0,7",
-      impact: "Effet de base taxable (optimisation)",
-      source: "DGFiP, Cour des comptes",
-      link: "https://www.ccomptes.fr/"
-    },
-  ],
-  riskPremium: [
-    {
-      parameter: "Prime de risque 60-90% dette/PIB",
-      value: "+3 bps/pp",
-      impact: "Régime normal, effet modéré",
-      source: "Kumar & Baldacci (2010), FMI",
-      link: "https://www.imf.org/external/pubs/ft/wp/2010/wp10184.pdf"
-    },
-    {
-      parameter: "Prime de risque 90-120% dette/PIB",
-      value: "+4 bps/pp",
-      impact: "Accélération non-linéaire",
-      source: "EC Debt Sustainability Monitor",
-      link: "https://economy-finance.ec.europa.eu/economic-and-fiscal-governance/fiscal-sustainability_en"
-    },
-    {
-      parameter: "Prime de risque >120% dette/PIB",
-      value: "+10 bps/pp",
-      impact: "Régime de crise, doom loop",
-      source: "Consensus académique, OAT France 2010-2012",
-      link: null
-    },
-    {
-      parameter: "Prime déficit (>4% PIB)",
-      value: "+17 bps/%",
-      impact: "Prime de flux au-delà du seuil de 4%",
-      source: "Module 1 — profil OAT AFT 2025",
-      link: null
-    },
-    {
-      parameter: "Taux de renouvellement dette",
-      value: "12,5%/an",
-      impact: "Inertie du taux moyen (≈8 ans passage complet)",
-      source: "Module 1 — maturité OAT AFT 2025",
-      link: null
-    },
-  ],
-  demographic: [
-    {
-      parameter: "Dérive ratio dépendance",
-      value: "+0,48 pp/an",
-      impact: `+${DEMOGRAPHIC_PRESSURE_PER_YEAR.toFixed(1)} Md€/an pression sur dépenses pension+santé`,
-      source: "INSEE 2024 Projections de population",
-      link: "https://www.insee.fr/fr/statistiques"
-    },
-    {
-      parameter: "Élasticité pension/dépendance",
-      value: "0,80",
-      impact: "Retraites (303,4 Md€) croissent avec le vieillissement",
-      source: "COR 2024 rapport annuel",
-      link: null
-    },
-    {
-      parameter: "Élasticité santé/dépendance",
-      value: "0,50",
-      impact: "Maladie (262,3 Md€) croît avec le vieillissement",
-      source: "DREES 2024",
-      link: null
-    },
-    {
-      parameter: "Prime politique (OAT spread)",
-      value: "+21 bps",
-      impact: "Composante politique du taux d'intérêt (déjà intégrée)",
-      source: "Bloomberg OAT-Bund 10Y Q4 2024, ECB FSR Nov 2024",
-      link: null
-    },
-    {
-      parameter: "Plancher ONDAM",
-      value: "-3% seuil, -7% plancher",
-      impact: "Rendements décroissants des coupes santé (déserts médicaux)",
-      source: "DREES 2024, FNAIM",
-      link: null
-    },
-    {
-      parameter: "Taux emploi seniors",
-      value: "58% → 65% (benchmark UE)",
-      impact: "+4,9 Md€ cotisations à 10 ans (si réforme marché travail)",
-      source: "DARES 2024, Eurostat",
-      link: null
-    },
-  ],
-  reforms: [
-    {
-      parameter: "Hartz-IV (fusion RSA/ASS)",
-      value: "+0,35 pp/an",
-      impact: "Croissance potentielle, délai 2 ans, emploi seniors +4pp",
-      source: "Krebs & Scheffel (2013), Dustmann et al. (2014)",
-      link: null
-    },
-    {
-      parameter: "Contrat unique + droit de licencier",
-      value: "+0,45 pp/an",
-      impact: "Flexibilisation radicale, délai 3 ans, emploi seniors +6pp",
-      source: "Blanchard & Tirole (2003), Bassanini & Duval (2006)",
-      link: null
-    },
-    {
-      parameter: "Déréglementation marchés (PMR)",
-      value: "+0,10 pp/an",
-      impact: "Productivité via concurrence, délai 2 ans",
-      source: "OCDE PMR indicators",
-      link: "https://www.oecd.org/economy/reform/indicators-of-product-market-regulation/"
-    },
-    {
-      parameter: "Dérégulation logement modérée",
-      value: "+0,05 pp/an",
-      impact: "Retour à 2010, abolition encadrement loyers + DPE",
-      source: "Diamond et al. (2019), Sims (2007)",
-      link: null
-    },
-    {
-      parameter: "Abolition encadrement des loyers",
-      value: "+0,03 pp/an",
-      impact: "Suppression contrôle loyers, PLU/DPE inchangés",
-      source: "Diamond et al. (2019), Autor et al. (2014)",
-      link: null
-    },
-    {
-      parameter: "PLU national R+8 gares + abolition encadrement",
-      value: "+0,25 pp/an",
-      impact: "Construction R+8 à 1km gares, délai 4 ans, durée 20 ans",
-      source: "Hsieh & Moretti (2019), Hilber & Vermeulen (2016)",
-      link: "https://doi.org/10.1016/j.jue.2015.11.003"
-    },
-    {
-      parameter: "Liquidation parc HLM",
-      value: "750 Md€ sur 10 ans",
-      impact: "75 Md€/an réduction dette, effet croissance +0,02pp/an",
-      source: "ANCOLS 2025, MeilleursAgents, USH, UK Right to Buy",
-      link: null
-    },
-    {
-      parameter: "Réforme éducation/formation",
-      value: "+0,08 pp/an",
-      impact: "Capital humain, délai 5 ans, durée 20 ans",
-      source: "OCDE Education at a Glance",
-      link: "https://www.oecd.org/education/education-at-a-glance/"
-    },
-    {
-      parameter: "Déréglementation énergie",
-      value: "+0,07 pp/an",
-      impact: "Compétitivité industrielle, délai 2 ans (réduit: France déjà compétitive)",
-      source: "CRE 2024, Eurostat energy prices",
-      link: "https://www.cre.fr/"
-    },
-  ],
-  taxCutBoosts: [
-    {
-      parameter: "IR: boost croissance par pp de baisse",
-      value: "+0,08 pp",
-      impact: "67% du drag; asymétrique (émigration irréversible)",
-      source: "Romer & Romer (2010), Kleven et al. (2014)",
-      link: null
-    },
-    {
-      parameter: "IS: boost croissance par pp de baisse",
-      value: "+0,12 pp",
-      impact: "48% du drag; investissement, profit-shifting retour",
-      source: "Gechert & Heimberger (2022), Mertens & Ravn (2013)",
-      link: null
-    },
-    {
-      parameter: "TVA: boost croissance par pp de baisse",
-      value: "+0,03 pp",
-      impact: "75% du drag; taxe conso, peu d'effet offre",
-      source: "Mirrlees Review (2011)",
-      link: null
-    },
-    {
-      parameter: "CSG: boost croissance par pp de baisse",
-      value: "+0,06 pp",
-      impact: "75% du drag; base large, faible distorsion",
-      source: "Mirrlees Review (2011), Saez et al. (2012)",
-      link: null
-    },
-    {
-      parameter: "Cotisations: boost croissance par pp de baisse",
-      value: "+0,20 pp",
-      impact: "111% du drag; coin fiscal France 47%, effet emploi SMIC",
-      source: "Crépon & Desplatz (2001), France Stratégie CICE (2020)",
-      link: null
-    },
-  ],
-  pensionReform: [
-    {
-      parameter: "Masse pension Sécu (vieillesse)",
-      value: "303,4 Md€",
-      impact: "Base pour calcul des réformes retraites",
-      source: "PLFSS 2025, francetdb.com",
-      link: null
-    },
-    {
-      parameter: "Ratio cotisants/retraité",
-      value: "1,70",
-      impact: "Déclin -0,012/an → pression sur financement",
-      source: "COR 2024 rapport annuel",
-      link: null
-    },
-    {
-      parameter: "Effet âge retraite",
-      value: "-2,5%/an au-delà de 64",
-      impact: "Chaque année supplémentaire réduit la masse pension",
-      source: "francetdb.com rtRunModel()",
-      link: null
-    },
-    {
-      parameter: "Comptes notionnels (suédois)",
-      value: "-6% masse pension",
-      impact: "Mise en place sur 15 ans à partir de 2027",
-      source: "francetdb.com, modèle NDC",
-      link: null
-    },
-    {
-      parameter: "Plancher pension",
-      value: "65% du niveau initial",
-      impact: "Les réformes ne peuvent réduire les pensions au-delà",
-      source: "Contrainte politique modélisée",
-      link: null
-    },
-    {
-      parameter: "Immigration nette",
-      value: "270k entrants, 200k sortants/an",
-      impact: "-1,1 Md€/an impact fiscal (brain drain)",
-      source: "INSEE 2023, francetdb.com",
-      link: null
-    },
-    {
-      parameter: "Dépendance/autonomie",
-      value: "43,5 Md€, +5,5%/an",
-      impact: "Croissance excédentaire vs PIB (+16 Md€ à 10 ans)",
-      source: "PLFSS 2025, DREES",
-      link: null
-    },
-  ],
+// Registry entries by PARAMETER_GROUPS section
+const REGISTRY_SECTIONS = Object.entries(PARAMETER_GROUPS).map(([group, title]) => ({
+  group,
+  title,
+  entries: PARAMETER_REGISTRY.filter(entry => entry.group === group),
+}))
+
+const ASSUMPTIONS_NOTES = {
+  behavioral: "Module 2 (ETI) + Module 3 (émigration fiscale). Efficacité d'une hausse = fraction du rendement statique réalisée ; "
+    + "efficacité d'une baisse = multiplicateur du coût statique (effet offre modéré). Frein et boost de croissance asymétriques "
+    + "(émigration fiscale peu réversible).",
+  multipliers: `Multiplicateurs en expansion tant que l'écart de production est ≥ ${MULTIPLIER_REGIME.expansionGap} % (France 2025), `
+    + `puis mélange linéaire vers les valeurs de récession jusqu'à un écart de ${MULTIPLIER_REGIME.recessionGap} % `
+    + "(écart de l'année précédente, persistance 0,7). Offset monétaire = 0 (BCE supranationale, pas de crowding-out national).",
+  demographic: `Dérive linéaire : +${DEMOGRAPHIC_PRESSURE_PER_YEAR.toFixed(1)} Md€/an de pression sur les retraites et la santé. `
+    + "Mode long terme : modèle par cohortes INSEE 2021-2070 (fécondité 1,6/1,8/2,0 ; espérance de vie 2070 85,8/88,8/91,8 ans ; "
+    + "solde migratoire +20/+70/+120 k), ratio 65+/20-64 de 39 % (2025) à ≈59 % (2070, central).",
+  pensions: "Paramètres du modèle de réforme des retraites. Source : francetdb.com, COR 2024.",
 }
 
 // =============================================================================
@@ -343,12 +127,110 @@ const CHECKBOX_REFORM_KEYS = Object.keys(STRUCTURAL_REFORMS).filter(
   k => !HOUSING_REFORM_KEYS.includes(k)
 )
 
+// Stacked areas of the reform growth chart
+const REFORM_COLORS = ['#2563eb', '#16a34a', '#d97706', '#7c3aed', '#db2777', '#0891b2']
+
 const REFORM_GROUPS = [
   { label: "Marché du travail", keys: ['hartzIV', 'radicalFlex'] },
   { label: "Autre", keys: ['productMarketRegulation', 'education', 'energy'] },
   { label: "Paquets composites", keys: ['ambitious', 'modest'] },
 ]
 
+// Display of MACRO_BASELINE fields overridden by a scenario (COR presets)
+const MACRO_OVERRIDE_LABELS = {
+  realGrowth: { label: "Croissance réelle", format: v => `${(v * 100).toFixed(1)}%` },
+  inflation: { label: "Inflation", format: v => `${(v * 100).toFixed(1)}%` },
+  nominalGrowth: { label: "Croissance nominale", format: v => `${(v * 100).toFixed(1)}%` },
+  baseInterestRate: { label: "Taux de base", format: v => `${(v * 100).toFixed(2)}%` },
+  unemploymentRate: { label: "Chômage initial", format: v => `${v.toFixed(1)}%` },
+  okunCoefficient: { label: "Coefficient d'Okun", format: v => v.toFixed(2) },
+  taxElasticity: { label: "Élasticité fiscale", format: v => v.toFixed(2) },
+  primaryDeficit: { label: "Déficit primaire", format: v => `${v.toFixed(1)} Md€` },
+  gdp: { label: "PIB initial", format: v => `${v.toFixed(0)} Md€` },
+  debt: { label: "Dette initiale", format: v => `${v.toFixed(0)} Md€` },
+  debtToGdp: { label: "Dette/PIB initiale", format: v => `${v.toFixed(1)}%` },
+}
+
+function formatMacroOverride({ key, value, baseline }) {
+  const spec = MACRO_OVERRIDE_LABELS[key]
+  if (!spec) return `${key} ${value} (réf. ${baseline})`
+  return `${spec.label} ${spec.format(value)} (réf. ${spec.format(baseline)})`
+}
+
+// Short lever names for the goal-seek panel (LEVER_BOUNDS keys)
+const LEVER_LABELS = {
+  incomeTaxChange: "Impôt sur le revenu",
+  vatChange: "TVA",
+  corpTaxChange: "Impôt sur les sociétés",
+  spendingEducation: "Enseignement scolaire",
+  spendingDefense: "Défense",
+  spendingSolidarity: "Solidarité & insertion",
+  dgfChange: "DGF",
+  localInvestment: "Investissement local",
+  pensionIndexation: "Indexation retraites",
+  healthSpending: "Dépenses santé (ONDAM)",
+  socialContributions: "Cotisations sociales",
+  csgRate: "CSG",
+}
+
+// Per-lever constraints of the consolidation optimiser
+const OPTIMIZER_CONSTRAINTS = {
+  free: "Libre",
+  locked: "Verrouillé",
+  noIncrease: "Pas de hausse",
+  noDecrease: "Pas de baisse",
+}
+
+// Debt paths of the DSA bound tests (BOUND_TESTS order)
+const DSA_TEST_COLORS = ['#d97706', '#dc2626', '#7c3aed', '#111827', '#0891b2']
+
+// Parameters shown on the tornado chart (largest swings first)
+const SENSITIVITY_TOP = 15
+
+// Monte Carlo draws behind the debt fan chart
+const MONTE_CARLO_DRAWS = 300
+
+// Birth cohorts shown on the generational accounts chart (every 5th age)
+const GENERATIONAL_AGE_STEP = 5
+
+// Political presets on the distributional chart (PRESETS order)
+const DISTRIBUTION_PRESET_COLORS = ['#d97706', '#7c3aed', '#111827', '#dc2626']
+
+// Levers on the distributional breakdown chart (LEVER_INCIDENCE keys)
+const DISTRIBUTION_LEVER_COLORS = {
+  incomeTaxChange: '#1d4ed8',
+  csgRate: '#0891b2',
+  socialContributions: '#0d9488',
+  vatChange: '#65a30d',
+  corpTaxChange: '#ca8a04',
+  pensionIndexation: '#ea580c',
+  spendingSolidarity: '#dc2626',
+  healthSpending: '#db2777',
+  spendingEducation: '#7c3aed',
+}
+
+// Column headers of the EU fiscal-rules panel (FISCAL_RULE_KEYS order)
+const FISCAL_RULE_LABELS = {
+  deficit: "Déficit ≤ 3 %",
+  expenditure: "Dépenses nettes",
+  debtSafeguard: "Clause dette",
+  resilienceSafeguard: "Clause résilience",
+  edpAdjustment: "Effort PDE",
+}
+
+// [2025, 2026, 2027, 2030] → "2025–2027, 2030"
+function formatYearRanges(years) {
+  const ranges = []
+  for (const year of years) {
+    const last = ranges[ranges.length - 1]
+    if (last && year === last[1] + 1) last[1] = year
+    else ranges.push([year, year])
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}–${to}`)).join(', ')
+}
+
+const SHORT_HORIZON_MAX = 20
+
 // =============================================================================
 // MAIN APP COMPONENT
 // =============================================================================
@@ -362,6 +244,10 @@ function App() {
   const [spendingDefense, setSpendingDefense] = useState(0)
   const [spendingSolidarity, setSpendingSolidarity] = useState(0)
 
+  // Collectivités locales (APUL)
+  const [dgfChange, setDgfChange] = useState(0)
+  const [localInvestment, setLocalInvestment] = useState(0)
+
   // Sécurité Sociale levers
   const [pensionIndexation, setPensionIndexation] = useState(0)  // pp deviation from inflation
   const [healthSpending, setHealthSpending] = useState(0)        // % change in ONDAM
@@ -373,6 +259,19 @@ function App() {
   const [desindexation, setDesindexation] = useState(0)
   const [pensionCap, setPensionCap] = useState(0)
   const [notionnel, setNotionnel] = useState(false)
+  const [capitalisation, setCapitalisation] = useState(0)
+  const [fundReturn, setFundReturn] = useState(FUNDED_PENSION_PARAMS.nominalReturn * 100)
+
+  // Macro assumptions overridden by a COR preset ({ field: value } or null)
+  const [macroOverrides, setMacroOverrides] = useState(null)
+  const [macroOverridesSource, setMacroOverridesSource] = useState('')
+
+  // Model calibration (CALIBRATION_PRESETS key)
+  const [calibrationKey, setCalibrationKey] = useState('reference')
+  const modelConfig = useMemo(
+    () => createModelConfig(CALIBRATION_PRESETS[calibrationKey].overrides),
+    [calibrationKey],
+  )
 
   // Tab navigation
   const [activeTab, setActiveTab] = useState('simulator')
@@ -384,33 +283,39 @@ function App() {
   // Social housing liquidation toggle
   const [enableSocialHousingLiquidation, setEnableSocialHousingLiquidation] = useState(false)
 
-  // Calculate combined reform effect (checkbox reforms + housing radio)
-  const combinedReformEffect = useMemo(() => {
-    const allKeys = [...selectedReforms]
-    if (selectedHousingReform) allKeys.push(selectedHousingReform)
-
-    if (allKeys.length === 0) return null
-
-    // Sum growth effects (with diminishing returns for overlap)
-    const totalGrowthEffect = allKeys.reduce((sum, key) => {
-      return sum + STRUCTURAL_REFORMS[key].growthEffect
-    }, 0) * 0.85  // 15% overlap penalty when combining
+  // APE asset sales: stakes to sell, valuation hypothesis, projection year of the first sale
+  const [selectedAssets, setSelectedAssets] = useState([])
+  const [assetValuation, setAssetValuation] = useState('central')
+  const [assetSaleStart, setAssetSaleStart] = useState(1)
+  const assetSalesOption = useMemo(
+    () => selectedAssets.length > 0
+      ? selectedAssets.map(key => ({ key, valuation: assetValuation, startYear: assetSaleStart }))
+      : null,
+    [selectedAssets, assetValuation, assetSaleStart],
+  )
+  const toggleAsset = (key) => {
+    setSelectedAssets(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
 
-    // Use seniorEmploymentGain from the first reform that has one
-    const seniorReform = allKeys.find(k => STRUCTURAL_REFORMS[k].seniorEmploymentGain != null)
-    const seniorEmploymentGain = seniorReform ? STRUCTURAL_REFORMS[seniorReform].seniorEmploymentGain : undefined
+  // Scripted macro shocks: episodes, projection year of the first shock, intensity
+  const [selectedShocks, setSelectedShocks] = useState([])
+  const [shockStart, setShockStart] = useState(2)
+  const [shockIntensity, setShockIntensity] = useState(1)
+  const macroShocksOption = useMemo(
+    () => selectedShocks.length > 0
+      ? selectedShocks.map(key => ({ key, startYear: shockStart, intensity: shockIntensity }))
+      : null,
+    [selectedShocks, shockStart, shockIntensity],
+  )
+  const toggleShock = (key) => {
+    setSelectedShocks(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
 
-    return {
-      label: `${allKeys.length} réformes combinées`,
-      growthEffect: totalGrowthEffect,
-      lag: Math.min(...allKeys.map(k => STRUCTURAL_REFORMS[k].lag)),
-      duration: Math.max(...allKeys.map(k => STRUCTURAL_REFORMS[k].duration)),
-      source: "Combinaison personnalisée",
-      confidence: "variable",
-      reforms: allKeys.map(k => STRUCTURAL_REFORMS[k].label),
-      ...(seniorEmploymentGain != null ? { seniorEmploymentGain } : {}),
-    }
-  }, [selectedReforms, selectedHousingReform])
+  // Selected reform keys (checkbox reforms + housing radio), each on its own lifecycle in the engine
+  const selectedReformKeys = useMemo(
+    () => selectedHousingReform ? [...selectedReforms, selectedHousingReform] : selectedReforms,
+    [selectedReforms, selectedHousingReform],
+  )
 
   // Toggle reform selection
   const toggleReform = (reformKey) => {
@@ -435,6 +340,8 @@ function App() {
     setSpendingEducation(levers.spendingEducation)
     setSpendingDefense(levers.spendingDefense)
     setSpendingSolidarity(levers.spendingSolidarity)
+    setDgfChange(levers.dgfChange ?? 0)
+    setLocalInvestment(levers.localInvestment ?? 0)
     setPensionIndexation(levers.pensionIndexation)
     setHealthSpending(levers.healthSpending)
     setSocialContributions(levers.socialContributions)
@@ -458,61 +365,186 @@ function App() {
     setDesindexation(pr.desindexation)
     setPensionCap(pr.pensionCap)
     setNotionnel(pr.notionnel)
+    setCapitalisation(pr.capitalisation ?? 0)
+    setMacroOverrides(preset.macroOverrides ?? null)
+    setMacroOverridesSource(preset.macroOverrides ? preset.label : '')
+  }
+
+  const resetMacroOverrides = () => {
+    setMacroOverrides(null)
+    setMacroOverridesSource('')
   }
 
+  // Overrides that actually differ from MACRO_BASELINE (COR pessimiste = reference growth)
+  const activeMacroOverrides = useMemo(() => listMacroOverrides(macroOverrides), [macroOverrides])
+
   // Political risk toggle
   const [politicalRisk, setPoliticalRisk] = useState(0)
 
   // Projection horizon
   const [projectionYears, setProjectionYears] = useState(10)
 
-  // Calculate policy impacts (ALWAYS integrated now)
-  const policyImpact = useMemo(() => {
-    return calculatePolicyImpact({
-      incomeTaxChange, vatChange, corpTaxChange,
-      spendingEducation, spendingDefense, spendingSolidarity,
-      pensionIndexation, healthSpending, socialContributions, csgRate,
-    })
-  }, [
+  // Demography: '' = linear drift, else a DEMOGRAPHIC_SCENARIOS key (cohort model)
+  const [demographicScenario, setDemographicScenario] = useState('')
+
+  // Long-term mode: horizon to 2070 on the cohort model
+  const [longHorizon, setLongHorizon] = useState(false)
+  const toggleLongHorizon = (enabled) => {
+    setLongHorizon(enabled)
+    if (enabled) {
+      setProjectionYears(LONG_HORIZON_YEARS)
+      if (!demographicScenario) setDemographicScenario('central')
+    } else {
+      setProjectionYears(years => Math.min(years, SHORT_HORIZON_MAX))
+    }
+  }
+
+  // Monte Carlo fan chart: last run on demand, with the inputs it was run on
+  const [monteCarloRun, setMonteCarloRun] = useState(null)
+
+  // Low / high scenario toggle (every registry parameter at one end of its range)
+  const [showRangeScenarios, setShowRangeScenarios] = useState(false)
+
+  // Debt model: flat rollover (default) or explicit OAT ladder with issuance mix
+  const [useDebtLadder, setUseDebtLadder] = useState(false)
+  const [issuanceMixKey, setIssuanceMixKey] = useState('aft2025')
+
+  // Inflation path: baseline 1.8% or a named scenario (INFLATION_SCENARIOS key)
+  const [inflationScenario, setInflationScenario] = useState('')
+
+  // Sovereign rating: downgrades feed the marginal rate (credit-rating.js)
+  const [enableRatingPremium, setEnableRatingPremium] = useState(false)
+
+  // Goal seek: target, levers the solver may move, last solution
+  const [goalType, setGoalType] = useState('deficit')
+  const [goalDeficit, setGoalDeficit] = useState(3)
+  const [goalYear, setGoalYear] = useState(2029)
+  const [goalLevers, setGoalLevers] = useState(Object.keys(LEVER_BOUNDS))
+  const [goalResult, setGoalResult] = useState(null)
+
+  const toggleGoalLever = (key) => {
+    setGoalLevers(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    )
+  }
+
+  // Consolidation optimiser: package size (Md€), objective, per-lever constraint
+  const [optimizerEffort, setOptimizerEffort] = useState(50)
+  const [optimizerObjective, setOptimizerObjective] = useState('growthCost')
+  const [optimizerConstraints, setOptimizerConstraints] = useState({})
+  const [optimizerResult, setOptimizerResult] = useState(null)
+
+  // EU fiscal rules: length of the adjustment period (4 or 7 years)
+  const [euAdjustmentPeriod, setEuAdjustmentPeriod] = useState(7)
+
+  // Implementation calendar: common start / ramp / sunset for every lever,
+  // plus reference trajectories (LEVER_SCHEDULE_PRESETS) that override a lever
+  const [leverStartYear, setLeverStartYear] = useState(SCHEDULE_BASE_YEAR)
+  const [leverRampYears, setLeverRampYears] = useState(0)
+  const [leverSunsetYear, setLeverSunsetYear] = useState('')
+  const [selectedSchedules, setSelectedSchedules] = useState([])
+
+  const toggleSchedule = (key) => {
+    setSelectedSchedules(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    )
+  }
+
+  // Lever positions (full effect)
+  const levers = useMemo(() => ({
+    incomeTaxChange, vatChange, corpTaxChange,
+    spendingEducation, spendingDefense, spendingSolidarity,
+    pensionIndexation, healthSpending, socialContributions, csgRate,
+    dgfChange, localInvestment,
+  }), [
     incomeTaxChange, vatChange, corpTaxChange,
     spendingEducation, spendingDefense, spendingSolidarity,
     pensionIndexation, healthSpending, socialContributions, csgRate,
+    dgfChange, localInvestment,
   ])
 
+  // Calculate policy impacts at full effect (ALWAYS integrated now)
+  const policyImpact = useMemo(() => calculatePolicyImpact(levers, { config: modelConfig }), [levers, modelConfig])
+
+  // Lever calendar: start year, ramp, sunset or a year-by-year schedule
+  const leverCalendarActive = leverStartYear !== SCHEDULE_BASE_YEAR || leverRampYears > 0
+    || leverSunsetYear !== '' || selectedSchedules.length > 0
+
+  // Impact fed to the projection: a single impact, or one per year when phased
+  const policyPath = useMemo(() => {
+    if (!leverCalendarActive) return policyImpact
+
+    const scheduled = {}
+    for (const [key, value] of Object.entries(levers)) {
+      scheduled[key] = {
+        value,
+        startYear: leverStartYear,
+        rampYears: leverRampYears,
+        sunsetYear: leverSunsetYear === '' ? null : Number(leverSunsetYear),
+      }
+    }
+    for (const key of selectedSchedules) {
+      const { lever, schedule } = LEVER_SCHEDULE_PRESETS[key]
+      scheduled[lever] = schedule
+    }
+    return calculatePolicyImpactPath(scheduled, projectionYears, { config: modelConfig })
+  }, [levers, policyImpact, leverCalendarActive, leverStartYear, leverRampYears, leverSunsetYear, selectedSchedules, projectionYears, modelConfig])
+
   // Build pension reform option (null if all defaults)
   const pensionReformOption = useMemo(() => {
     const isDefault = retirementAge === 64 && desindexation === 0 && pensionCap === 0 && !notionnel
+      && capitalisation === 0
     if (isDefault) return null
-    return { retirementAge, desindexation, pensionCap, notionnel, capitalisation: 0 }
-  }, [retirementAge, desindexation, pensionCap, notionnel])
+    return {
+      retirementAge, desindexation, pensionCap, notionnel, capitalisation,
+      fundReturn: fundReturn / 100,
+    }
+  }, [retirementAge, desindexation, pensionCap, notionnel, capitalisation, fundReturn])
 
   // Generate projections
   const projections = useMemo(() => {
     // Baseline (no policy change, no reforms)
-    const baseline = getBaselineProjection(projectionYears)
+    // Long-term mode: explosive paths stop once debt leaves a sane range
+    const maxDebtRatio = longHorizon ? EXPLOSIVE_DEBT_RATIO : null
+    const baseline = getBaselineProjection(projectionYears, macroOverrides, modelConfig, demographicScenario || null, maxDebtRatio)
+
+    const debtOptions = useDebtLadder
+      ? { debtModel: 'ladder', issuanceMix: ISSUANCE_MIX_PRESETS[issuanceMixKey].mix, config: modelConfig }
+      : { config: modelConfig }
+    if (inflationScenario) debtOptions.inflationPath = INFLATION_SCENARIOS[inflationScenario].path
+    if (macroOverrides) debtOptions.macroOverrides = macroOverrides
+    if (demographicScenario) debtOptions.demography = demographicScenario
+    if (enableRatingPremium) debtOptions.enableRatingPremium = true
+    if (macroShocksOption) debtOptions.macroShocks = macroShocksOption
+    if (maxDebtRatio) debtOptions.maxDebtRatio = maxDebtRatio
 
     // Policy scenario (with current lever settings)
-    const policyScenario = projectFiscalPath(policyImpact, {
+    const policyScenario = projectFiscalPath(policyPath, {
       years: projectionYears,
       enableRiskPremium: true,
       politicalRiskPremium: politicalRisk / 10000,  // bps → decimal
       structuralReform: null,
       pensionReform: pensionReformOption,
+      ...debtOptions,
     })
 
     // Policy + Reform scenario
-    const reform = combinedReformEffect
-    const allReformKeys = [...selectedReforms]
-    if (selectedHousingReform) allReformKeys.push(selectedHousingReform)
-    const fullScenario = projectFiscalPath(policyImpact, {
+    const fullOptions = {
       years: projectionYears,
       enableRiskPremium: true,
       politicalRiskPremium: politicalRisk / 10000,
-      structuralReform: reform,
-      structuralReformKeys: allReformKeys.length > 0 ? allReformKeys : null,
+      structuralReforms: selectedReformKeys.length > 0 ? selectedReformKeys : null,
       pensionReform: pensionReformOption,
       enableSocialHousingLiquidation,
-    })
+      assetSales: assetSalesOption,
+      ...debtOptions,
+    }
+    const fullScenario = projectFiscalPath(policyPath, fullOptions)
+
+    // Same scenario without the scripted shocks, for their cost
+    const unshockedScenario = macroShocksOption
+      ? projectFiscalPath(policyPath, { ...fullOptions, macroShocks: null })
+      : null
 
     // Merge baseline fields into fullScenario for chart comparison
     const chartData = fullScenario.map((item, i) => ({
@@ -521,14 +553,111 @@ function App() {
       baselineDeficitRatio: baseline[i]?.deficitRatio,
       baselineNominalGrowthRate: baseline[i]?.nominalGrowthRate,
       baselineUnemploymentRate: baseline[i]?.unemploymentRate,
-      // Ratio cotisants/retraité projection
-      cotisantsPerRetraite: PENSION_REFORM.cotisantsPerRetraite - (i * PENSION_REFORM.ratioDeclinePerYear)
-        + ((pensionReformOption?.retirementAge ?? 64) - 64) * PENSION_REFORM.retirementAge.ratioImprovementPerYear
-          * Math.min(i / PENSION_REFORM.retirementAge.rampUpYears, 1),
+      baselinePensionBalanceRatio: baseline[i]?.pensionBalanceRatio,
+      baselineStructuralBalance: baseline[i]?.structuralBalance,
+      balanceRatio: -item.deficitRatio,
+      unshockedDebtRatio: unshockedScenario ? unshockedScenario[i]?.debtRatio : null,
+      ratingNotch: ratingIndex(item.rating),
+      baselineRatingNotch: baseline[i] ? ratingIndex(baseline[i].rating) : null,
     }))
 
-    return { baseline, policyScenario, fullScenario, chartData }
-  }, [policyImpact, projectionYears, selectedReforms, selectedHousingReform, politicalRisk, combinedReformEffect, pensionReformOption, enableSocialHousingLiquidation])
+    // Year the scenario leaves the sane range (the projection stops there)
+    const explosiveYear = fullScenario.find(item => item.explosive)?.year ?? null
+
+    return { baseline, policyScenario, fullScenario, unshockedScenario, fullOptions, chartData, explosiveYear }
+  }, [policyPath, projectionYears, selectedReformKeys, politicalRisk, pensionReformOption, enableSocialHousingLiquidation, assetSalesOption, useDebtLadder, issuanceMixKey, inflationScenario, macroOverrides, demographicScenario, enableRatingPremium, macroShocksOption, modelConfig, longHorizon])
+
+  // Average structural effort (pp GDP per year) and cumulative one-offs (Md€) over the horizon
+  const structuralSummary = useMemo(() => {
+    const efforts = projections.fullScenario.filter(entry => entry.structuralEffort !== null)
+    return {
+      averageEffort: efforts.length > 0
+        ? efforts.reduce((sum, entry) => sum + entry.structuralEffort, 0) / efforts.length
+        : 0,
+      oneOffs: projections.fullScenario.reduce((sum, entry) => sum + entry.oneOffs, 0),
+    }
+  }, [projections.fullScenario])
+
+  // APE sales over the horizon: proceeds and dividends lost, kept apart (Md€),
+  // and the last year's net effect (interest saved − dividends lost)
+  const assetSaleSummary = useMemo(() => {
+    const last = projections.fullScenario[projections.fullScenario.length - 1]
+    return {
+      proceeds: last.cumulativeSaleProceeds,
+      forgoneDividends: last.cumulativeForgoneDividends,
+      lastYearDividends: last.forgoneDividends,
+      lastYearInterestSaved: last.saleInterestSaved,
+      lastYearNetEffect: last.assetSaleNetEffect,
+    }
+  }, [projections.fullScenario])
+
+  // Shock window (shaded on the debt chart) and cost vs the same scenario without shocks
+  const shockSummary = useMemo(() => {
+    if (!projections.unshockedScenario) return null
+    const shocked = projections.fullScenario.filter(entry => entry.macroShocks.length > 0)
+    if (shocked.length === 0) return null
+    const debtGaps = projections.fullScenario.map((entry, i) => entry.debtRatio - projections.unshockedScenario[i].debtRatio)
+    return {
+      firstYear: shocked[0].year,
+      lastYear: shocked[shocked.length - 1].year,
+      peakDebtGap: debtGaps.reduce((peak, gap) => Math.abs(gap) > Math.abs(peak) ? gap : peak, 0),
+      finalDebtGap: debtGaps[debtGaps.length - 1],
+      benefitCost: projections.fullScenario.reduce((sum, entry) => sum + entry.unemploymentBenefitCost, 0),
+    }
+  }, [projections.fullScenario, projections.unshockedScenario])
+
+  // Downgrade years (markers on the debt and deficit charts) and final rating
+  const ratingSummary = useMemo(() => {
+    const last = projections.fullScenario[projections.fullScenario.length - 1]
+    return {
+      downgradeYears: projections.fullScenario.filter(entry => entry.ratingChange < 0).map(entry => entry.year),
+      finalRating: last.rating,
+      finalPremiumBps: Math.round(ratingPremium(last.rating) * 10000),
+    }
+  }, [projections.fullScenario])
+
+  // Year of the largest structural reform boost (each reform after overlap)
+  const reformBoostPeak = useMemo(
+    () => projections.fullScenario.reduce((peak, entry) => entry.reformBoost > peak.reformBoost ? entry : peak),
+    [projections.fullScenario],
+  )
+
+  // Monte Carlo bands around the full scenario (seeded → stable between runs).
+  // 300 projections are too slow for every slider move: run on demand, and
+  // hide the bands once the scenario they were drawn for has changed.
+  const runUncertainty = () => {
+    setMonteCarloRun({
+      result: runMonteCarlo(policyPath, projections.fullOptions, { draws: MONTE_CARLO_DRAWS }),
+      policyPath,
+      options: projections.fullOptions,
+    })
+  }
+  const monteCarlo = monteCarloRun
+    && monteCarloRun.policyPath === policyPath && monteCarloRun.options === projections.fullOptions
+    ? monteCarloRun.result
+    : null
+
+  // Low / high scenarios on the current levers (full effect), computed only when shown
+  const rangeScenarios = useMemo(
+    () => (showRangeScenarios ? runRangeScenarios(levers, projections.fullOptions) : null),
+    [showRangeScenarios, levers, projections.fullOptions],
+  )
+
+  // Debt chart data: central scenario + P5-P95 / P25-P75 fan + low / high scenarios
+  const debtChartData = useMemo(() => {
+    if (!monteCarlo && !rangeScenarios) return projections.chartData
+    return projections.chartData.map((item, i) => {
+      const band = monteCarlo?.bands[i]?.debtRatio
+      return {
+        ...item,
+        ...(band && { debtFan90: [band.p5, band.p95], debtFan50: [band.p25, band.p75] }),
+        ...(rangeScenarios && {
+          lowScenarioDebtRatio: rangeScenarios.low.projection[i]?.debtRatio,
+          highScenarioDebtRatio: rangeScenarios.high.projection[i]?.debtRatio,
+        }),
+      }
+    })
+  }, [monteCarlo, rangeScenarios, projections.chartData])
 
   // Assess doom loop risk
   const doomLoopAssessment = useMemo(() => {
@@ -540,6 +669,147 @@ function App() {
     return validateProjection(projections.fullScenario)
   }, [projections.fullScenario])
 
+  // EU fiscal rules: current scenario, then each political preset (levers only)
+  // under the same macro, debt and calibration options
+  const fiscalRulesReports = useMemo(() => {
+    const assess = projection => assessFiscalRules(projection, { adjustmentPeriod: euAdjustmentPeriod })
+    const presetOptions = {
+      ...projections.fullOptions,
+      structuralReforms: null,
+      pensionReform: null,
+      enableSocialHousingLiquidation: false,
+      assetSales: null,
+    }
+    const rows = [{ key: 'scenario', label: "Scénario actuel", report: assess(projections.fullScenario) }]
+    for (const [key, preset] of Object.entries(PRESETS)) {
+      const impact = calculatePolicyImpact(preset.levers, { config: modelConfig })
+      rows.push({ key, label: preset.label, report: assess(projectFiscalPath(impact, presetOptions)) })
+    }
+    return rows
+  }, [projections.fullScenario, projections.fullOptions, modelConfig, euAdjustmentPeriod])
+
+  // Debt sustainability analysis: scenario dynamics and IMF bound tests
+  const dsa = useMemo(
+    () => runDebtSustainabilityAnalysis(policyPath, projections.fullOptions),
+    [policyPath, projections.fullOptions],
+  )
+  const dsaChartData = useMemo(() => dsa.baseline.dynamics.map((row, i) => ({
+    ...row,
+    ...Object.fromEntries(dsa.tests.map(test => [test.key, test.projection[i]?.debtRatio])),
+  })), [dsa])
+
+  // Generational accounts: lifetime net taxes by birth cohort, scenario vs baseline.
+  // Levers at full effect, so not computed while a lever calendar is active
+  const generational = useMemo(
+    () => (leverCalendarActive ? null : runGenerationalAccounting(levers, projections.fullOptions)),
+    [leverCalendarActive, levers, projections.fullOptions],
+  )
+  const generationalChartData = useMemo(() => generational && generational.cohorts
+    .filter(cohort => cohort.age % GENERATIONAL_AGE_STEP === 0)
+    .reverse()
+    .map(cohort => ({
+      birthYear: cohort.birthYear,
+      scenario: Math.round(cohort.scenario / 100) / 10,
+      baseline: Math.round(cohort.baseline / 100) / 10,
+    })), [generational])
+
+  // Distributional impact: current levers and each political preset, by decile.
+  // Levers at full effect, so not computed while a lever calendar is active
+  const [distributionMetric, setDistributionMetric] = useState('gainPct')
+  const distributions = useMemo(() => (leverCalendarActive ? null : {
+    scenario: distributionalImpact(levers, { config: modelConfig }),
+    ...Object.fromEntries(Object.entries(PRESETS)
+      .map(([key, preset]) => [key, distributionalImpact(preset.levers, { config: modelConfig })])),
+  }), [leverCalendarActive, levers, modelConfig])
+  const distributionChartData = useMemo(() => distributions && distributions.scenario.deciles.map((decile, i) => ({
+    decile: `D${decile.decile}`,
+    ...Object.fromEntries(Object.entries(distributions).map(([key, impact]) => [key, impact.deciles[i][distributionMetric]])),
+    ...Object.fromEntries(Object.entries(decile.byLever).map(([lever, gain]) => [
+      lever,
+      distributionMetric === 'gainPct' ? Math.round(gain / decile.disposableIncome * 10000) / 100 : gain,
+    ])),
+  })), [distributions, distributionMetric])
+
+  // Tornado: one-at-a-time parameter swings on the current scenario (Hypothèses tab
+  // only). Levers at full effect, so not computed while a lever calendar is active
+  const [sensitivityMetric, setSensitivityMetric] = useState('debtRatio')
+  const sensitivity = useMemo(
+    () => (activeTab === 'assumptions' && !leverCalendarActive ? runSensitivity(levers, projections.fullOptions) : null),
+    [activeTab, leverCalendarActive, levers, projections.fullOptions],
+  )
+  const tornadoData = useMemo(() => {
+    if (!sensitivity) return []
+    const field = sensitivityMetric === 'debtRatio' ? 'debtRatioDiff' : 'cumulativeDeficitDiff'
+    const swing = sensitivityMetric === 'debtRatio' ? 'debtRatioSwing' : 'deficitSwing'
+    return [...sensitivity.results]
+      .sort((a, b) => b[swing] - a[swing])
+      .slice(0, SENSITIVITY_TOP)
+      .map(entry => ({
+        label: `${entry.label}${entry.reformAdded ? ' *' : ''}`,
+        group: SENSITIVITY_GROUPS[entry.group],
+        low: entry.lowOutcome[field],
+        high: entry.highOutcome[field],
+      }))
+  }, [sensitivity, sensitivityMetric])
+
+  // Goal seek: solve on the current levers, reforms and macro options, at full
+  // effect (disabled while a lever calendar is active)
+  const runGoalSeek = () => {
+    const target = goalType === 'deficit'
+      ? { type: 'deficit', value: goalDeficit, year: goalYear }
+      : { type: 'debtStable', year: goalYear }
+    setGoalResult(goalSeek(target, levers, projections.fullOptions, { freeLevers: goalLevers }))
+  }
+
+  const leverSetters = {
+    incomeTaxChange: setIncomeTaxChange,
+    vatChange: setVatChange,
+    corpTaxChange: setCorpTaxChange,
+    spendingEducation: setSpendingEducation,
+    spendingDefense: setSpendingDefense,
+    spendingSolidarity: setSpendingSolidarity,
+    dgfChange: setDgfChange,
+    localInvestment: setLocalInvestment,
+    pensionIndexation: setPensionIndexation,
+    healthSpending: setHealthSpending,
+    socialContributions: setSocialContributions,
+    csgRate: setCsgRate,
+  }
+
+  const applyGoalSeek = () => {
+    for (const [key, { to }] of Object.entries(goalResult.changes)) {
+      leverSetters[key](to)
+    }
+    setGoalResult(null)
+  }
+
+  // Consolidation optimiser on the current levers and scenario options, at full
+  // effect (disabled while a lever calendar is active)
+  const runOptimizer = () => {
+    const locked = []
+    const bounds = {}
+    for (const [key, constraint] of Object.entries(optimizerConstraints)) {
+      if (constraint === 'locked') locked.push(key)
+      if (constraint === 'noIncrease') bounds[key] = { max: 0 }
+      if (constraint === 'noDecrease') bounds[key] = { min: 0 }
+    }
+    setOptimizerResult(optimizeConsolidation(optimizerEffort, levers, projections.fullOptions, {
+      objective: optimizerObjective, locked, bounds,
+    }))
+  }
+
+  const applyOptimizer = () => {
+    for (const [key, { to }] of Object.entries(optimizerResult.changes)) {
+      leverSetters[key](to)
+    }
+    setOptimizerResult(null)
+  }
+
+  // First year the ACOSS ceiling forces a debt transfer to CADES
+  const firstCadesTransfer = useMemo(() => {
+    return projections.fullScenario.find(e => e.cadesTransfer > 0) || null
+  }, [projections.fullScenario])
+
   return (
     <div className="app">
       <header className="header">
@@ -579,19 +849,83 @@ function App() {
         {projections.chartData && projections.chartData.length > 0 && (
           <section className="results-section primary-chart-section">
             <h2>Trajectoire dette publique sur {projectionYears} ans</h2>
+            {projections.explosiveYear && (
+              <p className="chart-note">
+                Trajectoire explosive : la dette dépasse {EXPLOSIVE_DEBT_RATIO} % du PIB en {projections.explosiveYear}.
+                La projection s'arrête cette année-là, au-delà la prime de risque fait diverger la dette.
+              </p>
+            )}
+            <div className="fan-toggle">
+              {monteCarlo ? (
+                <button className="goal-seek-btn fan-button" onClick={() => setMonteCarloRun(null)}>
+                  Masquer l'incertitude
+                </button>
+              ) : (
+                <button className="goal-seek-btn fan-button" onClick={runUncertainty}>
+                  {monteCarloRun ? "Recalculer l'incertitude" : "Afficher l'incertitude"}
+                </button>
+              )}
+              <span> Monte Carlo, {MONTE_CARLO_DRAWS} tirages : croissance, inflation, taux, prime politique
+                {monteCarloRun && !monteCarlo && ' (scénario modifié depuis le dernier calcul)'}</span>
+            </div>
+            <label className="reform-checkbox-label fan-toggle">
+              <input
+                type="checkbox"
+                checked={showRangeScenarios}
+                onChange={(e) => setShowRangeScenarios(e.target.checked)}
+              />
+              <span>Scénarios bas / haut (chaque hypothèse calibrée à la borne favorable / défavorable de sa fourchette)</span>
+            </label>
+            {activeMacroOverrides.length > 0 && (
+              <div className="macro-overrides">
+                <span>
+                  <strong>Hypothèses macro modifiées ({macroOverridesSource}) :</strong>{' '}
+                  {activeMacroOverrides.map(formatMacroOverride).join(' • ')}
+                </span>
+                <button className="macro-overrides-reset" onClick={resetMacroOverrides}>Rétablir la référence</button>
+              </div>
+            )}
             <div className="chart-container primary-chart">
               <ResponsiveContainer width="100%" height={400}>
-                <LineChart data={projections.chartData}>
+                <ComposedChart data={debtChartData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="year" />
                   <YAxis
                     label={{ value: 'Dette/PIB (%)', angle: -90, position: 'insideLeft' }}
                     domain={['auto', 'auto']}
                   />
-                  <Tooltip />
+                  <Tooltip formatter={(v) => Array.isArray(v) ? `${v[0]} – ${v[1]}` : v} />
                   <Legend />
                   <ReferenceLine y={60} stroke="#558b2f" strokeDasharray="3 3" label="Maastricht (60%)" />
                   <ReferenceLine y={100} stroke="#e65100" strokeDasharray="3 3" label="Seuil alerte (100%)" />
+                  {ratingSummary.downgradeYears.map(year => (
+                    <ReferenceLine key={year} x={year} stroke="#7c3aed" strokeDasharray="2 4" label={{ value: '▼', fill: '#7c3aed', position: 'top' }} />
+                  ))}
+                  {shockSummary && (
+                    <ReferenceArea x1={shockSummary.firstYear} x2={shockSummary.lastYear} fill="#f59e0b" fillOpacity={0.12} />
+                  )}
+                  {monteCarlo && (
+                    <Area
+                      type="monotone"
+                      dataKey="debtFan90"
+                      stroke="none"
+                      fill="#2563eb"
+                      fillOpacity={0.12}
+                      name="Intervalle 90% (P5–P95)"
+                      isAnimationActive={false}
+                    />
+                  )}
+                  {monteCarlo && (
+                    <Area
+                      type="monotone"
+                      dataKey="debtFan50"
+                      stroke="none"
+                      fill="#2563eb"
+                      fillOpacity={0.25}
+                      name="Intervalle 50% (P25–P75)"
+                      isAnimationActive={false}
+                    />
+                  )}
                   <Line
                     type="monotone"
                     dataKey="baselineDebtRatio"
@@ -601,6 +935,39 @@ function App() {
                     name="Baseline (PLF 2025)"
                     dot={false}
                   />
+                  {rangeScenarios && (
+                    <Line
+                      type="monotone"
+                      dataKey="lowScenarioDebtRatio"
+                      stroke="#16a34a"
+                      strokeWidth={2}
+                      strokeDasharray="6 3"
+                      name="Scénario bas (hypothèses favorables)"
+                      dot={false}
+                    />
+                  )}
+                  {rangeScenarios && (
+                    <Line
+                      type="monotone"
+                      dataKey="highScenarioDebtRatio"
+                      stroke="#dc2626"
+                      strokeWidth={2}
+                      strokeDasharray="6 3"
+                      name="Scénario haut (hypothèses défavorables)"
+                      dot={false}
+                    />
+                  )}
+                  {shockSummary && (
+                    <Line
+                      type="monotone"
+                      dataKey="unshockedDebtRatio"
+                      stroke="#f59e0b"
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      name="Scénario sans choc"
+                      dot={false}
+                    />
+                  )}
                   <Line
                     type="monotone"
                     dataKey="debtRatio"
@@ -609,9 +976,26 @@ function App() {
                     name="Scénario"
                     dot={{ r: 3 }}
                   />
-                </LineChart>
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
+            {monteCarlo && monteCarlo.bands.length > 10 && (
+              <p className="chart-note">
+                Année 10 : dette/PIB entre {monteCarlo.bands[10].debtRatio.p5}% et {monteCarlo.bands[10].debtRatio.p95}% (P5–P95),
+                déficit entre {monteCarlo.bands[10].deficitRatio.p5}% et {monteCarlo.bands[10].deficitRatio.p95}% du PIB,
+                taux effectif entre {monteCarlo.bands[10].effectiveInterestRate.p5}% et {monteCarlo.bands[10].effectiveInterestRate.p95}%.
+              </p>
+            )}
+            {rangeScenarios && (
+              <p className="chart-note">
+                Scénarios bas / haut : {Object.keys(rangeScenarios.low.values).length} hypothèses du registre portées ensemble
+                à la borne de leur fourchette qui réduit (bas) ou accroît (haut) la dette à {SENSITIVITY_PARAMS.horizon} ans,
+                leviers à plein effet. Année {SENSITIVITY_PARAMS.horizon} : dette/PIB
+                de {rangeScenarios.low.projection[SENSITIVITY_PARAMS.horizon].debtRatio.toFixed(1)}%
+                à {rangeScenarios.high.projection[SENSITIVITY_PARAMS.horizon].debtRatio.toFixed(1)}%.
+                Borne extrême et non probabiliste, contrairement à l'éventail Monte Carlo.
+              </p>
+            )}
           </section>
         )}
 
@@ -631,6 +1015,9 @@ function App() {
                     <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
                     <Tooltip formatter={(v) => `${v}%`} />
                     <ReferenceLine y={3} stroke="#e65100" strokeDasharray="3 3" />
+                    {ratingSummary.downgradeYears.map(year => (
+                      <ReferenceLine key={year} x={year} stroke="#7c3aed" strokeDasharray="2 4" />
+                    ))}
                     <Line
                       type="monotone"
                       dataKey="baselineDeficitRatio"
@@ -652,6 +1039,49 @@ function App() {
                 </ResponsiveContainer>
               </div>
 
+              {/* Solde effectif et solde structurel */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Solde effectif et structurel (% PIB)</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v}%`} />
+                    <ReferenceLine y={0} stroke="#666" />
+                    <Line
+                      type="monotone"
+                      dataKey="baselineStructuralBalance"
+                      stroke="#94a3b8"
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      name="Structurel (baseline)"
+                      dot={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="balanceRatio"
+                      stroke="#dc2626"
+                      strokeWidth={2}
+                      name="Solde effectif"
+                      dot={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="structuralBalance"
+                      stroke="#1e40af"
+                      strokeWidth={2}
+                      name="Solde structurel"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+                <p className="chart-note">
+                  Effort structurel moyen {structuralSummary.averageEffort.toFixed(2)} pp/an
+                  {structuralSummary.oneOffs > 0 && ` ; ${structuralSummary.oneOffs.toFixed(0)} Md€ de mesures ponctuelles (cession HLM) exclues du solde structurel`}
+                </p>
+              </div>
+
               {/* Croissance nominale */}
               <div className="small-chart-container">
                 <h3 className="small-chart-title">Croissance nominale (%)</h3>
@@ -682,6 +1112,35 @@ function App() {
                 </ResponsiveContainer>
               </div>
 
+              {/* Inflation et croissance réelle */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Inflation et croissance réelle (%)</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v}%`} />
+                    <Line
+                      type="monotone"
+                      dataKey="inflationRate"
+                      stroke="#dc2626"
+                      strokeWidth={2}
+                      name="Inflation"
+                      dot={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="realGrowthRate"
+                      stroke="#16a34a"
+                      strokeWidth={2}
+                      name="Croissance réelle"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
               {/* Chômage */}
               <div className="small-chart-container">
                 <h3 className="small-chart-title">Chômage (%)</h3>
@@ -712,51 +1171,313 @@ function App() {
                 </ResponsiveContainer>
               </div>
 
-              {/* Ratio cotisants/retraité */}
+              {/* Écart de production */}
               <div className="small-chart-container">
-                <h3 className="small-chart-title">Cotisants/retraité</h3>
+                <h3 className="small-chart-title">Écart de production (% PIB potentiel)</h3>
                 <ResponsiveContainer width="100%" height={220}>
                   <LineChart data={projections.chartData}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="year" tick={{ fontSize: 11 }} />
                     <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
-                    <Tooltip formatter={(v) => v.toFixed(2)} />
-                    <ReferenceLine y={1.5} stroke="#e65100" strokeDasharray="3 3" />
+                    <Tooltip formatter={(v) => `${v}%`} />
+                    <ReferenceLine y={0} stroke="#94a3b8" />
+                    <ReferenceLine y={MULTIPLIER_REGIME.recessionGap} stroke="#e65100" strokeDasharray="3 3" />
                     <Line
                       type="monotone"
-                      dataKey="cotisantsPerRetraite"
-                      stroke="#0891b2"
+                      dataKey="outputGap"
+                      stroke="#b45309"
                       strokeWidth={2}
-                      name="Ratio"
+                      name="Écart"
                       dot={false}
                     />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
 
-            </div>
-          </section>
-        )}
-
-        {/* KEY METRICS — YEAR 1 */}
-        {projections.fullScenario && projections.fullScenario.length > 0 && (
-          <section className="results-section">
-            <h2>Indicateurs clés (Année 1)</h2>
-            <div className="metrics-grid">
-              <MetricCard
-                label="Déficit année 1"
-                value={projections.fullScenario[0].deficit}
-                unit="Md€"
-                baseline={BASELINE.integrated.deficit}
-                format="billions"
-              />
-              <MetricCard
-                label="Dette/PIB"
-                value={projections.fullScenario[0].debtRatio}
-                unit="%"
-                baseline={projections.baseline[0].debtRatio}
-                format="percent"
-              />
+              {/* Notation souveraine */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Notation souveraine</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis
+                      reversed
+                      allowDecimals={false}
+                      domain={['dataMin - 1', 'dataMax + 1']}
+                      tickFormatter={(i) => RATING_SCALE[i]}
+                      tick={{ fontSize: 11 }}
+                    />
+                    <Tooltip formatter={(v) => RATING_SCALE[v]} />
+                    <ReferenceLine y={ratingIndex('BBB-')} stroke="#e65100" strokeDasharray="3 3" />
+                    <Line
+                      type="stepAfter"
+                      dataKey="baselineRatingNotch"
+                      stroke="#94a3b8"
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      name="Baseline"
+                      dot={false}
+                    />
+                    <Line
+                      type="stepAfter"
+                      dataKey="ratingNotch"
+                      stroke="#7c3aed"
+                      strokeWidth={2}
+                      name="Scénario"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+                <p className="chart-note">
+                  {RATING_PARAMS.initialRating} en {MACRO_BASELINE.year} → {ratingSummary.finalRating} en {projections.fullScenario[projections.fullScenario.length - 1].year}
+                  {ratingSummary.downgradeYears.length > 0
+                    ? ` ; dégradations en ${ratingSummary.downgradeYears.join(', ')}`
+                    : ' ; aucune dégradation'}
+                  {ratingSummary.finalPremiumBps !== 0 && ` (prime de notation ${ratingSummary.finalPremiumBps > 0 ? '+' : ''}${ratingSummary.finalPremiumBps} bps${enableRatingPremium ? '' : ', non appliquée'})`}
+                </p>
+              </div>
+
+              {/* Mur de refinancement (échéancier OAT) */}
+              {useDebtLadder && (
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Tombées de dette (Md€)</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <BarChart data={projections.chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v} Md€`} />
+                      <Bar dataKey="redemptions" fill="#475569" name="Tombées" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <p className="chart-note">
+                    Maturité moyenne : {projections.fullScenario[0].averageMaturity} ans ({MACRO_BASELINE.year})
+                    → {projections.fullScenario[projections.fullScenario.length - 1].averageMaturity} ans
+                    ({projections.fullScenario[projections.fullScenario.length - 1].year})
+                  </p>
+                </div>
+              )}
+
+              {/* Déficit par sous-secteur */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Déficit par sous-secteur (Md€)</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v} Md€`} />
+                    <Legend wrapperStyle={{ fontSize: 11 }} />
+                    <Line type="monotone" dataKey="etatDeficit" stroke="#1e3a5f" strokeWidth={2} name="État" dot={false} />
+                    <Line type="monotone" dataKey="assoDeficit" stroke="#0891b2" strokeWidth={2} name="Sécurité sociale" dot={false} />
+                    <Line type="monotone" dataKey="apulDeficit" stroke="#65a30d" strokeWidth={2} name="APUL" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              {/* Dette sociale : CADES / ACOSS */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Dette sociale : CADES et ACOSS (Md€)</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <ComposedChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v} Md€`} />
+                    <Legend wrapperStyle={{ fontSize: 11 }} />
+                    <ReferenceLine y={PILLAR_ACCOUNTS_PARAMS.acossCeiling} stroke="#e65100" strokeDasharray="3 3" />
+                    <Bar dataKey="cadesTransfer" fill="#fca5a5" name="Transfert CADES" />
+                    <Line type="monotone" dataKey="cadesDebt" stroke="#7c3aed" strokeWidth={2} name="CADES" dot={false} />
+                    <Line type="monotone" dataKey="acossDebt" stroke="#0891b2" strokeWidth={2} name="ACOSS" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+                <p className="chart-note">
+                  {firstCadesTransfer
+                    ? `Plafond ACOSS (${PILLAR_ACCOUNTS_PARAMS.acossCeiling} Md€) dépassé en ${firstCadesTransfer.year} : transfert de ${firstCadesTransfer.cadesTransfer} Md€ à la CADES`
+                    : `Plafond ACOSS (${PILLAR_ACCOUNTS_PARAMS.acossCeiling} Md€) respecté sur l'horizon`}
+                </p>
+              </div>
+
+              {/* Fonds de capitalisation */}
+              {capitalisation > 0 && (
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Capitalisation (Md€)</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={projections.chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                      <YAxis yAxisId="fund" tick={{ fontSize: 11 }} />
+                      <YAxis yAxisId="flow" orientation="right" tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v} Md€`} />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      <Area yAxisId="fund" type="monotone" dataKey="fundAssets" fill="#c7d2fe" stroke="#4f46e5" name="Actifs du fonds" />
+                      <Line yAxisId="flow" type="monotone" dataKey="capitalisationContributions" stroke="#dc2626" strokeWidth={2} name="Cotisations détournées" dot={false} />
+                      <Line yAxisId="flow" type="monotone" dataKey="paygRelief" stroke="#16a34a" strokeWidth={2} name="Pensions répartition évitées" dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {/* Cessions d'actifs de l'État */}
+              {selectedAssets.length > 0 && (
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Cessions APE : produit, dividendes perdus et effet net annuel (Md€)</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={projections.chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v} Md€`} />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      <ReferenceLine y={0} stroke="#666" />
+                      <Bar dataKey="assetSaleProceeds" fill="#10b981" name="Produit des cessions" />
+                      <Bar dataKey="forgoneDividends" fill="#ef4444" name="Dividendes perdus" />
+                      <Line type="monotone" dataKey="cumulativeSaleProceeds" stroke="#047857" strokeWidth={2} name="Produit cumulé" dot={false} />
+                      <Line type="monotone" dataKey="cumulativeForgoneDividends" stroke="#b91c1c" strokeWidth={2} name="Dividendes perdus cumulés" dot={false} />
+                      <Line type="monotone" dataKey="assetSaleNetEffect" stroke="#1d4ed8" strokeWidth={2} strokeDasharray="5 3" name="Effet net annuel (intérêts évités − dividendes perdus)" dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {/* Ratio cotisants/retraité */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Cotisants/retraité</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => v.toFixed(2)} />
+                    <ReferenceLine y={1.5} stroke="#e65100" strokeDasharray="3 3" />
+                    <Line
+                      type="monotone"
+                      dataKey="contributorsPerRetiree"
+                      stroke="#0891b2"
+                      strokeWidth={2}
+                      name="Ratio"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              {/* Solde du système de retraite (indicateurs COR) */}
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Solde du système de retraite (% PIB)</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={projections.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v}%`} />
+                    <ReferenceLine y={0} stroke="#666" />
+                    <Line
+                      type="monotone"
+                      dataKey="baselinePensionBalanceRatio"
+                      stroke="#999"
+                      strokeDasharray="5 5"
+                      name="Sans réforme"
+                      dot={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="pensionBalanceRatio"
+                      stroke="#0891b2"
+                      strokeWidth={2}
+                      name="Scénario"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+                <p className="chart-note">
+                  {projections.fullScenario[projections.fullScenario.length - 1].year} : âge moyen de départ
+                  {' '}{projections.fullScenario[projections.fullScenario.length - 1].averageDepartureAge} ans,
+                  pension moyenne {projections.fullScenario[projections.fullScenario.length - 1].relativePension}% du revenu d'activité,
+                  niveau de vie des retraités {projections.fullScenario[projections.fullScenario.length - 1].relativeLivingStandard}% de l'ensemble
+                </p>
+              </div>
+
+              {/* Effet croissance par réforme structurelle */}
+              {selectedReformKeys.length > 0 && (
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Effet croissance des réformes (pp)</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={projections.chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v.toFixed(3)} pp`} />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      {selectedReformKeys.map((key, i) => (
+                        <Area
+                          key={key}
+                          type="monotone"
+                          dataKey={`reformBoosts.${key}`}
+                          stackId="reforms"
+                          fill={REFORM_COLORS[i % REFORM_COLORS.length]}
+                          stroke={REFORM_COLORS[i % REFORM_COLORS.length]}
+                          name={STRUCTURAL_REFORMS[key].label}
+                        />
+                      ))}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {/* Ratio de dépendance (modèle par cohortes) */}
+              {demographicScenario && (
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Ratio de dépendance 65+/20-64 (%)</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <LineChart data={projections.chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                      <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v}%`} />
+                      <Line
+                        type="monotone"
+                        dataKey="dependencyRatio"
+                        stroke="#7c3aed"
+                        strokeWidth={2}
+                        name="65+/20-64"
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <p className="chart-note">
+                    {DEMOGRAPHIC_SCENARIOS[demographicScenario].label} — pression retraites + santé
+                    {' '}{projections.fullScenario[projections.fullScenario.length - 1].demographicPressure} Md€,
+                    dépendance {projections.fullScenario[projections.fullScenario.length - 1].dependancePressure} Md€
+                    en {projections.fullScenario[projections.fullScenario.length - 1].year}
+                  </p>
+                </div>
+              )}
+
+            </div>
+          </section>
+        )}
+
+        {/* KEY METRICS — YEAR 1 */}
+        {projections.fullScenario && projections.fullScenario.length > 0 && (
+          <section className="results-section">
+            <h2>Indicateurs clés (Année 1)</h2>
+            <div className="metrics-grid">
+              <MetricCard
+                label="Déficit année 1"
+                value={projections.fullScenario[0].deficit}
+                unit="Md€"
+                baseline={BASELINE.apu.deficit}
+                format="billions"
+              />
+              <MetricCard
+                label="Dette/PIB"
+                value={projections.fullScenario[0].debtRatio}
+                unit="%"
+                baseline={projections.baseline[0].debtRatio}
+                format="percent"
+              />
               <MetricCard
                 label="Taux d'intérêt effectif"
                 value={projections.fullScenario[0].effectiveInterestRate}
@@ -844,11 +1565,19 @@ function App() {
                   <h4>Soutenabilité retraites (An 10)</h4>
                   <div className="sustainability-row">
                     <span>Cotisants/retraité :</span>
-                    <span className="sustainability-value">
-                      {(PENSION_REFORM.cotisantsPerRetraite - 10 * PENSION_REFORM.ratioDeclinePerYear
-                        + ((pensionReformOption?.retirementAge ?? 64) - 64) * PENSION_REFORM.retirementAge.ratioImprovementPerYear
-                          * Math.min(10 / PENSION_REFORM.retirementAge.rampUpYears, 1)).toFixed(2)}
-                    </span>
+                    <span className="sustainability-value">{projections.fullScenario[10].contributorsPerRetiree.toFixed(2)}</span>
+                  </div>
+                  <div className="sustainability-row">
+                    <span>Solde du système (COR) :</span>
+                    <span className="sustainability-value">{projections.fullScenario[10].pensionBalanceRatio.toFixed(2)}% PIB</span>
+                  </div>
+                  <div className="sustainability-row">
+                    <span>Âge moyen de départ :</span>
+                    <span className="sustainability-value">{projections.fullScenario[10].averageDepartureAge} ans</span>
+                  </div>
+                  <div className="sustainability-row">
+                    <span>Niveau de vie relatif des retraités :</span>
+                    <span className="sustainability-value">{projections.fullScenario[10].relativeLivingStandard}%</span>
                   </div>
                   <div className="sustainability-row">
                     <span>Economies retraites :</span>
@@ -905,27 +1634,21 @@ function App() {
               label="Impôt sur le revenu"
               value={incomeTaxChange}
               onChange={setIncomeTaxChange}
-              min={-10}
-              max={10}
-              step={1}
+              {...LEVER_BOUNDS.incomeTaxChange}
               unit="pp"
             />
             <SliderControl
               label="TVA"
               value={vatChange}
               onChange={setVatChange}
-              min={-5}
-              max={5}
-              step={0.5}
+              {...LEVER_BOUNDS.vatChange}
               unit="pp"
             />
             <SliderControl
               label="Impôt sur les sociétés"
               value={corpTaxChange}
               onChange={setCorpTaxChange}
-              min={-10}
-              max={5}
-              step={1}
+              {...LEVER_BOUNDS.corpTaxChange}
               unit="pp"
             />
           </div>
@@ -939,30 +1662,62 @@ function App() {
               label="Enseignement scolaire"
               value={spendingEducation}
               onChange={setSpendingEducation}
-              min={-20}
-              max={20}
-              step={1}
+              {...LEVER_BOUNDS.spendingEducation}
               unit="%"
             />
             <SliderControl
               label="Défense"
               value={spendingDefense}
               onChange={setSpendingDefense}
-              min={-15}
-              max={15}
-              step={1}
+              {...LEVER_BOUNDS.spendingDefense}
               unit="%"
             />
             <SliderControl
               label="Solidarité & insertion"
               value={spendingSolidarity}
               onChange={setSpendingSolidarity}
-              min={-30}
-              max={30}
-              step={1}
+              {...LEVER_BOUNDS.spendingSolidarity}
+              unit="%"
+            />
+          </div>
+        </section>
+
+        {/* COLLECTIVITÉS LOCALES (APUL) */}
+        <section className="controls-section">
+          <h2>Collectivités locales (APUL)</h2>
+          <p className="section-help">
+            Concours de l'État et investissement local, sous la règle d'or
+          </p>
+          <div className="controls-grid">
+            <SliderControl
+              label="DGF (dotation globale de fonctionnement)"
+              value={dgfChange}
+              onChange={setDgfChange}
+              {...LEVER_BOUNDS.dgfChange}
+              unit="Md€"
+              decimals={1}
+              help="Une baisse est absorbée par l'investissement local, les dépenses de fonctionnement et la taxe foncière"
+            />
+            <SliderControl
+              label="Investissement local"
+              value={localInvestment}
+              onChange={setLocalInvestment}
+              {...LEVER_BOUNDS.localInvestment}
               unit="%"
+              help={`Base ${BASELINE.apul.investissement} Md€, financé par emprunt (règle d'or) et FCTVA`}
             />
           </div>
+          {policyImpact.apul.goldenRuleBinding && (
+            <p className="control-help">
+              Règle d'or contraignante : la taxe foncière ou l'investissement s'ajustent
+            </p>
+          )}
+          {(dgfChange !== 0 || localInvestment !== 0) && (
+            <p className="control-help">
+              Épargne brute : {policyImpact.apul.grossSavings.toFixed(1)} Md€ •
+              Capacité de désendettement : {policyImpact.apul.desendettementYears.toFixed(1)} ans
+            </p>
+          )}
         </section>
 
         {/* SOCIAL SECURITY CONTROLS */}
@@ -979,9 +1734,7 @@ function App() {
                 label="Indexation retraites"
                 value={pensionIndexation}
                 onChange={setPensionIndexation}
-                min={-2}
-                max={1}
-                step={0.1}
+                {...LEVER_BOUNDS.pensionIndexation}
                 unit="pp vs inflation"
                 decimals={1}
               />
@@ -1002,9 +1755,7 @@ function App() {
                 label="Dépenses santé (ONDAM)"
                 value={healthSpending}
                 onChange={setHealthSpending}
-                min={-10}
-                max={10}
-                step={1}
+                {...LEVER_BOUNDS.healthSpending}
                 unit="%"
               />
               {policyImpact.ondamWarning && (
@@ -1021,9 +1772,7 @@ function App() {
               label="Cotisations sociales"
               value={socialContributions}
               onChange={setSocialContributions}
-              min={-5}
-              max={5}
-              step={0.5}
+              {...LEVER_BOUNDS.socialContributions}
               unit="pp"
             />
 
@@ -1032,9 +1781,7 @@ function App() {
               label="CSG (Contribution Sociale Généralisée)"
               value={csgRate}
               onChange={setCsgRate}
-              min={-2}
-              max={2}
-              step={0.5}
+              {...LEVER_BOUNDS.csgRate}
               unit="pp"
             />
           </div>
@@ -1071,6 +1818,12 @@ function App() {
               </button>
             ))}
           </div>
+          <p className="chart-note">
+            Les scénarios COR fixent aussi la croissance réelle tendancielle (projection et référence).
+            {activeMacroOverrides.length > 0
+              ? <> En vigueur : {activeMacroOverrides.map(formatMacroOverride).join(' • ')}.</>
+              : ` En vigueur : hypothèses de référence (croissance réelle ${(MACRO_BASELINE.realGrowth * 100).toFixed(1)}%).`}
+          </p>
 
           <div className="controls-grid">
             <SliderControl
@@ -1119,6 +1872,29 @@ function App() {
                 <span>Activer le système de comptes notionnels (-6% masse pension sur 15 ans)</span>
               </label>
             </div>
+            <SliderControl
+              label="Capitalisation"
+              value={capitalisation}
+              onChange={setCapitalisation}
+              min={0}
+              max={20}
+              step={1}
+              unit="%"
+              help="Part des cotisations retraite redirigée vers des comptes par capitalisation (hors APU) : double paiement pendant la transition"
+            />
+            {capitalisation > 0 && (
+              <SliderControl
+                label="Rendement du fonds"
+                value={fundReturn}
+                onChange={setFundReturn}
+                min={1}
+                max={7}
+                step={0.5}
+                unit="%/an"
+                decimals={1}
+                help={`Rendement nominal net. Premières pensions servies en ${MACRO_BASELINE.year + FUNDED_PENSION_PARAMS.firstPayoutYear}`}
+              />
+            )}
           </div>
 
           {/* Pension reform savings display */}
@@ -1128,6 +1904,19 @@ function App() {
               <div className="combined-effect">
                 <strong>Economie pension (Année 10) :</strong> {projections.fullScenario[10].pensionReformSaving} Md€
               </div>
+              {projections.fullScenario[10].pensionContributionGain !== 0 && (
+                <div className="combined-effect">
+                  <strong>Cotisations des départs reportés (Année 10) :</strong> {projections.fullScenario[10].pensionContributionGain} Md€
+                  ({projections.fullScenario[10].contributors} M cotisants, {projections.fullScenario[10].retirees} M retraités)
+                </div>
+              )}
+              {capitalisation > 0 && (
+                <div className="combined-effect">
+                  <strong>Capitalisation (Année 10) :</strong> cotisations détournées {projections.fullScenario[10].capitalisationContributions} Md€,
+                  pensions capitalisées {projections.fullScenario[10].fundedPensions} Md€,
+                  fonds {projections.fullScenario[10].fundAssets} Md€
+                </div>
+              )}
             </div>
           )}
         </section>
@@ -1136,7 +1925,8 @@ function App() {
         <section className="controls-section">
           <h2>Réformes structurelles</h2>
           <p className="section-help">
-            Sélectionner plusieurs réformes (effet cumulatif avec pénalité de 15% pour chevauchements).
+            Sélectionner plusieurs réformes : chacune suit son propre délai et sa propre durée, et les
+            chevauchements (paquets composites et leurs composantes) ne sont comptés qu'une fois.
             Les réformes logement sont mutuellement exclusives (radio).
           </p>
 
@@ -1222,90 +2012,637 @@ function App() {
             </label>
           </div>
 
-          {(selectedReforms.length > 0 || selectedHousingReform) && combinedReformEffect && (
+          {selectedReformKeys.length > 0 && (
             <div className="combined-reforms-summary">
               <h4>Réformes sélectionnées :</h4>
               <ul className="combined-reforms-list">
-                {combinedReformEffect.reforms.map((r, i) => (
-                  <li key={i}>{r}</li>
+                {selectedReformKeys.map(key => (
+                  <li key={key}>
+                    {STRUCTURAL_REFORMS[key].label} — délai {STRUCTURAL_REFORMS[key].lag} ans, durée {STRUCTURAL_REFORMS[key].duration} ans
+                    {' '}(+{reformBoostPeak.reformBoosts[key].toFixed(2)}pp en {reformBoostPeak.year})
+                  </li>
                 ))}
               </ul>
               <div className="combined-effect">
-                <strong>Effet croissance combiné :</strong> +{(combinedReformEffect.growthEffect * 100).toFixed(2)}pp/an
+                <strong>Effet croissance combiné :</strong> +{reformBoostPeak.reformBoost.toFixed(2)}pp au pic ({reformBoostPeak.year})
                 <br />
                 <small>
-                  (délai min: {combinedReformEffect.lag} ans, durée max: {combinedReformEffect.duration} ans)
+                  (chaque réforme suit son propre calendrier ; les chevauchements ne sont comptés qu'une fois)
                 </small>
               </div>
             </div>
           )}
         </section>
 
-        {/* ADVANCED SETTINGS */}
+        {/* STATE ASSET SALES (APE) */}
         <section className="controls-section">
-          <h2>Paramètres avancés</h2>
+          <h2>Cessions de participations de l'État (APE)</h2>
+          <p className="section-help">
+            Le produit des cessions réduit la dette (opération financière, sans effet sur le déficit) ;
+            les dividendes perdus dégradent le solde primaire chaque année après la vente.
+          </p>
           <div className="controls-grid">
-            <SliderControl
-              label="Prime de risque politique (additionnelle)"
-              value={politicalRisk}
-              onChange={setPoliticalRisk}
-              min={0}
-              max={200}
-              step={10}
-              unit="bps"
-              help="Prime ADDITIONNELLE au-delà des 21 bps déjà intégrés (crise politique 2024)"
-            />
-            <SliderControl
-              label="Horizon de projection"
-              value={projectionYears}
-              onChange={setProjectionYears}
-              min={5}
-              max={20}
-              step={1}
-              unit="ans"
-            />
-          </div>
-        </section>
-
-        {/* ===================================================================
-            ADDITIONAL RESULTS
-        =================================================================== */}
-
-        {/* Budget Breakdown */}
-        {projections.fullScenario && projections.fullScenario.length > 0 && (
-          <section className="results-section">
-            <h2>Décomposition du déficit (Année 1)</h2>
-            <div className="budget-breakdown">
-              <div className="breakdown-row">
-                <span>État seul :</span>
-                <span className="breakdown-value">
-                  {(BASELINE.etat.deficit + policyImpact.etat.revenue - policyImpact.etat.spending).toFixed(1)} Md€
-                </span>
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="asset-valuation">Valorisation</label>
+                <select
+                  id="asset-valuation"
+                  className="reform-select"
+                  value={assetValuation}
+                  onChange={(e) => setAssetValuation(e.target.value)}
+                >
+                  {Object.entries(ASSET_VALUATIONS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
               </div>
-              <div className="breakdown-row">
-                <span>Sécurité sociale :</span>
-                <span className="breakdown-value">
-                  {(BASELINE.securiteSociale.deficit + policyImpact.ss.revenue - policyImpact.ss.spending).toFixed(1)} Md€
-                </span>
+            </div>
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="asset-sale-start">Première cession</label>
+                <select
+                  id="asset-sale-start"
+                  className="reform-select"
+                  value={assetSaleStart}
+                  onChange={(e) => setAssetSaleStart(Number(e.target.value))}
+                >
+                  {[1, 2, 3, 4, 5].map(t => (
+                    <option key={t} value={t}>{MACRO_BASELINE.year + t}</option>
+                  ))}
+                </select>
               </div>
-              <div className="breakdown-row total">
-                <span><strong>Total APU :</strong></span>
-                <span className="breakdown-value">
-                  <strong>{projections.fullScenario[0].deficit.toFixed(1)} Md€</strong>
-                </span>
+            </div>
+          </div>
+          <div className="reform-checkboxes">
+            {Object.entries(STATE_ASSETS).map(([key, asset]) => (
+              <label key={key} className="reform-checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={selectedAssets.includes(key)}
+                  onChange={() => toggleAsset(key)}
+                />
+                <div className="reform-checkbox-content">
+                  <strong>{asset.label} ({asset.stake}%)</strong>
+                  <span className="reform-effect">{asset.value[assetValuation]} Md€ ({asset.value.low}–{asset.value.high})</span>
+                  <span className="reform-details">
+                    Dividendes : {asset.dividend} Md€/an • Cession sur {asset.saleYears} an{asset.saleYears > 1 ? 's' : ''}
+                    {asset.note && ` • ${asset.note}`}
+                  </span>
+                </div>
+              </label>
+            ))}
+          </div>
+          {selectedAssets.length > 0 && (
+            <div className="combined-reforms-summary">
+              <div className="combined-effect">
+                <strong>Produit des cessions :</strong> {assetSaleSummary.proceeds.toFixed(1)} Md€ de désendettement
+                <br />
+                <strong>Dividendes perdus :</strong> {assetSaleSummary.forgoneDividends.toFixed(1)} Md€ sur l'horizon
+                ({assetSaleSummary.lastYearDividends} Md€ en {projections.fullScenario[projections.fullScenario.length - 1].year},
+                puis chaque année)
+                <br />
+                <strong>Effet net annuel :</strong> {assetSaleSummary.lastYearNetEffect >= 0 ? '+' : ''}{assetSaleSummary.lastYearNetEffect.toFixed(2)} Md€
+                en {projections.fullScenario[projections.fullScenario.length - 1].year} ({assetSaleSummary.lastYearInterestSaved.toFixed(2)} Md€
+                d'intérêts évités au taux marginal, moins {assetSaleSummary.lastYearDividends} Md€ de dividendes perdus)
               </div>
             </div>
-          </section>
-        )}
+          )}
+        </section>
 
-        {/* POLICY IMPACT CHART */}
-        {(policyImpact.revenueChange !== 0 || policyImpact.spendingChange !== 0) && (
-          <section className="results-section">
-            <h2>Impact des leviers budgétaires</h2>
-            <div className="chart-container">
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart data={[{
-                  name: 'Impact',
+        {/* MACRO SHOCKS */}
+        <section className="controls-section">
+          <h2>Chocs macroéconomiques</h2>
+          <p className="section-help">
+            Rejoue un épisode historique à partir de l'année choisie : croissance, inflation, taux, spread et chômage
+            passent par les mêmes canaux que le reste du modèle. Les chocs se cumulent entre eux et avec les leviers.
+          </p>
+          <div className="controls-grid">
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="shock-start">Début du choc</label>
+                <select
+                  id="shock-start"
+                  className="reform-select"
+                  value={shockStart}
+                  onChange={(e) => setShockStart(Number(e.target.value))}
+                >
+                  {Array.from({ length: Math.min(projectionYears, SHORT_HORIZON_MAX) }, (_, i) => i + 1).map(t => (
+                    <option key={t} value={t}>{MACRO_BASELINE.year + t}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <SliderControl
+              label="Intensité"
+              value={shockIntensity}
+              onChange={setShockIntensity}
+              min={0.5}
+              max={2}
+              step={0.25}
+              unit="×"
+              decimals={2}
+              help="1 = l'épisode tel qu'observé en France"
+            />
+          </div>
+          <div className="reform-checkboxes">
+            {Object.entries(MACRO_SHOCKS).map(([key, shock]) => (
+              <label key={key} className="reform-checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={selectedShocks.includes(key)}
+                  onChange={() => toggleShock(key)}
+                />
+                <div className="reform-checkbox-content">
+                  <strong>{shock.label}</strong>
+                  <span className="reform-effect">{shock.profile.length} ans</span>
+                  <span className="reform-details">{shock.description}</span>
+                </div>
+              </label>
+            ))}
+          </div>
+          {shockSummary && (
+            <div className="combined-reforms-summary">
+              <div className="combined-effect">
+                <strong>Chocs actifs :</strong> {shockSummary.firstYear}–{shockSummary.lastYear}
+                <br />
+                <strong>Dette/PIB :</strong> {shockSummary.peakDebtGap >= 0 ? '+' : ''}{shockSummary.peakDebtGap.toFixed(1)} pp au pic,
+                {' '}{shockSummary.finalDebtGap >= 0 ? '+' : ''}{shockSummary.finalDebtGap.toFixed(1)} pp en {projections.fullScenario[projections.fullScenario.length - 1].year} (vs scénario sans choc)
+                {shockSummary.benefitCost > 0 && (
+                  <>
+                    <br />
+                    <strong>Allocations chômage :</strong> {shockSummary.benefitCost.toFixed(1)} Md€ sur l'horizon
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </section>
+
+        {/* ADVANCED SETTINGS */}
+        {/* IMPLEMENTATION CALENDAR */}
+        <section className="controls-section">
+          <h2>Calendrier de mise en œuvre</h2>
+          <p className="section-help">
+            Par défaut, tous les leviers s'appliquent en totalité dès {SCHEDULE_BASE_YEAR} et de façon permanente
+          </p>
+          <div className="controls-grid">
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="lever-start-year">Année d'entrée en vigueur</label>
+                <select
+                  id="lever-start-year"
+                  className="reform-select"
+                  value={leverStartYear}
+                  onChange={(e) => setLeverStartYear(Number(e.target.value))}
+                >
+                  {Array.from({ length: 6 }, (_, i) => SCHEDULE_BASE_YEAR + i).map(year => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <SliderControl
+              label="Montée en charge"
+              value={leverRampYears}
+              onChange={setLeverRampYears}
+              min={0}
+              max={5}
+              step={1}
+              unit="ans"
+              help="Effet linéaire jusqu'à la valeur des curseurs (0 = immédiat)"
+            />
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="lever-sunset-year">Extinction</label>
+                <select
+                  id="lever-sunset-year"
+                  className="reform-select"
+                  value={leverSunsetYear}
+                  onChange={(e) => setLeverSunsetYear(e.target.value)}
+                >
+                  <option value="">Mesures permanentes</option>
+                  {Array.from({ length: 10 }, (_, i) => leverStartYear + i + 1).map(year => (
+                    <option key={year} value={year}>Fin en {year}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="control">
+              <div className="control-header">
+                <label>Trajectoires de référence</label>
+              </div>
+              {Object.entries(LEVER_SCHEDULE_PRESETS).map(([key, preset]) => (
+                <label key={key} className="reform-checkbox-label" title={preset.description}>
+                  <input
+                    type="checkbox"
+                    checked={selectedSchedules.includes(key)}
+                    onChange={() => toggleSchedule(key)}
+                  />
+                  <span>{preset.label}</span>
+                </label>
+              ))}
+              <p className="control-help">Remplace le curseur correspondant par la trajectoire annuelle</p>
+            </div>
+          </div>
+        </section>
+
+        {/* GOAL SEEK */}
+        <section className="controls-section goal-seek-section">
+          <h2>Atteindre l'objectif</h2>
+          <p className="section-help">
+            Calcule les positions des curseurs cochés qui atteignent la cible, en les déplaçant tous
+            de la même part de leur marge (réformes et hypothèses macro actuelles conservées)
+          </p>
+          {leverCalendarActive && (
+            <p className="chart-note">
+              Indisponible avec un calendrier de mise en œuvre : le solveur raisonne sur des leviers
+              en plein effet dès {SCHEDULE_BASE_YEAR}, pas sur la trajectoire affichée.
+            </p>
+          )}
+          <div className="controls-grid">
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="goal-type">Cible</label>
+                <select
+                  id="goal-type"
+                  className="reform-select"
+                  value={goalType}
+                  onChange={(e) => setGoalType(e.target.value)}
+                >
+                  <option value="deficit">Déficit / PIB au plus</option>
+                  <option value="debtStable">Dette / PIB stabilisée</option>
+                </select>
+              </div>
+              <div className="reform-selector">
+                <label htmlFor="goal-year">Année</label>
+                <select
+                  id="goal-year"
+                  className="reform-select"
+                  value={goalYear}
+                  onChange={(e) => setGoalYear(Number(e.target.value))}
+                >
+                  {Array.from({ length: projectionYears }, (_, i) => SCHEDULE_BASE_YEAR + i + 1).map(year => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {goalType === 'deficit' && (
+              <SliderControl
+                label="Déficit cible"
+                value={goalDeficit}
+                onChange={setGoalDeficit}
+                min={0}
+                max={6}
+                step={0.1}
+                unit="% PIB"
+                decimals={1}
+              />
+            )}
+            <div className="control">
+              <div className="control-header">
+                <label>Leviers mobilisables</label>
+              </div>
+              <div className="goal-seek-levers">
+                {Object.keys(LEVER_BOUNDS).map(key => (
+                  <label key={key} className="reform-checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={goalLevers.includes(key)}
+                      onChange={() => toggleGoalLever(key)}
+                    />
+                    <span>{LEVER_LABELS[key]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          <button className="goal-seek-btn" onClick={runGoalSeek} disabled={goalLevers.length === 0 || leverCalendarActive}>
+            Calculer
+          </button>
+          {goalResult && !leverCalendarActive && (
+            <div className={`goal-seek-result${goalResult.feasible ? '' : ' infeasible'}`}>
+              {goalResult.alreadyMet ? (
+                <p>Cible déjà atteinte avec les curseurs actuels.</p>
+              ) : (
+                <>
+                  <p>
+                    {goalResult.feasible ? 'Cible atteinte' : 'Cible hors de portée, même aux bornes des curseurs'}
+                    {' '}({goalResult.target.year} : {goalResult.target.type === 'deficit'
+                      ? `déficit ${goalResult.value.toFixed(1)} % du PIB`
+                      : `dette/PIB ${goalResult.value >= 0 ? '+' : ''}${goalResult.value.toFixed(1)} pp`}).
+                  </p>
+                  <table className="assumptions-table">
+                    <thead>
+                      <tr><th>Levier</th><th>Actuel</th><th>Proposé</th></tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(goalResult.changes).map(([key, { from, to }]) => (
+                        <tr key={key}>
+                          <td>{LEVER_LABELS[key]}</td>
+                          <td className="value">{from}</td>
+                          <td className="value">{to}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {goalResult.feasible && (
+                    <button className="goal-seek-btn" onClick={applyGoalSeek}>
+                      Appliquer aux curseurs
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* CONSOLIDATION OPTIMISER */}
+        <section className="controls-section optimizer-section">
+          <h2>Paquet de consolidation optimal</h2>
+          <p className="section-help">
+            Répartit un effort budgétaire entre les leviers pour minimiser la perte de croissance
+            (freins fiscaux et multiplicateurs du modèle) ou maximiser la baisse de dette
+          </p>
+          {leverCalendarActive && (
+            <p className="chart-note">
+              Indisponible avec un calendrier de mise en œuvre : l'optimiseur raisonne sur des leviers
+              en plein effet dès {SCHEDULE_BASE_YEAR}, pas sur la trajectoire affichée.
+            </p>
+          )}
+          <div className="controls-grid">
+            <SliderControl
+              label="Effort recherché"
+              value={optimizerEffort}
+              onChange={setOptimizerEffort}
+              min={5}
+              max={150}
+              step={5}
+              unit="Md€"
+              help="Amélioration du solde, effet statique de la première année"
+            />
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="optimizer-objective">Objectif</label>
+                <select
+                  id="optimizer-objective"
+                  className="reform-select"
+                  value={optimizerObjective}
+                  onChange={(e) => setOptimizerObjective(e.target.value)}
+                >
+                  {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, objective]) => (
+                    <option key={key} value={key}>{objective.label}</option>
+                  ))}
+                </select>
+                <p className="control-help">{OPTIMIZER_OBJECTIVES[optimizerObjective].description}</p>
+              </div>
+            </div>
+          </div>
+          <div className="optimizer-constraints">
+            {Object.keys(LEVER_BOUNDS).map(key => (
+              <label key={key} className="optimizer-constraint">
+                <span>{LEVER_LABELS[key]}</span>
+                <select
+                  value={optimizerConstraints[key] ?? 'free'}
+                  onChange={(e) => setOptimizerConstraints(prev => ({ ...prev, [key]: e.target.value }))}
+                >
+                  {Object.entries(OPTIMIZER_CONSTRAINTS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <button className="goal-seek-btn" onClick={runOptimizer} disabled={leverCalendarActive}>
+            Optimiser
+          </button>
+          {optimizerResult && !leverCalendarActive && (
+            <div className={`goal-seek-result${optimizerResult.feasible ? '' : ' infeasible'}`}>
+              <p>
+                {optimizerResult.feasible ? 'Effort atteint' : 'Effort hors de portée avec ces contraintes'} :
+                {' '}+{optimizerResult.improvement.toFixed(1)} Md€ de solde,
+                perte de PIB cumulée {optimizerResult.growthCost.toFixed(0)} Md€ sur {projectionYears} ans,
+                dette/PIB {optimizerResult.debtReduction >= 0 ? '−' : '+'}{Math.abs(optimizerResult.debtReduction).toFixed(1)} pp en fin d'horizon.
+              </p>
+              <table className="assumptions-table">
+                <thead>
+                  <tr><th>Levier</th><th>Actuel</th><th>Proposé</th></tr>
+                </thead>
+                <tbody>
+                  {Object.entries(optimizerResult.changes).map(([key, { from, to }]) => (
+                    <tr key={key}>
+                      <td>{LEVER_LABELS[key]}</td>
+                      <td className="value">{from}</td>
+                      <td className="value">{to}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="small-chart-container">
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={optimizerResult.frontier}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="improvement" type="number" unit=" Md€" />
+                    <YAxis unit=" Md€" />
+                    <Tooltip formatter={(v) => `${v} Md€`} labelFormatter={(v) => `Effort ${v} Md€`} />
+                    <ReferenceLine x={optimizerEffort} stroke="#94a3b8" strokeDasharray="4 4" />
+                    <Line type="monotone" dataKey="growthCost" name="Perte de PIB cumulée" stroke="#ef4444" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="chart-note">
+                Frontière de Pareto : perte de PIB cumulée minimale pour chaque niveau d'effort.
+              </p>
+              {optimizerResult.feasible && (
+                <button className="goal-seek-btn" onClick={applyOptimizer}>
+                  Appliquer aux curseurs
+                </button>
+              )}
+            </div>
+          )}
+        </section>
+
+        <section className="controls-section">
+          <h2>Paramètres avancés</h2>
+          <div className="controls-grid">
+            <SliderControl
+              label="Prime de risque politique (additionnelle)"
+              value={politicalRisk}
+              onChange={setPoliticalRisk}
+              min={0}
+              max={200}
+              step={10}
+              unit="bps"
+              help="Prime ADDITIONNELLE au-delà des 21 bps déjà intégrés (crise politique 2024)"
+            />
+            <SliderControl
+              label="Horizon de projection"
+              value={projectionYears}
+              onChange={setProjectionYears}
+              min={5}
+              max={longHorizon ? LONG_HORIZON_YEARS : SHORT_HORIZON_MAX}
+              step={1}
+              unit="ans"
+            />
+            <div className="control">
+              <div className="control-header">
+                <label>Mode long terme ({COHORT_PARAMS.endYear})</label>
+              </div>
+              <label className="reform-checkbox-label" style={{ marginTop: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={longHorizon}
+                  onChange={(e) => toggleLongHorizon(e.target.checked)}
+                />
+                <span>Projeter sur {LONG_HORIZON_YEARS} ans avec le modèle démographique par cohortes (soutenabilité des retraites)</span>
+              </label>
+              <div className="reform-selector">
+                <label htmlFor="demographic-scenario">Démographie</label>
+                <select
+                  id="demographic-scenario"
+                  className="reform-select"
+                  value={demographicScenario}
+                  onChange={(e) => setDemographicScenario(e.target.value)}
+                >
+                  <option value="">Dérive linéaire (+{DEMOGRAPHIC_PRESSURE_PER_YEAR.toFixed(1)} Md€/an)</option>
+                  {Object.entries(DEMOGRAPHIC_SCENARIOS).map(([key, scenario]) => (
+                    <option key={key} value={key}>{scenario.label}</option>
+                  ))}
+                </select>
+                <p className="control-help">
+                  {demographicScenario
+                    ? `Population par âge projetée (INSEE 2021-2070)${DEMOGRAPHIC_SCENARIOS[demographicScenario].description ? ` : ${DEMOGRAPHIC_SCENARIOS[demographicScenario].description.toLowerCase()}` : ''}. Retraites et santé suivent le ratio 65+/20-64, la dépendance la part des 85+.`
+                    : "Ratio de dépendance +0,48 pp/an et dépendance à +5,5 %/an, sans structure par âge."}
+                </p>
+              </div>
+            </div>
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="model-calibration">Calibration des multiplicateurs</label>
+                <select
+                  id="model-calibration"
+                  className="reform-select"
+                  value={calibrationKey}
+                  onChange={(e) => setCalibrationKey(e.target.value)}
+                >
+                  {Object.entries(CALIBRATION_PRESETS).map(([key, preset]) => (
+                    <option key={key} value={key}>{preset.label}</option>
+                  ))}
+                </select>
+                <p className="control-help">{CALIBRATION_PRESETS[calibrationKey].description}</p>
+              </div>
+            </div>
+            <div className="control">
+              <div className="reform-selector">
+                <label htmlFor="inflation-scenario">Trajectoire d'inflation</label>
+                <select
+                  id="inflation-scenario"
+                  className="reform-select"
+                  value={inflationScenario}
+                  onChange={(e) => setInflationScenario(e.target.value)}
+                >
+                  <option value="">Référence ({(MACRO_BASELINE.inflation * 100).toFixed(1)}%/an)</option>
+                  {Object.entries(INFLATION_SCENARIOS).map(([key, scenario]) => (
+                    <option key={key} value={key}>{scenario.label}</option>
+                  ))}
+                </select>
+                <p className="control-help">
+                  {inflationScenario
+                    ? INFLATION_SCENARIOS[inflationScenario].description
+                    : "Cible BCE. L'inflation indexe OATi, pensions (N-1), barème IR et se transmet aux taux."}
+                </p>
+              </div>
+            </div>
+            <div className="control">
+              <div className="control-header">
+                <label>Échéancier de la dette (OAT)</label>
+              </div>
+              <label className="reform-checkbox-label" style={{ marginTop: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={useDebtLadder}
+                  onChange={(e) => setUseDebtLadder(e.target.checked)}
+                />
+                <span>Modéliser les tombées par ligne (BTF, 2-30 ans, OATi) au lieu d'un refinancement uniforme de {ROLLOVER_RATE * 100}%/an</span>
+              </label>
+              {useDebtLadder && (
+                <div className="reform-selector">
+                  <label htmlFor="issuance-mix">Politique d'émission AFT</label>
+                  <select
+                    id="issuance-mix"
+                    className="reform-select"
+                    value={issuanceMixKey}
+                    onChange={(e) => setIssuanceMixKey(e.target.value)}
+                  >
+                    {Object.entries(ISSUANCE_MIX_PRESETS).map(([key, preset]) => (
+                      <option key={key} value={key}>{preset.label}</option>
+                    ))}
+                  </select>
+                  <p className="control-help">{ISSUANCE_MIX_PRESETS[issuanceMixKey].description}</p>
+                </div>
+              )}
+            </div>
+            <div className="control">
+              <div className="control-header">
+                <label>Notation souveraine</label>
+              </div>
+              <label className="reform-checkbox-label" style={{ marginTop: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={enableRatingPremium}
+                  onChange={(e) => setEnableRatingPremium(e.target.checked)}
+                />
+                <span>Répercuter les dégradations sur le taux marginal : +{RATING_PARAMS.premiumPerNotch * 10000} bps par cran, ventes forcées sous {RATING_PARAMS.forcedSellerSteps.map(step => step.below).join(' et ')}</span>
+              </label>
+            </div>
+          </div>
+        </section>
+
+        {/* ===================================================================
+            ADDITIONAL RESULTS
+        =================================================================== */}
+
+        {/* Budget Breakdown */}
+        {projections.fullScenario && projections.fullScenario.length > 0 && (
+          <section className="results-section">
+            <h2>Décomposition du déficit (Année 1)</h2>
+            <div className="budget-breakdown">
+              <div className="breakdown-row">
+                <span>État seul :</span>
+                <span className="breakdown-value">
+                  {projections.fullScenario[0].etatDeficit.toFixed(1)} Md€
+                </span>
+              </div>
+              <div className="breakdown-row">
+                <span>Sécurité sociale :</span>
+                <span className="breakdown-value">
+                  {projections.fullScenario[0].assoDeficit.toFixed(1)} Md€
+                </span>
+              </div>
+              <div className="breakdown-row">
+                <span>Collectivités locales :</span>
+                <span className="breakdown-value">
+                  {projections.fullScenario[0].apulDeficit.toFixed(1)} Md€
+                </span>
+              </div>
+              <div className="breakdown-row total">
+                <span><strong>Total APU :</strong></span>
+                <span className="breakdown-value">
+                  <strong>{projections.fullScenario[0].deficit.toFixed(1)} Md€</strong>
+                </span>
+              </div>
+            </div>
+          </section>
+        )}
+
+        {/* POLICY IMPACT CHART */}
+        {(policyImpact.revenueChange !== 0 || policyImpact.spendingChange !== 0) && (
+          <section className="results-section">
+            <h2>Impact des leviers budgétaires (plein effet)</h2>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={[{
+                  name: 'Impact',
                   'Recettes': policyImpact.revenueChange,
                   'Dépenses': -policyImpact.spendingChange,
                   'Solde': policyImpact.revenueChange - policyImpact.spendingChange,
@@ -1322,20 +2659,314 @@ function App() {
               </ResponsiveContainer>
             </div>
 
-            {(selectedReforms.length > 0 || selectedHousingReform) && combinedReformEffect && (
+            {selectedReformKeys.length > 0 && (
               <div className="reform-impact-note">
                 <p>
-                  ✓ <strong>{combinedReformEffect.reforms.length} réforme(s) structurelle(s)</strong> activée(s)
-                  avec effet croissance de <strong>+{(combinedReformEffect.growthEffect * 100).toFixed(2)}pp/an</strong>
+                  ✓ <strong>{selectedReformKeys.length} réforme(s) structurelle(s)</strong> activée(s)
+                  avec effet croissance de <strong>+{reformBoostPeak.reformBoost.toFixed(2)}pp</strong> au pic ({reformBoostPeak.year})
                 </p>
                 <p className="reform-list">
-                  {combinedReformEffect.reforms.join(' • ')}
+                  {selectedReformKeys.map(key => STRUCTURAL_REFORMS[key].label).join(' • ')}
                 </p>
               </div>
             )}
           </section>
         )}
 
+        {/* DISTRIBUTIONAL IMPACT */}
+        <section className="results-section fiscal-rules-section">
+          <h2>Impact redistributif par décile de niveau de vie (leviers en plein effet)</h2>
+          <p className="section-help">
+            Gains et pertes des ménages par décile, leviers à plein effet : une hausse d'impôt pèse
+            sur chaque décile au prorata de ce qu'il paie de cet impôt, une hausse de dépense lui
+            profite au prorata de ce qu'il reçoit (santé et éducation en nature, à leur coût).
+            Incidence statique, hors effets sur la croissance.
+          </p>
+          {distributions ? (
+            <>
+              <div className="reform-selector">
+                <label htmlFor="distribution-metric">Indicateur</label>
+                <select
+                  id="distribution-metric"
+                  className="reform-select"
+                  value={distributionMetric}
+                  onChange={(e) => setDistributionMetric(e.target.value)}
+                >
+                  <option value="gainPct">% du revenu disponible</option>
+                  <option value="gain">€ par ménage et par an</option>
+                </select>
+              </div>
+              <div className="small-charts-row">
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Profil redistributif des scénarios</h3>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={distributionChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="decile" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v > 0 ? '+' : ''}${v} ${distributionMetric === 'gainPct' ? '%' : '€'}`} />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      <ReferenceLine y={0} stroke="#666" />
+                      <Bar dataKey="scenario" fill="#2563eb" name="Scénario actuel" />
+                      {Object.entries(PRESETS).map(([key, preset], i) => (
+                        <Line
+                          key={key}
+                          type="monotone"
+                          dataKey={key}
+                          stroke={DISTRIBUTION_PRESET_COLORS[i % DISTRIBUTION_PRESET_COLORS.length]}
+                          strokeWidth={1.5}
+                          name={preset.label}
+                          dot={{ r: 2 }}
+                        />
+                      ))}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="small-chart-container">
+                  <h3 className="small-chart-title">Scénario actuel : contribution des leviers</h3>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={distributionChartData} stackOffset="sign">
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="decile" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={(v) => `${v > 0 ? '+' : ''}${v} ${distributionMetric === 'gainPct' ? '%' : '€'}`} />
+                      <Legend wrapperStyle={{ fontSize: 11 }} />
+                      <ReferenceLine y={0} stroke="#666" />
+                      {distributions.scenario.levers.map(({ key }) => (
+                        <Bar key={key} dataKey={key} stackId="levers" fill={DISTRIBUTION_LEVER_COLORS[key]} name={LEVER_LABELS[key]} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <p className="chart-note">
+                Table synthétique de {DISTRIBUTIONAL_PARAMS.households} M de ménages (INSEE, DREES), calée sur
+                les agrégats PLF 2025 / PLFSS 2026 ; IS supporté à 30 % par les salaires.
+                {distributions.scenario.unallocated !== 0 && (
+                  <> Non réparti (défense, DGF, investissement local) : {distributions.scenario.unallocated.toFixed(1)} Md€.</>
+                )}
+              </p>
+            </>
+          ) : (
+            <p className="chart-note">
+              Indisponible avec un calendrier de mise en œuvre : l'impact redistributif porte sur des
+              leviers en plein effet dès {SCHEDULE_BASE_YEAR}, pas sur la trajectoire affichée.
+            </p>
+          )}
+        </section>
+
+        {/* EU FISCAL RULES */}
+        <section className="results-section fiscal-rules-section">
+          <h2>Règles budgétaires européennes (cadre 2024)</h2>
+          <p className="section-help">
+            Années de non-respect par règle : déficit sous {EU_FISCAL_RULES.deficitReference} % du PIB,
+            plafond de dépenses nettes (compte de contrôle), clause de sauvegarde de la dette
+            (−{EU_FISCAL_RULES.debtSafeguard.highDebtPace} pp/an au-delà de {EU_FISCAL_RULES.debtSafeguard.highDebtThreshold} %),
+            clause de résilience (solde structurel {EU_FISCAL_RULES.resilienceTarget} %) et effort
+            structurel minimal en procédure de déficit excessif (PDE).
+          </p>
+          <div className="reform-selector">
+            <label htmlFor="eu-adjustment-period">Période d'ajustement</label>
+            <select
+              id="eu-adjustment-period"
+              className="reform-select"
+              value={euAdjustmentPeriod}
+              onChange={(e) => setEuAdjustmentPeriod(Number(e.target.value))}
+            >
+              <option value={7}>7 ans (prolongée, plan français)</option>
+              <option value={4}>4 ans</option>
+            </select>
+          </div>
+          <table className="assumptions-table fiscal-rules-table">
+            <thead>
+              <tr>
+                <th>Scénario</th>
+                {FISCAL_RULE_KEYS.map(key => (
+                  <th key={key}>{FISCAL_RULE_LABELS[key]}</th>
+                ))}
+                <th>Sortie PDE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fiscalRulesReports.map(({ key, label, report }) => (
+                <tr key={key} className={key === 'scenario' ? 'current-row' : undefined}>
+                  <td>{label}</td>
+                  {FISCAL_RULE_KEYS.map(rule => {
+                    const breaches = report.summary.breachYears[rule]
+                    const applies = report.years.some(y => y.rules[rule] != null)
+                    return (
+                      <td key={rule} className={breaches.length > 0 ? 'rule-breach' : 'rule-ok'}>
+                        {breaches.length > 0 ? formatYearRanges(breaches) : applies ? '✓' : '—'}
+                      </td>
+                    )
+                  })}
+                  <td className="value">{report.summary.edpExitYear ?? 'Non'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="chart-note">
+            Les scénarios politiques sont projetés avec leurs seuls leviers budgétaires, sous les
+            mêmes hypothèses macro que le scénario actuel. Dépenses nettes déduites de la variation
+            du solde primaire structurel (semi-élasticité {EU_FISCAL_RULES.budgetSemiElasticity}).
+            — : règle non applicable sur l'horizon.
+          </p>
+        </section>
+
+        {/* DEBT SUSTAINABILITY ANALYSIS */}
+        <section className="results-section fiscal-rules-section">
+          <h2>Analyse de soutenabilité de la dette (FMI)</h2>
+          <p className="section-help">
+            Chocs standards de l'analyse de viabilité du FMI appliqués au scénario à partir
+            de {MACRO_BASELINE.year + DSA_PARAMS.startYear} : croissance −1 écart-type et solde primaire
+            −{DSA_PARAMS.primaryBalanceShock * 100} pt de PIB pendant {DSA_PARAMS.shockYears} ans,
+            taux +{DSA_PARAMS.interestShock * 10000} bps sur tout l'horizon, choc combiné et passifs contingents.
+            Seuils : dette {DSA_PARAMS.debtBenchmark} % du PIB, besoin de financement {DSA_PARAMS.financingNeedsBenchmark} % du PIB.
+          </p>
+          <table className="assumptions-table fiscal-rules-table">
+            <thead>
+              <tr>
+                <th>Test</th>
+                <th>Dette {dsa.baseline.projection[dsa.baseline.projection.length - 1].year}</th>
+                <th>Écart vs scénario</th>
+                <th>Pic de dette</th>
+                <th>Pic du besoin de financement</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[{ key: 'scenario', label: "Scénario actuel", summary: dsa.baseline.summary, debtRatioDiff: 0 }, ...dsa.tests]
+                .map(({ key, label, summary, debtRatioDiff }) => (
+                  <tr key={key} className={key === 'scenario' ? 'current-row' : undefined}>
+                    <td>{label}</td>
+                    <td className="value">{summary.finalDebtRatio.toFixed(1)} %</td>
+                    <td className="value">{key === 'scenario' ? '—' : `${debtRatioDiff >= 0 ? '+' : ''}${debtRatioDiff.toFixed(1)} pp`}</td>
+                    <td className={summary.debtAboveBenchmark ? 'rule-breach' : 'rule-ok'}>{summary.peakDebtRatio.toFixed(1)} %</td>
+                    <td className={summary.financingNeedsAboveBenchmark ? 'rule-breach' : 'rule-ok'}>{summary.peakFinancingNeeds.toFixed(1)} %</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          <div className="small-charts-row">
+            <div className="small-chart-container">
+              <h3 className="small-chart-title">Tests de résistance : dette / PIB (%)</h3>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={dsaChartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                  <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+                  <Tooltip formatter={(v) => `${v}%`} />
+                  <Legend wrapperStyle={{ fontSize: 11 }} />
+                  <ReferenceLine y={DSA_PARAMS.debtBenchmark} stroke="#e65100" strokeDasharray="3 3" />
+                  <Line type="monotone" dataKey="debtRatio" stroke="#2563eb" strokeWidth={3} name="Scénario" dot={false} />
+                  {dsa.tests.map((test, i) => (
+                    <Line
+                      key={test.key}
+                      type="monotone"
+                      dataKey={test.key}
+                      stroke={DSA_TEST_COLORS[i % DSA_TEST_COLORS.length]}
+                      strokeWidth={1.5}
+                      strokeDasharray="4 3"
+                      name={test.label}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="small-chart-container">
+              <h3 className="small-chart-title">Écart r − g et solde primaire stabilisant (% PIB)</h3>
+              <ResponsiveContainer width="100%" height={260}>
+                <ComposedChart data={dsaChartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+                  <YAxis tick={{ fontSize: 11 }} />
+                  <Tooltip formatter={(v) => `${v}%`} />
+                  <Legend wrapperStyle={{ fontSize: 11 }} />
+                  <ReferenceLine y={0} stroke="#666" />
+                  <Bar dataKey="rMinusG" fill="#94a3b8" name="r − g (pp)" />
+                  <Line type="monotone" dataKey="primaryBalance" stroke="#2563eb" strokeWidth={2} name="Solde primaire" dot={false} />
+                  <Line type="monotone" dataKey="stabilisingPrimaryBalance" stroke="#16a34a" strokeWidth={2} strokeDasharray="5 5" name="Solde stabilisant la dette" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          <p className="chart-note">
+            Écart de solde primaire à combler pour stabiliser la dette : {dsa.baseline.dynamics[1].primaryBalanceGap.toFixed(1)} pt de PIB
+            en {dsa.baseline.dynamics[1].year}, {dsa.baseline.dynamics[dsa.baseline.dynamics.length - 1].primaryBalanceGap.toFixed(1)} pt
+            en {dsa.baseline.dynamics[dsa.baseline.dynamics.length - 1].year} (solde stabilisant = (r − g) × dette/PIB).
+          </p>
+        </section>
+
+        {/* GENERATIONAL ACCOUNTING */}
+        <section className="results-section fiscal-rules-section">
+          <h2>Comptabilité générationnelle</h2>
+          {generational ? (
+            <>
+              <p className="section-help">
+                Impôts futurs moins transferts futurs par personne, sur le reste de la vie de chaque
+                génération née avant {generational.scenario.cohorts[0].birthYear + 1} (valeur actualisée
+                à {(GENERATIONAL_PARAMS.discountRate * 100).toFixed(0)} % réel, euros {generational.scenario.cohorts[0].birthYear}).
+                Les générations futures paient ce que la contrainte budgétaire intertemporelle laisse
+                après les générations vivantes : le déséquilibre est l'écart entre leur compte et celui
+                d'un nouveau-né.
+              </p>
+              <table className="assumptions-table fiscal-rules-table">
+                <thead>
+                  <tr>
+                    <th>Scénario</th>
+                    <th>Nouveau-né</th>
+                    <th>Générations futures</th>
+                    <th>Déséquilibre</th>
+                    <th>En % des impôts du nouveau-né</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    { key: 'scenario', label: "Scénario actuel", accounts: generational.scenario },
+                    { key: 'baseline', label: "Politique inchangée", accounts: generational.baseline },
+                  ].map(({ key, label, accounts }) => (
+                    <tr key={key} className={key === 'scenario' ? 'current-row' : undefined}>
+                      <td>{label}</td>
+                      <td className="value">{(accounts.newbornAccount / 1000).toFixed(1)} k€</td>
+                      <td className="value">{(accounts.futureAccount / 1000).toFixed(1)} k€</td>
+                      <td className={accounts.imbalance > 0 ? 'rule-breach' : 'rule-ok'}>{(accounts.imbalance / 1000).toFixed(1)} k€</td>
+                      <td className="value">{accounts.imbalanceRatio.toFixed(0)} %</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="small-chart-container">
+                <h3 className="small-chart-title">Compte générationnel par année de naissance (k€ par personne)</h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={generationalChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="birthYear" tick={{ fontSize: 11 }} />
+                    <YAxis tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(v) => `${v} k€`} />
+                    <Legend wrapperStyle={{ fontSize: 11 }} />
+                    <ReferenceLine y={0} stroke="#666" />
+                    <Bar dataKey="baseline" fill="#94a3b8" name="Politique inchangée" />
+                    <Bar dataKey="scenario" fill="#2563eb" name="Scénario" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="chart-note">
+                Variation du déséquilibre par rapport à la politique inchangée :
+                {' '}{generational.imbalanceChange >= 0 ? '+' : ''}{(generational.imbalanceChange / 1000).toFixed(1)} k€
+                par personne née après {generational.scenario.cohorts[0].birthYear}. Profils par âge stylisés
+                (comptes de transferts nationaux), croissance de la productivité de
+                {' '}{(GENERATIONAL_PARAMS.productivityGrowth * 100).toFixed(1)} % par an après l'horizon ;
+                leviers en plein effet.
+              </p>
+            </>
+          ) : (
+            <p className="chart-note">
+              Indisponible avec un calendrier de mise en œuvre : les comptes générationnels portent sur
+              des leviers en plein effet dès {SCHEDULE_BASE_YEAR}, pas sur la trajectoire affichée.
+            </p>
+          )}
+        </section>
+
         {/* DOOM LOOP ASSESSMENT */}
         {doomLoopAssessment.doomLoopActive && (
           <section className="results-section warning-section">
@@ -1464,30 +3095,75 @@ function App() {
                   <span className="deficit-value">{BASELINE.securiteSociale.deficit} Md€</span>
                 </div>
               </div>
+
+              {/* COLLECTIVITÉS LOCALES */}
+              <div className="baseline-column">
+                <h3>Collectivités locales (APUL 2025)</h3>
+
+                <table className="baseline-table">
+                  <thead>
+                    <tr>
+                      <th>Recettes</th>
+                      <th className="amount">Md€</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr><td>Taxe foncière</td><td className="amount">{BASELINE.apul.taxeFonciere}</td></tr>
+                    <tr><td>TVA affectée (TH, CVAE)</td><td className="amount">{BASELINE.apul.tvaAffectee}</td></tr>
+                    <tr><td>DGF</td><td className="amount">{BASELINE.apul.dgf}</td></tr>
+                    <tr><td>Autres concours de l'État</td><td className="amount">{BASELINE.apul.autresConcoursEtat}</td></tr>
+                    <tr><td>Autres impôts locaux</td><td className="amount">{BASELINE.apul.autresImpots}</td></tr>
+                    <tr><td>Recettes d'investissement</td><td className="amount">{BASELINE.apul.recettesInvestissement}</td></tr>
+                    <tr><td>Autres recettes</td><td className="amount">{BASELINE.apul.autresRecettes}</td></tr>
+                    <tr className="total-row"><td>Total recettes</td><td className="amount">{BASELINE.apul.revenuTotal}</td></tr>
+                  </tbody>
+                </table>
+
+                <table className="baseline-table">
+                  <thead>
+                    <tr>
+                      <th>Dépenses</th>
+                      <th className="amount">Md€</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr><td>Fonctionnement</td><td className="amount">{BASELINE.apul.fonctionnement}</td></tr>
+                    <tr><td>Investissement</td><td className="amount">{BASELINE.apul.investissement}</td></tr>
+                    <tr><td>Charges financières</td><td className="amount">{BASELINE.apul.chargesFinancieres}</td></tr>
+                    <tr className="total-row"><td>Total dépenses</td><td className="amount">{BASELINE.apul.spendingTotal}</td></tr>
+                  </tbody>
+                </table>
+
+                <div className="deficit-box apul">
+                  <span>Déficit APUL</span>
+                  <span className="deficit-value">{BASELINE.apul.deficit} Md€</span>
+                </div>
+              </div>
             </div>
 
             {/* CONSOLIDATED */}
             <div className="consolidated-box">
-              <h3>APU Consolidées (État + Sécurité Sociale)</h3>
+              <h3>APU Consolidées (État + Sécurité Sociale + APUL)</h3>
               <div className="consolidated-row">
                 <span>Total recettes</span>
-                <span className="amount">{BASELINE.integrated.revenuTotal} Md€</span>
+                <span className="amount">{BASELINE.apu.revenuTotal} Md€</span>
               </div>
               <div className="consolidated-row">
                 <span>Total dépenses</span>
-                <span className="amount">{BASELINE.integrated.spendingTotal} Md€</span>
+                <span className="amount">{BASELINE.apu.spendingTotal} Md€</span>
               </div>
               <div className="consolidated-row deficit">
                 <span>Déficit total</span>
-                <span className="amount">{BASELINE.integrated.deficit} Md€</span>
+                <span className="amount">{BASELINE.apu.deficit} Md€</span>
               </div>
               <p className="consolidated-note">
-                Soit environ {Math.abs(BASELINE.integrated.deficit / MACRO_BASELINE.gdp * 100).toFixed(1)}% du PIB
+                Soit environ {Math.abs(BASELINE.apu.deficit / MACRO_BASELINE.gdp * 100).toFixed(1)}% du PIB.
+                Les concours de l'État aux collectivités ({(BASELINE.apul.dgf + BASELINE.apul.autresConcoursEtat).toFixed(1)} Md€) sont consolidés.
               </p>
             </div>
 
             <p className="source-note">
-              Sources : PLF 2025 (Barnier), PLFSS 2026 Annexe 3, CCSS 2024 (structure des recettes SS)
+              Sources : PLF 2025 (Barnier), PLFSS 2026 Annexe 3, CCSS 2024 (structure des recettes SS), INSEE comptes APU / OFGL 2024 (APUL)
             </p>
           </section>
         </main>
@@ -1498,218 +3174,95 @@ function App() {
         <main className="main-content page-assumptions">
           <section className="assumptions-section">
             <h2>Hypothèses du modèle</h2>
-            <p className="section-subtitle">Paramètres économiques et sources académiques</p>
-
-            {/* MACRO */}
-            <div className="assumptions-category">
-              <h3>Paramètres macroéconomiques</h3>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.macro.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* FISCAL */}
-            <div className="assumptions-category">
-              <h3>Élasticités fiscales</h3>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.fiscal.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* BEHAVIORAL RESPONSE */}
-            <div className="assumptions-category">
-              <h3>Réponse comportementale aux taxes (ETI)</h3>
-              <p className="assumptions-note">
-                Module 2 (ETI) + Module 3 (émigration fiscale).
-                increaseEfficiency = fraction du rendement statique réalisée pour une hausse.
-                decreaseEfficiency = multiplicateur pour une baisse (effet offre modéré).
-                growthDragPerPp = frein croissance par pp de hausse.
-                growthBoostPerPp = boost croissance par pp de baisse (asymétrique).
-              </p>
-              <table className="assumptions-table">
-                <thead>
-                  <tr>
-                    <th>Taxe</th>
-                    <th>Efficacité hausse</th>
-                    <th>Efficacité baisse</th>
-                    <th>Frein croissance/pp</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {Object.entries(BEHAVIORAL_RESPONSE).map(([key, val]) => (
-                    <tr key={key}>
-                      <td>{key}</td>
-                      <td className="value">{(val.increaseEfficiency * 100).toFixed(0)}%</td>
-                      <td className="value">{(val.decreaseEfficiency * 100).toFixed(0)}%</td>
-                      <td className="value">{(val.growthDragPerPp * 100).toFixed(2)} pp</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* FISCAL MULTIPLIERS */}
-            <div className="assumptions-category">
-              <h3>Multiplicateurs fiscaux des dépenses (Module 4)</h3>
-              <p className="assumptions-note">
-                Multiplicateurs en expansion (gap de production ≈ 0, France 2025).
-                Offset monétaire = 0 (BCE supranationale, pas de crowding-out national).
-              </p>
-              <table className="assumptions-table">
-                <thead>
-                  <tr>
-                    <th>Catégorie</th>
-                    <th>Expansion (gap ≈ 0)</th>
-                    <th>Récession (gap &lt; 0)</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {Object.entries(FISCAL_MULTIPLIERS).map(([key, val]) => (
-                    <tr key={key}>
-                      <td>{key}</td>
-                      <td className="value">{val.expansion.toFixed(2)}</td>
-                      <td className="value">{val.recession.toFixed(2)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* RISK PREMIUM */}
-            <div className="assumptions-category">
-              <h3>Prime de risque souverain + inertie dette</h3>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.riskPremium.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* DEMOGRAPHIC & STRUCTURAL PARAMETERS */}
-            <div className="assumptions-category">
-              <h3>Paramètres démographiques et structurels (francetdb.com)</h3>
-              <p className="assumptions-note">
-                Intégrations de données réelles: dérive démographique, prime politique OAT,
-                plancher ONDAM, emploi seniors. Source: INSEE, COR, DREES, DARES, Bloomberg.
-              </p>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.demographic.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* PENSION REFORM */}
-            <div className="assumptions-category">
-              <h3>Réforme des retraites et soutenabilité (francetdb.com/#retraites)</h3>
-              <p className="assumptions-note">
-                Paramètres du modèle de réforme des retraites, migration, et dépendance.
-                Source: francetdb.com, COR 2024, INSEE, DREES.
-              </p>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.pensionReform.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <p className="section-subtitle">
+              Paramètres économiques et sources académiques : valeur de la calibration active, fourchette plausible
+              (bornes des scénarios bas / haut et du tornado), confiance. Les données observées n'ont pas de fourchette.
+            </p>
 
-            {/* TAX CUT GROWTH BOOSTS */}
-            <div className="assumptions-category">
-              <h3>Boost croissance des baisses d'impôts</h3>
-              <p className="assumptions-note">
-                Effet symétrique (mais asymétrique en magnitude) des baisses d'impôts sur la croissance.
-                Les hausses créent un frein (growthDragPerPp), les baisses un boost (growthBoostPerPp).
-              </p>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.taxCutBoosts.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            {/* PARAMETER REGISTRY: one table per group */}
+            {REGISTRY_SECTIONS.map(section => (
+              <div key={section.group} className="assumptions-category">
+                <h3>{section.title}</h3>
+                {ASSUMPTIONS_NOTES[section.group] && (
+                  <p className="assumptions-note">{ASSUMPTIONS_NOTES[section.group]}</p>
+                )}
+                <table className="assumptions-table">
+                  <thead>
+                    <tr><th>Hypothèse</th><th>Valeur</th><th>Fourchette</th><th>Confiance</th><th>Note</th><th>Source</th></tr>
+                  </thead>
+                  <tbody>
+                    {section.entries.map(entry => (
+                      <tr key={entry.key}>
+                        <td>{entry.label}</td>
+                        <td className="value">{formatParameterValue(valueAt(modelConfig, entry.path), entry.unit)}</td>
+                        <td className="value">
+                          {entry.low != null
+                            ? `${formatParameterValue(entry.low, entry.unit)} – ${formatParameterValue(entry.high, entry.unit)}`
+                            : '—'}
+                        </td>
+                        <td>{CONFIDENCE_LABELS[entry.confidence]}</td>
+                        <td>{entry.note}</td>
+                        <td>{entry.link ? <a href={entry.link} target="_blank" rel="noopener noreferrer">{entry.source}</a> : entry.source}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
 
-            {/* REFORMS */}
-            <div className="assumptions-category">
-              <h3>Réformes structurelles</h3>
-              <table className="assumptions-table">
-                <thead>
-                  <tr><th>Hypothèse</th><th>Valeur</th><th>Impact</th><th>Source</th></tr>
-                </thead>
-                <tbody>
-                  {ASSUMPTIONS.reforms.map((item, i) => (
-                    <tr key={i}>
-                      <td>{item.parameter}</td>
-                      <td className="value">{item.value}</td>
-                      <td>{item.impact}</td>
-                      <td>{item.link ? <a href={item.link} target="_blank" rel="noopener noreferrer">{item.source}</a> : item.source}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            {/* SENSITIVITY */}
+            {sensitivity && (
+              <div className="assumptions-category">
+                <h3>Sensibilité aux paramètres (tornado)</h3>
+                <p className="assumptions-note">
+                  Chaque paramètre est porté seul aux bornes basse et haute de sa fourchette plausible,
+                  les autres restant à leur valeur centrale, sur le scénario en cours (leviers à plein effet).
+                  Scénario central : dette {sensitivity.base.debtRatio.toFixed(1)} % du PIB en {projections.fullScenario[0].year + SENSITIVITY_PARAMS.horizon},
+                  déficits cumulés {Math.round(sensitivity.base.cumulativeDeficit)} Md€.
+                </p>
+                <div className="reform-selector">
+                  <label htmlFor="sensitivity-metric">Indicateur</label>
+                  <select
+                    id="sensitivity-metric"
+                    className="reform-select"
+                    value={sensitivityMetric}
+                    onChange={(e) => setSensitivityMetric(e.target.value)}
+                  >
+                    <option value="debtRatio">Dette / PIB à {SENSITIVITY_PARAMS.horizon} ans (pp)</option>
+                    <option value="cumulativeDeficit">Déficits cumulés (Md€)</option>
+                  </select>
+                </div>
+                <ResponsiveContainer width="100%" height={40 + tornadoData.length * 28}>
+                  <BarChart data={tornadoData} layout="vertical" margin={{ left: 20, right: 20 }} barGap={0}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" tick={{ fontSize: 11 }} />
+                    <YAxis type="category" dataKey="label" width={300} tick={{ fontSize: 11 }} />
+                    <Tooltip
+                      formatter={(v) => `${v > 0 ? '+' : ''}${v} ${sensitivityMetric === 'debtRatio' ? 'pp' : 'Md€'}`}
+                      labelFormatter={(label, payload) => payload?.[0] ? `${label} (${payload[0].payload.group})` : label}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 11 }} />
+                    <ReferenceLine x={0} stroke="#666" />
+                    <Bar dataKey="low" fill="#2563eb" name="Borne basse" />
+                    <Bar dataKey="high" fill="#dc2626" name="Borne haute" />
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="chart-note">
+                  Écart au scénario central, {SENSITIVITY_TOP} paramètres les plus influents.
+                  * Réforme non retenue : écart mesuré sur le scénario augmenté de cette réforme à sa valeur centrale.
+                  Réponses comportementales et multiplicateurs n'agissent que via les leviers.
+                </p>
+              </div>
+            )}
+            {leverCalendarActive && (
+              <div className="assumptions-category">
+                <h3>Sensibilité aux paramètres (tornado)</h3>
+                <p className="assumptions-note">
+                  Indisponible avec un calendrier de mise en œuvre : le tornado porte sur des leviers
+                  en plein effet dès {SCHEDULE_BASE_YEAR}, pas sur la trajectoire affichée.
+                </p>
+              </div>
+            )}
 
             <p className="methodology-note">
               Les paramètres sont calibrés sur la littérature académique et les publications institutionnelles.
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest'
+import { STATE_ASSETS, resolveAssetSales, assetSaleYear } from '../asset-sales'
+import { MACRO_BASELINE, projectFiscalPath } from '../projection-engine-v1.8'
+
+// =============================================================================
+// Portfolio and schedules
+// =============================================================================
+
+describe('STATE_ASSETS', () => {
+  it('every asset has an ordered valuation range and a dividend', () => {
+    for (const asset of Object.values(STATE_ASSETS)) {
+      expect(asset.value.low).toBeLessThan(asset.value.central)
+      expect(asset.value.central).toBeLessThan(asset.value.high)
+      expect(asset.dividend).toBeGreaterThan(0)
+      expect(asset.saleYears).toBeGreaterThanOrEqual(1)
+    }
+  })
+
+  it('the portfolio is worth about 110 Md€ and yields about 4 Md€ a year', () => {
+    const assets = Object.values(STATE_ASSETS)
+    const value = assets.reduce((sum, a) => sum + a.value.central, 0)
+    const dividends = assets.reduce((sum, a) => sum + a.dividend, 0)
+    expect(value).toBeGreaterThan(100)
+    expect(value).toBeLessThan(120)
+    expect(dividends).toBeCloseTo(3.8, 0)
+  })
+})
+
+describe('resolveAssetSales', () => {
+  it('fills in the valuation and schedule defaults', () => {
+    expect(resolveAssetSales(['engie'])).toEqual([
+      { key: 'engie', value: 9.5, dividend: 0.85, startYear: 1, saleYears: 1 },
+    ])
+    const [edf] = resolveAssetSales([{ key: 'edf', valuation: 'low', startYear: 2 }])
+    expect(edf).toMatchObject({ value: 40, startYear: 2, saleYears: 3 })
+  })
+
+  it('rejects unknown assets, valuations and empty schedules', () => {
+    expect(() => resolveAssetSales(['sncf'])).toThrow('Unknown state asset: sncf')
+    expect(() => resolveAssetSales([{ key: 'edf', valuation: 'fire' }])).toThrow('Unknown asset valuation')
+    expect(() => resolveAssetSales([{ key: 'edf', saleYears: 0 }])).toThrow('at least one year')
+  })
+
+  it('no sales gives an empty schedule', () => {
+    expect(resolveAssetSales(null)).toEqual([])
+  })
+})
+
+// =============================================================================
+// Annual flows
+// =============================================================================
+
+describe('assetSaleYear', () => {
+  const edf = resolveAssetSales(['edf'])
+
+  it('sells in equal tranches over the schedule', () => {
+    expect(assetSaleYear(edf, 0).proceeds).toBe(0)
+    for (let t = 1; t <= 3; t++) expect(assetSaleYear(edf, t).proceeds).toBeCloseTo(50 / 3, 10)
+    expect(assetSaleYear(edf, 4).proceeds).toBe(0)
+  })
+
+  it('loses the dividends of a tranche from the following year', () => {
+    expect(assetSaleYear(edf, 1).forgoneDividends).toBe(0)
+    expect(assetSaleYear(edf, 2).forgoneDividends).toBeCloseTo(1.5 / 3, 10)
+    expect(assetSaleYear(edf, 4).forgoneDividends).toBeCloseTo(1.5, 10)
+    expect(assetSaleYear(edf, 10, 1.2).forgoneDividends).toBeCloseTo(1.8, 10)
+  })
+
+  it('reports proceeds and forgone dividends apart, by asset too', () => {
+    const sales = resolveAssetSales(['edf', 'orange'])
+    const year = assetSaleYear(sales, 2)
+    expect(year).not.toHaveProperty('netEffect')
+    expect(year.proceeds).toBeCloseTo(50 / 3, 10)
+    expect(year.forgoneDividends).toBeCloseTo(1.5 / 3 + 0.46, 10)
+    expect(year.byAsset.orange).toEqual({ proceeds: 0, forgoneDividends: 0.46 })
+    expect(year.byAsset.edf.proceeds).toBeCloseTo(50 / 3, 10)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath integration
+// =============================================================================
+
+describe('asset sales in projectFiscalPath', () => {
+  const options = { years: 10, enableRiskPremium: false, enableOutputGap: false }
+  const baseline = projectFiscalPath({}, options)
+
+  it('proceeds reduce the debt, not the deficit, in the year of sale', () => {
+    const result = projectFiscalPath({}, { ...options, assetSales: ['airbus'] })
+    expect(result[1].assetSaleProceeds).toBe(14)
+    expect(result[1].deficit).toBe(baseline[1].deficit)
+    expect(result[2].debt).toBeCloseTo(baseline[2].debt - 14, 0)
+  })
+
+  it('forgone dividends worsen every later primary balance', () => {
+    const result = projectFiscalPath({}, { ...options, assetSales: ['engie'] })
+    expect(result[1].forgoneDividends).toBe(0)
+    for (let t = 2; t <= 10; t++) {
+      expect(result[t].forgoneDividends).toBeGreaterThan(0.85)
+      expect(result[t].structuralPrimaryBalance).toBeLessThan(baseline[t].structuralPrimaryBalance)
+    }
+  })
+
+  it('cumulates proceeds and forgone dividends separately', () => {
+    const result = projectFiscalPath({}, { ...options, assetSales: ['engie'] })
+    expect(result[10].cumulativeSaleProceeds).toBe(STATE_ASSETS.engie.value.central)
+    const dividends = result.reduce((sum, e) => sum + e.forgoneDividends, 0)
+    expect(result[10].cumulativeForgoneDividends).toBeCloseTo(dividends, 0)
+  })
+
+  it('nets interest saved against dividends lost, flow against flow', () => {
+    const result = projectFiscalPath({}, { ...options, enableRiskPremium: true, assetSales: ['engie'] })
+    expect(result[1].saleInterestSaved).toBe(0)
+    for (const t of [2, 5, 10]) {
+      const marginalRate = MACRO_BASELINE.baseInterestRate + result[t].riskPremiumBps / 10000
+      expect(result[t].saleInterestSaved).toBeGreaterThan(0)
+      expect(result[t].saleInterestSaved).toBeCloseTo(marginalRate * result[t - 1].cumulativeSaleProceeds, 1)
+      expect(result[t].assetSaleNetEffect).toBeCloseTo(result[t].saleInterestSaved - result[t].forgoneDividends, 1)
+    }
+  })
+
+  it('no net effect without sales', () => {
+    projectFiscalPath({}, options).forEach(entry => expect(entry.assetSaleNetEffect).toBe(0))
+  })
+
+  it('selling the whole portfolio lowers the debt ratio despite the lost dividends', () => {
+    const result = projectFiscalPath({}, { ...options, assetSales: Object.keys(STATE_ASSETS) })
+    const proceeds = result.reduce((sum, e) => sum + e.assetSaleProceeds, 0)
+    expect(proceeds).toBeCloseTo(Object.values(STATE_ASSETS).reduce((sum, a) => sum + a.value.central, 0), 0)
+    expect(result[10].debtRatio).toBeLessThan(baseline[10].debtRatio - 2)
+    expect(result[10].deficit).toBeGreaterThan(baseline[10].deficit - 2)
+  })
+
+  it('the ladder issues less debt after a sale', () => {
+    const ladder = { ...options, debtModel: 'ladder' }
+    const reference = projectFiscalPath({}, ladder)
+    const result = projectFiscalPath({}, { ...ladder, assetSales: ['thales'] })
+    expect(result[2].debt).toBeCloseTo(reference[2].debt - 12, 0)
+  })
+
+  it('no sales by default', () => {
+    baseline.forEach(entry => {
+      expect(entry.assetSaleProceeds).toBe(0)
+      expect(entry.forgoneDividends).toBe(0)
+    })
+  })
+})
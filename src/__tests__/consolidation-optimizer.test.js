@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest'
+import { OPTIMIZER_OBJECTIVES, evaluatePackage, optimizeConsolidation } from '../consolidation-optimizer'
+import { LEVER_BOUNDS, PRESETS, calculatePolicyImpact } from '../policy-impact'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+import { CALIBRATION_PRESETS, createModelConfig } from '../model-config'
+
+const options = { years: 10 }
+
+// =============================================================================
+// Package evaluation
+// =============================================================================
+
+describe('evaluatePackage', () => {
+  const reference = projectFiscalPath(calculatePolicyImpact({}), options)
+
+  it('is neutral for the reference levers', () => {
+    const evaluation = evaluatePackage({}, reference, options)
+    expect(evaluation.balance).toBe(0)
+    expect(evaluation.growthCost).toBe(0)
+    expect(evaluation.debtReduction).toBe(0)
+  })
+
+  it('a spending cut improves the balance at a growth cost', () => {
+    const evaluation = evaluatePackage({ spendingEducation: -10 }, reference, options)
+    expect(evaluation.balance).toBeGreaterThan(0)
+    expect(evaluation.growthCost).toBeGreaterThan(0)
+    expect(evaluation.projection).toHaveLength(11)
+  })
+})
+
+// =============================================================================
+// Optimiser
+// =============================================================================
+
+describe('optimizeConsolidation', () => {
+  const result = optimizeConsolidation(50, {}, options)
+
+  it('reaches the requested improvement', () => {
+    expect(result.feasible).toBe(true)
+    expect(result.improvement).toBeGreaterThanOrEqual(50)
+    expect(result.improvement).toBeLessThan(60)
+  })
+
+  it('starts with the levers of lowest growth drag', () => {
+    // CSG and TVA carry the smallest drag per Md€ in BEHAVIORAL_RESPONSE
+    const [firstMove] = Object.keys(result.path[1].levers)
+    expect(['csgRate', 'vatChange']).toContain(firstMove)
+    expect(result.changes.csgRate.to).toBe(LEVER_BOUNDS.csgRate.max)
+  })
+
+  it('costs less growth than a uniform package of the same size', () => {
+    const uniform = { incomeTaxChange: 1, spendingEducation: -10, spendingDefense: -10, spendingSolidarity: -10, healthSpending: -5, vatChange: 1 }
+    const reference = projectFiscalPath(calculatePolicyImpact({}), options)
+    const evaluation = evaluatePackage(uniform, reference, options)
+    const sameSize = result.path.find(p => p.improvement >= evaluation.balance)
+    expect(sameSize.growthCost).toBeLessThan(evaluation.growthCost)
+  })
+
+  it('keeps every lever within its bounds and on its slider step', () => {
+    for (const point of result.path) {
+      for (const [key, value] of Object.entries(point.levers)) {
+        const bound = LEVER_BOUNDS[key]
+        expect(value).toBeGreaterThanOrEqual(bound.min)
+        expect(value).toBeLessThanOrEqual(bound.max)
+        const steps = (value - bound.min) / bound.step
+        expect(Math.abs(steps - Math.round(steps))).toBeLessThan(1e-6)
+      }
+    }
+  })
+
+  it('respects locked levers and narrowed bounds ("no TVA increase")', () => {
+    const constrained = optimizeConsolidation(50, {}, options, {
+      locked: ['healthSpending'],
+      bounds: { vatChange: { max: 0 } },
+    })
+    expect(constrained.feasible).toBe(true)
+    for (const point of constrained.path) {
+      expect(point.levers.vatChange ?? 0).toBeLessThanOrEqual(0)
+      expect(point.levers.healthSpending ?? 0).toBe(0)
+    }
+    expect(constrained.growthCost).toBeGreaterThan(result.growthCost)
+  })
+
+  it('builds on the starting levers', () => {
+    const start = { ...PRESETS.plf2025.levers }
+    const fromPreset = optimizeConsolidation(20, start, options, { locked: ['incomeTaxChange'] })
+    expect(fromPreset.levers.incomeTaxChange).toBe(start.incomeTaxChange)
+    for (const [key, { from }] of Object.entries(fromPreset.changes)) {
+      expect(from).toBe(start[key])
+    }
+  })
+
+  it('reports an unreachable target with the largest package', () => {
+    const capped = optimizeConsolidation(50, {}, options, { locked: Object.keys(LEVER_BOUNDS).filter(k => k !== 'csgRate') })
+    expect(capped.feasible).toBe(false)
+    expect(capped.levers.csgRate).toBe(LEVER_BOUNDS.csgRate.max)
+    expect(capped.improvement).toBe(capped.path[capped.path.length - 1].improvement)
+  })
+
+  it('the debt objective gives at least the same final-year debt reduction', () => {
+    const debt = optimizeConsolidation(50, {}, options, { objective: 'debtReduction' })
+    expect(debt.feasible).toBe(true)
+    expect(debt.debtReduction).toBeGreaterThanOrEqual(result.debtReduction - 0.5)
+  })
+
+  it('passes the config to both engines', () => {
+    const config = createModelConfig(CALIBRATION_PRESETS.ofce.overrides)
+    const ofce = optimizeConsolidation(50, {}, { ...options, config })
+    expect(ofce.growthCost).not.toBe(result.growthCost)
+  })
+
+  it('throws on unknown objectives, levers and empty bounds', () => {
+    expect(() => optimizeConsolidation(50, {}, options, { objective: 'votes' })).toThrow('Unknown optimiser objective')
+    expect(() => optimizeConsolidation(50, {}, options, { locked: ['wealthTax'] })).toThrow('wealthTax')
+    expect(() => optimizeConsolidation(50, {}, options, { bounds: { vatChange: { min: 2, max: 0 } } })).toThrow('Empty bounds')
+    expect(Object.keys(OPTIMIZER_OBJECTIVES)).toEqual(['growthCost', 'debtReduction'])
+  })
+})
+
+// =============================================================================
+// Frontier
+// =============================================================================
+
+describe('Pareto frontier', () => {
+  const { frontier, path } = optimizeConsolidation(100, {}, options)
+
+  it('starts at the starting package and grows with the improvement', () => {
+    expect(frontier[0].improvement).toBe(0)
+    for (let i = 1; i < frontier.length; i++) {
+      expect(frontier[i].improvement).toBeGreaterThan(frontier[i - 1].improvement)
+      expect(frontier[i].growthCost).toBeGreaterThan(frontier[i - 1].growthCost)
+    }
+  })
+
+  it('contains no dominated point of the path', () => {
+    for (const point of frontier) {
+      const dominated = path.some(p => p.improvement > point.improvement && p.growthCost < point.growthCost)
+      expect(dominated).toBe(false)
+    }
+  })
+
+  it('growth cost per Md€ rises along the frontier', () => {
+    const marginal = i => (frontier[i].growthCost - frontier[i - 1].growthCost) / (frontier[i].improvement - frontier[i - 1].improvement)
+    expect(marginal(frontier.length - 1)).toBeGreaterThan(marginal(1))
+  })
+})
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest'
+import {
+  RATING_SCALE,
+  RATING_PARAMS,
+  ratingIndex,
+  isInvestmentGrade,
+  ratingScore,
+  nextRating,
+  ratingPremium,
+} from '../credit-rating'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+import { createModelConfig } from '../model-config'
+import { calculatePolicyImpact, PRESETS } from '../policy-impact'
+
+const initial = { debtRatio: 115.8, debtTrend: 1.5, deficitRatio: 5.4, interestToRevenue: 5.5, realGrowth: 0.7 }
+
+// =============================================================================
+// Scale and scorecard
+// =============================================================================
+
+describe('rating scale', () => {
+  it('runs from AAA to CCC with BBB- as the last investment-grade notch', () => {
+    expect(RATING_SCALE[0]).toBe('AAA')
+    expect(ratingIndex('A+')).toBe(4)
+    expect(isInvestmentGrade('BBB-')).toBe(true)
+    expect(isInvestmentGrade('BB+')).toBe(false)
+  })
+
+  it('rejects unknown ratings', () => {
+    expect(() => ratingIndex('Aa2')).toThrow('Unknown rating: Aa2')
+  })
+})
+
+describe('ratingScore', () => {
+  it('the 2025 indicators score the initial rating', () => {
+    expect(ratingScore(initial, initial)).toBe(ratingIndex(RATING_PARAMS.initialRating))
+  })
+
+  it('higher debt, deficit and interest burden worsen the score; growth improves it', () => {
+    const base = ratingScore(initial, initial)
+    expect(ratingScore({ ...initial, debtRatio: 135.8 }, initial)).toBeCloseTo(base + 0.4, 10)
+    expect(ratingScore({ ...initial, debtTrend: 3.5 }, initial)).toBeCloseTo(base + 0.6, 10)
+    expect(ratingScore({ ...initial, deficitRatio: 7.4 }, initial)).toBeCloseTo(base + 0.3, 10)
+    expect(ratingScore({ ...initial, interestToRevenue: 10.5 }, initial)).toBeCloseTo(base + 0.4, 10)
+    expect(ratingScore({ ...initial, realGrowth: 1.7 }, initial)).toBeCloseTo(base - 0.25, 10)
+  })
+
+  it('stays on the scale', () => {
+    expect(ratingScore({ ...initial, debtRatio: 1000 }, initial)).toBe(RATING_SCALE.length - 1)
+    expect(ratingScore({ ...initial, debtRatio: -500 }, initial)).toBe(0)
+  })
+
+  it('a non-finite indicator scores the worst notch', () => {
+    expect(ratingScore({ ...initial, debtTrend: Infinity - Infinity }, initial)).toBe(RATING_SCALE.length - 1)
+    expect(ratingScore({ ...initial, debtRatio: Infinity }, initial)).toBe(RATING_SCALE.length - 1)
+  })
+})
+
+describe('nextRating', () => {
+  it('holds the rating within the hysteresis band', () => {
+    expect(nextRating('A+', 4.7)).toBe('A+')
+    expect(nextRating('A+', 3.3)).toBe('A+')
+  })
+
+  it('moves one notch a year at most', () => {
+    expect(nextRating('A+', 4.8)).toBe('A')
+    expect(nextRating('A+', 8)).toBe('A')
+    expect(nextRating('A+', 2)).toBe('AA-')
+    expect(nextRating('A+', 8, { ...RATING_PARAMS, maxNotchesPerYear: 2 })).toBe('A-')
+  })
+
+  it('a non-finite score moves towards the worst notch', () => {
+    expect(nextRating('A+', NaN)).toBe('A')
+    expect(nextRating(RATING_SCALE[RATING_SCALE.length - 1], NaN)).toBe(RATING_SCALE[RATING_SCALE.length - 1])
+  })
+})
+
+// =============================================================================
+// Risk premium
+// =============================================================================
+
+describe('ratingPremium', () => {
+  it('is zero at the initial rating and grows by premiumPerNotch', () => {
+    expect(ratingPremium('A+')).toBe(0)
+    expect(ratingPremium('A-')).toBeCloseTo(0.0020, 10)
+    expect(ratingPremium('AA-')).toBeCloseTo(-0.0010, 10)
+  })
+
+  it('adds a forced-seller step below A- and below investment grade', () => {
+    expect(ratingPremium('BBB+') - ratingPremium('A-')).toBeCloseTo(0.0010 + 0.0030, 10)
+    expect(ratingPremium('BBB-') - ratingPremium('BBB')).toBeCloseTo(0.0010, 10)
+    expect(ratingPremium('BB+') - ratingPremium('BBB-')).toBeCloseTo(0.0010 + 0.0100, 10)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath integration
+// =============================================================================
+
+describe('credit rating in projectFiscalPath', () => {
+  const options = { years: 15, enableOutputGap: false }
+
+  it('starts at the initial rating and moves one notch at a time', () => {
+    const result = projectFiscalPath({}, options)
+    expect(result[0]).toMatchObject({ rating: 'A+', ratingScore: 4, ratingChange: 0, ratingPremiumBps: 0 })
+    result.slice(1).forEach((entry, i) => {
+      expect(entry.ratingChange).toBe(ratingIndex(result[i].rating) - ratingIndex(entry.rating))
+      expect(entry.ratingChange).toBeGreaterThanOrEqual(-1)
+    })
+    expect(result.some(entry => entry.ratingChange === -1)).toBe(true)
+  })
+
+  it('the premium is reported but not applied by default', () => {
+    const result = projectFiscalPath({}, options)
+    result.forEach(entry => expect(entry.ratingPremiumBps).toBe(0))
+  })
+
+  it('applied downgrades raise the marginal rate and the debt', () => {
+    const baseline = projectFiscalPath({}, options)
+    const rated = projectFiscalPath({}, { ...options, enableRatingPremium: true })
+    const last = rated[rated.length - 1]
+    expect(last.ratingPremiumBps).toBe(Math.round(ratingPremium(last.rating) * 10000))
+    expect(last.ratingPremiumBps).toBeGreaterThan(0)
+    expect(last.riskPremiumBps).toBeGreaterThan(baseline[baseline.length - 1].riskPremiumBps)
+    expect(last.debtRatio).toBeGreaterThan(baseline[baseline.length - 1].debtRatio)
+  })
+
+  it('consolidation keeps the rating over ten years', () => {
+    const result = projectFiscalPath({ revenueChange: 60 }, { ...options, years: 10 })
+    result.forEach(entry => expect(ratingIndex(entry.rating)).toBeLessThanOrEqual(ratingIndex('A+')))
+  })
+
+  it('an exploding debt path keeps a rating on the scale', () => {
+    const levers = calculatePolicyImpact(PRESETS.plf2025.levers)
+    const result = projectFiscalPath(levers, { years: 45, demography: 'central', enableRiskPremium: true })
+    result.forEach(entry => expect(RATING_SCALE).toContain(entry.rating))
+    expect(result[result.length - 1].rating).toBe(RATING_SCALE[RATING_SCALE.length - 1])
+  })
+
+  it('the scorecard is configurable', () => {
+    const config = createModelConfig({ ratingParams: { initialRating: 'AA-', hysteresis: 10 } })
+    const result = projectFiscalPath({}, { ...options, config })
+    result.forEach(entry => expect(entry.rating).toBe('AA-'))
+  })
+})
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEBT_BUCKETS,
+  DEBT_STOCK_PARAMS,
+  ISSUANCE_MIX_PRESETS,
+  createDebtLadder,
+  ladderStock,
+  ladderInterest,
+  ladderRedemptions,
+  averageMaturity,
+  rollDebtLadder,
+} from '../debt-stock'
+import { projectFiscalPath, ROLLOVER_RATE } from '../projection-engine-v1.8'
+
+const sum = (obj) => Object.values(obj).reduce((s, x) => s + x, 0)
+
+// =============================================================================
+// Calibration constants - regression guards
+// =============================================================================
+
+describe('DEBT_BUCKETS and DEBT_STOCK_PARAMS', () => {
+  it('has the six AFT buckets', () => {
+    expect(Object.keys(DEBT_BUCKETS)).toEqual(['btf', 'y2', 'y5', 'y10', 'y30', 'oati'])
+  })
+
+  it('only OATi is inflation-indexed', () => {
+    const indexed = Object.entries(DEBT_BUCKETS).filter(([, b]) => b.indexed).map(([k]) => k)
+    expect(indexed).toEqual(['oati'])
+  })
+
+  it('initial composition sums to 1', () => {
+    expect(sum(DEBT_STOCK_PARAMS.initialComposition)).toBeCloseTo(1, 10)
+  })
+
+  it('term structure is upward sloping (BTF < 2y < 5y < 10y < 30y)', () => {
+    const s = DEBT_STOCK_PARAMS.termSpreads
+    expect(s.btf).toBeLessThan(s.y2)
+    expect(s.y2).toBeLessThan(s.y5)
+    expect(s.y5).toBeLessThan(s.y10)
+    expect(s.y10).toBeLessThan(s.y30)
+  })
+
+  it('every issuance mix preset sums to 1', () => {
+    for (const preset of Object.values(ISSUANCE_MIX_PRESETS)) {
+      expect(sum(preset.mix)).toBeCloseTo(1, 10)
+    }
+  })
+})
+
+// =============================================================================
+// Ladder construction and metrics
+// =============================================================================
+
+describe('createDebtLadder', () => {
+  const ladder = createDebtLadder(3300, 0.021)
+
+  it('preserves the total stock', () => {
+    expect(ladderStock(ladder)).toBeCloseTo(3300, 6)
+  })
+
+  it('average cost equals the target portfolio rate', () => {
+    expect(ladderInterest(ladder, 0.018) / 3300).toBeCloseTo(0.021, 10)
+  })
+
+  it('indexed vintages store a real coupon', () => {
+    const oati = ladder.find(v => v.bucket === 'oati')
+    const y10 = ladder.find(v => v.bucket === 'y10')
+    expect(oati.coupon).toBeCloseTo(y10.coupon - 0.018, 10)
+  })
+
+  it('average maturity is ~7.5 years (AFT: 8.5 incl. long tail)', () => {
+    expect(averageMaturity(ladder)).toBeGreaterThan(7)
+    expect(averageMaturity(ladder)).toBeLessThan(8.5)
+  })
+
+  it('redemption wall: all BTF plus one slice of each OAT bucket', () => {
+    const c = DEBT_STOCK_PARAMS.initialComposition
+    const expected = Object.keys(DEBT_BUCKETS)
+      .reduce((s, k) => s + 3300 * c[k] / DEBT_BUCKETS[k].maturity, 0)
+    expect(ladderRedemptions(ladder)).toBeCloseTo(expected, 6)
+  })
+
+  it('inflation raises the cost of indexed debt only', () => {
+    const extra = ladderInterest(ladder, 0.048) - ladderInterest(ladder, 0.018)
+    const oatiStock = 3300 * DEBT_STOCK_PARAMS.initialComposition.oati
+    expect(extra).toBeCloseTo(oatiStock * 0.03, 6)
+  })
+})
+
+describe('rollDebtLadder', () => {
+  const ladder = createDebtLadder(3300, 0.021)
+
+  it('stock grows by exactly the deficit', () => {
+    const rolled = rollDebtLadder(ladder, { deficit: 150, marginalRate: 0.03 })
+    expect(ladderStock(rolled.ladder)).toBeCloseTo(3450, 6)
+  })
+
+  it('gross issuance = redemptions + deficit', () => {
+    const rolled = rollDebtLadder(ladder, { deficit: 150, marginalRate: 0.03 })
+    expect(rolled.grossIssuance).toBeCloseTo(rolled.redemptions + 150, 6)
+  })
+
+  it('reference AFT mix is issued at the marginal rate on average', () => {
+    const empty = []
+    const rolled = rollDebtLadder(empty, { deficit: 100, marginalRate: 0.03, inflation: 0.018 })
+    expect(ladderInterest(rolled.ladder, 0.018) / 100).toBeCloseTo(0.03, 10)
+  })
+
+  it('shorter mix issues below the marginal rate', () => {
+    const rolled = rollDebtLadder([], { deficit: 100, marginalRate: 0.03, issuanceMix: ISSUANCE_MIX_PRESETS.short.mix })
+    expect(ladderInterest(rolled.ladder, 0.018) / 100).toBeLessThan(0.03)
+  })
+
+  it('surplus beyond redemptions buys back the stock pro rata', () => {
+    const redemptions = ladderRedemptions(ladder)
+    const rolled = rollDebtLadder(ladder, { deficit: -(redemptions + 100), marginalRate: 0.03 })
+    expect(rolled.grossIssuance).toBe(0)
+    expect(ladderStock(rolled.ladder)).toBeCloseTo(3300 - redemptions - 100, 6)
+  })
+
+  it('indexed principal is uplifted by inflation without new issuance', () => {
+    const oatiStock = ladderStock(ladder.filter(v => v.indexed))
+    const rolled = rollDebtLadder(ladder, { deficit: 0, marginalRate: 0.03, inflation: 0.05 })
+    expect(rolled.indexationUplift).toBeCloseTo(oatiStock * 0.05, 6)
+    expect(rolled.grossIssuance).toBeCloseTo(rolled.redemptions - rolled.indexationUplift, 6)
+    // Stock still grows by the (accrual) deficit only: uplift sits in OATi principal
+    expect(ladderStock(rolled.ladder)).toBeCloseTo(3300, 6)
+  })
+
+  it('does not mutate the input ladder', () => {
+    const before = JSON.stringify(ladder)
+    rollDebtLadder(ladder, { deficit: 150, marginalRate: 0.03 })
+    expect(JSON.stringify(ladder)).toBe(before)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath debtModel: 'ladder'
+// =============================================================================
+
+describe('projectFiscalPath with OAT ladder', () => {
+  const rollover = projectFiscalPath({}, { years: 10 })
+  const ladder = projectFiscalPath({}, { years: 10, debtModel: 'ladder' })
+  const short = projectFiscalPath({}, { years: 10, debtModel: 'ladder', issuanceMix: ISSUANCE_MIX_PRESETS.short.mix })
+  const long = projectFiscalPath({}, { years: 10, debtModel: 'ladder', issuanceMix: ISSUANCE_MIX_PRESETS.long.mix })
+
+  it('year-0 interest matches the rollover model (same starting portfolio rate)', () => {
+    expect(ladder[0].interest).toBe(rollover[0].interest)
+  })
+
+  it('rollover model reports a flat 12.5% redemption and 8-year maturity', () => {
+    expect(rollover[0].redemptions).toBeCloseTo(3300 * ROLLOVER_RATE, 1)
+    rollover.forEach(entry => expect(entry.averageMaturity).toBe(8))
+  })
+
+  it('ladder reports a redemption wall and average maturity each year', () => {
+    ladder.forEach(entry => {
+      expect(entry.redemptions).toBeGreaterThan(0)
+      expect(entry.averageMaturity).toBeGreaterThan(5)
+    })
+  })
+
+  it('shortening maturity cuts near-term interest cost', () => {
+    for (let t = 1; t <= 3; t++) {
+      expect(short[t].interest).toBeLessThan(ladder[t].interest)
+    }
+  })
+
+  it('shortening maturity raises the redemption wall and lowers average maturity', () => {
+    expect(short[5].redemptions).toBeGreaterThan(ladder[5].redemptions)
+    expect(short[5].averageMaturity).toBeLessThan(ladder[5].averageMaturity)
+  })
+
+  it('lengthening maturity costs more up front', () => {
+    expect(long[1].interest).toBeGreaterThan(ladder[1].interest)
+    expect(long[10].averageMaturity).toBeGreaterThan(ladder[10].averageMaturity)
+  })
+
+  it('short debt passes a rate shock through faster', () => {
+    const shocks = Array.from({ length: 11 }, (_, t) => (t >= 1 ? { baseRate: 0.02 } : {}))
+    const shortShock = projectFiscalPath({}, { years: 10, debtModel: 'ladder', issuanceMix: ISSUANCE_MIX_PRESETS.short.mix, shocks })
+    const longShock = projectFiscalPath({}, { years: 10, debtModel: 'ladder', issuanceMix: ISSUANCE_MIX_PRESETS.long.mix, shocks })
+    const shortHit = shortShock[4].interest - short[4].interest
+    const longHit = longShock[4].interest - long[4].interest
+    expect(shortHit).toBeGreaterThan(longHit)
+  })
+
+  it('debt accumulates identically: stock = previous debt + deficit', () => {
+    for (let t = 1; t < ladder.length; t++) {
+      expect(ladder[t].debt).toBeCloseTo(ladder[t - 1].debt + ladder[t - 1].deficit, 0)
+    }
+  })
+})
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import {
+  INITIAL_POPULATION,
+  DEMOGRAPHIC_HYPOTHESES,
+  DEMOGRAPHIC_SCENARIOS,
+  COHORT_PARAMS,
+  lifeExpectancyAtBirth,
+  mortalityRates,
+  projectPopulation,
+  getPopulationProjection,
+} from '../demographics'
+
+const at = (projection, year) => projection.find(e => e.year === year)
+
+// =============================================================================
+// Inputs
+// =============================================================================
+
+describe('demographic inputs', () => {
+  it('the 2025 pyramid totals 68.6 M', () => {
+    const total = INITIAL_POPULATION.reduce((sum, [, , millions]) => sum + millions, 0)
+    expect(total).toBeCloseTo(68.6, 5)
+  })
+
+  it('INSEE hypotheses are ordered low < central < high', () => {
+    for (const hypothesis of Object.values(DEMOGRAPHIC_HYPOTHESES)) {
+      expect(hypothesis.low).toBeLessThan(hypothesis.central)
+      expect(hypothesis.central).toBeLessThan(hypothesis.high)
+    }
+  })
+
+  it('every scenario names a hypothesis for each component', () => {
+    for (const scenario of Object.values(DEMOGRAPHIC_SCENARIOS)) {
+      expect(scenario.label).toBeTruthy()
+      for (const component of ['fertility', 'lifeExpectancy', 'netMigration']) {
+        expect(DEMOGRAPHIC_HYPOTHESES[component][scenario[component]]).toBeDefined()
+      }
+    }
+  })
+})
+
+// =============================================================================
+// Mortality
+// =============================================================================
+
+describe('mortalityRates', () => {
+  it('hits the target life expectancy', () => {
+    for (const e0 of [80, 83.1, 88.8, 91.8]) {
+      expect(lifeExpectancyAtBirth(mortalityRates(e0))).toBeCloseTo(e0, 3)
+    }
+  })
+
+  it('rises with age after childhood and closes the table at the open age', () => {
+    const q = mortalityRates(83.1)
+    for (let x = 2; x < COHORT_PARAMS.maxAge; x++) expect(q[x]).toBeGreaterThan(q[x - 1])
+    expect(q[COHORT_PARAMS.maxAge]).toBe(1)
+  })
+})
+
+// =============================================================================
+// Projection
+// =============================================================================
+
+describe('projectPopulation', () => {
+  const central = projectPopulation()
+
+  it('covers 2025 to 2070', () => {
+    expect(central).toHaveLength(46)
+    expect(central[0].year).toBe(2025)
+    expect(central[central.length - 1].year).toBe(2070)
+  })
+
+  it('starts from the 2025 pyramid: 68.6 M, dependency ratio about 39%', () => {
+    expect(central[0].population).toBeCloseTo(68.6, 3)
+    expect(central[0].old).toBeCloseTo(14.9, 3)
+    expect(central[0].oldAgeDependencyRatio).toBeCloseTo(39.2, 0)
+    expect(central[0].ages).toHaveLength(COHORT_PARAMS.maxAge + 1)
+  })
+
+  it('the central scenario ages: dependency ratio near 57-60% in 2070 (INSEE 57%)', () => {
+    const end = at(central, 2070)
+    expect(end.oldAgeDependencyRatio).toBeGreaterThan(55)
+    expect(end.oldAgeDependencyRatio).toBeLessThan(62)
+    expect(end.veryOldShare).toBeGreaterThan(2 * central[0].veryOldShare)
+  })
+
+  it('deaths exceed births by 2050 (negative natural balance)', () => {
+    const year = at(central, 2050)
+    expect(year.deaths).toBeGreaterThan(year.births)
+  })
+
+  it('fertility converges to the hypothesis by 2035, life expectancy by 2070', () => {
+    expect(central[0].fertility).toBe(COHORT_PARAMS.initialFertility)
+    expect(at(central, 2035).fertility).toBe(DEMOGRAPHIC_HYPOTHESES.fertility.central)
+    expect(at(central, 2070).lifeExpectancy).toBe(DEMOGRAPHIC_HYPOTHESES.lifeExpectancy.central)
+  })
+
+  it('each component moves the 2070 dependency ratio the expected way', () => {
+    const ratio = key => at(projectPopulation(DEMOGRAPHIC_SCENARIOS[key]), 2070).oldAgeDependencyRatio
+    const reference = at(central, 2070).oldAgeDependencyRatio
+    expect(ratio('lowFertility')).toBeGreaterThan(reference)
+    expect(ratio('highFertility')).toBeLessThan(reference)
+    expect(ratio('lowMortality')).toBeGreaterThan(reference)
+    expect(ratio('highMortality')).toBeLessThan(reference)
+    expect(ratio('older')).toBeGreaterThan(ratio('lowMortality'))
+    expect(ratio('younger')).toBeLessThan(ratio('highMortality'))
+  })
+
+  it('without migration or births the cohorts only age and shrink', () => {
+    const closed = projectPopulation(DEMOGRAPHIC_SCENARIOS.central, {
+      ...COHORT_PARAMS,
+      endYear: 2030,
+      femaleShare: 0,
+      migrationProfile: { ...COHORT_PARAMS.migrationProfile, maxAge: -1 },
+    })
+    for (let i = 1; i < closed.length; i++) {
+      expect(closed[i].population).toBeLessThan(closed[i - 1].population)
+      expect(closed[i].ages[0]).toBe(0)
+    }
+  })
+
+  it('rejects unknown hypotheses', () => {
+    expect(() => projectPopulation({ fertility: 'very-high', lifeExpectancy: 'central', netMigration: 'central' }))
+      .toThrow('low/central/high')
+  })
+})
+
+describe('getPopulationProjection', () => {
+  it('caches by scenario key', () => {
+    expect(getPopulationProjection('older')).toBe(getPopulationProjection('older'))
+    expect(getPopulationProjection()).toEqual(projectPopulation())
+  })
+
+  it('throws on unknown keys', () => {
+    expect(() => getPopulationProjection('baby-boom')).toThrow('Unknown demographic scenario')
+  })
+})
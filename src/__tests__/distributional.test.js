@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { DISTRIBUTIONAL_PARAMS, DECILE_TABLE, LEVER_INCIDENCE, decileShares, distributionalImpact } from '../distributional'
+import { BASELINE, PRESETS, calculatePolicyImpact } from '../policy-impact'
+import { createModelConfig } from '../model-config'
+
+const householdsPerDecile = DISTRIBUTIONAL_PARAMS.households * 1e6 / 10
+const aggregate = column => DECILE_TABLE.reduce((sum, row) => sum + row[column], 0) * householdsPerDecile / 1e9
+
+// =============================================================================
+// Decile table
+// =============================================================================
+
+describe('DECILE_TABLE', () => {
+  it('ten deciles ordered by disposable income', () => {
+    expect(DECILE_TABLE).toHaveLength(10)
+    DECILE_TABLE.slice(1).forEach((row, i) => {
+      expect(row.disposableIncome).toBeGreaterThan(DECILE_TABLE[i].disposableIncome)
+    })
+  })
+
+  it('adds up to the budget aggregates', () => {
+    expect(aggregate('incomeTax')).toBeCloseTo(BASELINE.etat.incomeTax, -1)
+    expect(aggregate('csg')).toBeCloseTo(BASELINE.securiteSociale.csg, -1)
+    expect(aggregate('solidarity') / BASELINE.etat.solidarity).toBeGreaterThan(0.9)
+    expect(aggregate('education')).toBeCloseTo(BASELINE.etat.education, -1)
+  })
+
+  it('IR is progressive, TVA regressive', () => {
+    const rate = (row, column) => row[column] / row.disposableIncome
+    expect(rate(DECILE_TABLE[9], 'incomeTax')).toBeGreaterThan(rate(DECILE_TABLE[4], 'incomeTax'))
+    expect(rate(DECILE_TABLE[0], 'vat')).toBeGreaterThan(rate(DECILE_TABLE[9], 'vat'))
+  })
+})
+
+describe('decileShares', () => {
+  it('sums to one for every lever', () => {
+    for (const { base } of Object.values(LEVER_INCIDENCE)) {
+      expect(decileShares(base).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 10)
+    }
+  })
+
+  it('rejects a column nobody pays', () => {
+    const table = DECILE_TABLE.map(row => ({ ...row, incomeTax: 0 }))
+    expect(() => decileShares({ incomeTax: 1 }, table)).toThrow('Empty decile column: incomeTax')
+  })
+})
+
+// =============================================================================
+// Gains and losses
+// =============================================================================
+
+describe('distributionalImpact', () => {
+  it('no lever, no change', () => {
+    const impact = distributionalImpact({})
+    impact.deciles.forEach(decile => expect(decile.gain).toBe(0))
+    expect(impact.allocated).toBe(0)
+  })
+
+  it('households lose what a tax rise raises', () => {
+    const impact = distributionalImpact({ incomeTaxChange: 2 })
+    const raised = calculatePolicyImpact({ incomeTaxChange: 2 }).revenueChange
+    const lost = impact.deciles.reduce((sum, decile) => sum + decile.gain, 0) * householdsPerDecile / 1e9
+    expect(lost).toBeCloseTo(-raised, 1)
+    expect(impact.deciles[0].gain).toBe(0)
+    expect(impact.deciles[9].gainPct).toBeLessThan(impact.deciles[4].gainPct)
+  })
+
+  it('a VAT rise costs the bottom decile the largest share of income', () => {
+    const impact = distributionalImpact({ vatChange: 1 })
+    impact.deciles.slice(1).forEach((decile, i) => {
+      expect(decile.gainPct).toBeGreaterThanOrEqual(impact.deciles[i].gainPct)
+    })
+    expect(impact.deciles[0].gainPct).toBeLessThan(0)
+  })
+
+  it('the corporate tax falls mostly on the top decile, partly on wages', () => {
+    const byLever = distributionalImpact({ corpTaxChange: 2 }).deciles.map(decile => decile.byLever.corpTaxChange)
+    expect(byLever[9]).toBeLessThan(byLever[4])
+    expect(byLever[4]).toBeLessThan(0)
+  })
+
+  it('a solidarity cut hits the bottom deciles', () => {
+    const knafo = distributionalImpact(PRESETS.knafo.levers)
+    expect(knafo.deciles[0].byLever.spendingSolidarity).toBeLessThan(knafo.deciles[9].byLever.spendingSolidarity)
+    expect(knafo.deciles[0].gainPct).toBeLessThan(0)
+    expect(knafo.deciles[9].gainPct).toBeGreaterThan(0)
+  })
+
+  it('the NFP programme is progressive', () => {
+    const nfp = distributionalImpact(PRESETS.nfp.levers)
+    expect(nfp.deciles[0].gainPct).toBeGreaterThan(0)
+    expect(nfp.deciles[9].gainPct).toBeLessThan(0)
+  })
+
+  it('public goods are unallocated', () => {
+    const impact = distributionalImpact({ spendingDefense: 10 })
+    expect(impact.unallocated).toBeCloseTo(BASELINE.etat.defense / 10, 1)
+    expect(impact.levers).toHaveLength(0)
+    impact.deciles.forEach(decile => expect(decile.gain).toBe(0))
+  })
+
+  it('uses the calibration given and the household count', () => {
+    const config = createModelConfig({ behavioralResponse: { incomeTax: { increaseEfficiency: 1 } } })
+    const full = distributionalImpact({ incomeTaxChange: 2 }, { config })
+    const central = distributionalImpact({ incomeTaxChange: 2 })
+    expect(full.deciles[9].gain).toBeLessThan(central.deciles[9].gain)
+    const more = distributionalImpact({ incomeTaxChange: 2 }, { params: { households: 61.8 } })
+    expect(more.deciles[9].gain).toBeCloseTo(central.deciles[9].gain / 2, -1)
+  })
+
+  it('evaluates scheduled levers in the year given', () => {
+    const lever = { csgRate: { value: 1, startYear: 2027 } }
+    expect(distributionalImpact(lever, { year: 2026 }).allocated).toBe(0)
+    expect(distributionalImpact(lever, { year: 2027 }).allocated).toBeLessThan(0)
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { DSA_PARAMS, BOUND_TESTS, debtDynamics, boundTestShocks, runDebtSustainabilityAnalysis } from '../dsa'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+
+const options = { years: 10 }
+
+// =============================================================================
+// Debt dynamics
+// =============================================================================
+
+describe('debtDynamics', () => {
+  const projection = projectFiscalPath({}, options)
+  const dynamics = debtDynamics(projection)
+
+  it('reports r, g and r − g for every year', () => {
+    expect(dynamics).toHaveLength(projection.length)
+    expect(dynamics[0].r).toBeCloseTo(2.1, 1)
+    expect(dynamics[0].g).toBe(2.5)
+    dynamics.forEach(row => expect(row.rMinusG).toBeCloseTo(row.r - row.g, 1))
+  })
+
+  it('the stabilising primary balance keeps the debt ratio constant', () => {
+    dynamics.slice(0, -1).forEach((row, t) => {
+      const { debt, gdp, nominalGrowthRate } = projection[t]
+      const nextRatio = (debt * (1 + row.r / 100) - row.stabilisingPrimaryBalance / 100 * gdp)
+        / (gdp * (1 + nominalGrowthRate / 100)) * 100
+      expect(nextRatio).toBeCloseTo(row.debtRatio, 0)
+    })
+  })
+
+  it('the gap is the adjustment still needed: positive on the rising baseline', () => {
+    expect(dynamics[1].primaryBalance).toBeLessThan(-2)
+    expect(dynamics[1].primaryBalanceGap).toBeCloseTo(dynamics[1].stabilisingPrimaryBalance - dynamics[1].primaryBalance, 1)
+    expect(dynamics[1].primaryBalanceGap).toBeGreaterThan(2)
+  })
+
+  it('gross financing needs are the deficit plus redemptions', () => {
+    const { deficit, redemptions, gdp } = projection[0]
+    expect(dynamics[0].grossFinancingNeeds).toBeCloseTo((deficit + redemptions) / gdp * 100, 1)
+  })
+
+  it('a closed primary gap stabilises the debt ratio', () => {
+    const consolidated = projectFiscalPath({ revenueChange: dynamics[1].primaryBalanceGap / 100 * projection[1].gdp }, options)
+    const change = consolidated[2].debtRatio - consolidated[1].debtRatio
+    expect(Math.abs(change)).toBeLessThan(projection[2].debtRatio - projection[1].debtRatio)
+  })
+})
+
+// =============================================================================
+// Bound tests
+// =============================================================================
+
+describe('boundTestShocks', () => {
+  it('growth and primary balance shocks last shockYears from startYear', () => {
+    const shocks = boundTestShocks('combined', 10)
+    expect(shocks).toHaveLength(11)
+    expect(shocks[0]).toEqual({})
+    expect(shocks[1].realGrowth).toBe(-DSA_PARAMS.growthSd)
+    expect(shocks[2].primaryDeficit).toBe(DSA_PARAMS.primaryBalanceShock)
+    expect(shocks[3].realGrowth).toBeUndefined()
+  })
+
+  it('the interest shock is permanent and the contingent liability a one-off', () => {
+    const interest = boundTestShocks('interest', 10)
+    expect(interest[10].baseRate).toBe(0.02)
+    const contingent = boundTestShocks('contingentLiabilities', 10)
+    expect(contingent[1]).toEqual({ debt: 0.10 })
+    expect(contingent[2].debt).toBeUndefined()
+  })
+
+  it('adds to the shocks already in the options', () => {
+    const shocks = boundTestShocks('interest', 3, DSA_PARAMS, [{}, { baseRate: 0.001, inflation: 0.01 }])
+    expect(shocks[1]).toEqual({ baseRate: 0.021, inflation: 0.01 })
+  })
+
+  it('rejects unknown tests', () => {
+    expect(() => boundTestShocks('exchangeRate', 10)).toThrow('Unknown bound test: exchangeRate')
+  })
+})
+
+describe('runDebtSustainabilityAnalysis', () => {
+  const dsa = runDebtSustainabilityAnalysis({}, options)
+  const test = key => dsa.tests.find(entry => entry.key === key)
+
+  it('runs every bound test in order', () => {
+    expect(dsa.tests.map(entry => entry.key)).toEqual(Object.keys(BOUND_TESTS))
+    expect(dsa.baseline.projection).toEqual(projectFiscalPath({}, options))
+  })
+
+  it('every shock raises the final debt ratio', () => {
+    dsa.tests.forEach(entry => expect(entry.debtRatioDiff).toBeGreaterThan(0))
+  })
+
+  it('the combined shock is worse than each of its parts', () => {
+    for (const key of ['growth', 'interest', 'primaryBalance']) {
+      expect(test('combined').summary.finalDebtRatio).toBeGreaterThan(test(key).summary.finalDebtRatio)
+    }
+  })
+
+  it('the contingent liability adds about 10 pp of GDP of debt at once', () => {
+    const contingent = test('contingentLiabilities').projection
+    const jump = contingent[2].debtRatio - dsa.baseline.projection[2].debtRatio
+    expect(jump).toBeGreaterThan(9)
+    expect(jump).toBeLessThan(11)
+  })
+
+  it('the contingent liability moves the debt level, not the deficit or growth', () => {
+    const contingent = test('contingentLiabilities').projection
+    expect(contingent[1].deficit).toBe(dsa.baseline.projection[1].deficit)
+    expect(contingent[1].gdp).toBe(dsa.baseline.projection[1].gdp)
+    expect(contingent[2].gdp).toBe(dsa.baseline.projection[2].gdp)
+  })
+
+  it('the debt jump is refinanced through the OAT ladder too', () => {
+    const ladder = { ...options, debtModel: 'ladder' }
+    const reference = projectFiscalPath({}, ladder)
+    const shocked = projectFiscalPath({}, { ...ladder, shocks: boundTestShocks('contingentLiabilities', options.years) })
+    expect(shocked[2].debt - reference[2].debt).toBeCloseTo(0.10 * reference[1].gdp, 0)
+    expect(shocked[3].interest).toBeGreaterThan(reference[3].interest)
+  })
+
+  it('France is above the high-scrutiny benchmarks', () => {
+    expect(dsa.baseline.summary.debtAboveBenchmark).toBe(true)
+    expect(dsa.baseline.summary.peakFinancingNeeds).toBeGreaterThan(DSA_PARAMS.financingNeedsBenchmark)
+  })
+
+  it('parameters can be overridden', () => {
+    const mild = runDebtSustainabilityAnalysis({}, options, { interestShock: 0.01 })
+    expect(mild.tests[1].debtRatioDiff).toBeLessThan(test('interest').debtRatioDiff)
+    expect(mild.params.interestShock).toBe(0.01)
+  })
+})
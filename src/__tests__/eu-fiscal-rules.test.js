@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest'
+import {
+  EU_FISCAL_RULES,
+  FISCAL_RULE_KEYS,
+  structuralPosition,
+  assessFiscalRules,
+} from '../eu-fiscal-rules'
+import { projectFiscalPath, MACRO_BASELINE } from '../projection-engine-v1.8'
+import { calculatePolicyImpact, PRESETS } from '../policy-impact'
+
+// Synthetic projection: constant nominal GDP and closed gap, deficit path in % GDP
+function synthetic(deficits, { debtRatios = null, interest = 2, inflationRate = MACRO_BASELINE.inflation * 100 } = {}) {
+  return deficits.map((d, t) => ({
+    year: 2025 + t,
+    gdp: 100,
+    deficit: d,
+    interest,
+    deficitRatio: d,
+    debtRatio: debtRatios ? debtRatios[t] : 110,
+    outputGap: 0,
+    inflationRate,
+  }))
+}
+
+// =============================================================================
+// Calibration
+// =============================================================================
+
+describe('EU_FISCAL_RULES', () => {
+  it('uses the Treaty reference values', () => {
+    expect(EU_FISCAL_RULES.deficitReference).toBe(3)
+    expect(EU_FISCAL_RULES.debtReference).toBe(60)
+  })
+
+  it('net primary expenditure is ~47% of GDP', () => {
+    expect(EU_FISCAL_RULES.expenditureShare).toBeCloseTo(0.466, 2)
+  })
+
+  it('the extended period spreads the adjustment', () => {
+    const { adjustmentPeriods } = EU_FISCAL_RULES
+    expect(adjustmentPeriods[7].spbAdjustment).toBeLessThan(adjustmentPeriods[4].spbAdjustment)
+    expect(adjustmentPeriods[7].resilienceStep).toBe(0.25)
+    expect(adjustmentPeriods[4].resilienceStep).toBe(0.4)
+  })
+})
+
+describe('structuralPosition', () => {
+  it('removes the cyclical component from the balances', () => {
+    const position = structuralPosition({ gdp: 1000, deficit: 50, interest: 20, outputGap: -2 })
+    expect(position.balance).toBeCloseTo(-5, 10)
+    expect(position.primaryBalance).toBeCloseTo(-3, 10)
+    expect(position.structuralBalance).toBeCloseTo(-5 + 2 * EU_FISCAL_RULES.budgetSemiElasticity, 10)
+    expect(position.structuralPrimaryBalance).toBeCloseTo(-3 + 2 * EU_FISCAL_RULES.budgetSemiElasticity, 10)
+  })
+
+  it('leaves one-offs out of the structural balances', () => {
+    const position = structuralPosition({ gdp: 1000, deficit: 30, interest: 20, outputGap: 0, oneOffs: 20 })
+    expect(position.balance).toBeCloseTo(-3, 10)
+    expect(position.structuralBalance).toBeCloseTo(-5, 10)
+    expect(position.structuralPrimaryBalance).toBeCloseTo(-3, 10)
+  })
+
+  it('reads the engine structural balances when the entry has them', () => {
+    const result = projectFiscalPath({}, { years: 3, shocks: [{ realGrowth: -0.02 }] })
+    for (const entry of result) {
+      expect(structuralPosition(entry).structuralBalance).toBe(entry.structuralBalance)
+      expect(structuralPosition(entry).structuralPrimaryBalance).toBe(entry.structuralPrimaryBalance)
+    }
+  })
+
+  it('the fallback matches the engine structural balance (gap in force that year)', () => {
+    const result = projectFiscalPath({}, { years: 3, shocks: [{ realGrowth: -0.02 }] })
+    for (const { structuralBalance, structuralPrimaryBalance, ...entry } of result) {
+      expect(structuralPosition(entry).structuralBalance).toBeCloseTo(structuralBalance, 1)
+      expect(structuralPosition(entry).structuralPrimaryBalance).toBeCloseTo(structuralPrimaryBalance, 1)
+    }
+  })
+})
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+describe('assessFiscalRules', () => {
+  it('rejects adjustment periods other than 4 or 7 years', () => {
+    expect(() => assessFiscalRules(synthetic([5, 4]), { adjustmentPeriod: 5 })).toThrow('4 or 7')
+  })
+
+  it('flags every year above the 3% reference value', () => {
+    const report = assessFiscalRules(synthetic([5, 4, 2.9, 2.5]))
+    expect(report.summary.breachYears.deficit).toEqual([2025, 2026])
+  })
+
+  it('an adjustment at the reference pace keeps expenditure on its ceiling', () => {
+    const report = assessFiscalRules(synthetic([5, 4.4, 3.8, 3.2]))
+    for (const y of report.years.slice(1)) {
+      expect(y.npeGrowth).toBeCloseTo(y.npeCeiling, 1)
+      expect(y.rules.expenditure).toBe(true)
+    }
+    expect(report.years[3].controlAccount).toBe(0)
+  })
+
+  it('a slower adjustment accumulates in the control account', () => {
+    const report = assessFiscalRules(synthetic([5, 4.8, 4.6, 4.4]))
+    expect(report.years[1].npeDeviation).toBeCloseTo(0.4, 5)
+    expect(report.years[3].controlAccount).toBeCloseTo(1.2, 5)
+    expect(report.years[1].significantDeviation).toBe(true)
+    expect(report.summary.breachYears.expenditure).toEqual([2026, 2027, 2028])
+  })
+
+  it('the 4-year period requires a faster adjustment', () => {
+    const deficits = [5, 4.4, 3.8, 3.2]
+    const seven = assessFiscalRules(synthetic(deficits), { adjustmentPeriod: 7 })
+    const four = assessFiscalRules(synthetic(deficits), { adjustmentPeriod: 4 })
+    expect(four.years[1].npeCeiling).toBeLessThan(seven.years[1].npeCeiling)
+    expect(four.years[1].rules.expenditure).toBe(false)
+  })
+
+  it('EDP benchmark requires 0.5 pp of structural primary adjustment', () => {
+    const report = assessFiscalRules(synthetic([5, 4.6, 4.0]))
+    expect(report.years[1].rules.edpAdjustment).toBe(false)
+    expect(report.years[2].rules.edpAdjustment).toBe(true)
+  })
+
+  it('EDP is abrogated once the deficit is below 3% this year and next', () => {
+    const report = assessFiscalRules(synthetic([5, 4.4, 2.9, 3.2, 2.6, 2.0]))
+    expect(report.years[2].edpStatus).toBe('open')
+    expect(report.years[4].edpStatus).toBe('abrogated')
+    expect(report.summary.edpExitYear).toBe(2029)
+
+    const steady = assessFiscalRules(synthetic([5, 4.4, 3.8, 2.9, 2.3, 1.7]))
+    expect(steady.summary.edpExitYear).toBe(2028)
+    expect(steady.years[4].edpStatus).toBe('none')
+  })
+
+  it('a deficit above 3% reopens the EDP', () => {
+    const report = assessFiscalRules(synthetic([2.5, 2.5, 3.5], { debtRatios: [55, 55, 55] }), { edpOpen: false })
+    expect(report.years[0].edpStatus).toBe('none')
+    expect(report.years[2].edpStatus).toBe('open')
+    expect(report.years[2].edpTrigger).toBe('deficit')
+  })
+
+  it('a significant deviation with high debt opens a debt-based EDP', () => {
+    const report = assessFiscalRules(synthetic([2.0, 2.5, 2.9]), { edpOpen: false })
+    expect(report.years[1].edpTrigger).toBe('debt')
+    expect(report.years[2].edpStatus).toBe('open')
+  })
+
+  it('resilience safeguard applies outside the EDP while the structural deficit exceeds 1.5%', () => {
+    const debtRatios = [55, 55, 55, 55, 55]   // Below 60%: deviations cannot open an EDP
+    const report = assessFiscalRules(synthetic([2.8, 2.7, 2.4, 1.4, 1.4], { debtRatios }), { edpOpen: false })
+    expect(report.years[1].rules.resilienceSafeguard).toBe(false)
+    expect(report.years[2].rules.resilienceSafeguard).toBe(true)
+    expect(report.years[4].rules.resilienceSafeguard).toBe(null)
+  })
+
+  it('debt safeguard requires 1 pp/yr of decline above 90% after the EDP', () => {
+    const debtRatios = [110, 109.5, 109, 107]
+    const report = assessFiscalRules(synthetic([2.5, 2.2, 1.9, 1.6], { debtRatios }), { edpOpen: false })
+    expect(report.years[1].rules.debtSafeguard).toBe(false)
+    expect(report.years[3].rules.debtSafeguard).toBe(true)
+  })
+
+  it('every year lists its breaches in FISCAL_RULE_KEYS order', () => {
+    const report = assessFiscalRules(synthetic([5, 5, 5]))
+    expect(report.years[1].breaches).toEqual(['deficit', 'expenditure', 'edpAdjustment'])
+    expect(report.years[1].breaches.every(k => FISCAL_RULE_KEYS.includes(k))).toBe(true)
+    expect(report.summary.compliant).toBe(false)
+    expect(report.summary.firstBreachYear).toBe(2025)
+  })
+})
+
+// =============================================================================
+// Projections
+// =============================================================================
+
+describe('assessFiscalRules on projections', () => {
+  it('baseline stays in EDP with a growing control account', () => {
+    const report = assessFiscalRules(projectFiscalPath({}, { years: 10 }))
+    expect(report.summary.edpExitYear).toBe(null)
+    expect(report.years[10].controlAccount).toBeGreaterThan(report.years[5].controlAccount)
+  })
+
+  it('a front-loaded consolidation exits the EDP in year 0', () => {
+    const report = assessFiscalRules(projectFiscalPath({ revenueChange: 100 }, { years: 10 }))
+    expect(report.summary.edpExitYear).toBe(2025)
+  })
+
+  it('reports one entry per projection year for every preset', () => {
+    for (const preset of Object.values(PRESETS)) {
+      const projection = projectFiscalPath(calculatePolicyImpact(preset.levers), { years: 10 })
+      const report = assessFiscalRules(projection)
+      expect(report.years).toHaveLength(projection.length)
+      expect(report.years.map(y => y.year)).toEqual(projection.map(e => e.year))
+    }
+  })
+})
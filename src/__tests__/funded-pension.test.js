@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest'
+import { FUNDED_PENSION_PARAMS, contributionBase, createFund, payoutRate, rollFund } from '../funded-pension'
+import { projectFiscalPath, PENSION_REFORM } from '../projection-engine-v1.8'
+import { createModelConfig } from '../model-config'
+
+const { capitalisation } = PENSION_REFORM
+const base = contributionBase(capitalisation)
+
+// =============================================================================
+// Calibration
+// =============================================================================
+
+describe('contributionBase', () => {
+  it('is ~184.6 Md€ of pension cotisations', () => {
+    expect(base).toBeCloseTo(184.6, 0)
+  })
+
+  it('follows PENSION_REFORM.capitalisation', () => {
+    expect(contributionBase({ ...capitalisation, cotisationsShareOfRecettes: 0.14 })).toBeCloseTo(base / 2, 10)
+  })
+})
+
+// =============================================================================
+// Payout profile
+// =============================================================================
+
+describe('payoutRate', () => {
+  it('is zero before the first cohorts retire', () => {
+    expect(payoutRate(0, capitalisation)).toBe(0)
+    expect(payoutRate(FUNDED_PENSION_PARAMS.firstPayoutYear - 1, capitalisation)).toBe(0)
+  })
+
+  it('ramps up to the annuity rate over the transition', () => {
+    const first = payoutRate(FUNDED_PENSION_PARAMS.firstPayoutYear, capitalisation)
+    expect(first).toBeGreaterThan(0)
+    expect(first).toBeLessThan(FUNDED_PENSION_PARAMS.annuityRate)
+    const mature = FUNDED_PENSION_PARAMS.firstPayoutYear + capitalisation.transitionYears
+    expect(payoutRate(mature, capitalisation)).toBe(FUNDED_PENSION_PARAMS.annuityRate)
+  })
+})
+
+// =============================================================================
+// Annual roll
+// =============================================================================
+
+describe('rollFund', () => {
+  it('contributions phase in and scale with the share', () => {
+    const y0 = rollFund(createFund(), { share: 10, t: 0 }, PENSION_REFORM)
+    const y2 = rollFund(createFund(), { share: 10, t: 2 }, PENSION_REFORM)
+    expect(y0.contributions).toBeCloseTo(0.10 * base / 3, 5)
+    expect(y2.contributions).toBeCloseTo(0.10 * base, 5)
+  })
+
+  it('contributions grow with nominal GDP', () => {
+    const y = rollFund(createFund(), { share: 10, t: 5, gdpIndex: 1.2 }, PENSION_REFORM)
+    expect(y.contributions).toBeCloseTo(0.10 * base * 1.2, 5)
+  })
+
+  it('assets accumulate contributions plus return minus payouts', () => {
+    const fund = { assets: 100 }
+    const y = rollFund(fund, { share: 10, t: 10 }, PENSION_REFORM)
+    expect(y.fund.assets).toBeCloseTo(100 + y.investmentIncome + y.contributions - y.payouts, 10)
+    expect(y.investmentIncome).toBeCloseTo(100 * FUNDED_PENSION_PARAMS.nominalReturn, 10)
+  })
+
+  it('return is configurable', () => {
+    const y = rollFund({ assets: 100 }, { share: 0, t: 0, nominalReturn: 0.06 }, PENSION_REFORM)
+    expect(y.investmentIncome).toBeCloseTo(6, 10)
+  })
+
+  it('funded pensions relieve the PAYG mass', () => {
+    const y = rollFund({ assets: 200 }, { share: 10, t: 10 }, PENSION_REFORM)
+    expect(y.paygRelief).toBeCloseTo(y.payouts * FUNDED_PENSION_PARAMS.paygOffset, 10)
+    expect(y.paygRelief).toBeGreaterThan(0)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath capitalisation
+// =============================================================================
+
+describe('projectFiscalPath capitalisation', () => {
+  const reform = (capitalisation, extra = {}) => ({
+    retirementAge: 64, desindexation: 0, pensionCap: 0, notionnel: false, capitalisation, ...extra,
+  })
+  const baseline = projectFiscalPath({}, { years: 30 })
+  const funded = projectFiscalPath({}, { years: 30, pensionReform: reform(10) })
+
+  it('capitalisation 0 leaves the projection unchanged', () => {
+    const zero = projectFiscalPath({}, { years: 30, pensionReform: reform(0) })
+    expect(zero.map(e => e.deficit)).toEqual(baseline.map(e => e.deficit))
+    expect(zero.every(e => e.fundAssets === 0)).toBe(true)
+  })
+
+  it('double payment raises the deficit in the transition years', () => {
+    expect(funded[3].capitalisationContributions).toBeGreaterThan(15)
+    expect(funded[3].deficit).toBeGreaterThan(baseline[3].deficit + 15)
+  })
+
+  it('transition cost is borne by the Sécurité sociale pillar', () => {
+    const gap = funded[0].assoDeficit - baseline[0].assoDeficit
+    expect(gap).toBeCloseTo(funded[0].capitalisationContributions, 0)
+  })
+
+  it('fund assets grow over the horizon', () => {
+    expect(funded[10].fundAssets).toBeGreaterThan(funded[5].fundAssets)
+    expect(funded[30].fundAssets).toBeGreaterThan(300)
+  })
+
+  it('funded pensions start after the first payout year and keep rising', () => {
+    expect(funded[FUNDED_PENSION_PARAMS.firstPayoutYear - 1].fundedPensions).toBe(0)
+    expect(funded[20].paygRelief).toBeGreaterThan(funded[10].paygRelief)
+    expect(funded[30].paygRelief).toBeGreaterThan(0.5 * funded[30].capitalisationContributions)
+  })
+
+  it('a higher fund return builds a larger fund', () => {
+    const rich = projectFiscalPath({}, { years: 30, pensionReform: reform(10, { fundReturn: 0.06 }) })
+    expect(rich[30].fundAssets).toBeGreaterThan(funded[30].fundAssets)
+  })
+
+  it('reads the capitalisation calibration from the model config', () => {
+    const config = createModelConfig({ pensionReformParams: { capitalisation: { cotisationsShareOfRecettes: 0.14 } } })
+    const half = projectFiscalPath({}, { years: 30, pensionReform: reform(10), config })
+    expect(half[3].capitalisationContributions).toBeCloseTo(funded[3].capitalisationContributions / 2, 0)
+    const slow = projectFiscalPath({}, { years: 30, pensionReform: reform(10),
+      config: createModelConfig({ pensionReformParams: { capitalisation: { transitionYears: 40 } } }) })
+    expect(slow[20].fundedPensions).toBeLessThan(funded[20].fundedPensions)
+  })
+})
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest'
+import {
+  GENERATIONAL_PARAMS, GENERATIONAL_CATEGORIES, ageProfile, netTaxProfiles, generationalAccounts, runGenerationalAccounting,
+} from '../generational-accounting'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+import { getPopulationProjection } from '../demographics'
+
+const options = { years: 10 }
+const population = getPopulationProjection('central')
+
+// =============================================================================
+// Age profiles
+// =============================================================================
+
+describe('ageProfile', () => {
+  it('fills the bands and leaves the other ages at zero', () => {
+    const profile = ageProfile([[2, 3, 1.5], [5, 5, 2]], 6)
+    expect(profile).toEqual([0, 0, 1.5, 1.5, 0, 2, 0])
+  })
+})
+
+describe('netTaxProfiles', () => {
+  const projection = projectFiscalPath({}, options)
+  const flows = netTaxProfiles(projection, { population })
+
+  it('spreads the 2025 aggregates over the population', () => {
+    const sum = type => Object.values(GENERATIONAL_CATEGORIES)
+      .filter(category => category.type === type)
+      .reduce((total, category) => total + category.aggregate, 0)
+    expect(flows[0].taxes).toBeCloseTo(sum('tax'), 6)
+    expect(flows[0].transfers).toBeCloseTo(sum('transfer'), 6)
+  })
+
+  it('unallocated spending closes the projected primary balance', () => {
+    flows.forEach((flow, t) => {
+      const { adjustedPrimaryDeficit, priceLevel } = projection[t]
+      expect(flow.taxes - flow.unallocated - flow.transfers).toBeCloseTo(-adjustedPrimaryDeficit / (priceLevel / 100), 6)
+    })
+  })
+
+  it('working ages pay net taxes, children and the old receive net transfers', () => {
+    expect(flows[0].netTax[45]).toBeGreaterThan(0)
+    expect(flows[0].netTax[8]).toBeLessThan(0)
+    expect(flows[0].netTax[80]).toBeLessThan(0)
+  })
+
+  it('a policy delta moves only its category', () => {
+    const taxed = netTaxProfiles(projection, { population, policyDeltas: { labour: 10 } })
+    expect(taxed[0].taxes - flows[0].taxes).toBeCloseTo(10, 6)
+    expect(taxed[0].tax[5]).toBe(flows[0].tax[5])
+    expect(taxed[0].transfers).toBeCloseTo(flows[0].transfers, 6)
+  })
+})
+
+// =============================================================================
+// Accounts
+// =============================================================================
+
+describe('generationalAccounts', () => {
+  const accounts = generationalAccounts(projectFiscalPath({}, options), { population })
+  const cohort = age => accounts.cohorts.find(entry => entry.age === age)
+
+  it('one account per living cohort, pensioners below workers', () => {
+    expect(accounts.cohorts).toHaveLength(population[0].ages.length)
+    expect(cohort(0).birthYear).toBe(2025)
+    expect(cohort(25).account).toBeGreaterThan(0)
+    expect(cohort(70).account).toBeLessThan(0)
+    expect(cohort(70).account).toBeLessThan(cohort(25).account)
+  })
+
+  it('a deficit-financed baseline leaves an imbalance on future generations', () => {
+    expect(accounts.futureAccount).toBeGreaterThan(accounts.newbornAccount)
+    expect(accounts.imbalance).toBe(accounts.futureAccount - accounts.newbornAccount)
+    expect(accounts.imbalanceRatio).toBeGreaterThan(0)
+  })
+
+  it('a higher discount rate lowers the weight of distant flows', () => {
+    const high = generationalAccounts(projectFiscalPath({}, options), { population }, { ...GENERATIONAL_PARAMS, discountRate: 0.05 })
+    expect(high.cohorts[0].taxes).toBeLessThan(cohort(0).taxes)
+    expect(high.cohorts[0].transfers).toBeLessThan(cohort(0).transfers)
+  })
+
+  it('rejects a discount rate at or below productivity growth', () => {
+    expect(() => generationalAccounts(projectFiscalPath({}, options), { population }, { discountRate: 0.01, productivityGrowth: 0.01 }))
+      .toThrow('Generational accounts need a discount rate above productivity growth')
+  })
+
+  it('stays finite on a long horizon', () => {
+    const long = generationalAccounts(projectFiscalPath({}, { years: 45 }), { population })
+    expect(Number.isFinite(long.futureAccount)).toBe(true)
+    expect(Number.isFinite(long.imbalance)).toBe(true)
+  })
+})
+
+// =============================================================================
+// Scenario vs baseline
+// =============================================================================
+
+describe('runGenerationalAccounting', () => {
+  const unchanged = runGenerationalAccounting({}, options)
+
+  it('an unchanged policy matches its baseline', () => {
+    expect(unchanged.imbalanceChange).toBe(0)
+    unchanged.cohorts.forEach(entry => expect(entry.diff).toBe(0))
+  })
+
+  it('a tax rise is paid by the living and lowers the imbalance', () => {
+    const taxed = runGenerationalAccounting({ incomeTaxChange: 2 }, options)
+    expect(taxed.cohorts[45].diff).toBeGreaterThan(0)
+    expect(taxed.imbalanceChange).toBeLessThan(0)
+  })
+
+  it('a later retirement age weighs most on the cohorts it defers', () => {
+    const pensionReform = {
+      retirementAge: 67, desindexation: 0, pensionCap: 0, notionnel: false, capitalisation: 0, fundReturn: 0.04,
+    }
+    const reform = runGenerationalAccounting({}, { ...options, pensionReform })
+    expect(reform.cohorts[60].diff).toBeGreaterThan(reform.cohorts[85].diff)
+    expect(reform.cohorts[60].diff).toBeGreaterThan(0)
+    expect(reform.imbalanceChange).toBeLessThan(0)
+  })
+
+  it('a tax cut shifts the burden to future generations', () => {
+    const cut = runGenerationalAccounting({ vatChange: -2 }, options)
+    expect(cut.cohorts[30].diff).toBeLessThan(0)
+    expect(cut.imbalanceChange).toBeGreaterThan(0)
+  })
+})
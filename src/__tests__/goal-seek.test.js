@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import { GOAL_SEEK_PARAMS, evaluateTarget, goalSeek } from '../goal-seek'
+import { LEVER_BOUNDS, PRESETS, calculatePolicyImpact } from '../policy-impact'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+import { CALIBRATION_PRESETS, createModelConfig } from '../model-config'
+
+const onStep = (value, bound) => {
+  const steps = (value - bound.min) / bound.step
+  return Math.abs(steps - Math.round(steps)) < 1e-6
+}
+
+// =============================================================================
+// Target evaluation
+// =============================================================================
+
+describe('evaluateTarget', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('reads the deficit ratio of the target year', () => {
+    const entry = baseline.find(e => e.year === 2029)
+    expect(evaluateTarget(baseline, { type: 'deficit', value: 3, year: 2029 })).toEqual({ value: entry.deficitRatio, met: false })
+    expect(evaluateTarget(baseline, { type: 'deficit', value: 10, year: 2029 }).met).toBe(true)
+  })
+
+  it('debt stabilisation compares the debt ratio with the year before', () => {
+    const { value, met } = evaluateTarget(baseline, { type: 'debtStable', year: 2030 })
+    expect(value).toBeCloseTo(baseline[5].debtRatio - baseline[4].debtRatio, 10)
+    expect(met).toBe(false)
+  })
+
+  it('throws on unknown types and years outside the projection', () => {
+    expect(() => evaluateTarget(baseline, { type: 'surplus', year: 2029 })).toThrow('Unknown target type')
+    expect(() => evaluateTarget(baseline, { type: 'deficit', value: 3, year: 2040 })).toThrow('outside the projection')
+    expect(() => evaluateTarget(baseline, { type: 'debtStable', year: 2025 })).toThrow('after the first')
+  })
+})
+
+// =============================================================================
+// Solver
+// =============================================================================
+
+describe('goalSeek', () => {
+  const target = { type: 'deficit', value: 3, year: 2029 }
+
+  it('reaches 3% deficit in 2029 with every lever free', () => {
+    const result = goalSeek(target, {}, { years: 10 })
+    expect(result.feasible).toBe(true)
+    expect(result.value).toBeLessThanOrEqual(3 + GOAL_SEEK_PARAMS.tolerance)
+    expect(result.share).toBeGreaterThan(0)
+    expect(result.share).toBeLessThan(1)
+  })
+
+  it('the returned levers reproduce the reported value', () => {
+    const result = goalSeek(target, {}, { years: 10 })
+    const projection = projectFiscalPath(calculatePolicyImpact(result.levers), { years: 10 })
+    expect(projection.find(e => e.year === 2029).deficitRatio).toBe(result.value)
+  })
+
+  it('moves each lever towards the bound that lowers the deficit, on its slider step', () => {
+    const { levers } = goalSeek(target, {}, { years: 10 })
+    expect(levers.incomeTaxChange).toBeGreaterThan(0)
+    expect(levers.csgRate).toBeGreaterThan(0)
+    expect(levers.spendingEducation).toBeLessThan(0)
+    expect(levers.pensionIndexation).toBeLessThan(0)
+    expect(levers.dgfChange).toBeLessThan(0)
+    for (const [key, value] of Object.entries(levers)) {
+      expect(onStep(value, LEVER_BOUNDS[key])).toBe(true)
+      expect(value).toBeGreaterThanOrEqual(LEVER_BOUNDS[key].min)
+      expect(value).toBeLessThanOrEqual(LEVER_BOUNDS[key].max)
+    }
+  })
+
+  it('only moves the free levers', () => {
+    const levers = { ...PRESETS.plf2025.levers }
+    const result = goalSeek(target, levers, { years: 10 }, { freeLevers: ['spendingSolidarity', 'healthSpending', 'vatChange'] })
+    expect(Object.keys(result.changes).sort()).toEqual(['healthSpending', 'spendingSolidarity', 'vatChange'])
+    expect(result.levers.incomeTaxChange).toBe(levers.incomeTaxChange)
+    expect(result.changes.spendingSolidarity.from).toBe(levers.spendingSolidarity)
+  })
+
+  it('returns the levers unchanged when the target is already met', () => {
+    const levers = { vatChange: 1 }
+    const result = goalSeek({ type: 'deficit', value: 8, year: 2027 }, levers, { years: 10 })
+    expect(result.alreadyMet).toBe(true)
+    expect(result.share).toBe(0)
+    expect(result.levers).toEqual(levers)
+    expect(result.changes).toEqual({})
+  })
+
+  it('reports an out-of-reach target with the levers at their bounds', () => {
+    const result = goalSeek({ type: 'deficit', value: 0, year: 2027 }, {}, { years: 10 }, { freeLevers: ['csgRate'] })
+    expect(result.feasible).toBe(false)
+    expect(result.share).toBe(1)
+    expect(result.levers.csgRate).toBe(LEVER_BOUNDS.csgRate.max)
+    expect(result.value).toBeGreaterThan(0)
+  })
+
+  it('a later target year needs a larger effort as the baseline deficit widens', () => {
+    const early = goalSeek({ type: 'deficit', value: 4, year: 2027 }, {}, { years: 10 })
+    const late = goalSeek({ type: 'deficit', value: 4, year: 2032 }, {}, { years: 10 })
+    expect(early.feasible && late.feasible).toBe(true)
+    expect(late.share).toBeGreaterThan(early.share)
+  })
+
+  it('stabilises the debt ratio, raising spending where the multiplier pays for itself', () => {
+    const result = goalSeek({ type: 'debtStable', year: 2030 }, {}, { years: 10 })
+    expect(result.feasible).toBe(true)
+    const entry = result.projection.findIndex(e => e.year === 2030)
+    expect(result.projection[entry].debtRatio - result.projection[entry - 1].debtRatio).toBeLessThanOrEqual(GOAL_SEEK_PARAMS.tolerance)
+    expect(result.levers.localInvestment).toBeGreaterThan(0)
+  })
+
+  it('extends the projection to the target year', () => {
+    const result = goalSeek({ type: 'deficit', value: 4, year: 2033 }, {}, { years: 5 })
+    expect(result.projection[result.projection.length - 1].year).toBe(2033)
+  })
+
+  it('passes the config to both engines', () => {
+    const config = createModelConfig(CALIBRATION_PRESETS.ofce.overrides)
+    const freeLevers = ['spendingSolidarity', 'healthSpending', 'incomeTaxChange']
+    const loose = { type: 'deficit', value: 5, year: 2029 }
+    const ofce = goalSeek(loose, {}, { years: 10, config }, { freeLevers })
+    const reference = goalSeek(loose, {}, { years: 10 }, { freeLevers })
+    expect(ofce.feasible && reference.feasible).toBe(true)
+    expect(ofce.share).toBeGreaterThan(reference.share)
+  })
+
+  it('rejects unknown targets, empty lever sets and levers without bounds', () => {
+    expect(() => goalSeek({ type: 'surplus', year: 2029 })).toThrow('Unknown target type')
+    expect(() => goalSeek(target, {}, {}, { freeLevers: [] })).toThrow('at least one lever')
+    expect(() => goalSeek(target, {}, {}, { freeLevers: ['wealthTax'] })).toThrow('wealthTax')
+  })
+})
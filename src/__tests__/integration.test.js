@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { calculatePolicyImpact, PRESETS, PENSION_REFORM_PRESETS } from '../policy-impact'
+import { calculatePolicyImpact, calculatePolicyImpactPath, PRESETS, PENSION_REFORM_PRESETS } from '../policy-impact'
 import {
   STRUCTURAL_REFORMS,
   PENSION_REFORM,
@@ -71,17 +71,27 @@ describe('Maximum austerity (all taxes up, all spending down)', () => {
   })
   const baseline = getBaselineProjection(10)
   const projection = projectFiscalPath(impact, { years: 10, enableRiskPremium: true })
+  const expansionOnly = projectFiscalPath(impact, { years: 10, enableRiskPremium: true, enableOutputGap: false })
 
   it('deficit improvement (static) is massive', () => {
     const improvement = impact.revenueChange - impact.spendingChange
     expect(improvement).toBeGreaterThan(150)
   })
 
-  it('validation passes (no extreme projections within 10 years)', () => {
-    const result = validateProjection(projection)
+  it('validation passes under expansion multipliers (no extreme projections within 10 years)', () => {
+    const result = validateProjection(expansionOnly)
     expect(result.valid).toBe(true)
   })
 
+  it('self-inflicted recession switches to recession multipliers and worsens debt', () => {
+    // Output gap below -2% from year 1 → full recession regime
+    expect(projection[1].recessionWeight).toBe(1)
+    expect(projection[10].debtRatio).toBeGreaterThan(expansionOnly[10].debtRatio)
+    // Only the debt level may breach validation bounds — no rate or GDP collapse
+    const result = validateProjection(projection)
+    expect(result.warnings.every(w => w.includes('Debt ratio'))).toBe(true)
+  })
+
   it('growth is severely negative due to ETI tax drag + multiplier spending cuts', () => {
     // Tax increases + spending cuts both reduce growth in the new model
     expect(impact.growthEffect).toBeLessThan(-0.03)
@@ -360,3 +370,67 @@ describe('Migration and dependance integration', () => {
     }
   })
 })
+
+// =============================================================================
+// Collectivités locales (APUL) levers → projection
+// =============================================================================
+
+describe('APUL levers integration with projection', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('DGF cut lowers the APU deficit in year 0, by less than the cut', () => {
+    const result = projectFiscalPath(calculatePolicyImpact({ dgfChange: -10 }), { years: 10 })
+    const gain = baseline[0].deficit - result[0].deficit
+    expect(gain).toBeGreaterThan(0)
+    expect(gain).toBeLessThan(10)
+  })
+
+  it('local investment push raises GDP', () => {
+    const result = projectFiscalPath(calculatePolicyImpact({ localInvestment: 20 }), { years: 10 })
+    expect(result[1].gdp).toBeGreaterThan(baseline[1].gdp)
+  })
+})
+
+// =============================================================================
+// Time-phased lever schedules → projection
+// =============================================================================
+
+describe('Lever schedules integration with projection', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('a single impact and a constant impact path give the same projection', () => {
+    const impact = calculatePolicyImpact({ vatChange: 1, spendingDefense: 5 })
+    const path = calculatePolicyImpactPath({ vatChange: 1, spendingDefense: 5 }, 10)
+    expect(projectFiscalPath(path, { years: 10 })).toEqual(projectFiscalPath(impact, { years: 10 }))
+  })
+
+  it('nothing happens before a lever starts', () => {
+    const path = calculatePolicyImpactPath({ csgRate: { value: 2, startYear: 2028 } }, 10)
+    const result = projectFiscalPath(path, { years: 10 })
+    expect(result[2].deficit).toBe(baseline[2].deficit)
+    expect(result[3].deficit).toBeLessThan(baseline[3].deficit)
+  })
+
+  it('a temporary tax rise stops improving the deficit after its sunset', () => {
+    const path = calculatePolicyImpactPath({ incomeTaxChange: { value: 2, sunsetYear: 2028 } }, 10)
+    const result = projectFiscalPath(path, { years: 10 })
+    const permanent = projectFiscalPath(calculatePolicyImpact({ incomeTaxChange: 2 }), { years: 10 })
+    expect(result[2].deficit).toBeCloseTo(permanent[2].deficit, 5)
+    expect(result[5].deficit).toBeGreaterThan(permanent[5].deficit)
+  })
+
+  it('a ramped cut phases its savings in', () => {
+    const path = calculatePolicyImpactPath({ spendingSolidarity: { value: -30, rampYears: 3 } }, 10)
+    const result = projectFiscalPath(path, { years: 10 })
+    const gain = (t) => baseline[t].deficit - result[t].deficit
+    expect(gain(1)).toBeGreaterThan(gain(0))
+    expect(gain(2)).toBeGreaterThan(gain(1))
+  })
+
+  it('a short path holds its last entry to the end of the horizon', () => {
+    const path = calculatePolicyImpactPath({ vatChange: 1 }, 3)
+    const result = projectFiscalPath(path, { years: 10 })
+    const full = projectFiscalPath(calculatePolicyImpact({ vatChange: 1 }), { years: 10 })
+    expect(result[10].deficit).toBe(full[10].deficit)
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { MACRO_SHOCKS, SHOCK_FIELDS, MACRO_SHOCK_PARAMS, resolveMacroShocks, macroShockYear } from '../macro-shocks'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+import { calculatePolicyImpact, PRESETS } from '../policy-impact'
+import { createModelConfig } from '../model-config'
+
+// =============================================================================
+// Library and shock path
+// =============================================================================
+
+describe('MACRO_SHOCKS', () => {
+  it('profiles only use the known shock fields', () => {
+    for (const shock of Object.values(MACRO_SHOCKS)) {
+      expect(shock.profile.length).toBeGreaterThan(0)
+      shock.profile.forEach(step => Object.keys(step).forEach(field => expect(SHOCK_FIELDS).toContain(field)))
+    }
+  })
+
+  it('the pandemic recession is the deepest growth shock, the energy shock the inflation one', () => {
+    const trough = key => Math.min(...MACRO_SHOCKS[key].profile.map(step => step.realGrowth || 0))
+    expect(trough('pandemic2020')).toBeLessThan(trough('spreadCrisis2011'))
+    expect(MACRO_SHOCKS.energyShock2022.profile[0].inflation).toBeGreaterThan(0.03)
+  })
+})
+
+describe('resolveMacroShocks', () => {
+  it('fills in the start year and intensity', () => {
+    const [shock] = resolveMacroShocks(['politicalCrisis'])
+    expect(shock).toMatchObject({ key: 'politicalCrisis', startYear: 1, intensity: 1 })
+  })
+
+  it('rejects unknown shocks and negative intensities', () => {
+    expect(() => resolveMacroShocks(['krach1929'])).toThrow('Unknown macro shock: krach1929')
+    expect(() => resolveMacroShocks([{ key: 'pandemic2020', intensity: -1 }])).toThrow('non-negative')
+  })
+})
+
+describe('macroShockYear', () => {
+  it('applies the profile from the start year, scaled by the intensity', () => {
+    const shocks = resolveMacroShocks([{ key: 'spreadCrisis2011', startYear: 3, intensity: 2 }])
+    expect(macroShockYear(shocks, 2)).toMatchObject({ spread: 0, active: [] })
+    expect(macroShockYear(shocks, 4)).toMatchObject({ realGrowth: -0.03, spread: 0.03, unemployment: 1.6, active: ['spreadCrisis2011'] })
+    expect(macroShockYear(shocks, 7).active).toEqual([])
+  })
+
+  it('stacks overlapping shocks', () => {
+    const shocks = resolveMacroShocks(['spreadCrisis2011', 'politicalCrisis'])
+    const year = macroShockYear(shocks, 1)
+    expect(year.spread).toBeCloseTo(0.0130, 10)
+    expect(year.realGrowth).toBeCloseTo(-0.008, 10)
+    expect(year.active).toEqual(['spreadCrisis2011', 'politicalCrisis'])
+  })
+})
+
+// =============================================================================
+// projectFiscalPath integration
+// =============================================================================
+
+describe('macro shocks in projectFiscalPath', () => {
+  const options = { years: 10 }
+  const baseline = projectFiscalPath({}, options)
+
+  it('a pandemic recession raises the debt ratio through growth and revenue', () => {
+    const result = projectFiscalPath({}, { ...options, macroShocks: [{ key: 'pandemic2020', startYear: 2 }] })
+    expect(result[1]).toEqual(baseline[1])
+    expect(result[2].deficit).toBeGreaterThan(baseline[2].deficit + 50)
+    expect(result[2].outputGap).toBeLessThan(-5)
+    expect(result[3].debtRatio).toBeGreaterThan(baseline[3].debtRatio + 10)
+    expect(result[2].macroShocks).toEqual(['pandemic2020'])
+  })
+
+  it('the spread raises the marginal rate', () => {
+    const result = projectFiscalPath({}, { ...options, macroShocks: ['spreadCrisis2011'] })
+    expect(result[2].riskPremiumBps - baseline[2].riskPremiumBps).toBeGreaterThanOrEqual(150)
+    expect(result[10].interest).toBeGreaterThan(baseline[10].interest)
+  })
+
+  it('shock unemployment adds to the Okun path and costs benefits', () => {
+    const result = projectFiscalPath({}, { ...options, macroShocks: ['spreadCrisis2011'] })
+    expect(result[2].unemploymentRate).toBeGreaterThan(baseline[2].unemploymentRate + 0.8)
+    expect(result[2].unemploymentBenefitCost)
+      .toBeCloseTo(0.8 * MACRO_SHOCK_PARAMS.benefitCostPerPoint * result[2].gdp / 2850, 1)
+    expect(baseline[2].unemploymentBenefitCost).toBe(0)
+  })
+
+  it('an inflation shock erodes the debt ratio', () => {
+    const result = projectFiscalPath({}, { ...options, macroShocks: ['energyShock2022'] })
+    expect(result[1].inflationRate).toBeCloseTo(5.2, 1)
+    expect(result[2].inflationRate).toBeCloseTo(4.9, 1)
+    expect(result[5].debtRatio).toBeLessThan(baseline[5].debtRatio)
+  })
+
+  it('intensity scales the shock and zero cancels it', () => {
+    const half = projectFiscalPath({}, { ...options, macroShocks: [{ key: 'pandemic2020', intensity: 0.5 }] })
+    const full = projectFiscalPath({}, { ...options, macroShocks: ['pandemic2020'] })
+    const none = projectFiscalPath({}, { ...options, macroShocks: [{ key: 'pandemic2020', intensity: 0 }] })
+    expect(half[2].debtRatio - baseline[2].debtRatio).toBeLessThan(full[2].debtRatio - baseline[2].debtRatio)
+    expect(none[10].debtRatio).toBe(baseline[10].debtRatio)
+  })
+
+  it('stacks with a policy preset and with the per-year shocks', () => {
+    const impact = calculatePolicyImpact(PRESETS.nfp.levers)
+    const preset = projectFiscalPath(impact, options)
+    const shocked = projectFiscalPath(impact, { ...options, macroShocks: ['politicalCrisis'] })
+    expect(shocked[3].debtRatio).toBeGreaterThan(preset[3].debtRatio)
+    const drawn = projectFiscalPath({}, { ...options, shocks: [{}, { politicalPremium: 0.001 }], macroShocks: ['politicalCrisis'] })
+    const scripted = projectFiscalPath({}, { ...options, macroShocks: ['politicalCrisis'] })
+    expect(drawn[1].riskPremiumBps).toBe(scripted[1].riskPremiumBps + 10)
+  })
+
+  it('the benefit cost is configurable', () => {
+    const config = createModelConfig({ macroShockParams: { benefitCostPerPoint: 0 } })
+    const result = projectFiscalPath({}, { ...options, config, macroShocks: ['spreadCrisis2011'] })
+    result.forEach(entry => expect(entry.unemploymentBenefitCost).toBe(0))
+  })
+})
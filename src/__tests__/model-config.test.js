@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_MODEL_CONFIG,
+  CALIBRATION_PRESETS,
+  mergeConfig,
+  createModelConfig,
+} from '../model-config'
+import {
+  FISCAL_MULTIPLIERS,
+  ONDAM_FLOOR,
+  calculatePolicyImpact,
+  calculatePolicyImpactPath,
+} from '../policy-impact'
+import {
+  MACRO_BASELINE,
+  DEMOGRAPHIC_PRESSURE_PER_YEAR,
+  projectFiscalPath,
+} from '../projection-engine-v1.8'
+import { runMonteCarlo } from '../monte-carlo'
+import { ISSUANCE_MIX_PRESETS } from '../debt-stock'
+
+// =============================================================================
+// Merge
+// =============================================================================
+
+describe('mergeConfig', () => {
+  it('merges nested objects field by field', () => {
+    const merged = mergeConfig({ a: { x: 1, y: 2 }, b: 3 }, { a: { y: 5 } })
+    expect(merged).toEqual({ a: { x: 1, y: 5 }, b: 3 })
+  })
+
+  it('replaces arrays and scalars', () => {
+    const merged = mergeConfig({ path: [1, 2, 3], rate: 0.1 }, { path: [4], rate: 0.2 })
+    expect(merged).toEqual({ path: [4], rate: 0.2 })
+  })
+
+  it('does not mutate its inputs', () => {
+    const base = { a: { x: 1 } }
+    const overrides = { a: { x: 2 } }
+    mergeConfig(base, overrides)
+    expect(base.a.x).toBe(1)
+    expect(overrides.a.x).toBe(2)
+  })
+
+  it('throws on unknown keys with their full path', () => {
+    expect(() => createModelConfig({ fiscalMultiplier: {} })).toThrow('fiscalMultiplier')
+    expect(() => createModelConfig({ fiscalMultipliers: { educaton: {} } })).toThrow('fiscalMultipliers.educaton')
+  })
+})
+
+describe('createModelConfig', () => {
+  it('defaults to the module constants', () => {
+    expect(createModelConfig()).toEqual(DEFAULT_MODEL_CONFIG)
+    expect(DEFAULT_MODEL_CONFIG.fiscalMultipliers).toBe(FISCAL_MULTIPLIERS)
+    expect(DEFAULT_MODEL_CONFIG.macroBaseline).toBe(MACRO_BASELINE)
+  })
+
+  it('overrides one multiplier regime and keeps the rest', () => {
+    const config = createModelConfig({ fiscalMultipliers: { education: { expansion: 1.2 } } })
+    expect(config.fiscalMultipliers.education).toEqual({ expansion: 1.2, recession: FISCAL_MULTIPLIERS.education.recession })
+    expect(config.fiscalMultipliers.defense).toEqual(FISCAL_MULTIPLIERS.defense)
+    expect(FISCAL_MULTIPLIERS.education.expansion).toBe(0.90)
+  })
+
+  it('every calibration preset builds a valid config', () => {
+    for (const preset of Object.values(CALIBRATION_PRESETS)) {
+      expect(() => createModelConfig(preset.overrides)).not.toThrow()
+    }
+  })
+})
+
+// =============================================================================
+// calculatePolicyImpact
+// =============================================================================
+
+describe('calculatePolicyImpact with config', () => {
+  const levers = { spendingEducation: 10, healthSpending: -6, incomeTaxChange: 1, dgfChange: -5 }
+
+  it('default config reproduces the constant-based result', () => {
+    expect(calculatePolicyImpact(levers, { config: createModelConfig() })).toEqual(calculatePolicyImpact(levers))
+  })
+
+  it('OFCE multipliers give a larger spending growth effect than Banque de France', () => {
+    const stimulus = { spendingEducation: 10, spendingDefense: 10 }
+    const bdf = calculatePolicyImpact(stimulus, { config: createModelConfig(CALIBRATION_PRESETS.banqueDeFrance.overrides) })
+    const ofce = calculatePolicyImpact(stimulus, { config: createModelConfig(CALIBRATION_PRESETS.ofce.overrides) })
+    expect(ofce.growthEffect).toBeGreaterThan(bdf.growthEffect)
+    expect(ofce.revenueChange).toBe(bdf.revenueChange)
+  })
+
+  it('behavioural response is configurable', () => {
+    const config = createModelConfig({ behavioralResponse: { incomeTax: { increaseEfficiency: 1 } } })
+    const full = calculatePolicyImpact({ incomeTaxChange: 1 }, { config })
+    const reference = calculatePolicyImpact({ incomeTaxChange: 1 })
+    expect(full.revenueChange / reference.revenueChange).toBeCloseTo(1 / 0.70, 5)
+  })
+
+  it('ONDAM floor is configurable', () => {
+    const config = createModelConfig({ ondamFloor: { hardFloor: -10, dampingFactor: 1 } })
+    expect(calculatePolicyImpact({ healthSpending: -8 }, { config }).ondamEffectiveCut).toBe(-8)
+    expect(calculatePolicyImpact({ healthSpending: -8 }).ondamEffectiveCut).toBeGreaterThan(ONDAM_FLOOR.hardFloor - 0.01)
+  })
+
+  it('APUL absorption is configurable', () => {
+    const config = createModelConfig({ apulResponse: { dgfAbsorption: { investment: 0.8, operating: 0 } } })
+    const impact = calculatePolicyImpact({ dgfChange: -10 }, { config })
+    expect(impact.apul.investmentChange).toBeCloseTo(-8, 5)
+  })
+
+  it('calculatePolicyImpactPath forwards the config', () => {
+    const config = createModelConfig(CALIBRATION_PRESETS.ofce.overrides)
+    const path = calculatePolicyImpactPath({ spendingEducation: 10 }, 2, { config })
+    expect(path[0].growthEffect).toBeCloseTo(calculatePolicyImpact({ spendingEducation: 10 }, { config }).growthEffect, 10)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath
+// =============================================================================
+
+describe('projectFiscalPath with config', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('default config reproduces the constant-based projection', () => {
+    expect(projectFiscalPath({}, { years: 10, config: createModelConfig() })).toEqual(baseline)
+  })
+
+  it('recalculates derived demographic pressure from the parameters', () => {
+    const config = createModelConfig({ demographicParams: { dependencyRatioDriftPerYear: 0.0096 } })
+    const result = projectFiscalPath({}, { years: 5, config })
+    expect(result[5].demographicPressure).toBeCloseTo(2 * 5 * DEMOGRAPHIC_PRESSURE_PER_YEAR, 0)
+  })
+
+  it('macro baseline calibration moves the starting point', () => {
+    const config = createModelConfig({ macroBaseline: { unemploymentRate: 8.0 } })
+    expect(projectFiscalPath({}, { years: 1, config })[0].unemploymentRate).toBeCloseTo(8.0, 5)
+  })
+
+  it('rollover rate and deficit stress are configurable', () => {
+    const fast = projectFiscalPath({}, { years: 10, config: createModelConfig({ rolloverRate: 0.25 }) })
+    expect(fast[0].averageMaturity).toBe(4)
+    const stressed = projectFiscalPath({}, { years: 10, config: createModelConfig({ deficitStressThreshold: 2 }) })
+    expect(stressed[10].effectiveInterestRate).toBeGreaterThan(baseline[10].effectiveInterestRate)
+  })
+
+  it('pension reform parameters are configurable', () => {
+    const pensionReform = { retirementAge: 66, desindexation: 0, pensionCap: 0, notionnel: false, capitalisation: 0 }
+    const config = createModelConfig({ pensionReformParams: { retirementAge: { rampUpYears: 2 } } })
+    const quick = projectFiscalPath({}, { years: 4, pensionReform, config })
+    const reference = projectFiscalPath({}, { years: 4, pensionReform })
+    expect(quick[2].pensionReformSaving).toBeGreaterThan(reference[2].pensionReformSaving)
+  })
+
+  it('debt ladder term spreads are configurable', () => {
+    const flat = { btf: 0, y2: 0, y5: 0, y10: 0, y30: 0, oati: 0 }
+    const config = createModelConfig({ debtStockParams: { termSpreads: flat } })
+    const longMix = { issuanceMix: ISSUANCE_MIX_PRESETS.long.mix, debtModel: 'ladder', years: 10 }
+    const reference = projectFiscalPath({}, longMix)
+    const flatCurve = projectFiscalPath({}, { ...longMix, config })
+    expect(flatCurve[10].interest).toBeLessThan(reference[10].interest)
+  })
+
+  it('rating weights and hysteresis are configurable', () => {
+    const stimulus = calculatePolicyImpact({ spendingSolidarity: 40 })
+    const config = createModelConfig({ ratingParams: { hysteresis: 100 } })
+    projectFiscalPath(stimulus, { years: 10, config }).forEach(entry => expect(entry.rating).toBe('A+'))
+    const noWeights = { debtRatio: 0, debtTrend: 0, deficitRatio: 0, interestToRevenue: 0, realGrowth: 0 }
+    const flat = projectFiscalPath(stimulus, { years: 10, config: createModelConfig({ ratingParams: { weights: noWeights } }) })
+    flat.forEach(entry => expect(entry.rating).toBe('A+'))
+    expect(projectFiscalPath(stimulus, { years: 10 })[10].rating).not.toBe('A+')
+  })
+
+  it('pillar account parameters are configurable', () => {
+    const config = createModelConfig({ pillarAccountsParams: { initialDebt: { acoss: 100 } } })
+    expect(projectFiscalPath({}, { years: 2, config })[0].acossDebt).toBe(100)
+  })
+
+  it('funded pension parameters are configurable', () => {
+    const pensionReform = { retirementAge: 64, desindexation: 0, pensionCap: 0, notionnel: false, capitalisation: 10 }
+    const config = createModelConfig({ fundedPensionParams: { contributionRampYears: 1 } })
+    const quick = projectFiscalPath({}, { years: 2, pensionReform, config })
+    const reference = projectFiscalPath({}, { years: 2, pensionReform })
+    expect(quick[0].capitalisationContributions).toBeGreaterThan(reference[0].capitalisationContributions)
+  })
+
+  it('state asset valuations are configurable', () => {
+    const config = createModelConfig({ stateAssets: { airbus: { value: { central: 20 } } } })
+    expect(projectFiscalPath({}, { years: 2, assetSales: ['airbus'], config })[1].assetSaleProceeds).toBe(20)
+  })
+
+  it('two calibrations run side by side in one session', () => {
+    const stimulus = { spendingEducation: 20 }
+    const run = key => {
+      const config = createModelConfig(CALIBRATION_PRESETS[key].overrides)
+      return projectFiscalPath(calculatePolicyImpact(stimulus, { config }), { years: 10, config })
+    }
+    const bdf = run('banqueDeFrance')
+    const ofce = run('ofce')
+    const reference = projectFiscalPath(calculatePolicyImpact(stimulus), { years: 10 })
+    expect(ofce[10].gdp).toBeGreaterThan(reference[10].gdp)
+    expect(reference[10].gdp).toBeGreaterThan(bdf[10].gdp)
+  })
+
+  it('Monte Carlo passes the config through to every draw', () => {
+    const config = createModelConfig({ macroBaseline: { unemploymentRate: 8.0 } })
+    const mc = runMonteCarlo({}, { years: 3, config }, { draws: 20 })
+    expect(mc.central[0].unemploymentRate).toBeCloseTo(8.0, 5)
+  })
+})
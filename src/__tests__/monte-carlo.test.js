@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MONTE_CARLO_PARAMS,
+  createRng,
+  choleskyDecompose,
+  drawCorrelatedShocks,
+  percentile,
+  runMonteCarlo,
+} from '../monte-carlo'
+import { projectFiscalPath } from '../projection-engine-v1.8'
+
+// =============================================================================
+// Seeded RNG
+// =============================================================================
+
+describe('createRng', () => {
+  it('same seed produces the same sequence', () => {
+    const a = createRng(42)
+    const b = createRng(42)
+    for (let i = 0; i < 10; i++) {
+      expect(a()).toBe(b())
+    }
+  })
+
+  it('different seeds produce different sequences', () => {
+    expect(createRng(1)()).not.toBe(createRng(2)())
+  })
+
+  it('draws are uniform in [0, 1)', () => {
+    const rng = createRng(7)
+    for (let i = 0; i < 1000; i++) {
+      const u = rng()
+      expect(u).toBeGreaterThanOrEqual(0)
+      expect(u).toBeLessThan(1)
+    }
+  })
+})
+
+// =============================================================================
+// Correlated shocks
+// =============================================================================
+
+describe('choleskyDecompose', () => {
+  it('reconstructs the calibrated correlation matrix', () => {
+    const L = choleskyDecompose(MONTE_CARLO_PARAMS.correlation)
+    const n = L.length
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        let sum = 0
+        for (let k = 0; k < n; k++) sum += L[i][k] * L[j][k]
+        expect(sum).toBeCloseTo(MONTE_CARLO_PARAMS.correlation[i][j], 10)
+      }
+    }
+  })
+
+  it('throws on a non positive-definite matrix', () => {
+    expect(() => choleskyDecompose([[1, 2], [2, 1]])).toThrow()
+  })
+})
+
+describe('drawCorrelatedShocks', () => {
+  const rng = createRng(123)
+  const L = choleskyDecompose(MONTE_CARLO_PARAMS.correlation)
+  const draws = Array.from({ length: 5000 }, () =>
+    drawCorrelatedShocks(rng, L, MONTE_CARLO_PARAMS.volatility))
+
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length
+  const sd = (xs) => {
+    const m = mean(xs)
+    return Math.sqrt(mean(xs.map(x => (x - m) ** 2)))
+  }
+
+  it('shocks are centred on zero', () => {
+    expect(mean(draws.map(d => d.realGrowth))).toBeCloseTo(0, 3)
+    expect(mean(draws.map(d => d.inflation))).toBeCloseTo(0, 3)
+  })
+
+  it('shock volatility matches calibration', () => {
+    expect(sd(draws.map(d => d.realGrowth))).toBeCloseTo(MONTE_CARLO_PARAMS.volatility.realGrowth, 3)
+    expect(sd(draws.map(d => d.baseRate))).toBeCloseTo(MONTE_CARLO_PARAMS.volatility.baseRate, 3)
+  })
+
+  it('growth and political premium are negatively correlated', () => {
+    const g = draws.map(d => d.realGrowth)
+    const p = draws.map(d => d.politicalPremium)
+    const mg = mean(g)
+    const mp = mean(p)
+    const cov = mean(g.map((x, i) => (x - mg) * (p[i] - mp)))
+    expect(cov / (sd(g) * sd(p))).toBeLessThan(-0.3)
+  })
+})
+
+describe('percentile', () => {
+  it('interpolates linearly', () => {
+    expect(percentile([0, 10, 20, 30, 40], 50)).toBe(20)
+    expect(percentile([0, 10], 25)).toBe(2.5)
+  })
+
+  it('returns the extremes at 0 and 100', () => {
+    expect(percentile([1, 2, 3], 0)).toBe(1)
+    expect(percentile([1, 2, 3], 100)).toBe(3)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath shocks option
+// =============================================================================
+
+describe('projectFiscalPath shocks', () => {
+  const baseline = projectFiscalPath({}, { years: 5 })
+
+  it('zero shocks reproduce the deterministic path', () => {
+    const zero = Array.from({ length: 6 }, () => ({ realGrowth: 0, inflation: 0, baseRate: 0, politicalPremium: 0 }))
+    expect(projectFiscalPath({}, { years: 5, shocks: zero })).toEqual(baseline)
+  })
+
+  it('negative growth shock raises unemployment and deficit', () => {
+    const shocks = [{ realGrowth: -0.02 }]
+    const shocked = projectFiscalPath({}, { years: 5, shocks })
+    expect(shocked[0].unemploymentRate).toBeGreaterThan(baseline[0].unemploymentRate)
+    expect(shocked[0].deficit).toBeGreaterThan(baseline[0].deficit)
+  })
+
+  it('inflation shock raises nominal growth but not unemployment', () => {
+    const shocked = projectFiscalPath({}, { years: 5, shocks: [{ inflation: 0.02 }] })
+    expect(shocked[0].nominalGrowthRate).toBeCloseTo(baseline[0].nominalGrowthRate + 2, 5)
+    expect(shocked[0].unemploymentRate).toBe(baseline[0].unemploymentRate)
+  })
+
+  it('premium shock raises interest charge in later years', () => {
+    const shocks = Array.from({ length: 6 }, () => ({ politicalPremium: 0.01 }))
+    const shocked = projectFiscalPath({}, { years: 5, shocks })
+    expect(shocked[5].interest).toBeGreaterThan(baseline[5].interest)
+  })
+})
+
+// =============================================================================
+// runMonteCarlo
+// =============================================================================
+
+describe('runMonteCarlo', () => {
+  const result = runMonteCarlo({}, { years: 10 }, { draws: 200, seed: 11 })
+
+  it('returns one band per projection year', () => {
+    expect(result.bands).toHaveLength(11)
+    expect(result.central).toHaveLength(11)
+    expect(result.bands[0].year).toBe(2025)
+  })
+
+  it('is reproducible for a given seed', () => {
+    const again = runMonteCarlo({}, { years: 10 }, { draws: 200, seed: 11 })
+    expect(again.bands).toEqual(result.bands)
+  })
+
+  it('different seeds give different bands', () => {
+    const other = runMonteCarlo({}, { years: 10 }, { draws: 200, seed: 12 })
+    expect(other.bands[10].debtRatio.p95).not.toBe(result.bands[10].debtRatio.p95)
+  })
+
+  it('percentiles are ordered for every field and year', () => {
+    for (const band of result.bands) {
+      for (const field of ['debtRatio', 'deficitRatio', 'effectiveInterestRate']) {
+        const b = band[field]
+        expect(b.p5).toBeLessThanOrEqual(b.p25)
+        expect(b.p25).toBeLessThanOrEqual(b.p50)
+        expect(b.p50).toBeLessThanOrEqual(b.p75)
+        expect(b.p75).toBeLessThanOrEqual(b.p95)
+      }
+    }
+  })
+
+  it('uncertainty fans out over the horizon', () => {
+    const width = (t) => result.bands[t].debtRatio.p95 - result.bands[t].debtRatio.p5
+    expect(width(10)).toBeGreaterThan(width(2))
+  })
+
+  it('central scenario lies inside the 90% band at year 10', () => {
+    const band = result.bands[10].debtRatio
+    expect(result.central[10].debtRatio).toBeGreaterThan(band.p5)
+    expect(result.central[10].debtRatio).toBeLessThan(band.p95)
+  })
+
+  it('passes projection options through (political risk shifts the band up)', () => {
+    const risky = runMonteCarlo({}, { years: 10, politicalRiskPremium: 0.02 }, { draws: 200, seed: 11 })
+    expect(risky.bands[10].debtRatio.p50).toBeGreaterThan(result.bands[10].debtRatio.p50)
+  })
+
+  it('adds the draws to the caller\'s shocks', () => {
+    const shocks = [{}, { realGrowth: -0.02, debt: 50 }]
+    const calm = Object.fromEntries(Object.keys(MONTE_CARLO_PARAMS.volatility).map(key => [key, 0]))
+    const held = runMonteCarlo({}, { years: 10, shocks }, { draws: 20, seed: 11, volatility: calm })
+    held.bands.forEach((band, t) => expect(band.debtRatio.p50).toBeCloseTo(held.central[t].debtRatio, 2))
+    expect(held.central[10].debtRatio).toBeGreaterThan(result.central[10].debtRatio)
+
+    const shocked = runMonteCarlo({}, { years: 10, shocks }, { draws: 200, seed: 11 })
+    expect(shocked.bands[10].debtRatio.p50).toBeGreaterThan(result.bands[10].debtRatio.p50)
+  })
+})
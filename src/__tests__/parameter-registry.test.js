@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PARAMETER_UNITS, PARAMETER_GROUPS, CONFIDENCE_LABELS, PARAMETER_REGISTRY,
+  valueAt, rangedParameters, formatParameterValue, parameterOverrides,
+} from '../parameter-registry'
+import { BEHAVIORAL_RESPONSE, FISCAL_MULTIPLIERS } from '../policy-impact'
+import { STRUCTURAL_REFORMS, projectFiscalPath } from '../projection-engine-v1.8'
+import { DEFAULT_MODEL_CONFIG, createModelConfig } from '../model-config'
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+describe('PARAMETER_REGISTRY', () => {
+  const byKey = Object.fromEntries(PARAMETER_REGISTRY.map(entry => [entry.key, entry]))
+
+  it('keys are unique and central values come from the default config', () => {
+    expect(Object.keys(byKey)).toHaveLength(PARAMETER_REGISTRY.length)
+    PARAMETER_REGISTRY.forEach(entry => expect(entry.central).toBe(valueAt(DEFAULT_MODEL_CONFIG, entry.path)))
+  })
+
+  it('every entry has a known unit, group and confidence, and a source', () => {
+    PARAMETER_REGISTRY.forEach(entry => {
+      expect(PARAMETER_UNITS[entry.unit]).toBeDefined()
+      expect(PARAMETER_GROUPS[entry.group]).toBeDefined()
+      expect(CONFIDENCE_LABELS[entry.confidence]).toBeDefined()
+      expect(entry.source).toBeTruthy()
+    })
+  })
+
+  it('every range brackets its central value', () => {
+    rangedParameters().forEach(entry => {
+      expect(entry.low).toBeLessThanOrEqual(entry.central)
+      expect(entry.high).toBeGreaterThanOrEqual(entry.central)
+      expect(entry.high).toBeGreaterThan(entry.low)
+    })
+  })
+
+  it('covers the tax responses, multipliers and reforms of the engine', () => {
+    expect(PARAMETER_REGISTRY.filter(entry => entry.group === 'behavioral'))
+      .toHaveLength(Object.keys(BEHAVIORAL_RESPONSE).length * 4)
+    expect(PARAMETER_REGISTRY.filter(entry => entry.path[0] === 'fiscalMultipliers'))
+      .toHaveLength(Object.keys(FISCAL_MULTIPLIERS).length * 2)
+    Object.keys(STRUCTURAL_REFORMS).forEach(key => {
+      expect(byKey[`structuralReforms.${key}.growthEffect`].reform).toBe(key)
+    })
+  })
+
+  it('covers the rating scorecard, the OAT ladder and the CADES / ACOSS accounts', () => {
+    const { ratingParams, debtStockParams, pillarAccountsParams } = DEFAULT_MODEL_CONFIG
+    Object.keys(ratingParams.weights).forEach(key => expect(byKey[`ratingParams.weights.${key}`].low).not.toBeNull())
+    expect(byKey['ratingParams.hysteresis'].group).toBe('riskPremium')
+    for (const field of ['initialComposition', 'termSpreads']) {
+      Object.keys(debtStockParams[field]).forEach(bucket => expect(byKey[`debtStockParams.${field}.${bucket}`].group).toBe('debt'))
+    }
+    expect(PARAMETER_REGISTRY.filter(entry => entry.path[0] === 'pillarAccountsParams').map(entry => entry.path[1]))
+      .toEqual(expect.arrayContaining(Object.keys(pillarAccountsParams)))
+    expect(byKey['macroShockParams.benefitCostPerPoint'].central).toBe(4.5)
+  })
+
+  it('observed data carries no range', () => {
+    expect(byKey['macroBaseline.gdp'].low).toBeNull()
+    expect(rangedParameters().find(entry => entry.key === 'macroBaseline.gdp')).toBeUndefined()
+  })
+
+  it('constants the model does not read carry no range', () => {
+    for (const key of ['part65GrowthPerYear', 'noriaEffect.maxDampening', 'noriaEffect.dampeningPerYear']) {
+      expect(byKey[`pensionReformParams.${key}`].low).toBeNull()
+      expect(byKey[`pensionReformParams.${key}`].note).toBe("Non utilisé par le modèle")
+    }
+  })
+})
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+describe('formatParameterValue', () => {
+  it('scales to the unit, with a French decimal comma', () => {
+    expect(formatParameterValue(0.0003, 'bps')).toBe('3 bps')
+    expect(formatParameterValue(0.45, 'ratio')).toBe('0,45')
+    expect(formatParameterValue(0.025, 'percent')).toBe('2,50 %')
+    expect(formatParameterValue(-0.0012, 'ppPerYear')).toBe('−0,12 pp/an')
+    expect(formatParameterValue(2850, 'mdEur')).toBe('2 850,0 Md€')
+  })
+})
+
+describe('parameterOverrides', () => {
+  it('builds a config partial, with growth and inflation in macroOverrides', () => {
+    const overrides = parameterOverrides({ rolloverRate: 0.1, 'macroBaseline.riskPremium.slope1': 0.0004, 'macroBaseline.inflation': 0.02 })
+    expect(overrides.config).toEqual({ rolloverRate: 0.1, macroBaseline: { riskPremium: { slope1: 0.0004 } } })
+    expect(overrides.macroOverrides).toEqual({ inflation: 0.02 })
+    expect(createModelConfig(overrides.config).macroBaseline.riskPremium.slope2)
+      .toBe(DEFAULT_MODEL_CONFIG.macroBaseline.riskPremium.slope2)
+  })
+
+  it('keeps the other elements of an array', () => {
+    const { config } = parameterOverrides({ 'ratingParams.forcedSellerSteps.1.premium': 0.02 })
+    const steps = createModelConfig(config).ratingParams.forcedSellerSteps
+    expect(steps).toHaveLength(DEFAULT_MODEL_CONFIG.ratingParams.forcedSellerSteps.length)
+    expect(steps[0]).toEqual(DEFAULT_MODEL_CONFIG.ratingParams.forcedSellerSteps[0])
+    expect(steps[1].premium).toBe(0.02)
+  })
+
+  it('the overrides reach the projection', () => {
+    const { config } = parameterOverrides({ 'macroBaseline.riskPremium.slope2': 0.001 })
+    expect(projectFiscalPath({}, { years: 10, config: createModelConfig(config) })[10].debtRatio)
+      .toBeGreaterThan(projectFiscalPath({}, { years: 10 })[10].debtRatio)
+  })
+
+  it('rejects unknown parameters', () => {
+    expect(() => parameterOverrides({ fooBar: 1 })).toThrow('Unknown parameter: fooBar')
+  })
+})
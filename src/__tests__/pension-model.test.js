@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PENSION_SYSTEM_PARAMS,
+  pensionReformEffect,
+  baselineDepartureAge,
+  pensionSystemYear,
+} from '../pension-model'
+import { projectFiscalPath, MACRO_BASELINE, PENSION_REFORM } from '../projection-engine-v1.8'
+import { PENSION_REFORM_PRESETS } from '../policy-impact'
+import { getPopulationProjection } from '../demographics'
+
+const reform = overrides => ({
+  retirementAge: 64, desindexation: 0, pensionCap: 0, notionnel: false, capitalisation: 0, ...overrides,
+})
+
+const year = (t, overrides = {}) => pensionSystemYear({
+  t,
+  effect: pensionReformEffect(null, t, PENSION_REFORM, MACRO_BASELINE.year),
+  gdp: MACRO_BASELINE.gdp,
+  baseGdp: MACRO_BASELINE.gdp,
+  ...overrides,
+}, PENSION_REFORM)
+
+// =============================================================================
+// Reform effects
+// =============================================================================
+
+describe('pensionReformEffect', () => {
+  it('no reform leaves every quantity unchanged', () => {
+    expect(pensionReformEffect(null, 10, PENSION_REFORM, 2025))
+      .toEqual({ retireeFactor: 1, pensionFactor: 1, massFactor: 1, ageShift: 0 })
+  })
+
+  it('retirement age removes retirees, not pension per head', () => {
+    const effect = pensionReformEffect(reform({ retirementAge: 67 }), 10, PENSION_REFORM, 2025)
+    expect(effect.retireeFactor).toBeCloseTo(1 - 3 * 0.025, 10)
+    expect(effect.pensionFactor).toBeCloseTo(1, 10)
+    expect(effect.ageShift).toBe(3)
+  })
+
+  it('desindexation, cap and notional accounts cut the average pension', () => {
+    const effect = pensionReformEffect(reform({ desindexation: 1, pensionCap: 10, notionnel: true }), 20, PENSION_REFORM, 2025)
+    expect(effect.retireeFactor).toBe(1)
+    expect(effect.pensionFactor).toBeCloseTo(1 - 0.005 * 20 - 0.10 - 0.06, 10)
+  })
+
+  it('the mass factor is floored at pensionFloor', () => {
+    const effect = pensionReformEffect(reform({ retirementAge: 72, desindexation: 2, pensionCap: 20, notionnel: true }), 20, PENSION_REFORM, 2025)
+    expect(effect.massFactor).toBe(PENSION_REFORM.pensionFloor)
+    expect(effect.retireeFactor * effect.pensionFactor).toBeCloseTo(PENSION_REFORM.pensionFloor, 10)
+  })
+})
+
+// =============================================================================
+// Annual accounts
+// =============================================================================
+
+describe('pensionSystemYear', () => {
+  it('2025 reproduces the COR indicators', () => {
+    const y = year(0)
+    expect(y.contributorsPerRetiree).toBeCloseTo(PENSION_REFORM.cotisantsPerRetraite, 10)
+    expect(y.retirees).toBe(PENSION_SYSTEM_PARAMS.retirees)
+    expect(y.spending).toBeCloseTo(PENSION_REFORM.pensionMass, 10)
+    expect(y.balanceRatio).toBeCloseTo(PENSION_SYSTEM_PARAMS.initialBalanceRatio, 10)
+    expect(y.relativePension).toBeCloseTo(50, 10)
+    expect(y.relativeLivingStandard).toBeCloseTo(100, 10)
+    expect(y.departureAge).toBe(PENSION_SYSTEM_PARAMS.departureAge.initial)
+  })
+
+  it('follows the linear cotisants/retraité decline without cohorts', () => {
+    const y = year(10)
+    expect(y.contributorsPerRetiree).toBeCloseTo(PENSION_REFORM.cotisantsPerRetraite - 10 * PENSION_REFORM.ratioDeclinePerYear, 10)
+    expect(y.contributors).toBeCloseTo(year(0).contributors, 10)
+  })
+
+  it('more retirees sharing the pension pressure lowers the relative pension and living standard', () => {
+    const y = year(10, { pensionPressure: 11.65 })
+    expect(y.relativePension).toBeLessThan(50)
+    expect(y.relativeLivingStandard).toBeLessThan(100)
+    expect(y.balance).toBeCloseTo(year(0).balance - 11.65, 10)
+  })
+
+  it('a later retirement age brings contributions from the deferred retirees', () => {
+    const effect = pensionReformEffect(reform({ retirementAge: 66 }), 10, PENSION_REFORM, 2025)
+    const reformed = year(10, { effect })
+    const unreformed = year(10)
+    const deferred = unreformed.retirees - reformed.retirees
+    expect(reformed.contributors - unreformed.contributors).toBeCloseTo(deferred * PENSION_SYSTEM_PARAMS.deferredRetireeEmployment, 10)
+    expect(reformed.contributionGain).toBeGreaterThan(0)
+    expect(reformed.balance - unreformed.balance).toBeCloseTo(reformed.reformSaving + reformed.contributionGain, 10)
+    expect(reformed.departureAge).toBe(unreformed.departureAge + 2)
+  })
+
+  it('capitalisation flows leave the PAYG balance', () => {
+    const y = year(10, { capitalisationContributions: 8, paygRelief: 3 })
+    expect(y.balance).toBeCloseTo(year(10).balance - 8 + 3, 10)
+  })
+
+  it('the departure age phases in the 2023 reform', () => {
+    expect(baselineDepartureAge(0)).toBe(62.8)
+    expect(baselineDepartureAge(PENSION_SYSTEM_PARAMS.departureAge.riseYears)).toBeCloseTo(63.8, 10)
+    expect(baselineDepartureAge(30)).toBeCloseTo(63.8, 10)
+  })
+
+  it('with cohorts, counts the population on either side of the departure age', () => {
+    const population = getPopulationProjection('central')
+    const y = year(45, { population: population[45], basePopulation: population[0] })
+    expect(y.retirees).toBeGreaterThan(PENSION_SYSTEM_PARAMS.retirees * 1.2)
+    expect(y.contributorsPerRetiree).toBeLessThan(1.4)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath integration
+// =============================================================================
+
+describe('pension system in projectFiscalPath', () => {
+  it('reports the COR indicators every year', () => {
+    const result = projectFiscalPath({}, { years: 10 })
+    expect(result[0].pensionBalanceRatio).toBeCloseTo(-0.2, 2)
+    expect(result[0].averageDepartureAge).toBe(62.8)
+    expect(result[10].contributorsPerRetiree).toBeCloseTo(1.58, 2)
+    expect(result[10].pensionBalance).toBeLessThan(result[0].pensionBalance)
+    expect(result[10].relativeLivingStandard).toBeLessThan(100)
+  })
+
+  it('age 66 improves the deficit by the saving plus the deferred contributions', () => {
+    const options = { years: 10, enableRiskPremium: false, enableOutputGap: false }
+    const baseline = projectFiscalPath({}, options)
+    const reformed = projectFiscalPath({}, { ...options, pensionReform: reform({ retirementAge: 66 }) })
+    expect(reformed[10].pensionContributionGain).toBeGreaterThan(0)
+    expect(reformed[1].deficit).toBeCloseTo(
+      baseline[1].deficit - reformed[1].pensionReformSaving - reformed[1].pensionContributionGain, 0)
+    expect(reformed[10].averageDepartureAge).toBe(baseline[10].averageDepartureAge + 2)
+    expect(reformed[10].contributorsPerRetiree).toBeGreaterThan(baseline[10].contributorsPerRetiree)
+  })
+
+  it('desindexation lowers the living standard of retirees but not the departure age', () => {
+    const baseline = projectFiscalPath({}, { years: 10 })
+    const reformed = projectFiscalPath({}, { years: 10, pensionReform: reform({ desindexation: 1.5 }) })
+    expect(reformed[10].relativeLivingStandard).toBeLessThan(baseline[10].relativeLivingStandard)
+    expect(reformed[10].averageDepartureAge).toBe(baseline[10].averageDepartureAge)
+    expect(reformed[10].pensionContributionGain).toBe(0)
+  })
+
+  it('the reformeRetraites preset moves the system into surplus', () => {
+    const result = projectFiscalPath({}, { years: 10, pensionReform: PENSION_REFORM_PRESETS.reformeRetraites.pensionReform })
+    expect(result[10].pensionBalanceRatio).toBeGreaterThan(0)
+  })
+
+  it('the cohort demography deepens the deficit of the system', () => {
+    const linear = projectFiscalPath({}, { years: 20 })
+    const cohort = projectFiscalPath({}, { years: 20, demography: 'central' })
+    expect(cohort[20].pensionBalanceRatio).toBeLessThan(linear[20].pensionBalanceRatio)
+    expect(cohort[20].contributorsPerRetiree).toBeLessThan(PENSION_REFORM.cotisantsPerRetraite)
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PILLAR_ACCOUNTS_PARAMS,
+  createPillarAccounts,
+  assoDebt,
+  pillarInterest,
+  rollPillarAccounts,
+} from '../pillar-accounts'
+import { projectFiscalPath, MACRO_BASELINE } from '../projection-engine-v1.8'
+import { BASELINE, calculatePolicyImpact } from '../policy-impact'
+
+// =============================================================================
+// Opening balances
+// =============================================================================
+
+describe('createPillarAccounts', () => {
+  const accounts = createPillarAccounts()
+
+  it('ASSO debt is CADES + ACOSS + other ASSO', () => {
+    expect(assoDebt(accounts)).toBeCloseTo(285, 5)
+  })
+
+  it('APUL debt matches BASELINE', () => {
+    expect(accounts.apulDebt).toBe(BASELINE.apul.debt)
+  })
+
+  it('ACOSS starts below its ceiling', () => {
+    expect(accounts.acossDebt).toBeLessThan(PILLAR_ACCOUNTS_PARAMS.acossCeiling)
+  })
+})
+
+describe('pillarInterest', () => {
+  const accounts = createPillarAccounts()
+
+  it('ACOSS pays money-market rate plus spread', () => {
+    const i = pillarInterest(accounts, { moneyMarketRate: 0.03 })
+    expect(i.acoss).toBeCloseTo(accounts.acossDebt * (0.03 + PILLAR_ACCOUNTS_PARAMS.acossSpread), 10)
+  })
+
+  it('APUL interest reproduces baseline charges financières', () => {
+    expect(pillarInterest(accounts).apul).toBeCloseTo(BASELINE.apul.chargesFinancieres, 5)
+  })
+
+  it('ASSO interest is the sum of its accounts', () => {
+    const i = pillarInterest(accounts, { averageCost: 0.021 })
+    expect(i.asso).toBeCloseTo(i.cades + i.acoss + i.otherAsso, 10)
+  })
+})
+
+// =============================================================================
+// Annual roll
+// =============================================================================
+
+describe('rollPillarAccounts', () => {
+  const accounts = createPillarAccounts()
+  const resources = PILLAR_ACCOUNTS_PARAMS.cadesResources.crds + PILLAR_ACCOUNTS_PARAMS.cadesResources.csg
+
+  it('CADES amortises resources net of interest', () => {
+    const { cadesAmortisation } = rollPillarAccounts(accounts, { assoDeficit: 0, apulDeficit: 0, cadesInterest: 2.7 })
+    expect(cadesAmortisation).toBeCloseTo(resources - 2.7, 10)
+  })
+
+  it('ASSO debt moves by exactly the ASSO deficit', () => {
+    const roll = rollPillarAccounts(accounts, { assoDeficit: 12, apulDeficit: 0, cadesInterest: 2.7 })
+    expect(assoDebt(roll.accounts) - assoDebt(accounts)).toBeCloseTo(12, 10)
+  })
+
+  it('amortisation never exceeds remaining CADES debt', () => {
+    const nearlyRepaid = { ...accounts, cadesDebt: 3 }
+    const roll = rollPillarAccounts(nearlyRepaid, { assoDeficit: 0, apulDeficit: 0, cadesInterest: 0.06 })
+    expect(roll.cadesAmortisation).toBe(3)
+    expect(roll.accounts.cadesDebt).toBe(0)
+  })
+
+  it('ACOSS above its ceiling triggers a CADES transfer down to the floor', () => {
+    const roll = rollPillarAccounts(accounts, { assoDeficit: 40, apulDeficit: 0, cadesInterest: 2.7 })
+    expect(roll.cadesTransfer).toBeGreaterThan(0)
+    expect(roll.accounts.acossDebt).toBe(PILLAR_ACCOUNTS_PARAMS.acossFloorAfterTransfer)
+  })
+
+  it('no transfer while ACOSS stays under the ceiling', () => {
+    const roll = rollPillarAccounts(accounts, { assoDeficit: 5, apulDeficit: 0, cadesInterest: 2.7 })
+    expect(roll.cadesTransfer).toBe(0)
+  })
+
+  it('APUL debt moves by the APUL deficit', () => {
+    const roll = rollPillarAccounts(accounts, { assoDeficit: 0, apulDeficit: 9.3, cadesInterest: 2.7 })
+    expect(roll.accounts.apulDebt).toBeCloseTo(accounts.apulDebt + 9.3, 10)
+  })
+})
+
+// =============================================================================
+// projectFiscalPath per-pillar outputs
+// =============================================================================
+
+describe('projectFiscalPath pillar accounts', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('year 0 reproduces the BASELINE sub-sector deficits', () => {
+    expect(baseline[0].assoDeficit).toBeCloseTo(-BASELINE.securiteSociale.deficit, 1)
+    expect(baseline[0].apulDeficit).toBeCloseTo(-BASELINE.apul.deficit, 1)
+    expect(baseline[0].etatDeficit).toBeCloseTo(-BASELINE.etat.deficit, 0)
+  })
+
+  it('pillar deficits and debts sum to the totals every year', () => {
+    for (const e of baseline) {
+      expect(e.etatDeficit + e.assoDeficit + e.apulDeficit).toBeCloseTo(e.deficit, 0)
+      expect(e.etatDebt + e.assoDebt + e.apulDebt).toBeCloseTo(e.debt, 0)
+    }
+  })
+
+  it('opening État debt is total debt less ASSO and APUL', () => {
+    expect(baseline[0].etatDebt).toBeCloseTo(MACRO_BASELINE.debt - 285 - BASELINE.apul.debt, 1)
+  })
+
+  it('each pillar debt accumulates its own deficit', () => {
+    for (let t = 1; t < baseline.length; t++) {
+      expect(baseline[t].assoDebt).toBeCloseTo(baseline[t - 1].assoDebt + baseline[t - 1].assoDeficit, 0)
+      expect(baseline[t].apulDebt).toBeCloseTo(baseline[t - 1].apulDebt + baseline[t - 1].apulDeficit, 0)
+    }
+  })
+
+  it('baseline Sécu deficits force a CADES transfer within the horizon', () => {
+    expect(baseline.some(e => e.cadesTransfer > 0)).toBe(true)
+  })
+
+  it('Sécurité sociale levers move the ASSO account, not the État account', () => {
+    // Growth effect stripped so only the direct revenue shows
+    const impact = { ...calculatePolicyImpact({ csgRate: 1 }), growthEffect: 0, growthEffectDetail: null }
+    const result = projectFiscalPath(impact, { years: 10 })
+    expect(result[0].assoDeficit).toBeCloseTo(baseline[0].assoDeficit - impact.ss.revenue, 1)
+    expect(result[0].etatDeficit).toBeCloseTo(baseline[0].etatDeficit, 1)
+  })
+
+  it('DGF cut lowers the État deficit and raises the APUL deficit', () => {
+    const result = projectFiscalPath(calculatePolicyImpact({ dgfChange: -10 }), { years: 10 })
+    expect(result[0].etatDeficit).toBeLessThan(baseline[0].etatDeficit)
+    expect(result[0].apulDeficit).toBeGreaterThan(baseline[0].apulDeficit)
+  })
+
+  it('higher money-market rates raise the ASSO interest burden', () => {
+    const shocks = Array.from({ length: 11 }, () => ({ baseRate: 0.02 }))
+    const shocked = projectFiscalPath({}, { years: 10, shocks })
+    expect(shocked[0].assoDeficit).toBeGreaterThan(baseline[0].assoDeficit)
+  })
+
+  it('pension reform savings improve the ASSO balance', () => {
+    const pensionReform = { retirementAge: 66, desindexation: 0, pensionCap: 0, capitalisation: 0, notionnel: false }
+    const reformed = projectFiscalPath({}, { years: 10, pensionReform })
+    expect(reformed[5].assoDeficit).toBeLessThan(baseline[5].assoDeficit)
+  })
+})
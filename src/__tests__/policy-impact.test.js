@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { BASELINE, PRESETS, PENSION_REFORM_PRESETS, calculatePolicyImpact, BEHAVIORAL_RESPONSE, FISCAL_MULTIPLIERS, ONDAM_FLOOR, applyOndamFloor } from '../policy-impact'
+import { BASELINE, PRESETS, PENSION_REFORM_PRESETS, calculatePolicyImpact, BEHAVIORAL_RESPONSE, FISCAL_MULTIPLIERS, MULTIPLIER_REGIME, getRecessionWeight, blendMultiplier, ONDAM_FLOOR, applyOndamFloor, APUL_RESPONSE, calculateApulImpact, SCHEDULE_BASE_YEAR, LEVER_SCHEDULE_PRESETS, isLeverSchedule, resolveLever, resolveLevers, calculatePolicyImpactPath } from '../policy-impact'
 
 // =============================================================================
 // BASELINE constants - regression guards
@@ -140,6 +140,67 @@ describe('FISCAL_MULTIPLIERS constants', () => {
   })
 })
 
+// =============================================================================
+// Multiplier regime blending (output gap)
+// =============================================================================
+
+describe('MULTIPLIER_REGIME and getRecessionWeight', () => {
+  it('regime thresholds are 0% and -2% of potential GDP', () => {
+    expect(MULTIPLIER_REGIME.expansionGap).toBe(0)
+    expect(MULTIPLIER_REGIME.recessionGap).toBe(-2.0)
+  })
+
+  it('closed or positive gap → pure expansion', () => {
+    expect(getRecessionWeight(0)).toBe(0)
+    expect(getRecessionWeight(1.5)).toBe(0)
+  })
+
+  it('gap at or below -2% → pure recession', () => {
+    expect(getRecessionWeight(-2)).toBe(1)
+    expect(getRecessionWeight(-5)).toBe(1)
+  })
+
+  it('blends linearly in between', () => {
+    expect(getRecessionWeight(-1)).toBeCloseTo(0.5, 10)
+    expect(blendMultiplier(FISCAL_MULTIPLIERS.solidarity, -1))
+      .toBeCloseTo((FISCAL_MULTIPLIERS.solidarity.expansion + FISCAL_MULTIPLIERS.solidarity.recession) / 2, 10)
+  })
+})
+
+describe('calculatePolicyImpact - outputGap option', () => {
+  const levers = { spendingSolidarity: -60, incomeTaxChange: 2 }
+
+  it('default (gap 0) matches explicit expansion regime', () => {
+    expect(calculatePolicyImpact(levers).growthEffect)
+      .toBeCloseTo(calculatePolicyImpact(levers, { outputGap: 0 }).growthEffect, 12)
+  })
+
+  it('spending cuts hurt more in a downturn', () => {
+    const normal = calculatePolicyImpact(levers)
+    const downturn = calculatePolicyImpact(levers, { outputGap: -3 })
+    expect(downturn.growthEffect).toBeLessThan(normal.growthEffect)
+  })
+
+  it('output gap does not change revenue or spending', () => {
+    const normal = calculatePolicyImpact(levers)
+    const downturn = calculatePolicyImpact(levers, { outputGap: -3 })
+    expect(downturn.revenueChange).toBe(normal.revenueChange)
+    expect(downturn.spendingChange).toBe(normal.spendingChange)
+  })
+
+  it('growthEffectDetail recomposes the growth effect in each regime', () => {
+    const { tax, spendingExpansion, spendingRecession } = calculatePolicyImpact(levers).growthEffectDetail
+    expect(tax + spendingExpansion).toBeCloseTo(calculatePolicyImpact(levers).growthEffect, 12)
+    expect(tax + spendingRecession).toBeCloseTo(calculatePolicyImpact(levers, { outputGap: -2 }).growthEffect, 12)
+  })
+
+  it('solidarity -60% recession drag uses the 0.90 multiplier', () => {
+    const { spendingRecession } = calculatePolicyImpact({ spendingSolidarity: -60 }).growthEffectDetail
+    // -60% × 30 Md€ = -18 Md€ → -18 / 2850 × 0.90
+    expect(spendingRecession).toBeCloseTo(-18 / 2850 * FISCAL_MULTIPLIERS.solidarity.recession, 10)
+  })
+})
+
 // =============================================================================
 // Individual revenue levers — with behavioral response
 // =============================================================================
@@ -669,6 +730,213 @@ describe('ONDAM floor in calculatePolicyImpact', () => {
   })
 })
 
+// =============================================================================
+// COLLECTIVITÉS LOCALES (APUL)
+// =============================================================================
+
+describe('BASELINE APUL and APU perimeter', () => {
+  it('APUL revenue components sum to revenuTotal', () => {
+    const a = BASELINE.apul
+    const sum = a.taxeFonciere + a.tvaAffectee + a.dgf + a.autresConcoursEtat
+      + a.autresImpots + a.recettesInvestissement + a.autresRecettes
+    expect(sum).toBeCloseTo(a.revenuTotal, 1)
+  })
+
+  it('APUL spending components sum to spendingTotal', () => {
+    const a = BASELINE.apul
+    expect(a.fonctionnement + a.investissement + a.chargesFinancieres).toBeCloseTo(a.spendingTotal, 1)
+  })
+
+  it('APU consolidation removes État → APUL transfers', () => {
+    const transfers = BASELINE.apul.dgf + BASELINE.apul.autresConcoursEtat
+    expect(BASELINE.apu.revenuTotal).toBeCloseTo(BASELINE.integrated.revenuTotal + BASELINE.apul.revenuTotal - transfers, 1)
+    expect(BASELINE.apu.spendingTotal).toBeCloseTo(BASELINE.integrated.spendingTotal + BASELINE.apul.spendingTotal - transfers, 1)
+  })
+
+  it('APU deficit is the sum of sub-sector deficits', () => {
+    expect(BASELINE.apu.deficit).toBeCloseTo(BASELINE.integrated.deficit + BASELINE.apul.deficit, 1)
+  })
+})
+
+describe('calculateApulImpact', () => {
+  it('zero levers leave APUL unchanged', () => {
+    const r = calculateApulImpact(0, 0)
+    expect(r.revenue).toBe(0)
+    expect(r.spending).toBe(0)
+    expect(r.goldenRuleBinding).toBe(false)
+  })
+
+  it('DGF cut is absorbed by investment, operating spending and taxe foncière', () => {
+    const r = calculateApulImpact(-10, 0)
+    expect(r.investmentChange).toBeCloseTo(-10 * APUL_RESPONSE.dgfAbsorption.investment, 5)
+    expect(r.operatingChange).toBeCloseTo(-10 * APUL_RESPONSE.dgfAbsorption.operating, 5)
+    expect(r.localTaxChange).toBeCloseTo(10 * APUL_RESPONSE.dgfAbsorption.localTax, 5)
+  })
+
+  it('DGF cut leaves a residual APUL deficit equal to the borrowing share (net of FCTVA)', () => {
+    const r = calculateApulImpact(-10, 0)
+    // 10% borrowed + FCTVA lost on the 5 Md€ investment cut
+    const fctvaLoss = 5 * APUL_RESPONSE.fctvaRate
+    expect(r.spending - r.revenue).toBeCloseTo(1 + fctvaLoss, 5)
+  })
+
+  it('local investment receives FCTVA from the État', () => {
+    const r = calculateApulImpact(0, 10)
+    const dI = 10 * BASELINE.apul.investissement / 100
+    expect(r.investmentChange).toBeCloseTo(dI, 5)
+    expect(r.transfers).toBeCloseTo(dI * APUL_RESPONSE.fctvaRate, 5)
+  })
+
+  it('golden rule: gross savings never fall below capital repayments', () => {
+    const r = calculateApulImpact(-60, 0)
+    expect(r.goldenRuleBinding).toBe(true)
+    expect(r.grossSavings).toBeCloseTo(BASELINE.apul.remboursementCapital, 5)
+  })
+
+  it('golden rule: extra investment borrowing capped by désendettement capacity', () => {
+    const r = calculateApulImpact(0, 1000)
+    expect(r.goldenRuleBinding).toBe(true)
+    expect(r.desendettementYears).toBeCloseTo(APUL_RESPONSE.maxDesendettementYears, 5)
+  })
+
+  it('baseline désendettement capacity is about 6 years', () => {
+    expect(calculateApulImpact(0, 0).desendettementYears).toBeCloseTo(6, 0)
+  })
+})
+
+describe('APUL levers in calculatePolicyImpact', () => {
+  it('DGF transfer cancels out of consolidated totals', () => {
+    const r = calculatePolicyImpact({ dgfChange: -10 })
+    expect(r.etat.spending).toBeLessThan(-10)
+    // Consolidated: only the APUL own response is left
+    expect(r.spendingChange).toBeCloseTo(r.apul.investmentChange + r.apul.operatingChange, 5)
+    expect(r.revenueChange).toBeCloseTo(r.apul.localTaxChange, 5)
+  })
+
+  it('DGF cut improves the APU balance by less than its size', () => {
+    const r = calculatePolicyImpact({ dgfChange: -10 })
+    const balanceGain = r.revenueChange - r.spendingChange
+    expect(balanceGain).toBeGreaterThan(0)
+    expect(balanceGain).toBeLessThan(10)
+  })
+
+  it('DGF cut drags on growth through local investment', () => {
+    expect(calculatePolicyImpact({ dgfChange: -10 }).growthEffect).toBeLessThan(0)
+  })
+
+  it('local investment push raises growth and APU spending', () => {
+    const r = calculatePolicyImpact({ localInvestment: 20 })
+    expect(r.growthEffect).toBeGreaterThan(0)
+    expect(r.spendingChange).toBeCloseTo(20 * BASELINE.apul.investissement / 100, 5)
+  })
+
+  it('local investment multiplier is higher in recession', () => {
+    const exp = calculatePolicyImpact({ localInvestment: 20 })
+    const rec = calculatePolicyImpact({ localInvestment: 20 }, { outputGap: MULTIPLIER_REGIME.recessionGap })
+    expect(rec.growthEffect).toBeGreaterThan(exp.growthEffect)
+  })
+})
+
+// =============================================================================
+// LEVER SCHEDULES
+// =============================================================================
+
+describe('resolveLever', () => {
+  it('plain numbers apply in every year', () => {
+    expect(resolveLever(2, 2025)).toBe(2)
+    expect(resolveLever(2, 2034)).toBe(2)
+  })
+
+  it('undefined lever resolves to 0', () => {
+    expect(resolveLever(undefined)).toBe(0)
+  })
+
+  it('is zero before the start year', () => {
+    expect(resolveLever({ value: 1, startYear: 2027 }, 2026)).toBe(0)
+    expect(resolveLever({ value: 1, startYear: 2027 }, 2027)).toBe(1)
+  })
+
+  it('ramps linearly over rampYears', () => {
+    const schedule = { value: 3, startYear: 2026, rampYears: 3 }
+    expect(resolveLever(schedule, 2026)).toBeCloseTo(1, 10)
+    expect(resolveLever(schedule, 2027)).toBeCloseTo(2, 10)
+    expect(resolveLever(schedule, 2028)).toBeCloseTo(3, 10)
+    expect(resolveLever(schedule, 2035)).toBeCloseTo(3, 10)
+  })
+
+  it('returns to zero from the sunset year', () => {
+    const schedule = { value: 5, startYear: 2025, sunsetYear: 2028 }
+    expect(resolveLever(schedule, 2027)).toBe(5)
+    expect(resolveLever(schedule, 2028)).toBe(0)
+  })
+
+  it('explicit path is read by year and its last value held', () => {
+    const schedule = { path: [1, 2, 4] }
+    expect(resolveLever(schedule, SCHEDULE_BASE_YEAR)).toBe(1)
+    expect(resolveLever(schedule, SCHEDULE_BASE_YEAR + 2)).toBe(4)
+    expect(resolveLever(schedule, SCHEDULE_BASE_YEAR + 8)).toBe(4)
+  })
+
+  it('path can start later', () => {
+    expect(resolveLever({ path: [1, 2], startYear: 2027 }, 2026)).toBe(0)
+    expect(resolveLever({ path: [1, 2], startYear: 2027 }, 2028)).toBe(2)
+  })
+})
+
+describe('resolveLevers / isLeverSchedule', () => {
+  it('resolves a mixed lever set', () => {
+    const levers = { vatChange: 1, csgRate: { value: 2, rampYears: 2 } }
+    expect(resolveLevers(levers, 2025)).toEqual({ vatChange: 1, csgRate: 1 })
+  })
+
+  it('distinguishes schedules from numbers', () => {
+    expect(isLeverSchedule(1)).toBe(false)
+    expect(isLeverSchedule({ value: 1 })).toBe(true)
+  })
+})
+
+describe('calculatePolicyImpact with schedules', () => {
+  it('evaluates schedules in options.year', () => {
+    const levers = { csgRate: { value: 1, startYear: 2027 } }
+    expect(calculatePolicyImpact(levers).revenueChange).toBe(0)
+    expect(calculatePolicyImpact(levers, { year: 2027 }).revenueChange)
+      .toBeCloseTo(calculatePolicyImpact({ csgRate: 1 }).revenueChange, 10)
+  })
+
+  it('plain levers ignore the year', () => {
+    expect(calculatePolicyImpact({ vatChange: 1 }, { year: 2030 }))
+      .toEqual(calculatePolicyImpact({ vatChange: 1 }))
+  })
+})
+
+describe('calculatePolicyImpactPath', () => {
+  it('returns one entry per projection year', () => {
+    const path = calculatePolicyImpactPath({ vatChange: 1 }, 10)
+    expect(path).toHaveLength(11)
+    expect(path[0].year).toBe(SCHEDULE_BASE_YEAR)
+    expect(path[10].year).toBe(SCHEDULE_BASE_YEAR + 10)
+  })
+
+  it('3-year CSG ramp reaches full yield in the third year', () => {
+    const { lever, schedule } = LEVER_SCHEDULE_PRESETS.csgRamp
+    const path = calculatePolicyImpactPath({ [lever]: schedule }, 5)
+    const full = calculatePolicyImpact({ csgRate: 1 }).revenueChange
+    expect(path[0].revenueChange).toBe(0)
+    expect(path[1].revenueChange).toBeCloseTo(full / 3, 5)
+    expect(path[3].revenueChange).toBeCloseTo(full, 5)
+  })
+
+  it('LPM defense path raises spending year after year to ~+17 Md€ in 2030', () => {
+    const { lever, schedule } = LEVER_SCHEDULE_PRESETS.lpmDefense
+    const path = calculatePolicyImpactPath({ [lever]: schedule }, 6)
+    for (let t = 1; t <= 5; t++) {
+      expect(path[t].spendingChange).toBeGreaterThan(path[t - 1].spendingChange)
+    }
+    expect(path[5].spendingChange).toBeCloseTo(16.9, 0)
+    expect(path[6].spendingChange).toBeCloseTo(path[5].spendingChange, 10)
+  })
+})
+
 // =============================================================================
 // PENSION REFORM PRESETS (COR scenarios)
 // =============================================================================
@@ -1,11 +1,17 @@
 import { describe, it, expect } from 'vitest'
+import { calculatePolicyImpact, PRESETS, PENSION_REFORM_PRESETS } from '../policy-impact'
 import {
   MACRO_BASELINE,
   STRUCTURAL_REFORMS,
+  REFORM_OVERLAP,
   SOCIAL_HOUSING_LIQUIDATION,
   ROLLOVER_RATE,
   DEFICIT_STRESS_THRESHOLD,
   DEFICIT_STRESS_SENSITIVITY,
+  OUTPUT_GAP_PARAMS,
+  STRUCTURAL_BALANCE_PARAMS,
+  INFLATION_PARAMS,
+  INFLATION_SCENARIOS,
   DEMOGRAPHIC_PARAMS,
   DEMOGRAPHIC_PRESSURE_PER_YEAR,
   SENIOR_EMPLOYMENT,
@@ -13,13 +19,22 @@ import {
   MIGRATION_PARAMS,
   MIGRATION_NET_WORKERS_PER_YEAR,
   DEPENDANCE_PARAMS,
+  LONG_HORIZON_YEARS,
+  EXPLOSIVE_DEBT_RATIO,
+  resolveMacroBaseline,
+  listMacroOverrides,
   calculateInterestRate,
   calculateReformGrowthBoost,
+  calculateReformGrowthBoosts,
   projectFiscalPath,
   getBaselineProjection,
   assessDoomLoop,
   validateProjection,
 } from '../projection-engine-v1.8'
+import { DEMOGRAPHIC_SCENARIOS, getPopulationProjection, projectPopulation } from '../demographics'
+import { createModelConfig } from '../model-config'
+import { assessFiscalRules } from '../eu-fiscal-rules'
+import { runDebtSustainabilityAnalysis } from '../dsa'
 
 // =============================================================================
 // MACRO_BASELINE constants - regression guards
@@ -94,6 +109,11 @@ describe('inertia and deficit stress constants', () => {
   it('DEFICIT_STRESS_SENSITIVITY is 17 bps per %', () => {
     expect(DEFICIT_STRESS_SENSITIVITY).toBeCloseTo(0.0017, 6)
   })
+
+  it('OUTPUT_GAP_PARAMS: closed initial gap, persistence 0.7', () => {
+    expect(OUTPUT_GAP_PARAMS.initialGap).toBe(0)
+    expect(OUTPUT_GAP_PARAMS.persistence).toBe(0.7)
+  })
 })
 
 // =============================================================================
@@ -316,6 +336,49 @@ describe('calculateReformGrowthBoost', () => {
   })
 })
 
+// =============================================================================
+// calculateReformGrowthBoosts — several reforms, each on its own lifecycle
+// =============================================================================
+
+describe('calculateReformGrowthBoosts', () => {
+  const list = (...keys) => keys.map(key => ({ key, reform: STRUCTURAL_REFORMS[key] }))
+
+  it('one reform gives calculateReformGrowthBoost', () => {
+    const { total, byReform } = calculateReformGrowthBoosts(1, list('hartzIV'))
+    expect(total).toBeCloseTo(calculateReformGrowthBoost(1, STRUCTURAL_REFORMS.hartzIV), 10)
+    expect(byReform.hartzIV).toBe(total)
+  })
+
+  it('education keeps its 5-year lag next to Hartz-IV', () => {
+    const { byReform } = calculateReformGrowthBoosts(2, list('hartzIV', 'education'))
+    expect(byReform.hartzIV).toBeCloseTo(0.0035, 10)
+    expect(byReform.education).toBeCloseTo(0.0008 * 2 / 5, 10)
+  })
+
+  it('reforms without overlap add up', () => {
+    const { total } = calculateReformGrowthBoosts(6, list('energy', 'education'))
+    expect(total).toBeCloseTo(0.0007 + 0.0008, 10)
+  })
+
+  it('the ambitious package contains Hartz-IV', () => {
+    const { total, byReform } = calculateReformGrowthBoosts(5, list('ambitious', 'hartzIV'))
+    expect(byReform.hartzIV).toBeCloseTo(0, 10)
+    expect(total).toBeCloseTo(STRUCTURAL_REFORMS.ambitious.growthEffect, 10)
+  })
+
+  it('counts the share of a partial overlap once', () => {
+    const { byReform } = calculateReformGrowthBoosts(5, list('radicalFlex', 'hartzIV'))
+    expect(REFORM_OVERLAP.radicalFlex.hartzIV).toBe(0.5)
+    expect(byReform.radicalFlex).toBeCloseTo(0.0045, 10)
+    expect(byReform.hartzIV).toBeCloseTo(0.0035 * 0.5, 10)
+  })
+
+  it('an empty overlap matrix sums the reforms', () => {
+    const { total } = calculateReformGrowthBoosts(5, list('ambitious', 'hartzIV'), {})
+    expect(total).toBeCloseTo(0.004 + 0.0035, 10)
+  })
+})
+
 // =============================================================================
 // projectFiscalPath
 // =============================================================================
@@ -499,6 +562,139 @@ describe('projectFiscalPath', () => {
     })
   })
 
+  describe('output gap and multiplier regime', () => {
+    const baseline = projectFiscalPath({}, { years: 10 })
+    const knafo = calculatePolicyImpact(PRESETS.knafo.levers)
+
+    it('baseline keeps the output gap closed', () => {
+      baseline.forEach(entry => {
+        expect(entry.outputGap).toBe(0)
+        expect(entry.recessionWeight).toBe(0)
+      })
+    })
+
+    it('negative growth shock opens a gap that closes with persistence', () => {
+      const shocked = projectFiscalPath({}, { years: 5, shocks: [{ realGrowth: -0.02 }] })
+      expect(shocked[0].outputGap).toBeCloseTo(-2, 5)
+      expect(shocked[1].outputGap).toBeCloseTo(-2 * OUTPUT_GAP_PARAMS.persistence, 5)
+      expect(shocked[1].recessionWeight).toBe(1)
+    })
+
+    it('structural reform boost raises potential, not the gap', () => {
+      const reformed = projectFiscalPath({}, { years: 10, structuralReform: STRUCTURAL_REFORMS.hartzIV })
+      reformed.forEach(entry => expect(entry.outputGap).toBeCloseTo(0, 5))
+    })
+
+    it('austerity preset worsens debt once the gap turns negative', () => {
+      const blended = projectFiscalPath(knafo, { years: 10 })
+      const expansionOnly = projectFiscalPath(knafo, { years: 10, enableOutputGap: false })
+      expect(blended[10].outputGap).toBeLessThan(0)
+      expect(blended[10].debtRatio).toBeGreaterThan(expansionOnly[10].debtRatio)
+    })
+
+    it('same spending cut hurts more in a shock-induced downturn', () => {
+      const cut = calculatePolicyImpact({ spendingSolidarity: -60 })
+      const shocks = [{ realGrowth: -0.03 }]
+      const withCut = projectFiscalPath(cut, { years: 3, shocks })
+      const noCut = projectFiscalPath({}, { years: 3, shocks })
+      const cutNormal = projectFiscalPath(cut, { years: 3 })
+      const base = projectFiscalPath({}, { years: 3 })
+      const dragDownturn = noCut[1].nominalGrowthRate - withCut[1].nominalGrowthRate
+      const dragNormal = base[1].nominalGrowthRate - cutNormal[1].nominalGrowthRate
+      expect(dragDownturn).toBeGreaterThan(dragNormal)
+    })
+
+    it('without growthEffectDetail the scalar growthEffect is used unchanged', () => {
+      const scalar = projectFiscalPath({ growthEffect: -0.01 }, { years: 3 })
+      const off = projectFiscalPath({ growthEffect: -0.01 }, { years: 3, enableOutputGap: false })
+      expect(scalar.map(e => e.debtRatio)).toEqual(off.map(e => e.debtRatio))
+    })
+  })
+
+  describe('inflation path', () => {
+    const baseline = projectFiscalPath({}, { years: 6 })
+    const surprise = projectFiscalPath({}, { years: 6, inflationPath: INFLATION_SCENARIOS.surprise2022.path })
+    // Real growth shock with the same nominal GDP path as the inflation surprise
+    const growthShock = projectFiscalPath({}, {
+      years: 6,
+      shocks: INFLATION_SCENARIOS.surprise2022.path.map(p => ({ realGrowth: p - MACRO_BASELINE.inflation })),
+    })
+
+    it('baseline: price level grows at 1.8% and real GDP = GDP / prices', () => {
+      expect(baseline[0].priceLevel).toBe(100)
+      expect(baseline[1].priceLevel).toBeCloseTo(101.8, 2)
+      expect(baseline[0].realGdp).toBe(baseline[0].gdp)
+      baseline.forEach(entry => {
+        expect(entry.inflationRate).toBe(1.8)
+        expect(entry.realGrowthRate).toBe(0.7)
+        expect(entry.inflationRevenue).toBe(0)
+        expect(entry.indexationSpending).toBe(0)
+      })
+    })
+
+    it('reports the path inflation and keeps real GDP on the baseline path', () => {
+      expect(surprise[1].inflationRate).toBe(5.2)
+      expect(surprise[4].inflationRate).toBe(1.8) // beyond the path → baseline
+      expect(surprise[3].priceLevel).toBeGreaterThan(baseline[3].priceLevel)
+      // Within 0.1% (nominal growth is additive, prices compound)
+      expect(Math.abs(surprise[3].realGdp / baseline[3].realGdp - 1)).toBeLessThan(0.001)
+      expect(surprise[3].gdp).toBeGreaterThan(baseline[3].gdp)
+    })
+
+    it('inflation surprise does not move unemployment or the output gap', () => {
+      surprise.forEach((entry, t) => {
+        expect(entry.unemploymentRate).toBe(baseline[t].unemploymentRate)
+        expect(entry.outputGap).toBe(0)
+      })
+    })
+
+    it('revenue follows prices at once, spending revalorisation lags one year', () => {
+      expect(surprise[1].inflationRevenue).toBeGreaterThan(0)
+      expect(surprise[1].indexationSpending).toBe(0)
+      expect(surprise[2].indexationSpending).toBeGreaterThan(0)
+    })
+
+    it('pension revalorisation uses N-1 prices', () => {
+      const gap1 = surprise[2].priceLevel / baseline[2].priceLevel - 1
+      const expected = gap1 * (INFLATION_PARAMS.pensionMass
+        + INFLATION_PARAMS.otherPrimarySpending * INFLATION_PARAMS.otherSpendingIndexation)
+      expect(surprise[2].indexationSpending).toBeCloseTo(expected, 0)
+    })
+
+    it('OATi indexation and Fisher pass-through raise the interest bill', () => {
+      expect(surprise[1].interest).toBeGreaterThan(baseline[1].interest)
+      expect(surprise[3].effectiveInterestRate).toBeGreaterThan(baseline[3].effectiveInterestRate)
+    })
+
+    it('inflation erodes the debt ratio in the short run', () => {
+      expect(surprise[3].debtRatio).toBeLessThan(baseline[3].debtRatio)
+    })
+
+    it('behaves differently from a real growth shock of the same nominal size', () => {
+      expect(growthShock[2].gdp).toBeCloseTo(surprise[2].gdp, 0)
+      expect(growthShock[2].realGdp).toBeGreaterThan(surprise[2].realGdp)
+      expect(growthShock[2].unemploymentRate).toBeLessThan(surprise[2].unemploymentRate)
+      expect(growthShock[2].interest).toBeLessThan(surprise[2].interest)
+    })
+
+    it('frozen brackets (gel du barème) add fiscal drag revenue', () => {
+      const frozen = projectFiscalPath({}, { years: 6, inflationPath: INFLATION_SCENARIOS.surprise2022.path, bracketIndexation: false })
+      expect(frozen[3].inflationRevenue).toBeGreaterThan(surprise[3].inflationRevenue)
+      expect(frozen[3].deficit).toBeLessThan(surprise[3].deficit)
+    })
+
+    it('OATi indexation reaches the ladder too', () => {
+      const ladder = projectFiscalPath({}, { years: 3, debtModel: 'ladder' })
+      const ladderSurprise = projectFiscalPath({}, { years: 3, debtModel: 'ladder', inflationPath: INFLATION_SCENARIOS.surprise2022.path })
+      expect(ladderSurprise[1].interest).toBeGreaterThan(ladder[1].interest)
+    })
+
+    it('inflation path at baseline values reproduces the baseline', () => {
+      const flat = projectFiscalPath({}, { years: 6, inflationPath: Array(7).fill(MACRO_BASELINE.inflation) })
+      expect(flat).toEqual(baseline)
+    })
+  })
+
   describe('output format', () => {
     const result = projectFiscalPath({}, { years: 5 })
 
@@ -757,6 +953,119 @@ describe('demographic drift in projectFiscalPath', () => {
   })
 })
 
+describe('cohort demography in projectFiscalPath', () => {
+  it('linear drift stays the default, with no dependency ratio', () => {
+    const linear = projectFiscalPath({}, { years: 10 })
+    const explicit = projectFiscalPath({}, { years: 10, demography: null })
+    expect(linear).toEqual(explicit)
+    expect(linear[10].dependencyRatio).toBeNull()
+  })
+
+  it('a scenario key replaces the drift with pressure from the population', () => {
+    const result = projectFiscalPath({}, { years: 45, demography: 'central' })
+    const population = getPopulationProjection('central')
+    expect(result[0].demographicPressure).toBe(0)
+    expect(result[0].dependancePressure).toBe(0)
+    expect(result[45].dependencyRatio).toBeCloseTo(population[45].oldAgeDependencyRatio, 1)
+    expect(result[45].demographicPressure).toBeGreaterThan(result[20].demographicPressure)
+  })
+
+  it('the dependency ratio change takes the place of t × drift, scaled with GDP', () => {
+    const result = projectFiscalPath({}, { years: 10, demography: 'central' })
+    const population = getPopulationProjection('central')
+    const ratioChange = (population[10].oldAgeDependencyRatio - population[0].oldAgeDependencyRatio) / 100
+    const expected = ratioChange / DEMOGRAPHIC_PARAMS.dependencyRatioDriftPerYear * DEMOGRAPHIC_PRESSURE_PER_YEAR
+      * result[10].gdp / MACRO_BASELINE.gdp
+    expect(result[10].demographicPressure).toBeCloseTo(expected, 0)
+    // The baby-boom cohorts push the ratio faster than the 0.48 pp/year drift
+    expect(result[10].demographicPressure).toBeGreaterThan(10 * DEMOGRAPHIC_PRESSURE_PER_YEAR)
+  })
+
+  it('dependance follows the 85+ share instead of compounding at 5.5%', () => {
+    const linear = projectFiscalPath({}, { years: 20 })
+    const cohort = projectFiscalPath({}, { years: 20, demography: 'central' })
+    const population = getPopulationProjection('central')
+    const expected = DEPENDANCE_PARAMS.baseline * (population[20].veryOldShare / population[0].veryOldShare - 1)
+      * cohort[20].gdp / MACRO_BASELINE.gdp
+    expect(cohort[20].dependancePressure).toBeCloseTo(expected, 0)
+    expect(cohort[20].dependancePressure).not.toBeCloseTo(linear[20].dependancePressure, 0)
+  })
+
+  it('an older population costs more than a younger one', () => {
+    // Compared in 2045: without consolidation the debt path diverges further out
+    const older = projectFiscalPath({}, { years: 20, demography: 'older' })
+    const younger = projectFiscalPath({}, { years: 20, demography: 'younger' })
+    expect(older[20].demographicPressure).toBeGreaterThan(younger[20].demographicPressure)
+    expect(older[20].debtRatio).toBeGreaterThan(younger[20].debtRatio)
+  })
+
+  it('accepts a projectPopulation() result and holds its last year', () => {
+    const population = projectPopulation(DEMOGRAPHIC_SCENARIOS.central).slice(0, 11)
+    const result = projectFiscalPath({}, { years: 15, demography: population })
+    expect(result[15].dependencyRatio).toBe(result[10].dependencyRatio)
+  })
+
+  it('the drift switches still turn the channels off', () => {
+    const result = projectFiscalPath({}, {
+      years: 20, demography: 'central', enableDemographicDrift: false, enableDependanceDrift: false,
+    })
+    expect(result[20].demographicPressure).toBe(0)
+    expect(result[20].dependancePressure).toBe(0)
+  })
+
+  it('getBaselineProjection takes the demography', () => {
+    const baseline = getBaselineProjection(10, null, {}, 'older')
+    expect(baseline).toEqual(projectFiscalPath({}, { years: 10, demography: 'older' }))
+  })
+
+  it('rejects unknown scenario keys', () => {
+    expect(() => projectFiscalPath({}, { demography: 'baby-boom' })).toThrow('Unknown demographic scenario')
+  })
+})
+
+describe('long horizon and explosive paths', () => {
+  const options = { years: LONG_HORIZON_YEARS, demography: 'central', enableRiskPremium: true }
+
+  it('runs to 2070', () => {
+    expect(2025 + LONG_HORIZON_YEARS).toBe(2070)
+  })
+
+  it('without maxDebtRatio the baseline overflows', () => {
+    const result = projectFiscalPath({}, options)
+    expect(result).toHaveLength(LONG_HORIZON_YEARS + 1)
+    expect(result[result.length - 1].debtRatio).toBeGreaterThan(1e100)
+    result.forEach(entry => expect(entry.explosive).toBe(false))
+  })
+
+  it('maxDebtRatio stops the path after the first year above it', () => {
+    const result = projectFiscalPath({}, { ...options, maxDebtRatio: EXPLOSIVE_DEBT_RATIO })
+    const last = result[result.length - 1]
+    expect(result.length).toBeLessThan(LONG_HORIZON_YEARS + 1)
+    expect(last.explosive).toBe(true)
+    expect(last.debtRatio).toBeGreaterThan(EXPLOSIVE_DEBT_RATIO)
+    result.slice(0, -1).forEach(entry => expect(entry.debtRatio).toBeLessThanOrEqual(EXPLOSIVE_DEBT_RATIO))
+    const full = projectFiscalPath({}, options).slice(0, result.length)
+    expect(result.map(entry => entry.debtRatio)).toEqual(full.map(entry => entry.debtRatio))
+    expect(getBaselineProjection(LONG_HORIZON_YEARS, null, {}, 'central', EXPLOSIVE_DEBT_RATIO)).toEqual(result)
+  })
+
+  it('every preset stays finite to 2070, and so do the fiscal rules and the DSA', () => {
+    const capped = { ...options, maxDebtRatio: EXPLOSIVE_DEBT_RATIO }
+    for (const preset of Object.values(PRESETS)) {
+      const impact = calculatePolicyImpact(preset.levers)
+      const result = projectFiscalPath(impact, capped)
+      result.forEach(entry => {
+        expect(Number.isFinite(entry.debtRatio)).toBe(true)
+        expect(Number.isFinite(entry.interest)).toBe(true)
+      })
+      if (result.length < LONG_HORIZON_YEARS + 1) expect(result[result.length - 1].explosive).toBe(true)
+      expect(assessFiscalRules(result).years).toHaveLength(result.length)
+      const dsa = runDebtSustainabilityAnalysis(impact, capped)
+      dsa.tests.forEach(test => expect(Number.isFinite(test.summary.finalDebtRatio)).toBe(true))
+    }
+  })
+})
+
 // =============================================================================
 // SENIOR EMPLOYMENT
 // =============================================================================
@@ -873,6 +1182,54 @@ describe('senior employment in projectFiscalPath', () => {
   })
 })
 
+// =============================================================================
+// STRUCTURAL REFORM LIST IN projectFiscalPath
+// =============================================================================
+
+describe('structuralReforms in projectFiscalPath', () => {
+  it('reports the boost of each reform every year', () => {
+    const result = projectFiscalPath({}, { years: 10, structuralReforms: ['hartzIV', 'education'] })
+    expect(result[2].reformBoosts).toEqual({ hartzIV: 0.35, education: 0.032 })
+    expect(result[2].reformBoost).toBeCloseTo(0.382, 3)
+    expect(result[6].reformBoosts.education).toBeCloseTo(0.08, 3)
+  })
+
+  it('one key matches the single reform object', () => {
+    const list = projectFiscalPath({}, { years: 10, structuralReforms: ['hartzIV'] })
+    const single = projectFiscalPath({}, { years: 10, structuralReform: STRUCTURAL_REFORMS.hartzIV })
+    expect(list[10].debtRatio).toBe(single[10].debtRatio)
+    expect(list[10].seniorRevenue).toBe(single[10].seniorRevenue)
+    expect(single[10].reformBoosts).toEqual({ custom: 0.35 })
+  })
+
+  it('no reform reports a zero boost', () => {
+    const result = projectFiscalPath({}, { years: 5 })
+    expect(result[3].reformBoost).toBe(0)
+    expect(result[3].reformBoosts).toEqual({})
+  })
+
+  it('takes the overlap matrix from the config', () => {
+    const reforms = ['radicalFlex', 'hartzIV']
+    const overlapping = projectFiscalPath({}, { years: 10, structuralReforms: reforms })
+    const config = createModelConfig({ reformOverlap: { radicalFlex: { hartzIV: 0 } } })
+    const additive = projectFiscalPath({}, { years: 10, structuralReforms: reforms, config })
+    expect(additive[5].reformBoost).toBeCloseTo(0.45 + 0.35, 3)
+    expect(overlapping[5].reformBoost).toBeCloseTo(0.45 + 0.175, 3)
+  })
+
+  it('senior employment takes the largest gain among the labour reforms', () => {
+    const both = projectFiscalPath({}, { years: 20, structuralReforms: ['hartzIV', 'radicalFlex'] })
+    const radicalFlex = projectFiscalPath({}, { years: 20, structuralReforms: ['radicalFlex'] })
+    expect(both[20].seniorRevenue).toBe(radicalFlex[20].seniorRevenue)
+    // Hartz-IV matures first (lag 2 vs 3)
+    expect(both[3].seniorRevenue).toBeGreaterThan(radicalFlex[3].seniorRevenue)
+  })
+
+  it('rejects unknown reform keys', () => {
+    expect(() => projectFiscalPath({}, { structuralReforms: ['laborMarket'] })).toThrow('Unknown structural reform: laborMarket')
+  })
+})
+
 // =============================================================================
 // ENERGY AND PLANNING CONSTANT CHANGES
 // =============================================================================
@@ -979,6 +1336,72 @@ describe('social housing liquidation in projectFiscalPath', () => {
   })
 })
 
+// =============================================================================
+// STRUCTURAL BALANCE
+// =============================================================================
+
+describe('structural balance in projectFiscalPath', () => {
+  it('equals the headline balance with a closed gap and no one-offs', () => {
+    const result = projectFiscalPath({}, { years: 10 })
+    result.forEach(entry => {
+      expect(entry.cyclicalBalance).toBe(0)
+      expect(entry.potentialGdp).toBe(entry.gdp)
+      expect(entry.structuralBalance).toBeCloseTo(-entry.deficit / entry.gdp * 100, 1)
+      expect(entry.structuralPrimaryBalance).toBeCloseTo(entry.structuralBalance + entry.interestRatio, 1)
+    })
+  })
+
+  it('removes the cyclical component of a downturn from the following year', () => {
+    const result = projectFiscalPath({}, { years: 3, shocks: [{ realGrowth: -0.02 }] })
+    expect(result[0].cyclicalBalance).toBe(0)
+    const next = result[1]
+    expect(next.cyclicalGap).toBe(result[0].outputGap)
+    expect(next.potentialGdp).toBeGreaterThan(next.gdp)
+    expect(next.cyclicalBalance).toBeCloseTo(STRUCTURAL_BALANCE_PARAMS.budgetSemiElasticity * result[0].outputGap, 2)
+    expect(next.structuralBalance).toBeGreaterThan(-next.deficitRatio)
+  })
+
+  it('keeps potential GDP on the baseline path under a pure spending lever', () => {
+    const baseline = projectFiscalPath({}, { years: 10 })
+    const cuts = projectFiscalPath(calculatePolicyImpact({ spendingSolidarity: -30, spendingEducation: -20 }), { years: 10 })
+    expect(cuts[1].gdp).toBeLessThan(baseline[1].gdp)
+    cuts.forEach((entry, t) => expect(entry.potentialGdp).toBe(baseline[t].potentialGdp))
+  })
+
+  it('raises potential GDP with the structural reform boosts', () => {
+    const baseline = projectFiscalPath({}, { years: 10 })
+    const reformed = projectFiscalPath({}, { years: 10, structuralReforms: ['hartzIV'] })
+    expect(reformed[10].potentialGdp).toBeGreaterThan(baseline[10].potentialGdp)
+  })
+
+  it('leaves the HLM sale proceeds out as a one-off', () => {
+    const withHousing = projectFiscalPath({}, { years: 10, enableSocialHousingLiquidation: true })
+    const noHousing = projectFiscalPath({}, { years: 10 })
+    expect(withHousing[5].oneOffs).toBe(SOCIAL_HOUSING_LIQUIDATION.annualProceeds)
+    expect(noHousing[5].oneOffs).toBe(0)
+    expect(withHousing[5].deficitRatio).toBeLessThan(noHousing[5].deficitRatio - 2)
+    for (let t = 0; t <= 10; t++) {
+      expect(withHousing[t].structuralPrimaryBalance).toBeCloseTo(noHousing[t].structuralPrimaryBalance, 1)
+    }
+  })
+
+  it('the structural effort is the change of the structural primary balance', () => {
+    const result = projectFiscalPath([{}, { revenueChange: 30 }], { years: 5 })
+    expect(result[0].structuralEffort).toBeNull()
+    expect(result[1].structuralEffort).toBeCloseTo(result[1].structuralPrimaryBalance - result[0].structuralPrimaryBalance, 1)
+    expect(result[1].structuralEffort).toBeGreaterThan(0.8)
+  })
+
+  it('takes the semi-elasticity from the config', () => {
+    const options = { years: 3, shocks: [{ realGrowth: -0.02 }] }
+    const reference = projectFiscalPath({}, options)
+    const config = createModelConfig({ structuralBalanceParams: { budgetSemiElasticity: 0.8 } })
+    const elastic = projectFiscalPath({}, { ...options, config })
+    expect(elastic[1].cyclicalBalance).toBeCloseTo(0.8 * reference[0].outputGap, 2)
+    expect(elastic[1].structuralBalance).toBeGreaterThan(reference[1].structuralBalance)
+  })
+})
+
 // =============================================================================
 // PENSION REFORM CONSTANTS
 // =============================================================================
@@ -1281,3 +1704,104 @@ describe('dependance pressure in projectFiscalPath', () => {
     })
   })
 })
+
+// =============================================================================
+// MACRO OVERRIDES
+// =============================================================================
+
+describe('resolveMacroBaseline', () => {
+  it('returns MACRO_BASELINE without overrides', () => {
+    expect(resolveMacroBaseline()).toBe(MACRO_BASELINE)
+    expect(resolveMacroBaseline(null)).toBe(MACRO_BASELINE)
+  })
+
+  it('derives nominal growth from overridden real growth', () => {
+    const macro = resolveMacroBaseline({ realGrowth: 0.016 })
+    expect(macro.nominalGrowth).toBeCloseTo(0.016 + MACRO_BASELINE.inflation, 10)
+  })
+
+  it('an explicit nominal growth wins over the derivation', () => {
+    expect(resolveMacroBaseline({ realGrowth: 0.016, nominalGrowth: 0.04 }).nominalGrowth).toBe(0.04)
+  })
+
+  it('derives debt/GDP from overridden debt', () => {
+    expect(resolveMacroBaseline({ debt: 2850 }).debtToGdp).toBeCloseTo(100, 5)
+  })
+
+  it('merges riskPremium field by field', () => {
+    const macro = resolveMacroBaseline({ riskPremium: { slope3: 0.002 } })
+    expect(macro.riskPremium.slope3).toBe(0.002)
+    expect(macro.riskPremium.threshold3).toBe(MACRO_BASELINE.riskPremium.threshold3)
+  })
+})
+
+describe('listMacroOverrides', () => {
+  it('lists only fields that differ from the baseline', () => {
+    expect(listMacroOverrides({ realGrowth: 0.016, inflation: MACRO_BASELINE.inflation })).toEqual([
+      { key: 'realGrowth', value: 0.016, baseline: MACRO_BASELINE.realGrowth },
+    ])
+  })
+
+  it('flattens riskPremium fields', () => {
+    expect(listMacroOverrides({ riskPremium: { slope3: 0.002 } })[0].key).toBe('riskPremium.slope3')
+  })
+
+  it('is empty for null or the pessimistic COR preset (baseline growth)', () => {
+    expect(listMacroOverrides(null)).toEqual([])
+    expect(listMacroOverrides(PENSION_REFORM_PRESETS.corPessimiste.macroOverrides)).toEqual([])
+  })
+})
+
+describe('macroOverrides in projectFiscalPath', () => {
+  const baseline = projectFiscalPath({}, { years: 10 })
+
+  it('baseline-valued overrides leave the projection unchanged', () => {
+    const same = projectFiscalPath({}, { years: 10, macroOverrides: { realGrowth: MACRO_BASELINE.realGrowth } })
+    same.forEach((entry, t) => {
+      expect(entry.deficit).toBeCloseTo(baseline[t].deficit, 1)
+      expect(entry.debtRatio).toBeCloseTo(baseline[t].debtRatio, 1)
+    })
+  })
+
+  it('COR presets now give distinct fiscal paths', () => {
+    const run = key => projectFiscalPath({}, { years: 10, macroOverrides: PENSION_REFORM_PRESETS[key].macroOverrides })
+    const optimiste = run('corOptimiste')
+    const central = run('corCentral')
+    const pessimiste = run('corPessimiste')
+    expect(optimiste[10].debtRatio).toBeLessThan(central[10].debtRatio)
+    expect(central[10].debtRatio).toBeLessThan(pessimiste[10].debtRatio)
+  })
+
+  it('higher trend growth raises GDP and revenue without moving unemployment', () => {
+    const fast = projectFiscalPath({}, { years: 10, macroOverrides: { realGrowth: 0.016 } })
+    expect(fast[0].realGrowthRate).toBeCloseTo(1.6, 5)
+    expect(fast[10].gdp).toBeGreaterThan(baseline[10].gdp)
+    // 0.9 pp above calibration × 2850 × 0.45 ≈ 11.5 Md€ in year 0
+    expect(baseline[0].deficit - fast[0].deficit).toBeCloseTo(0.009 * MACRO_BASELINE.gdp * MACRO_BASELINE.taxElasticity, 0)
+    expect(fast[0].unemploymentRate).toBeCloseTo(MACRO_BASELINE.unemploymentRate, 5)
+  })
+
+  it('overrides the unemployment anchor and tax elasticity', () => {
+    const result = projectFiscalPath({ growthEffect: 0.02 }, { years: 2, macroOverrides: { unemploymentRate: 9, taxElasticity: 0 } })
+    const reference = projectFiscalPath({ growthEffect: 0.02 }, { years: 2, macroOverrides: { unemploymentRate: 9 } })
+    expect(result[0].unemploymentRate).toBeCloseTo(9 - 0.02 * MACRO_BASELINE.okunCoefficient, 5)
+    expect(result[0].deficit).toBeGreaterThan(reference[0].deficit)
+  })
+
+  it('overriding inflation acts like a flat inflation path', () => {
+    const overridden = projectFiscalPath({}, { years: 5, macroOverrides: { inflation: 0.03 } })
+    const path = projectFiscalPath({}, { years: 5, inflationPath: Array(6).fill(0.03) })
+    expect(overridden.map(e => e.deficit)).toEqual(path.map(e => e.deficit))
+    expect(overridden[0].inflationRate).toBeCloseTo(3, 5)
+  })
+
+  it('overriding the opening debt moves the starting ratio', () => {
+    const result = projectFiscalPath({}, { years: 2, macroOverrides: { debt: 2850 } })
+    expect(result[0].debtRatio).toBeCloseTo(100, 1)
+  })
+
+  it('getBaselineProjection accepts overrides', () => {
+    const fast = getBaselineProjection(5, { realGrowth: 0.016 })
+    expect(fast[5].gdp).toBeGreaterThan(getBaselineProjection(5)[5].gdp)
+  })
+})
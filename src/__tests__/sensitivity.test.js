@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest'
+import {
+  SENSITIVITY_PARAMS,
+  SENSITIVITY_GROUPS,
+  sensitivityParameters,
+  runSensitivity,
+  runRangeScenarios,
+} from '../sensitivity'
+import { CONFIDENCE_SPREAD, PARAMETER_REGISTRY, rangedParameters } from '../parameter-registry'
+import { PRESETS, BEHAVIORAL_RESPONSE, FISCAL_MULTIPLIERS } from '../policy-impact'
+import { STRUCTURAL_REFORMS, projectFiscalPath } from '../projection-engine-v1.8'
+import { CALIBRATION_PRESETS, DEFAULT_MODEL_CONFIG, createModelConfig } from '../model-config'
+
+const options = { years: 10 }
+
+// =============================================================================
+// Parameter list
+// =============================================================================
+
+describe('sensitivityParameters', () => {
+  const parameters = sensitivityParameters()
+  const byKey = Object.fromEntries(parameters.map(parameter => [parameter.key, parameter]))
+
+  it('covers behaviour, multipliers, risk premium, rollover, macro, demography and reforms', () => {
+    expect(parameters.filter(p => p.group === 'behavioral')).toHaveLength(Object.keys(BEHAVIORAL_RESPONSE).length * 4)
+    expect(parameters.filter(p => p.group === 'multipliers')).toHaveLength(Object.keys(FISCAL_MULTIPLIERS).length * 2)
+    expect(parameters.filter(p => p.group === 'reforms')).toHaveLength(Object.keys(STRUCTURAL_REFORMS).length)
+    for (const key of ['macroBaseline.riskPremium.slope2', 'rolloverRate', 'macroBaseline.taxElasticity',
+      'macroBaseline.okunCoefficient', 'demographicParams.dependencyRatioDriftPerYear']) {
+      expect(byKey[key]).toBeDefined()
+    }
+  })
+
+  it('every range brackets the central value', () => {
+    parameters.forEach(p => {
+      expect(p.low).toBeLessThanOrEqual(p.value)
+      expect(p.high).toBeGreaterThanOrEqual(p.value)
+      expect(p.high).toBeGreaterThan(p.low)
+    })
+  })
+
+  it('multiplier ranges span the calibration presets', () => {
+    const health = byKey['fiscalMultipliers.health.recession']
+    expect(health.low).toBe(CALIBRATION_PRESETS.banqueDeFrance.overrides.fiscalMultipliers.health.recession)
+    expect(health.high).toBe(CALIBRATION_PRESETS.ofce.overrides.fiscalMultipliers.health.recession)
+  })
+
+  it('less certain reforms get wider ranges', () => {
+    const width = key => (byKey[`structuralReforms.${key}.growthEffect`].high - byKey[`structuralReforms.${key}.growthEffect`].low)
+      / STRUCTURAL_REFORMS[key].growthEffect
+    expect(STRUCTURAL_REFORMS.radicalFlex.confidence).toBe('low')
+    expect(width('radicalFlex')).toBeCloseTo(2 * SENSITIVITY_PARAMS.reformSpread.low, 6)
+    expect(width('radicalFlex')).toBeGreaterThan(width('hartzIV'))
+  })
+
+  it('reads the central values of the config given', () => {
+    const config = createModelConfig({ rolloverRate: 0.11 })
+    expect(sensitivityParameters(config).find(p => p.key === 'rolloverRate').value).toBe(0.11)
+  })
+
+  it('reads the central real growth of the scenario', () => {
+    const parameters = sensitivityParameters(DEFAULT_MODEL_CONFIG, SENSITIVITY_PARAMS, { realGrowth: 0.01 })
+    expect(parameters.find(p => p.key === 'macroBaseline.realGrowth').value).toBe(0.01)
+  })
+})
+
+describe('SENSITIVITY_PARAMS over the parameter registry', () => {
+  const registry = Object.fromEntries(PARAMETER_REGISTRY.map(entry => [entry.key, entry]))
+
+  it('defaults to the registry ranges', () => {
+    expect(SENSITIVITY_PARAMS.reformSpread).toBe(CONFIDENCE_SPREAD)
+    expect(SENSITIVITY_PARAMS.rolloverRate).toEqual([registry.rolloverRate.low, registry.rolloverRate.high])
+    const parameters = sensitivityParameters()
+    expect(parameters).toHaveLength(rangedParameters().length)
+    parameters.forEach(p => {
+      expect(p.low).toBeCloseTo(registry[p.key].low, 6)
+      expect(p.high).toBeCloseTo(registry[p.key].high, 6)
+    })
+  })
+
+  it('overriding a spread or range moves the matching parameters only', () => {
+    const parameters = sensitivityParameters(DEFAULT_MODEL_CONFIG, { riskPremiumSlopeSpread: 0.2, rolloverRate: [0.12, 0.13] })
+    const byKey = Object.fromEntries(parameters.map(parameter => [parameter.key, parameter]))
+    const slope = registry['macroBaseline.riskPremium.slope1'].central
+    expect(byKey['macroBaseline.riskPremium.slope1'].high).toBeCloseTo(slope * 1.2, 6)
+    expect(byKey.rolloverRate.low).toBe(0.12)
+    expect(byKey['macroBaseline.okunCoefficient'].low).toBe(registry['macroBaseline.okunCoefficient'].low)
+  })
+
+  it('gives every parameter a SENSITIVITY_GROUPS group', () => {
+    sensitivityParameters().forEach(p => expect(SENSITIVITY_GROUPS[p.group]).toBeDefined())
+    const groups = Object.fromEntries(sensitivityParameters().map(p => [p.key, p.group]))
+    expect(groups.rolloverRate).toBe('debt')
+    expect(groups['macroBaseline.riskPremium.slope2']).toBe('riskPremium')
+    expect(groups['multiplierRegime.recessionGap']).toBe('macro')
+  })
+})
+
+// =============================================================================
+// Tornado
+// =============================================================================
+
+describe('runSensitivity', () => {
+  const sensitivity = runSensitivity({}, options)
+  const result = key => sensitivity.results.find(entry => entry.key === key)
+
+  it('the base outcome is the unperturbed scenario', () => {
+    const projection = projectFiscalPath({}, options)
+    expect(sensitivity.base.debtRatio).toBe(projection[10].debtRatio)
+    expect(sensitivity.base.cumulativeDeficit)
+      .toBeCloseTo(projection.reduce((sum, entry) => sum + entry.deficit, 0), 0)
+  })
+
+  it('is sorted by decreasing debt swing', () => {
+    sensitivity.results.slice(1).forEach((entry, i) => {
+      expect(entry.debtRatioSwing).toBeLessThanOrEqual(sensitivity.results[i].debtRatioSwing)
+    })
+  })
+
+  it('steeper risk premium slopes raise the debt', () => {
+    const slope = result('macroBaseline.riskPremium.slope2')
+    expect(slope.highOutcome.debtRatioDiff).toBeGreaterThan(0)
+    expect(slope.lowOutcome.debtRatioDiff).toBeLessThan(0)
+    expect(slope.deficitSwing).toBeGreaterThan(0)
+  })
+
+  it('a faster rollover passes the rising rates on sooner', () => {
+    expect(result('rolloverRate').highOutcome.debtRatioDiff).toBeGreaterThan(0)
+  })
+
+  it('behavioural responses and multipliers do not matter without levers', () => {
+    expect(result('behavioralResponse.incomeTax.increaseEfficiency').debtRatioSwing).toBe(0)
+    expect(result('fiscalMultipliers.education.expansion').debtRatioSwing).toBe(0)
+  })
+
+  it('with levers, a higher tax efficiency lowers the debt', () => {
+    const nfp = runSensitivity(PRESETS.nfp.levers, options)
+    const efficiency = nfp.results.find(entry => entry.key === 'behavioralResponse.incomeTax.increaseEfficiency')
+    expect(efficiency.highOutcome.debtRatioDiff).toBeLessThan(0)
+    expect(efficiency.lowOutcome.debtRatioDiff).toBeGreaterThan(0)
+  })
+
+  it('a reform not selected is tested against the scenario with it', () => {
+    const hartz = result('structuralReforms.hartzIV.growthEffect')
+    expect(hartz.reformAdded).toBe(true)
+    expect(hartz.highOutcome.debtRatioDiff).toBeLessThan(0)
+    expect(hartz.lowOutcome.debtRatioDiff).toBeGreaterThan(0)
+    const selected = runSensitivity({}, { ...options, structuralReforms: ['hartzIV'] }, {
+      parameters: sensitivityParameters().filter(p => p.reform === 'hartzIV'),
+    })
+    expect(selected.results[0].reformAdded).toBe(false)
+    expect(selected.results[0].highOutcome.debtRatioDiff).toBeCloseTo(hartz.highOutcome.debtRatioDiff, 1)
+  })
+
+  it('the horizon is configurable', () => {
+    const short = runSensitivity({}, options, {
+      parameters: sensitivityParameters().filter(p => p.key === 'rolloverRate'),
+      params: { horizon: 5 },
+    })
+    expect(short.base.debtRatio).toBe(projectFiscalPath({}, options)[5].debtRatio)
+    expect(short.results[0].debtRatioSwing).toBeLessThan(result('rolloverRate').debtRatioSwing)
+  })
+})
+
+describe('runRangeScenarios', () => {
+  const sensitivity = runSensitivity({}, options)
+  const scenarios = runRangeScenarios({}, options, { sensitivity })
+  const central = projectFiscalPath({}, options)
+
+  it('brackets the central debt path', () => {
+    expect(scenarios.low.projection[10].debtRatio).toBeLessThan(central[10].debtRatio)
+    expect(scenarios.high.projection[10].debtRatio).toBeGreaterThan(central[10].debtRatio)
+  })
+
+  it('takes the debt-lowering end of each range for the low scenario', () => {
+    expect(scenarios.low.values['macroBaseline.riskPremium.slope2']).toBe(
+      sensitivity.results.find(entry => entry.key === 'macroBaseline.riskPremium.slope2').low)
+    expect(scenarios.low.values['macroBaseline.realGrowth']).toBeGreaterThan(scenarios.high.values['macroBaseline.realGrowth'])
+  })
+
+  it('leaves inert parameters and reforms outside the scenario central', () => {
+    expect(scenarios.low.values).not.toHaveProperty(['behavioralResponse.incomeTax.increaseEfficiency'])
+    expect(scenarios.low.values).not.toHaveProperty(['structuralReforms.hartzIV.growthEffect'])
+  })
+})
+
+describe('structural reforms in the model config', () => {
+  it('recalibrate the growth effect of a selected reform', () => {
+    const reformOptions = { ...options, structuralReforms: ['hartzIV'] }
+    const config = createModelConfig({ structuralReforms: { hartzIV: { growthEffect: 0 } } })
+    const central = projectFiscalPath({}, reformOptions)
+    const none = projectFiscalPath({}, { ...reformOptions, config })
+    expect(none[10].debtRatio).toBeGreaterThan(central[10].debtRatio)
+    expect(none[10].reformBoosts.hartzIV).toBe(0)
+  })
+})
@@ -0,0 +1,183 @@
+/**
+ * State asset sales (portefeuille de l'APE)
+ *
+ * Sells the stakes held by the Agence des participations de l'État, each on
+ * its own schedule. Sale proceeds are a financial transaction (ESA 2010): they
+ * reduce the debt as a stock-flow adjustment and leave the deficit unchanged.
+ * The dividends the State no longer receives worsen the primary balance every
+ * year after each tranche is sold, growing with nominal GDP. Used by
+ * projectFiscalPath() through the `assetSales` option.
+ *
+ * The HLM liquidation (SOCIAL_HOUSING_LIQUIDATION) is a separate channel: its
+ * proceeds lower the headline deficit and are reported as one-offs.
+ *
+ * Valuations are the State's stakes (APE and Bpifrance for Orange) at 2024-2025
+ * market prices, rounded, with a low / high range for the placement discount
+ * and market conditions. EDF is unlisted since its 2023 buy-out: its range
+ * brackets the buy-out price and the book value of equity. Dividends are the
+ * State's share of the last ordinary dividends.
+ *
+ * Sources:
+ * - APE, rapport d'activité 2023-2024 (périmètre, dividendes perçus)
+ * - Cour des comptes, L'État actionnaire (2017); rapports sur le CAS
+ *   « Participations financières de l'État »
+ * - Eurostat, Manual on Government Deficit and Debt (2022), privatisations
+ */
+
+// =============================================================================
+// APE PORTFOLIO
+// =============================================================================
+
+// value: Md€ { low, central, high }; dividend: Md€/year (2025); saleYears: default schedule
+export const STATE_ASSETS = {
+  edf: {
+    label: "EDF",
+    stake: 100,
+    value: { low: 40, central: 50, high: 65 },
+    dividend: 1.5,
+    saleYears: 3,                 // Introduction en bourse par tranches
+    note: "Renationalisée en 2023 ; cession soumise à une loi",
+  },
+  airbus: {
+    label: "Airbus",
+    stake: 10.8,
+    value: { low: 12, central: 14, high: 17 },
+    dividend: 0.24,
+    saleYears: 1,
+    note: "Pacte d'actionnaires franco-allemand",
+  },
+  thales: {
+    label: "Thales",
+    stake: 26.6,
+    value: { low: 10, central: 12, high: 14 },
+    dividend: 0.21,
+    saleYears: 1,
+    note: "Défense : action spécifique",
+  },
+  safran: {
+    label: "Safran",
+    stake: 11.2,
+    value: { low: 9, central: 10.5, high: 12 },
+    dividend: 0.14,
+    saleYears: 1,
+    note: "Défense : action spécifique",
+  },
+  engie: {
+    label: "Engie",
+    stake: 23.6,
+    value: { low: 8, central: 9.5, high: 11 },
+    dividend: 0.85,
+    saleYears: 1,
+    note: "Minorité de blocage (stockage de gaz)",
+  },
+  orange: {
+    label: "Orange",
+    stake: 23.0,
+    value: { low: 5.5, central: 6.2, high: 7 },
+    dividend: 0.46,
+    saleYears: 1,
+    note: "APE et Bpifrance",
+  },
+  adp: {
+    label: "Aéroports de Paris",
+    stake: 50.6,
+    value: { low: 4.5, central: 5.5, high: 6.5 },
+    dividend: 0.19,
+    saleYears: 1,
+    note: "Autorisée par la loi PACTE (2019), suspendue depuis 2020",
+  },
+  renault: {
+    label: "Renault",
+    stake: 15.0,
+    value: { low: 1.5, central: 1.9, high: 2.3 },
+    dividend: 0.10,
+    saleYears: 1,
+    note: "",
+  },
+  fdj: {
+    label: "FDJ United",
+    stake: 20.5,
+    value: { low: 1.1, central: 1.3, high: 1.5 },
+    dividend: 0.08,
+    saleYears: 1,
+    note: "Privatisée en 2019, participation résiduelle",
+  },
+}
+
+export const ASSET_VALUATIONS = {
+  low: "Basse (décote de placement)",
+  central: "Centrale (cours 2024-2025)",
+  high: "Haute (prime de contrôle)",
+}
+
+// =============================================================================
+// SALE SCHEDULE
+// =============================================================================
+
+/**
+ * Normalised sale schedule.
+ *
+ * @param {array} assetSales - STATE_ASSETS keys, or { key, valuation, startYear, saleYears }
+ *   (valuation 'central', first sale in projection year 1 and the asset's
+ *   default saleYears unless given)
+ * @param {object} assets - STATE_ASSETS
+ * @returns {array} [{ key, value (Md€), dividend (Md€/year), startYear, saleYears }]
+ */
+export function resolveAssetSales(assetSales, assets = STATE_ASSETS) {
+  return (assetSales || []).map(entry => {
+    const sale = typeof entry === 'string' ? { key: entry } : entry
+    const asset = assets[sale.key]
+    if (!asset) throw new Error(`Unknown state asset: ${sale.key}`)
+    const valuation = sale.valuation || 'central'
+    if (asset.value[valuation] == null) throw new Error(`Unknown asset valuation: ${valuation}`)
+    const saleYears = sale.saleYears ?? asset.saleYears
+    if (!(saleYears >= 1)) throw new Error(`Sale of ${sale.key} needs at least one year`)
+    return {
+      key: sale.key,
+      value: asset.value[valuation],
+      dividend: asset.dividend,
+      startYear: sale.startYear ?? 1,
+      saleYears,
+    }
+  })
+}
+
+// Share of the stake sold by the end of projection year t
+function soldShare(sale, t) {
+  return Math.min(1, Math.max(0, (t - sale.startYear + 1) / sale.saleYears))
+}
+
+/**
+ * Asset sales in projection year t.
+ *
+ * Each asset is sold in equal tranches from startYear; the dividends on a
+ * tranche are lost from the following year (dividends are paid on the
+ * previous year's holdings).
+ *
+ * @param {array} sales - resolveAssetSales() result
+ * @param {number} t - Projection year
+ * @param {number} gdpIndex - Nominal GDP relative to year 0 (dividends grow with it)
+ * @returns {object} { proceeds, forgoneDividends (Md€), byAsset }
+ *   proceeds are a one-off stock, forgoneDividends a yearly flow: they are
+ *   reported apart, not netted; byAsset[key] = { proceeds, forgoneDividends }
+ */
+export function assetSaleYear(sales, t, gdpIndex = 1) {
+  const byAsset = {}
+  let proceeds = 0
+  let forgoneDividends = 0
+  for (const sale of sales) {
+    const assetProceeds = sale.value * (soldShare(sale, t) - soldShare(sale, t - 1))
+    const assetDividends = sale.dividend * soldShare(sale, t - 1) * gdpIndex
+    byAsset[sale.key] = { proceeds: assetProceeds, forgoneDividends: assetDividends }
+    proceeds += assetProceeds
+    forgoneDividends += assetDividends
+  }
+  return { proceeds, forgoneDividends, byAsset }
+}
+
+export default {
+  STATE_ASSETS,
+  ASSET_VALUATIONS,
+  resolveAssetSales,
+  assetSaleYear,
+}
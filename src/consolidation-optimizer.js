@@ -0,0 +1,225 @@
+/**
+ * Consolidation optimiser
+ *
+ * Builds a consolidation package across the levers of calculatePolicyImpact()
+ * that reaches a given budget improvement (Md€, static year-0 balance) at the
+ * least growth cost, or with the largest fall in the final-year debt ratio.
+ * Growth costs come from the model itself: BEHAVIORAL_RESPONSE drags for tax
+ * increases and FISCAL_MULTIPLIERS for spending cuts, carried through
+ * projectFiscalPath().
+ *
+ * The optimiser is greedy on slider steps. From the starting levers, each
+ * iteration tries one step of every free lever in its consolidating direction.
+ * It keeps the step with the best objective per Md€ gained. The sequence of
+ * packages traces the frontier of growth cost against budget improvement. The
+ * non-dominated points are returned as the Pareto frontier.
+ *
+ * Levers can be locked at their starting value, and their bounds narrowed,
+ * e.g. { vatChange: { max: 0 } } for "no TVA increase".
+ */
+
+import { LEVER_BOUNDS, calculatePolicyImpact } from './policy-impact'
+import { projectFiscalPath } from './projection-engine-v1.8'
+
+// =============================================================================
+// OPTIMISER PARAMETERS
+// =============================================================================
+
+export const OPTIMIZER_OBJECTIVES = {
+  growthCost: {
+    label: "Coût en croissance minimal",
+    description: "Perte de PIB cumulée sur l'horizon la plus faible par Md€ d'effort",
+  },
+  debtReduction: {
+    label: "Baisse de dette maximale",
+    description: "Plus forte baisse du ratio dette/PIB en fin d'horizon par Md€ d'effort",
+  },
+}
+
+// Below this marginal gain (Md€) a step no longer improves the balance
+const MIN_STEP_GAIN = 1e-6
+
+// =============================================================================
+// PACKAGE EVALUATION
+// =============================================================================
+
+/**
+ * Static balance, growth cost and debt effect of a lever set, relative to a
+ * reference projection.
+ *
+ * @param {object} levers - Plain lever values
+ * @param {array} reference - projectFiscalPath() of the starting levers
+ * @param {object} options - projectFiscalPath() options (`config` also feeds calculatePolicyImpact())
+ * @returns {object} { balance, growthCost, debtReduction, projection }
+ *   balance: static year-0 revenue change minus spending change (Md€)
+ *   growthCost: cumulative GDP shortfall vs the reference over the horizon (Md€)
+ *   debtReduction: fall of the final-year debt ratio vs the reference (pp)
+ */
+export function evaluatePackage(levers, reference, options = {}) {
+  const impact = calculatePolicyImpact(levers, { config: options.config })
+  const projection = projectFiscalPath(impact, options)
+  // Explosive paths stop early (maxDebtRatio): compare the years both cover
+  const last = Math.min(projection.length, reference.length) - 1
+  const growthCost = projection.slice(0, last + 1).reduce((sum, entry, t) => sum + reference[t].gdp - entry.gdp, 0)
+  return {
+    balance: impact.revenueChange - impact.spendingChange,
+    growthCost,
+    debtReduction: reference[last].debtRatio - projection[last].debtRatio,
+    projection,
+  }
+}
+
+// Non-dominated points: no other point has a larger improvement at a lower or equal cost
+function paretoFrontier(points) {
+  const sorted = [...points].sort((a, b) => b.improvement - a.improvement)
+  const frontier = []
+  let minCost = Infinity
+  for (const point of sorted) {
+    if (point.growthCost < minCost) {
+      frontier.push(point)
+      minCost = point.growthCost
+    }
+  }
+  return frontier.reverse()
+}
+
+// =============================================================================
+// OPTIMISER
+// =============================================================================
+
+/**
+ * Least-cost consolidation package and the growth-cost frontier.
+ *
+ * @param {number} target - Budget improvement to reach (Md€, static year-0 balance)
+ * @param {object} levers - Starting lever positions (default all 0)
+ * @param {object} options - projectFiscalPath() options; `config` also feeds calculatePolicyImpact()
+ * @param {object} optimizerOptions - { objective, locked, bounds }
+ *   objective: 'growthCost' (default) or 'debtReduction'
+ *   locked: lever keys kept at their starting value
+ *   bounds: per-lever overrides of LEVER_BOUNDS, e.g. { vatChange: { max: 0 } };
+ *     they limit the moves, a starting value already outside them is kept
+ * @returns {object} { feasible, levers, changes, improvement, growthCost, debtReduction,
+ *   projection, frontier, path }
+ *   levers/changes: the first package on the path that reaches the target
+ *   (or the last one if none does)
+ *   path: every package visited, in order: { improvement, growthCost, debtReduction, levers }
+ *   frontier: Pareto-efficient points of the path (growth cost vs improvement)
+ */
+export function optimizeConsolidation(target, levers = {}, options = {}, optimizerOptions = {}) {
+  const {
+    objective = 'growthCost',
+    locked = [],
+    bounds: boundOverrides = {},
+  } = optimizerOptions
+
+  if (!OPTIMIZER_OBJECTIVES[objective]) {
+    throw new Error(`Unknown optimiser objective: ${objective}`)
+  }
+  for (const key of [...locked, ...Object.keys(boundOverrides)]) {
+    if (!LEVER_BOUNDS[key]) throw new Error(`Unknown lever: ${key}`)
+  }
+
+  const bounds = {}
+  for (const [key, bound] of Object.entries(LEVER_BOUNDS)) {
+    bounds[key] = { ...bound, ...boundOverrides[key] }
+    if (bounds[key].min > bounds[key].max) {
+      throw new Error(`Empty bounds for lever: ${key}`)
+    }
+  }
+
+  // Consolidating direction of each free lever (static balance at its bounds)
+  const balanceAt = (key, value) => {
+    const impact = calculatePolicyImpact({ [key]: value }, { config: options.config })
+    return impact.revenueChange - impact.spendingChange
+  }
+  const directions = {}
+  for (const key of Object.keys(bounds)) {
+    if (locked.includes(key)) continue
+    directions[key] = balanceAt(key, bounds[key].max) >= balanceAt(key, bounds[key].min) ? 1 : -1
+  }
+
+  const start = { ...levers }
+  const reference = projectFiscalPath(calculatePolicyImpact(start, { config: options.config }), options)
+  const startBalance = evaluatePackage(start, reference, options).balance
+
+  // Higher is better: objective gain per Md€ of improvement
+  const score = (gain, delta) => objective === 'growthCost'
+    ? -delta.growthCost / gain
+    : delta.debtReduction / gain
+
+  const toPoint = (current, evaluation) => ({
+    improvement: Math.round((evaluation.balance - startBalance) * 10) / 10,
+    growthCost: Math.round(evaluation.growthCost * 10) / 10,
+    debtReduction: Math.round(evaluation.debtReduction * 100) / 100,
+    levers: { ...current },
+  })
+
+  let current = { ...start }
+  let currentEval = evaluatePackage(current, reference, options)
+  const path = [toPoint(current, currentEval)]
+  const exhausted = new Set()
+  let reached = target <= 0 ? path[0] : null
+  let reachedEval = reached ? currentEval : null
+
+  while (true) {
+    let best = null
+    for (const [key, direction] of Object.entries(directions)) {
+      if (exhausted.has(key)) continue
+      const bound = bounds[key]
+      const value = current[key] ?? 0
+      const next = Math.round(Math.min(bound.max, Math.max(bound.min, value + direction * bound.step)) * 1000) / 1000
+      if (next === value) {
+        exhausted.add(key)
+        continue
+      }
+      const candidate = { ...current, [key]: next }
+      const evaluation = evaluatePackage(candidate, reference, options)
+      const gain = evaluation.balance - currentEval.balance
+      if (gain <= MIN_STEP_GAIN) {
+        exhausted.add(key)
+        continue
+      }
+      const s = score(gain, {
+        growthCost: evaluation.growthCost - currentEval.growthCost,
+        debtReduction: evaluation.debtReduction - currentEval.debtReduction,
+      })
+      if (!best || s > best.score) best = { score: s, candidate, evaluation }
+    }
+    if (!best) break
+
+    current = best.candidate
+    currentEval = best.evaluation
+    const point = toPoint(current, currentEval)
+    path.push(point)
+    if (!reached && currentEval.balance - startBalance >= target) {
+      reached = point
+      reachedEval = currentEval
+    }
+  }
+
+  const chosen = reached || path[path.length - 1]
+  const chosenEval = reached ? reachedEval : currentEval
+  const changes = {}
+  for (const [key, value] of Object.entries(chosen.levers)) {
+    const from = start[key] ?? 0
+    if (value !== from) changes[key] = { from, to: value }
+  }
+
+  return {
+    feasible: Boolean(reached),
+    levers: chosen.levers,
+    changes,
+    improvement: chosen.improvement,
+    growthCost: chosen.growthCost,
+    debtReduction: chosen.debtReduction,
+    projection: chosenEval.projection,
+    frontier: paretoFrontier(path),
+    path,
+  }
+}
+
+export default {
+  OPTIMIZER_OBJECTIVES,
+  evaluatePackage,
+  optimizeConsolidation,
+}
@@ -0,0 +1,155 @@
+/**
+ * Sovereign credit rating
+ *
+ * Scores each projection year on the public-finance factors of the agency
+ * methodologies and maps the score to a notch of the AAA-CCC scale. The
+ * scorecard is anchored on France's 2025 rating: each indicator moves the
+ * score by a fixed number of notches per unit of change since 2025, as in the
+ * linear sovereign rating models (Fitch SRM):
+ * - debt level (% GDP) and debt trend (change over three years, pp per year)
+ * - deficit (% GDP)
+ * - interest / revenue (%)
+ * - real growth (three-year average)
+ *
+ * Agencies move slowly: the rating only changes once the score has left the
+ * current notch by a margin, and by one notch a year at most. projectFiscalPath()
+ * rates each year on the previous year's outcomes; with `enableRatingPremium`
+ * a downgrade adds a premium jump to the marginal rate, plus a forced-seller
+ * step when the rating leaves the single-A category and investment grade.
+ *
+ * Sources:
+ * - Fitch Ratings, Sovereign Rating Criteria (2024), Sovereign Rating Model
+ * - Moody's, Sovereigns Methodology (2022), fiscal strength scorecard
+ * - Fitch (septembre 2025) et S&P (octobre 2025): France abaissée à A+
+ * - Afonso, Furceri & Gomes (2012), "Sovereign credit ratings and financial
+ *   markets linkages", J. Int. Money and Finance
+ */
+
+import { BASELINE } from './policy-impact'
+
+// =============================================================================
+// RATING SCALE
+// =============================================================================
+
+// Best to worst; BBB- is the last investment-grade notch
+export const RATING_SCALE = [
+  'AAA', 'AA+', 'AA', 'AA-', 'A+', 'A', 'A-', 'BBB+', 'BBB', 'BBB-',
+  'BB+', 'BB', 'BB-', 'B+', 'B', 'B-', 'CCC',
+]
+
+// =============================================================================
+// SCORECARD AND PREMIUM CALIBRATION
+// =============================================================================
+
+export const RATING_PARAMS = {
+  initialRating: 'A+',          // Fitch, S&P (2025)
+  initialDebtTrend: 1.5,        // pp GDP per year, 2022-2025 (111% → 116%)
+  revenueShare: BASELINE.apu.revenuTotal / 2850,  // APU revenue / GDP (2025), for interest / revenue
+
+  // Notches lost per unit of deterioration since 2025 (negative = improvement lowers the score)
+  weights: {
+    debtRatio: 0.02,            // per pp of debt/GDP
+    debtTrend: 0.30,            // per pp/year of debt/GDP increase
+    deficitRatio: 0.15,         // per pp of deficit/GDP
+    interestToRevenue: 0.08,    // per pp of interest/revenue
+    realGrowth: -0.25,          // per pp of average real growth
+  },
+
+  hysteresis: 0.25,             // Notches beyond the current notch before a move
+  maxNotchesPerYear: 1,
+
+  // Marginal rate premium vs the initial rating (decimal)
+  premiumPerNotch: 0.0010,      // 10 bps per notch
+  forcedSellerSteps: [
+    { below: 'A-', premium: 0.0030, label: "Sortie de la catégorie A (mandats de réserves de change)" },
+    { below: 'BBB-', premium: 0.0100, label: "Perte de l'investment grade (indices IG, collatéral BCE)" },
+  ],
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Position of a rating on RATING_SCALE (0 = AAA).
+ */
+export function ratingIndex(rating) {
+  const index = RATING_SCALE.indexOf(rating)
+  if (index < 0) throw new Error(`Unknown rating: ${rating}`)
+  return index
+}
+
+/**
+ * Whether a rating is investment grade (BBB- or better).
+ */
+export function isInvestmentGrade(rating) {
+  return ratingIndex(rating) <= ratingIndex('BBB-')
+}
+
+/**
+ * Scorecard result in notches (RATING_SCALE index, higher = weaker).
+ *
+ * @param {object} indicators - { debtRatio, debtTrend, deficitRatio, interestToRevenue, realGrowth }
+ *   (%, pp per year for debtTrend)
+ * @param {object} initialIndicators - The same indicators in 2025
+ * @param {object} params - RATING_PARAMS
+ * @returns {number} Continuous score; the initial indicators score the initial rating.
+ *   A non-finite score (exploding debt path: Infinity − Infinity) is the worst notch
+ */
+export function ratingScore(indicators, initialIndicators, params = RATING_PARAMS) {
+  let score = ratingIndex(params.initialRating)
+  for (const [key, weight] of Object.entries(params.weights)) {
+    score += weight * (indicators[key] - initialIndicators[key])
+  }
+  if (!Number.isFinite(score)) return RATING_SCALE.length - 1
+  return Math.min(Math.max(score, 0), RATING_SCALE.length - 1)
+}
+
+/**
+ * Next rating given the current one and this year's score.
+ *
+ * The rating moves only when the score lies more than 0.5 + hysteresis notches
+ * from the current notch, towards the nearest notch and by maxNotchesPerYear
+ * at most. A non-finite score moves towards the worst notch.
+ *
+ * @returns {string} Rating
+ */
+export function nextRating(current, score, params = RATING_PARAMS) {
+  const index = ratingIndex(current)
+  const bounded = Number.isFinite(score) ? score : RATING_SCALE.length - 1
+  if (Math.abs(bounded - index) <= 0.5 + params.hysteresis) return current
+  const target = Math.round(bounded)
+  const move = Math.max(-params.maxNotchesPerYear, Math.min(params.maxNotchesPerYear, target - index))
+  return RATING_SCALE[index + move]
+}
+
+// =============================================================================
+// RISK PREMIUM
+// =============================================================================
+
+// Premium of a notch on the absolute scale: notches plus the forced-seller steps passed
+function notchPremium(index, params) {
+  let premium = index * params.premiumPerNotch
+  for (const step of params.forcedSellerSteps) {
+    if (index > ratingIndex(step.below)) premium += step.premium
+  }
+  return premium
+}
+
+/**
+ * Marginal rate premium of a rating relative to the initial rating (decimal;
+ * negative after an upgrade).
+ */
+export function ratingPremium(rating, params = RATING_PARAMS) {
+  return notchPremium(ratingIndex(rating), params) - notchPremium(ratingIndex(params.initialRating), params)
+}
+
+export default {
+  RATING_SCALE,
+  RATING_PARAMS,
+  ratingIndex,
+  isInvestmentGrade,
+  ratingScore,
+  nextRating,
+  ratingPremium,
+}
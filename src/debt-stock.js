@@ -0,0 +1,254 @@
+/**
+ * OAT maturity ladder
+ *
+ * Holds the debt stock as vintages by maturity bucket (BTF, 2y, 5y, 10y, 30y,
+ * OATi/OAT€i). Each vintage keeps the coupon it was issued at; redemptions fall
+ * due on schedule and are refinanced, together with the deficit, according to a
+ * configurable issuance mix. Used by projectFiscalPath() when
+ * `debtModel: 'ladder'` is selected.
+ *
+ * Sources:
+ * - AFT Bulletin mensuel 2025 (encours par ligne, durée de vie moyenne 8,5 ans)
+ * - AFT Programme de financement 2025 (300 Md€ moyen/long terme, ~10% indexé)
+ * - Courbe OAT septembre 2025 (BTF 3M ~2,0%, 2Y ~2,1%, 5Y ~2,5%, 10Y ~3,4%, 30Y ~4,3%)
+ */
+
+// =============================================================================
+// LADDER CALIBRATION
+// =============================================================================
+
+// Original maturity (years) per bucket. BTF are treated as 1-year paper.
+export const DEBT_BUCKETS = {
+  btf:  { label: "BTF (< 1 an)", maturity: 1 },
+  y2:   { label: "OAT 2 ans", maturity: 2 },
+  y5:   { label: "OAT 5 ans", maturity: 5 },
+  y10:  { label: "OAT 10 ans", maturity: 10 },
+  y30:  { label: "OAT 30 ans", maturity: 30 },
+  oati: { label: "OATi / OAT€i", maturity: 10, indexed: true },
+}
+
+export const DEBT_STOCK_PARAMS = {
+  // Share of the 2025 stock per bucket (AFT encours, long lines 15-50y pooled into 30y)
+  initialComposition: {
+    btf: 0.06,
+    y2: 0.04,
+    y5: 0.14,
+    y10: 0.38,
+    y30: 0.28,
+    oati: 0.10,
+  },
+
+  // Yield spread vs the 10Y OAT (decimal), from the Sept 2025 curve
+  // OATi quoted on a nominal-equivalent basis (real yield + expected inflation)
+  termSpreads: {
+    btf: -0.0120,
+    y2: -0.0110,
+    y5: -0.0080,
+    y10: 0,
+    y30: 0.0085,
+    oati: 0,
+  },
+}
+
+// =============================================================================
+// ISSUANCE MIX PRESETS
+// =============================================================================
+// Shares of gross issuance per bucket (sum to 1). BTF share is high in gross
+// terms because BTF roll over every year.
+
+export const ISSUANCE_MIX_PRESETS = {
+  aft2025: {
+    label: "AFT 2025 (référence)",
+    description: "Programme 2025 : ~300 Md€ moyen/long terme, BTF stable, ~8% indexé",
+    mix: { btf: 0.22, y2: 0.10, y5: 0.22, y10: 0.30, y30: 0.08, oati: 0.08 },
+  },
+  short: {
+    label: "Raccourcissement",
+    description: "Financement court (BTF + 2 ans) : coût immédiat plus faible, refinancement plus fréquent",
+    mix: { btf: 0.40, y2: 0.25, y5: 0.20, y10: 0.12, y30: 0.03, oati: 0 },
+  },
+  long: {
+    label: "Allongement",
+    description: "Verrouillage des taux : 10-30 ans prioritaires, coût immédiat plus élevé",
+    mix: { btf: 0.10, y2: 0.05, y5: 0.10, y10: 0.35, y30: 0.30, oati: 0.10 },
+  },
+}
+
+const BUCKET_KEYS = Object.keys(DEBT_BUCKETS)
+
+// Average term spread of a composition/mix (weights sum to 1)
+function weightedSpread(weights, termSpreads) {
+  return BUCKET_KEYS.reduce((sum, key) => sum + (weights[key] || 0) * termSpreads[key], 0)
+}
+
+// =============================================================================
+// LADDER CONSTRUCTION
+// =============================================================================
+
+/**
+ * Build the initial ladder.
+ *
+ * Each bucket's stock is spread evenly over residual maturities 1..maturity
+ * (uniform past issuance). Legacy coupons are set so the stock-weighted cost
+ * equals `averageRate`, keeping the bucket term spreads.
+ *
+ * @param {number} totalDebt - Md€
+ * @param {number} averageRate - Average portfolio rate (decimal, nominal-equivalent)
+ * @param {object} options - { composition, inflation }
+ * @param {object} stockParams - DEBT_STOCK_PARAMS (config `debtStockParams`)
+ * @returns {array} Vintages [{ bucket, principal, coupon, residual, indexed }]
+ *   For indexed vintages `coupon` is the real coupon.
+ */
+export function createDebtLadder(totalDebt, averageRate, options = {}, stockParams = DEBT_STOCK_PARAMS) {
+  const { termSpreads } = stockParams
+  const {
+    composition = stockParams.initialComposition,
+    inflation = 0.018,
+  } = options
+
+  const meanSpread = weightedSpread(composition, termSpreads)
+  const ladder = []
+
+  for (const key of BUCKET_KEYS) {
+    const { maturity, indexed = false } = DEBT_BUCKETS[key]
+    const bucketStock = totalDebt * (composition[key] || 0)
+    if (bucketStock <= 0) continue
+
+    const nominalCoupon = averageRate + termSpreads[key] - meanSpread
+    for (let residual = 1; residual <= maturity; residual++) {
+      ladder.push({
+        bucket: key,
+        principal: bucketStock / maturity,
+        coupon: indexed ? nominalCoupon - inflation : nominalCoupon,
+        residual,
+        indexed,
+      })
+    }
+  }
+
+  return ladder
+}
+
+// =============================================================================
+// LADDER METRICS
+// =============================================================================
+
+/**
+ * Outstanding principal (Md€).
+ */
+export function ladderStock(ladder) {
+  return ladder.reduce((sum, v) => sum + v.principal, 0)
+}
+
+/**
+ * Interest charge for the year (Md€). Indexed vintages pay the real coupon on
+ * their indexed principal plus the indexation uplift (accrued as interest,
+ * Maastricht basis).
+ *
+ * @param {array} ladder
+ * @param {number} inflation - Realised inflation this year (decimal)
+ */
+export function ladderInterest(ladder, inflation = 0.018) {
+  return ladder.reduce((sum, v) => sum + v.principal * (v.indexed ? v.coupon + inflation : v.coupon), 0)
+}
+
+/**
+ * Principal falling due this year (Md€) — the redemption wall.
+ */
+export function ladderRedemptions(ladder) {
+  return ladder.reduce((sum, v) => sum + (v.residual === 1 ? v.principal : 0), 0)
+}
+
+/**
+ * Principal-weighted average residual maturity (years).
+ */
+export function averageMaturity(ladder) {
+  const stock = ladderStock(ladder)
+  if (stock <= 0) return 0
+  return ladder.reduce((sum, v) => sum + v.principal * v.residual, 0) / stock
+}
+
+// =============================================================================
+// ANNUAL ROLL
+// =============================================================================
+
+/**
+ * Roll the ladder forward one year.
+ *
+ * Indexed principal is first uplifted by realised `inflation`; the uplift is
+ * part of the deficit (via ladderInterest) but needs no cash, so it is netted
+ * out of the financing need. Maturing vintages are then redeemed at their
+ * indexed value, and redemptions plus the cash deficit are refinanced with
+ * new vintages priced at `marginalRate` plus term spreads. The marginal rate
+ * is read as the average cost of the reference AFT mix, so the default mix
+ * reproduces it and shorter mixes issue below it. New OATi carry a real coupon
+ * of the nominal-equivalent yield minus `expectedInflation`. A surplus beyond
+ * redemptions buys back the remaining stock pro rata.
+ *
+ * @param {array} ladder - Vintages at the start of the year
+ * @param {object} params - { deficit, marginalRate, issuanceMix, inflation, expectedInflation }
+ * @param {object} stockParams - DEBT_STOCK_PARAMS (config `debtStockParams`)
+ * @returns {object} { ladder, redemptions, grossIssuance, indexationUplift }
+ */
+export function rollDebtLadder(ladder, params, stockParams = DEBT_STOCK_PARAMS) {
+  const { termSpreads } = stockParams
+  const {
+    deficit,
+    marginalRate,
+    issuanceMix = ISSUANCE_MIX_PRESETS.aft2025.mix,
+    inflation = 0,
+    expectedInflation = 0.018,
+  } = params
+
+  let indexationUplift = 0
+  const indexed = ladder.map(v => {
+    if (!v.indexed) return v
+    indexationUplift += v.principal * inflation
+    return { ...v, principal: v.principal * (1 + inflation) }
+  })
+
+  const redemptions = ladderRedemptions(indexed)
+  let remaining = indexed
+    .filter(v => v.residual > 1)
+    .map(v => ({ ...v, residual: v.residual - 1 }))
+
+  const financingNeed = redemptions + deficit - indexationUplift
+  let grossIssuance = 0
+
+  if (financingNeed >= 0) {
+    grossIssuance = financingNeed
+    const referenceSpread = weightedSpread(ISSUANCE_MIX_PRESETS.aft2025.mix, termSpreads)
+    for (const key of BUCKET_KEYS) {
+      const share = issuanceMix[key] || 0
+      if (share <= 0) continue
+      const { maturity, indexed = false } = DEBT_BUCKETS[key]
+      const nominalCoupon = marginalRate + termSpreads[key] - referenceSpread
+      remaining.push({
+        bucket: key,
+        principal: grossIssuance * share,
+        coupon: indexed ? nominalCoupon - expectedInflation : nominalCoupon,
+        residual: maturity,
+        indexed,
+      })
+    }
+  } else {
+    // Surplus exceeds redemptions: buy back pro rata
+    const stock = ladderStock(remaining)
+    const scale = stock > 0 ? Math.max(0, 1 + financingNeed / stock) : 0
+    remaining = remaining.map(v => ({ ...v, principal: v.principal * scale }))
+  }
+
+  return { ladder: remaining, redemptions, grossIssuance, indexationUplift }
+}
+
+export default {
+  DEBT_BUCKETS,
+  DEBT_STOCK_PARAMS,
+  ISSUANCE_MIX_PRESETS,
+  createDebtLadder,
+  ladderStock,
+  ladderInterest,
+  ladderRedemptions,
+  averageMaturity,
+  rollDebtLadder,
+}
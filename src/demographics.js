@@ -0,0 +1,288 @@
+/**
+ * Cohort demographics
+ *
+ * Projects the population of France by single year of age (sexes combined)
+ * from 2025 to 2070 with a cohort-component model. Each year, every cohort
+ * ages by one year and loses its deaths. Births come from the women aged
+ * 15-49, and net migration is spread over an age profile. The scenarios
+ * combine low / central / high hypotheses for fertility, life expectancy and
+ * net migration, as in the INSEE projections.
+ *
+ * The projection yields the old-age dependency ratio (65+ / 20-64) and the
+ * share of the 85+. projectFiscalPath() turns them into pension, health and
+ * dependance pressure when called with the `demography` option, in place of
+ * the linear drift.
+ *
+ * Mortality follows a Gompertz-Makeham law whose level is solved each year so
+ * that life expectancy at birth follows the scenario path.
+ *
+ * Sources:
+ * - INSEE, Projections de population 2021-2070 (Insee Résultats, nov. 2021):
+ *   fécondité 1,6 / 1,8 / 2,0 ; solde migratoire +20 000 / +70 000 / +120 000
+ * - INSEE, Bilan démographique 2024 (fécondité 1,62 ; espérance de vie 83,1 ans)
+ *   and pyramide des âges au 1er janvier 2025 (rounded 5-year groups)
+ */
+
+// =============================================================================
+// INITIAL POPULATION (1 January 2025, millions)
+// =============================================================================
+
+// [fromAge, toAge, population] — INSEE pyramid rounded to 0.1 M (68.6 M)
+export const INITIAL_POPULATION = [
+  [0, 4, 3.5], [5, 9, 3.8], [10, 14, 4.2], [15, 19, 4.2],
+  [20, 24, 4.0], [25, 29, 3.9], [30, 34, 4.1], [35, 39, 4.3],
+  [40, 44, 4.4], [45, 49, 4.2], [50, 54, 4.5], [55, 59, 4.4],
+  [60, 64, 4.2], [65, 69, 4.0], [70, 74, 3.8], [75, 79, 3.0],
+  [80, 84, 2.0], [85, 89, 1.3], [90, 94, 0.6], [95, 99, 0.2],
+]
+
+// =============================================================================
+// HYPOTHESES AND SCENARIOS
+// =============================================================================
+
+// Long-run values by hypothesis (INSEE 2021 projections)
+export const DEMOGRAPHIC_HYPOTHESES = {
+  fertility: { low: 1.6, central: 1.8, high: 2.0 },           // Children per woman, from 2035
+  lifeExpectancy: { low: 85.8, central: 88.8, high: 91.8 },   // Years at birth in 2070, both sexes
+  netMigration: { low: 20000, central: 70000, high: 120000 }, // Persons per year
+}
+
+export const DEMOGRAPHIC_SCENARIOS = {
+  central: {
+    label: "Central (INSEE)",
+    fertility: 'central', lifeExpectancy: 'central', netMigration: 'central',
+  },
+  lowFertility: {
+    label: "Fécondité basse (1,6)",
+    fertility: 'low', lifeExpectancy: 'central', netMigration: 'central',
+  },
+  highFertility: {
+    label: "Fécondité haute (2,0)",
+    fertility: 'high', lifeExpectancy: 'central', netMigration: 'central',
+  },
+  highMortality: {
+    label: "Mortalité haute (espérance de vie −3 ans)",
+    fertility: 'central', lifeExpectancy: 'low', netMigration: 'central',
+  },
+  lowMortality: {
+    label: "Mortalité basse (espérance de vie +3 ans)",
+    fertility: 'central', lifeExpectancy: 'high', netMigration: 'central',
+  },
+  older: {
+    label: "Population âgée",
+    description: "Fécondité basse, mortalité basse, solde migratoire bas",
+    fertility: 'low', lifeExpectancy: 'high', netMigration: 'low',
+  },
+  younger: {
+    label: "Population jeune",
+    description: "Fécondité haute, mortalité haute, solde migratoire haut",
+    fertility: 'high', lifeExpectancy: 'low', netMigration: 'high',
+  },
+}
+
+// =============================================================================
+// MODEL PARAMETERS
+// =============================================================================
+
+export const COHORT_PARAMS = {
+  baseYear: 2025,
+  endYear: 2070,
+  maxAge: 105,                 // Open age group
+
+  // Fertility: 2024 level, converging linearly to the scenario value
+  initialFertility: 1.62,
+  convergenceYear: 2035,
+  femaleShare: 0.5,            // Women among the 15-49
+  fertilitySchedule: { meanAge: 31, sd: 5.5, minAge: 15, maxAge: 49 },
+
+  // Mortality: q(x) = 1 − exp(−(makeham + level × e^(slope × x))), x ≥ 1
+  initialLifeExpectancy: 83.1,
+  gompertzSlope: 0.095,
+  makeham: 0.0002,
+  infantMortality: 0.0035,
+
+  // Net migrants by age (normal profile, ages 0-64)
+  migrationProfile: { meanAge: 27, sd: 10, maxAge: 64 },
+}
+
+// =============================================================================
+// MORTALITY
+// =============================================================================
+
+// Death probabilities by age for a Gompertz level
+function deathProbabilities(level, params) {
+  const q = []
+  for (let x = 0; x <= params.maxAge; x++) {
+    if (x === params.maxAge) q.push(1)
+    else if (x === 0) q.push(params.infantMortality)
+    else q.push(1 - Math.exp(-(params.makeham + level * Math.exp(params.gompertzSlope * x))))
+  }
+  return q
+}
+
+/**
+ * Period life expectancy at birth of a set of death probabilities.
+ */
+export function lifeExpectancyAtBirth(q) {
+  let survivors = 1
+  let years = 0
+  for (const qx of q) {
+    const next = survivors * (1 - qx)
+    years += (survivors + next) / 2
+    survivors = next
+  }
+  return years
+}
+
+/**
+ * Death probabilities by age that give a target life expectancy at birth.
+ *
+ * @param {number} lifeExpectancy - Years at birth
+ * @param {object} params - COHORT_PARAMS
+ * @returns {array} q(x) for x = 0..maxAge
+ */
+export function mortalityRates(lifeExpectancy, params = COHORT_PARAMS) {
+  // Bisection on log(level): life expectancy falls as the level rises
+  let lo = Math.log(1e-9)
+  let hi = Math.log(1e-2)
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2
+    if (lifeExpectancyAtBirth(deathProbabilities(Math.exp(mid), params)) > lifeExpectancy) lo = mid
+    else hi = mid
+  }
+  return deathProbabilities(Math.exp((lo + hi) / 2), params)
+}
+
+// =============================================================================
+// PROJECTION
+// =============================================================================
+
+// Normal weights over ages [from, to], summing to 1
+function ageWeights(from, to, mean, sd) {
+  const weights = []
+  for (let x = from; x <= to; x++) weights.push(Math.exp(-0.5 * ((x - mean) / sd) ** 2))
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  return weights.map(w => w / total)
+}
+
+function sumAges(population, from, to) {
+  let total = 0
+  for (let x = from; x <= Math.min(to, population.length - 1); x++) total += population[x]
+  return total
+}
+
+// Indicators of one year's population (persons)
+function summarise(population, params) {
+  const total = sumAges(population, 0, params.maxAge)
+  const working = sumAges(population, 20, 64)
+  const old = sumAges(population, 65, params.maxAge)
+  const veryOld = sumAges(population, 85, params.maxAge)
+  return {
+    population: total,
+    young: sumAges(population, 0, 19),
+    working,
+    old,
+    veryOld,
+    oldAgeDependencyRatio: old / working * 100,
+    veryOldShare: veryOld / total * 100,
+  }
+}
+
+/**
+ * Population projection for one scenario.
+ *
+ * @param {object} scenario - { fertility, lifeExpectancy, netMigration } hypothesis keys
+ *   (a DEMOGRAPHIC_SCENARIOS entry)
+ * @param {object} params - COHORT_PARAMS
+ * @returns {array} One entry per year from baseYear to endYear (1 January):
+ *   { year, population, young, working, old, veryOld (millions),
+ *     births, deaths (thousands, during the year), fertility, lifeExpectancy,
+ *     oldAgeDependencyRatio (65+ / 20-64, %), veryOldShare (85+, % of population),
+ *     ages (persons by age) }
+ */
+export function projectPopulation(scenario = DEMOGRAPHIC_SCENARIOS.central, params = COHORT_PARAMS) {
+  const hypotheses = DEMOGRAPHIC_HYPOTHESES
+  const targetFertility = hypotheses.fertility[scenario.fertility]
+  const targetLifeExpectancy = hypotheses.lifeExpectancy[scenario.lifeExpectancy]
+  const netMigration = hypotheses.netMigration[scenario.netMigration]
+  if (targetFertility == null || targetLifeExpectancy == null || netMigration == null) {
+    throw new Error('Demographic scenario needs low/central/high fertility, lifeExpectancy and netMigration')
+  }
+
+  const { baseYear, endYear, maxAge, fertilitySchedule: fs, migrationProfile: mp } = params
+  const fertilityWeights = ageWeights(fs.minAge, fs.maxAge, fs.meanAge, fs.sd)
+  const migrationWeights = ageWeights(0, mp.maxAge, mp.meanAge, mp.sd)
+
+  // Single-year ages from the 5-year groups (persons)
+  let ages = new Array(maxAge + 1).fill(0)
+  for (const [from, to, millions] of INITIAL_POPULATION) {
+    for (let x = from; x <= to; x++) ages[x] = millions * 1e6 / (to - from + 1)
+  }
+
+  const results = []
+  for (let year = baseYear; year <= endYear; year++) {
+    const t = year - baseYear
+    const fertilityShare = Math.min(1, t / (params.convergenceYear - baseYear))
+    const fertility = params.initialFertility + (targetFertility - params.initialFertility) * fertilityShare
+    const lifeExpectancy = params.initialLifeExpectancy
+      + (targetLifeExpectancy - params.initialLifeExpectancy) * t / (endYear - baseYear)
+    const q = mortalityRates(lifeExpectancy, params)
+
+    let births = 0
+    for (let i = 0; i < fertilityWeights.length; i++) {
+      births += fertility * fertilityWeights[i] * params.femaleShare * ages[fs.minAge + i]
+    }
+    let deaths = 0
+    for (let x = 0; x <= maxAge; x++) deaths += ages[x] * q[x]
+
+    const summary = summarise(ages, params)
+    results.push({
+      year,
+      population: Math.round(summary.population / 1e3) / 1e3,
+      young: Math.round(summary.young / 1e3) / 1e3,
+      working: Math.round(summary.working / 1e3) / 1e3,
+      old: Math.round(summary.old / 1e3) / 1e3,
+      veryOld: Math.round(summary.veryOld / 1e3) / 1e3,
+      births: Math.round(births / 100) / 10,
+      deaths: Math.round(deaths / 100) / 10,
+      fertility: Math.round(fertility * 100) / 100,
+      lifeExpectancy: Math.round(lifeExpectancy * 10) / 10,
+      oldAgeDependencyRatio: Math.round(summary.oldAgeDependencyRatio * 1000) / 1000,
+      veryOldShare: Math.round(summary.veryOldShare * 1000) / 1000,
+      ages,
+    })
+
+    // Age one year: survivors, open top group, births, net migrants
+    const next = new Array(maxAge + 1).fill(0)
+    for (let x = 0; x < maxAge; x++) next[x + 1] = ages[x] * (1 - q[x])
+    next[maxAge] += ages[maxAge] * (1 - q[maxAge])
+    next[0] = births
+    for (let x = 0; x <= mp.maxAge; x++) next[x] += netMigration * migrationWeights[x]
+    ages = next
+  }
+  return results
+}
+
+// Projections by scenario key, computed once (the engine asks for them every run)
+const projectionCache = new Map()
+
+/**
+ * Population projection of a named scenario (DEMOGRAPHIC_SCENARIOS key), cached.
+ */
+export function getPopulationProjection(key = 'central') {
+  const scenario = DEMOGRAPHIC_SCENARIOS[key]
+  if (!scenario) throw new Error(`Unknown demographic scenario: ${key}`)
+  if (!projectionCache.has(key)) projectionCache.set(key, projectPopulation(scenario))
+  return projectionCache.get(key)
+}
+
+export default {
+  INITIAL_POPULATION,
+  DEMOGRAPHIC_HYPOTHESES,
+  DEMOGRAPHIC_SCENARIOS,
+  COHORT_PARAMS,
+  lifeExpectancyAtBirth,
+  mortalityRates,
+  projectPopulation,
+  getPopulationProjection,
+}
@@ -0,0 +1,153 @@
+/**
+ * Distributional impact by income decile
+ *
+ * Splits the Md€ effect of each tax and transfer lever over the ten deciles
+ * of niveau de vie, in € per household and in % of disposable income. A tax
+ * lever falls on the deciles in proportion to what they pay of that tax, a
+ * transfer lever in proportion to what they receive; the Md€ amounts come
+ * from calculatePolicyImpact(), so behavioural responses and the ONDAM floor
+ * are already in them.
+ *
+ * Incidence is static and first-round: no change in behaviour, prices or
+ * wages beyond the corporate tax split between shareholders and employees.
+ * Health and education count at their cost to the State (transferts en
+ * nature). Defence, the DGF and local investment are public goods not given
+ * to any decile; their amount is reported as unallocated.
+ *
+ * The decile table is synthetic: amounts per household shaped on the INSEE
+ * and DREES redistribution studies, rounded, and scaled to the PLF 2025 /
+ * PLFSS 2026 aggregates of policy-impact.js.
+ *
+ * Sources:
+ * - INSEE, France portrait social 2024 (redistribution monétaire par décile)
+ * - INSEE, Revenus et patrimoine des ménages 2024 (ERFS 2021)
+ * - DREES, Minima sociaux et prestations sociales 2024
+ * - INSEE, comptes nationaux distribués 2022 (transferts en nature)
+ * - Fuest, Peichl & Siegloch (2018), Do Higher Corporate Taxes Reduce Wages?
+ */
+
+import { calculatePolicyImpact, SCHEDULE_BASE_YEAR } from './policy-impact'
+
+// =============================================================================
+// DECILE TABLE (2025, € per household and year)
+// =============================================================================
+
+export const DISTRIBUTIONAL_PARAMS = {
+  households: 30.9,  // M ménages ordinaires (INSEE 2025)
+}
+
+// Deciles of niveau de vie. Taxes: IR, CSG + CRDS, cotisations (employer and
+// employee, on the household's wages), TVA paid on consumption, capital income
+// (corporate tax base). Transfers: pensions, solidarity (minima sociaux, prime
+// d'activité, aides au logement), health and education in kind.
+export const DECILE_TABLE = [
+  { decile: 1, disposableIncome: 13000, incomeTax: 0, csg: 900, socialContributions: 2500, vat: 2000, capitalIncome: 300, pensions: 3500, solidarity: 5200, health: 8500, education: 3200 },
+  { decile: 2, disposableIncome: 20000, incomeTax: 30, csg: 1600, socialContributions: 5000, vat: 2600, capitalIncome: 400, pensions: 6500, solidarity: 3000, health: 8600, education: 3300 },
+  { decile: 3, disposableIncome: 25000, incomeTax: 150, csg: 2300, socialContributions: 7500, vat: 3000, capitalIncome: 500, pensions: 8500, solidarity: 1600, health: 8400, education: 3200 },
+  { decile: 4, disposableIncome: 29000, incomeTax: 450, csg: 2900, socialContributions: 9500, vat: 3400, capitalIncome: 700, pensions: 9500, solidarity: 800, health: 8200, education: 3000 },
+  { decile: 5, disposableIncome: 34000, incomeTax: 900, csg: 3500, socialContributions: 11500, vat: 3800, capitalIncome: 900, pensions: 10000, solidarity: 400, health: 8000, education: 2900 },
+  { decile: 6, disposableIncome: 38000, incomeTax: 1400, csg: 4100, socialContributions: 13000, vat: 4200, capitalIncome: 1200, pensions: 10500, solidarity: 200, health: 7900, education: 2800 },
+  { decile: 7, disposableIncome: 44000, incomeTax: 2100, csg: 4800, socialContributions: 15000, vat: 4700, capitalIncome: 1600, pensions: 10500, solidarity: 100, health: 7800, education: 2700 },
+  { decile: 8, disposableIncome: 51000, incomeTax: 3200, csg: 5700, socialContributions: 17500, vat: 5300, capitalIncome: 2300, pensions: 11000, solidarity: 50, health: 7700, education: 2600 },
+  { decile: 9, disposableIncome: 62000, incomeTax: 5300, csg: 7200, socialContributions: 21000, vat: 6200, capitalIncome: 3800, pensions: 12000, solidarity: 30, health: 7600, education: 2500 },
+  { decile: 10, disposableIncome: 105000, incomeTax: 17000, csg: 10700, socialContributions: 20000, vat: 8800, capitalIncome: 16000, pensions: 14500, solidarity: 20, health: 7500, education: 2500 },
+]
+
+// Decile table column(s) each lever falls on, with their weights; levers not
+// listed (défense, DGF, investissement local) are unallocated
+export const LEVER_INCIDENCE = {
+  incomeTaxChange: { type: 'tax', base: { incomeTax: 1 } },
+  csgRate: { type: 'tax', base: { csg: 1 } },
+  socialContributions: { type: 'tax', base: { socialContributions: 1 } },
+  vatChange: { type: 'tax', base: { vat: 1 } },
+  corpTaxChange: { type: 'tax', base: { capitalIncome: 0.7, socialContributions: 0.3 } },  // 30% on wages (Fuest et al.: ~50% in Germany)
+  pensionIndexation: { type: 'transfer', base: { pensions: 1 } },
+  spendingSolidarity: { type: 'transfer', base: { solidarity: 1 } },
+  healthSpending: { type: 'transfer', base: { health: 1 } },
+  spendingEducation: { type: 'transfer', base: { education: 1 } },
+}
+
+// =============================================================================
+// INCIDENCE
+// =============================================================================
+
+/**
+ * Share of each decile in a weighted mix of decile table columns.
+ *
+ * @param {object} base - { column: weight }
+ * @param {array} table - DECILE_TABLE
+ * @returns {array} Ten shares summing to 1
+ */
+export function decileShares(base, table = DECILE_TABLE) {
+  const shares = table.map(() => 0)
+  for (const [column, weight] of Object.entries(base)) {
+    const total = table.reduce((sum, row) => sum + row[column], 0)
+    if (total === 0) throw new Error(`Empty decile column: ${column}`)
+    table.forEach((row, i) => { shares[i] += weight * row[column] / total })
+  }
+  return shares
+}
+
+/**
+ * Gains and losses of each decile from a set of levers.
+ *
+ * Each lever is evaluated alone with calculatePolicyImpact(); a revenue rise is
+ * a loss, a spending rise a gain. Scheduled levers take their value in
+ * `options.year`.
+ *
+ * @param {object} levers - Lever positions (calculatePolicyImpact input)
+ * @param {object} options - { config, year, table, params }
+ *   config: model calibration (createModelConfig()), as for calculatePolicyImpact()
+ *   table: DECILE_TABLE; params: DISTRIBUTIONAL_PARAMS overrides
+ * @returns {object} { deciles, levers, allocated, unallocated }
+ *   deciles = [{ decile, disposableIncome, byLever, gain, gainPct }]: € per
+ *   household and year (> 0: gain), gainPct in % of disposable income;
+ *   levers = [{ key, type, amount }] Md€ gain to households of each lever;
+ *   allocated / unallocated = Md€ given to the deciles / to no one
+ */
+export function distributionalImpact(levers = {}, options = {}) {
+  const { config = {}, year = SCHEDULE_BASE_YEAR, table = DECILE_TABLE } = options
+  const params = { ...DISTRIBUTIONAL_PARAMS, ...options.params }
+  const householdsPerDecile = params.households * 1e6 / table.length
+
+  const leverResults = []
+  let unallocated = 0
+  for (const key of Object.keys(levers)) {
+    const impact = calculatePolicyImpact({ [key]: levers[key] }, { config, year })
+    const incidence = LEVER_INCIDENCE[key]
+    if (!incidence) {
+      unallocated += impact.spendingChange - impact.revenueChange
+      continue
+    }
+    const amount = incidence.type === 'tax' ? -impact.revenueChange : impact.spendingChange
+    if (amount !== 0) leverResults.push({ key, type: incidence.type, amount })
+  }
+
+  const deciles = table.map(row => ({ decile: row.decile, disposableIncome: row.disposableIncome, byLever: {}, gain: 0 }))
+  for (const { key, amount } of leverResults) {
+    decileShares(LEVER_INCIDENCE[key].base, table).forEach((share, i) => {
+      const perHousehold = amount * 1e9 * share / householdsPerDecile
+      deciles[i].byLever[key] = Math.round(perHousehold)
+      deciles[i].gain += perHousehold
+    })
+  }
+  for (const decile of deciles) {
+    decile.gainPct = Math.round(decile.gain / decile.disposableIncome * 10000) / 100
+    decile.gain = Math.round(decile.gain)
+  }
+
+  return {
+    deciles,
+    levers: leverResults,
+    allocated: Math.round(leverResults.reduce((sum, entry) => sum + entry.amount, 0) * 10) / 10,
+    unallocated: Math.round(unallocated * 10) / 10,
+  }
+}
+
+export default {
+  DISTRIBUTIONAL_PARAMS,
+  DECILE_TABLE,
+  LEVER_INCIDENCE,
+  decileShares,
+  distributionalImpact,
+}
@@ -0,0 +1,195 @@
+/**
+ * Debt sustainability analysis (DSA)
+ *
+ * Reads any projectFiscalPath() result in the IMF framework for market-access
+ * countries: the interest-growth differential r − g, the primary balance that
+ * stabilises the debt ratio and the gap between it and the projected primary
+ * balance, and gross financing needs. Then re-runs the projection under the
+ * standard bound tests and sets the results against the high-scrutiny
+ * benchmarks (debt 85% of GDP, financing needs 20% of GDP).
+ *
+ * The bound tests are additive `shocks` (projection-engine), so they go
+ * through the engine's feedback loops: stabilisers, output gap, risk premium,
+ * rating and debt rollover.
+ *
+ * Sources:
+ * - IMF, Staff Guidance Note for Public Debt Sustainability Analysis in
+ *   Market-Access Countries (2013), bound tests and benchmarks
+ * - IMF, Staff Guidance Note on the Sovereign Risk and Debt Sustainability
+ *   Framework for Market Access Countries (2022)
+ * - European Commission, Debt Sustainability Monitor 2023
+ */
+
+import { projectFiscalPath } from './projection-engine-v1.8'
+import { MONTE_CARLO_PARAMS } from './monte-carlo'
+
+// =============================================================================
+// BOUND TEST CALIBRATION
+// =============================================================================
+
+export const DSA_PARAMS = {
+  startYear: 1,                 // Projection year of the first shocked year
+  shockYears: 2,                // Growth and primary balance shocks last two years
+  growthSd: MONTE_CARLO_PARAMS.volatility.realGrowth,  // 1.2 pp, France ex-Covid
+  interestShock: 0.02,          // +200 bps on the marginal rate, whole horizon
+  primaryBalanceShock: 0.01,    // 1 pp of GDP (≈ 1 SD of the primary balance, 2010-2024 ex-2020)
+  contingentLiabilities: 0.10,  // One-off debt jump of 10% of GDP (bank support, called guarantees)
+  debtBenchmark: 85,            // % GDP, high-scrutiny threshold (advanced economies)
+  financingNeedsBenchmark: 20,  // % GDP
+}
+
+// Shocks of each test, applied from startYear; growth and primaryDeficit last
+// shockYears, baseRate the whole horizon, debt (level, % GDP) in startYear only
+export const BOUND_TESTS = {
+  growth: {
+    label: "Croissance −1 écart-type",
+    shocks: params => ({ realGrowth: -params.growthSd }),
+  },
+  interest: {
+    label: "Taux +200 bps",
+    shocks: params => ({ baseRate: params.interestShock }),
+  },
+  primaryBalance: {
+    label: "Solde primaire −1 pt de PIB",
+    shocks: params => ({ primaryDeficit: params.primaryBalanceShock }),
+  },
+  combined: {
+    label: "Choc combiné",
+    shocks: params => ({
+      realGrowth: -params.growthSd,
+      baseRate: params.interestShock,
+      primaryDeficit: params.primaryBalanceShock,
+    }),
+  },
+  contingentLiabilities: {
+    label: "Passifs contingents (10 % du PIB)",
+    shocks: params => ({ debt: params.contingentLiabilities }),
+  },
+}
+
+// =============================================================================
+// DEBT DYNAMICS
+// =============================================================================
+
+/**
+ * Debt dynamics of a projection, year by year.
+ *
+ * With deficits and interest in year-t GDP, d(t+1) = (d(t) × (1 + r) − pb) / (1 + g),
+ * so the debt ratio is stable when pb = (r − g) × d(t).
+ *
+ * @param {array} projection - projectFiscalPath() result
+ * @returns {array} [{ year, debtRatio, r, g, rMinusG (%), primaryBalance,
+ *   stabilisingPrimaryBalance, primaryBalanceGap, grossFinancingNeeds (% GDP) }]
+ *   primaryBalanceGap > 0 = adjustment still needed to stabilise the debt
+ */
+export function debtDynamics(projection) {
+  return projection.map(entry => {
+    const r = entry.interest / entry.debt * 100
+    const g = entry.nominalGrowthRate
+    const primaryBalance = -(entry.deficit - entry.interest) / entry.gdp * 100
+    const stabilisingPrimaryBalance = (r - g) / 100 * entry.debtRatio
+    return {
+      year: entry.year,
+      debtRatio: entry.debtRatio,
+      r: Math.round(r * 100) / 100,
+      g: Math.round(g * 100) / 100,
+      rMinusG: Math.round((r - g) * 100) / 100,
+      primaryBalance: Math.round(primaryBalance * 100) / 100,
+      stabilisingPrimaryBalance: Math.round(stabilisingPrimaryBalance * 100) / 100,
+      primaryBalanceGap: Math.round((stabilisingPrimaryBalance - primaryBalance) * 100) / 100,
+      grossFinancingNeeds: Math.round((entry.deficit + entry.redemptions) / entry.gdp * 1000) / 10,
+    }
+  })
+}
+
+// =============================================================================
+// BOUND TESTS
+// =============================================================================
+
+/**
+ * Per-year shocks of a bound test, added to any shocks already in the options.
+ *
+ * @param {string} key - BOUND_TESTS key
+ * @param {number} years - Projection horizon
+ * @param {object} params - DSA_PARAMS
+ * @param {array|null} baseShocks - options.shocks of the projection
+ * @returns {array} One shock entry per year
+ */
+export function boundTestShocks(key, years, params = DSA_PARAMS, baseShocks = null) {
+  const test = BOUND_TESTS[key]
+  if (!test) throw new Error(`Unknown bound test: ${key}`)
+  const { debt = 0, baseRate = 0, ...temporary } = test.shocks(params)
+
+  const shocks = []
+  for (let t = 0; t <= years; t++) {
+    const shock = { ...((baseShocks && baseShocks[t]) || {}) }
+    const add = (field, value) => { if (value) shock[field] = (shock[field] || 0) + value }
+    if (t >= params.startYear) add('baseRate', baseRate)
+    if (t >= params.startYear && t < params.startYear + params.shockYears) {
+      for (const [field, value] of Object.entries(temporary)) add(field, value)
+    }
+    if (t === params.startYear) add('debt', debt)
+    shocks.push(shock)
+  }
+  return shocks
+}
+
+// Peak debt and financing needs of a path, against the benchmarks
+function summarise(projection, dynamics, params) {
+  const last = projection[projection.length - 1]
+  const peakDebtRatio = Math.max(...projection.map(entry => entry.debtRatio))
+  const peakFinancingNeeds = Math.max(...dynamics.map(row => row.grossFinancingNeeds))
+  return {
+    finalDebtRatio: last.debtRatio,
+    peakDebtRatio,
+    peakFinancingNeeds,
+    debtAboveBenchmark: peakDebtRatio > params.debtBenchmark,
+    financingNeedsAboveBenchmark: peakFinancingNeeds > params.financingNeedsBenchmark,
+  }
+}
+
+/**
+ * Debt sustainability analysis of a scenario: baseline dynamics and the
+ * standard bound tests.
+ *
+ * @param {object|array} policyChanges - Same input as projectFiscalPath()
+ * @param {object} options - projectFiscalPath() options (years, reforms, config, …)
+ * @param {object} params - DSA_PARAMS overrides
+ * @returns {object} { baseline, tests, params }
+ *   baseline = { projection, dynamics, summary }; tests = [{ key, label,
+ *   projection, dynamics, summary, debtRatioDiff }] in BOUND_TESTS order,
+ *   debtRatioDiff = final debt ratio vs baseline (pp)
+ */
+export function runDebtSustainabilityAnalysis(policyChanges, options = {}, params = {}) {
+  const dsaParams = { ...DSA_PARAMS, ...params }
+  const years = options.years ?? 10
+
+  const projection = projectFiscalPath(policyChanges, options)
+  const dynamics = debtDynamics(projection)
+  const baseline = { projection, dynamics, summary: summarise(projection, dynamics, dsaParams) }
+
+  const tests = Object.entries(BOUND_TESTS).map(([key, test]) => {
+    const shocks = boundTestShocks(key, years, dsaParams, options.shocks)
+    const shocked = projectFiscalPath(policyChanges, { ...options, shocks })
+    const shockedDynamics = debtDynamics(shocked)
+    const summary = summarise(shocked, shockedDynamics, dsaParams)
+    return {
+      key,
+      label: test.label,
+      projection: shocked,
+      dynamics: shockedDynamics,
+      summary,
+      debtRatioDiff: Math.round((summary.finalDebtRatio - baseline.summary.finalDebtRatio) * 10) / 10,
+    }
+  })
+
+  return { baseline, tests, params: dsaParams }
+}
+
+export default {
+  DSA_PARAMS,
+  BOUND_TESTS,
+  debtDynamics,
+  boundTestShocks,
+  runDebtSustainabilityAnalysis,
+}
@@ -0,0 +1,272 @@
+/**
+ * EU fiscal rules (2024 economic governance framework)
+ *
+ * Evaluates a projectFiscalPath() result against the reformed Stability and
+ * Growth Pact: the 3% deficit reference value, the net primary expenditure
+ * path over a 4- or 7-year adjustment period (with its control account), the
+ * debt-sustainability and deficit-resilience safeguards, and the status of the
+ * excessive deficit procedure (EDP). France has been under a deficit-based EDP
+ * since July 2024.
+ *
+ * Net primary expenditure is not an engine output; its growth is implied from
+ * the change in the structural primary balance: a 1 pp GDP improvement requires
+ * expenditure to grow `1 / expenditureShare` pp slower than nominal potential
+ * GDP (revenue measures count as expenditure restraint, as in the framework).
+ * Year 0 is the reference year; expenditure and adjustment rules are assessed
+ * from year 1.
+ *
+ * Sources:
+ * - Règlement (UE) 2024/1263 (volet préventif), 2024/1264 (volet correctif)
+ * - Commission européenne, Debt Sustainability Monitor 2023 (semi-élasticité 0,53)
+ * - Conseil de l'UE, décision du 26 juillet 2024 (déficit excessif France)
+ */
+
+import { BASELINE } from './policy-impact'
+import { MACRO_BASELINE, STRUCTURAL_BALANCE_PARAMS } from './projection-engine-v1.8'
+
+// =============================================================================
+// RULES CALIBRATION
+// =============================================================================
+
+// Interest 2025 = total deficit − primary deficit = 156.5 − 87.2 = 69.3 Md€
+const BASELINE_INTEREST = -BASELINE.apu.deficit - MACRO_BASELINE.primaryDeficit
+
+export const EU_FISCAL_RULES = {
+  deficitReference: 3.0,         // % GDP (Protocole n° 12)
+  debtReference: 60,             // % GDP
+  budgetSemiElasticity: STRUCTURAL_BALANCE_PARAMS.budgetSemiElasticity,  // 0.53 pp per pp of output gap
+
+  // Net primary expenditure as a share of GDP (~46.6%)
+  expenditureShare: (BASELINE.apu.spendingTotal - BASELINE_INTEREST) / MACRO_BASELINE.gdp,
+
+  // Annual structural primary adjustment of the reference trajectory (pp GDP)
+  // and deficit-resilience step, by length of the adjustment period
+  adjustmentPeriods: {
+    4: { spbAdjustment: 1.0, resilienceStep: 0.40 },
+    7: { spbAdjustment: 0.6, resilienceStep: 0.25 },  // Extended period (reforms and investment)
+  },
+
+  // Debt-sustainability safeguard: minimum average annual decline of debt/GDP (pp)
+  debtSafeguard: {
+    highDebtThreshold: 90,
+    highDebtPace: 1.0,
+    mediumDebtPace: 0.5,
+  },
+
+  resilienceTarget: -1.5,        // Structural balance floor (% GDP)
+
+  edp: {
+    benchmarkAdjustment: 0.5,    // Minimum annual structural primary adjustment in EDP (pp GDP)
+    annualDeviation: 0.3,        // Significant deviation, control account (pp GDP)
+    cumulativeDeviation: 0.6,
+    initiallyOpen: true,         // France: EDP opened 26 July 2024
+  },
+}
+
+// Report keys, in display order
+export const FISCAL_RULE_KEYS = ['deficit', 'expenditure', 'debtSafeguard', 'resilienceSafeguard', 'edpAdjustment']
+
+// =============================================================================
+// STRUCTURAL POSITION
+// =============================================================================
+
+/**
+ * Headline and cyclically adjusted balances of one projection year (% GDP,
+ * positive = surplus). The structural balances are the engine's own
+ * (`entry.structuralBalance`, `entry.structuralPrimaryBalance`). Entries
+ * without them (synthetic paths) are adjusted here: one-offs
+ * (`entry.oneOffs`) are left out, and the cyclical component uses the gap in
+ * force that year (`entry.cyclicalGap`), or `entry.outputGap` when only that
+ * is given.
+ *
+ * @param {object} entry - One projectFiscalPath() year
+ * @param {object} rules - Calibration, default EU_FISCAL_RULES
+ * @returns {object} { balance, primaryBalance, structuralBalance, structuralPrimaryBalance }
+ */
+export function structuralPosition(entry, rules = EU_FISCAL_RULES) {
+  const balance = -entry.deficit / entry.gdp * 100
+  const primaryBalance = -(entry.deficit - entry.interest) / entry.gdp * 100
+  if (entry.structuralBalance != null && entry.structuralPrimaryBalance != null) {
+    return {
+      balance,
+      primaryBalance,
+      structuralBalance: entry.structuralBalance,
+      structuralPrimaryBalance: entry.structuralPrimaryBalance,
+    }
+  }
+  const cyclical = rules.budgetSemiElasticity * (entry.cyclicalGap ?? entry.outputGap ?? 0)
+  const oneOffs = (entry.oneOffs || 0) / entry.gdp * 100
+  return {
+    balance,
+    primaryBalance,
+    structuralBalance: balance - cyclical - oneOffs,
+    structuralPrimaryBalance: primaryBalance - cyclical - oneOffs,
+  }
+}
+
+// =============================================================================
+// COMPLIANCE REPORT
+// =============================================================================
+
+/**
+ * Year-by-year compliance of a projection with the EU fiscal rules.
+ *
+ * @param {array} projection - projectFiscalPath() result
+ * @param {object} options - { adjustmentPeriod, edpOpen, potentialGrowth, plannedInflation, rules }
+ *   adjustmentPeriod: 4 or 7 years (default 7, as in France's plan)
+ *   edpOpen: EDP open at the start of the projection (default: France, open)
+ *   potentialGrowth: real potential growth (decimal) behind the expenditure ceilings
+ *   plannedInflation: deflator assumed when the ceilings were set (decimal)
+ * @returns {object} { years, summary }
+ *   years[t] = { year, deficitRatio, debtRatio, structuralBalance, structuralPrimaryBalance,
+ *     npeGrowth, npeCeiling, npeDeviation, controlAccount, significantDeviation,
+ *     rules: { deficit, expenditure, debtSafeguard, resilienceSafeguard, edpAdjustment },
+ *     edpStatus, edpTrigger, breaches, compliant }
+ *   Rules that do not apply in a year are null.
+ *   summary = { compliant, breachYears, firstBreachYear, edpExitYear, maxControlAccount }
+ */
+export function assessFiscalRules(projection, options = {}) {
+  const {
+    adjustmentPeriod = 7,
+    rules = EU_FISCAL_RULES,
+    edpOpen: initiallyOpen = rules.edp.initiallyOpen,
+    potentialGrowth = MACRO_BASELINE.realGrowth,
+    plannedInflation = MACRO_BASELINE.inflation,
+  } = options
+
+  const period = rules.adjustmentPeriods[adjustmentPeriod]
+  if (!period) {
+    throw new Error(`Adjustment period must be 4 or 7 years (got ${adjustmentPeriod})`)
+  }
+
+  const { expenditureShare, edp, debtSafeguard } = rules
+  const positions = projection.map(entry => structuralPosition(entry, rules))
+  const plannedPotential = (potentialGrowth + plannedInflation) * 100
+
+  const years = []
+  let edpOpen = initiallyOpen
+  let edpBasis = initiallyOpen ? 'deficit' : null
+  let controlAccount = 0
+  let safeguardBase = initiallyOpen ? null : 0   // Debt safeguard counts from EDP abrogation
+
+  for (let t = 0; t < projection.length; t++) {
+    const entry = projection[t]
+    const position = positions[t]
+    const inEdp = edpOpen
+
+    let npeGrowth = null
+    let npeCeiling = null
+    let npeDeviation = null
+    let significantDeviation = false
+    let expenditure = null
+    let edpAdjustment = null
+    let resilienceSafeguard = null
+    let debtSafeguardOk = null
+
+    if (t > 0) {
+      const prev = positions[t - 1]
+      const spbChange = position.structuralPrimaryBalance - prev.structuralPrimaryBalance
+      const sbChange = position.structuralBalance - prev.structuralBalance
+
+      // Net primary expenditure: implied growth vs the ceiling of the reference trajectory
+      const required = Math.max(t <= adjustmentPeriod ? period.spbAdjustment : 0, inEdp ? edp.benchmarkAdjustment : 0)
+      const actualPotential = potentialGrowth * 100 + entry.inflationRate
+      npeGrowth = actualPotential - spbChange / expenditureShare
+      npeCeiling = plannedPotential - required / expenditureShare
+      npeDeviation = (npeGrowth - npeCeiling) * expenditureShare
+      controlAccount = Math.max(0, controlAccount + npeDeviation)
+      expenditure = npeDeviation <= 0.005
+      significantDeviation = npeDeviation > edp.annualDeviation || controlAccount > edp.cumulativeDeviation
+
+      if (inEdp) {
+        edpAdjustment = spbChange >= edp.benchmarkAdjustment - 0.005
+      } else if (prev.structuralBalance < rules.resilienceTarget) {
+        resilienceSafeguard = sbChange >= period.resilienceStep - 0.005
+          || position.structuralBalance >= rules.resilienceTarget
+      }
+
+      // Debt safeguard: average annual decline since EDP abrogation (or the start)
+      const baseDebt = safeguardBase != null ? projection[safeguardBase].debtRatio : null
+      if (!inEdp && safeguardBase != null && t > safeguardBase && baseDebt > rules.debtReference) {
+        const pace = baseDebt > debtSafeguard.highDebtThreshold ? debtSafeguard.highDebtPace : debtSafeguard.mediumDebtPace
+        debtSafeguardOk = (baseDebt - entry.debtRatio) / (t - safeguardBase) >= pace - 0.005
+      }
+    }
+
+    const deficit = entry.deficitRatio <= rules.deficitReference
+
+    // EDP: opened on a deficit above 3% or, with debt above 60%, a significant
+    // deviation from the expenditure path. Abrogated once the deficit is below 3%
+    // this year and next (debt-based: and the deviation is no longer significant).
+    let edpStatus = inEdp ? 'open' : 'none'
+    let edpTrigger = null
+    if (inEdp) {
+      const next = projection[t + 1]
+      const deficitCorrected = deficit && (!next || next.deficitRatio <= rules.deficitReference)
+      if (deficitCorrected && (edpBasis === 'deficit' || !significantDeviation)) {
+        edpStatus = 'abrogated'
+        edpOpen = false
+        edpBasis = null
+        safeguardBase = t
+      }
+    } else if (!deficit || (significantDeviation && entry.debtRatio > rules.debtReference)) {
+      edpTrigger = deficit ? 'debt' : 'deficit'
+      edpStatus = 'open'
+      edpOpen = true
+      edpBasis = edpTrigger
+      safeguardBase = null
+    }
+
+    const ruleResults = {
+      deficit,
+      expenditure,
+      debtSafeguard: debtSafeguardOk,
+      resilienceSafeguard,
+      edpAdjustment,
+    }
+    const breaches = FISCAL_RULE_KEYS.filter(key => ruleResults[key] === false)
+
+    years.push({
+      year: entry.year,
+      deficitRatio: entry.deficitRatio,
+      debtRatio: entry.debtRatio,
+      structuralBalance: Math.round(position.structuralBalance * 100) / 100,
+      structuralPrimaryBalance: Math.round(position.structuralPrimaryBalance * 100) / 100,
+      npeGrowth: npeGrowth == null ? null : Math.round(npeGrowth * 100) / 100,
+      npeCeiling: npeCeiling == null ? null : Math.round(npeCeiling * 100) / 100,
+      npeDeviation: npeDeviation == null ? null : Math.round(npeDeviation * 100) / 100,
+      controlAccount: Math.round(controlAccount * 100) / 100,
+      significantDeviation,
+      rules: ruleResults,
+      edpStatus,
+      edpTrigger,
+      breaches,
+      compliant: breaches.length === 0,
+    })
+  }
+
+  const breachYears = {}
+  for (const key of FISCAL_RULE_KEYS) {
+    breachYears[key] = years.filter(y => y.rules[key] === false).map(y => y.year)
+  }
+  const firstBreach = years.find(y => !y.compliant)
+  const exit = years.find(y => y.edpStatus === 'abrogated')
+
+  return {
+    years,
+    summary: {
+      compliant: !firstBreach,
+      breachYears,
+      firstBreachYear: firstBreach ? firstBreach.year : null,
+      edpExitYear: exit ? exit.year : null,
+      maxControlAccount: Math.max(...years.map(y => y.controlAccount)),
+    },
+  }
+}
+
+export default {
+  EU_FISCAL_RULES,
+  FISCAL_RULE_KEYS,
+  structuralPosition,
+  assessFiscalRules,
+}
@@ -0,0 +1,122 @@
+/**
+ * Funded pension pillar (capitalisation)
+ *
+ * Redirects a share of pension cotisations to individual funded accounts held
+ * outside the APU perimeter. While the fund builds up, the PAYG system keeps
+ * paying current pensions without those cotisations (double payment). Funded
+ * pensions start as the first contributing cohorts retire and replace PAYG
+ * entitlements one for one, lowering the PAYG pension mass. Used by
+ * projectFiscalPath() through `pensionReform.capitalisation`.
+ *
+ * The contribution base and the payout transition come from the engine's
+ * pension reform parameters (`PENSION_REFORM.capitalisation`, config key
+ * `pensionReformParams`); the fund's own calibration is below.
+ *
+ * Sources:
+ * - COR rapport annuel 2024 (cotisations vieillesse, durée de service des pensions)
+ * - FRR rapport annuel 2024 (rendement annualisé ~4% depuis 2004)
+ * - Cour des comptes, La soutenabilité financière des retraites (2023)
+ */
+
+import { BASELINE } from './policy-impact'
+
+// =============================================================================
+// FUND CALIBRATION
+// =============================================================================
+
+export const FUNDED_PENSION_PARAMS = {
+  contributionRampYears: 3,      // Diversion phased in over 3 years
+  nominalReturn: 0.04,           // Net nominal return on assets (FRR 2004-2024)
+  firstPayoutYear: 5,            // Projection year in which the first funded pensions are paid
+  annuityRate: 0.05,             // Steady-state payout as a share of assets (~20-year service)
+  paygOffset: 1.0,               // PAYG pension reduction per € of funded pension
+}
+
+/**
+ * Pension cotisations in 2025 (Md€), the base of the diverted share.
+ *
+ * @param {object} capitalisation - PENSION_REFORM.capitalisation
+ * @returns {number} cotisationsShareOfRecettes × Sécurité sociale revenue (~184.6 Md€)
+ */
+export function contributionBase(capitalisation) {
+  return capitalisation.cotisationsShareOfRecettes * BASELINE.securiteSociale.revenuTotal
+}
+
+// =============================================================================
+// FUND STATE
+// =============================================================================
+
+/**
+ * Empty fund.
+ *
+ * @returns {object} { assets }
+ */
+export function createFund() {
+  return { assets: 0 }
+}
+
+/**
+ * Payout rate in projection year t (share of start-of-year assets).
+ *
+ * @param {number} t - Projection year
+ * @param {object} capitalisation - PENSION_REFORM.capitalisation (transitionYears)
+ * @param {object} params - FUNDED_PENSION_PARAMS
+ */
+export function payoutRate(t, capitalisation, params = FUNDED_PENSION_PARAMS) {
+  if (t < params.firstPayoutYear) return 0
+  const maturity = Math.min(1, (t - params.firstPayoutYear + 1) / capitalisation.transitionYears)
+  return params.annuityRate * maturity
+}
+
+// =============================================================================
+// ANNUAL ROLL
+// =============================================================================
+
+/**
+ * Roll the fund forward one year.
+ *
+ * @param {object} fund - Start-of-year state { assets }
+ * @param {object} params - { share, t, gdpIndex, nominalReturn }
+ *   share: % of pension cotisations redirected (e.g. 10)
+ *   t: projection year
+ *   gdpIndex: nominal GDP relative to 2025 (contributions grow with wages)
+ *   nominalReturn: overrides fundParams.nominalReturn
+ * @param {object} reformParams - PENSION_REFORM (config `pensionReformParams`);
+ *   its `capitalisation` gives the contribution base and the payout transition
+ * @param {object} fundParams - FUNDED_PENSION_PARAMS (config `fundedPensionParams`)
+ * @returns {object} { fund, contributions, payouts, investmentIncome, paygRelief }
+ *   contributions: cotisations lost by PAYG this year (Md€)
+ *   payouts: funded pensions paid (Md€)
+ *   paygRelief: PAYG pension mass avoided (Md€)
+ */
+export function rollFund(fund, params, reformParams, fundParams = FUNDED_PENSION_PARAMS) {
+  const {
+    share,
+    t,
+    gdpIndex = 1,
+    nominalReturn = fundParams.nominalReturn,
+  } = params
+  const { contributionRampYears, paygOffset } = fundParams
+  const { capitalisation } = reformParams
+
+  const ramp = Math.min(1, (t + 1) / contributionRampYears)
+  const contributions = (share / 100) * contributionBase(capitalisation) * gdpIndex * ramp
+  const payouts = fund.assets * payoutRate(t, capitalisation, fundParams)
+  const investmentIncome = fund.assets * nominalReturn
+
+  return {
+    fund: { assets: fund.assets + investmentIncome + contributions - payouts },
+    contributions,
+    payouts,
+    investmentIncome,
+    paygRelief: payouts * paygOffset,
+  }
+}
+
+export default {
+  FUNDED_PENSION_PARAMS,
+  contributionBase,
+  createFund,
+  payoutRate,
+  rollFund,
+}
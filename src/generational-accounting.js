@@ -0,0 +1,403 @@
+/**
+ * Generational accounting
+ *
+ * Net lifetime fiscal burden by birth cohort (Auerbach, Gokhale & Kotlikoff).
+ * Taxes paid and transfers received are spread over ages with 2025 per-capita
+ * age profiles, scaled to the PLF / PLFSS aggregates. The account of a cohort
+ * alive in 2025 is the present value, per person, of the taxes it will still
+ * pay minus the transfers it will still receive, weighted by survival.
+ *
+ * Projection years: the profiles grow with the projection's real GDP per
+ * capita and apply to the cohort population, so ageing raises pension and
+ * health spending by itself. The levers and the pension reform move the
+ * category they act on: tax levers the tax profiles; education, solidarity,
+ * health and pension indexation the transfers; a higher retirement age cuts
+ * the pensions and raises the contributions of the ages it defers, while
+ * desindexation, the cap and notional accounts cut every pension. Spending not
+ * given to an age (defence, administration, local investment) is the residual
+ * that reproduces the projected primary balance.
+ *
+ * After the projection, per-capita flows and unallocated spending grow at
+ * productivityGrowth. Future generations pay what the intertemporal budget
+ * constraint leaves after the living generations: the 2025 debt plus the
+ * present value of unallocated spending, minus the living generations' net
+ * taxes. The gap between their growth-adjusted account and the account of a
+ * 2025 newborn is the intergenerational imbalance.
+ *
+ * Amounts are in 2025 euros (deflated by the projection's price level) and
+ * discounted at a real rate.
+ *
+ * Sources:
+ * - Auerbach, Gokhale & Kotlikoff (1991), Generational Accounts: A Meaningful
+ *   Alternative to Deficit Accounting
+ * - d'Albis et al., National Transfer Accounts for France (age profiles,
+ *   stylised here in age bands)
+ * - PLF 2025, PLFSS 2026 (aggregates, policy-impact.js BASELINE)
+ */
+
+import { BASELINE, calculatePolicyImpact } from './policy-impact'
+import { projectFiscalPath } from './projection-engine-v1.8'
+import { DEFAULT_MODEL_CONFIG, mergeConfig } from './model-config'
+import { COHORT_PARAMS, mortalityRates, getPopulationProjection } from './demographics'
+import { pensionReformEffect } from './pension-model'
+
+// =============================================================================
+// PARAMETERS
+// =============================================================================
+
+export const GENERATIONAL_PARAMS = {
+  discountRate: 0.03,          // Real, AGK convention (3-5%)
+  productivityGrowth: 0.007,   // Real growth of per-capita flows after the projection
+}
+
+// Age profiles: [fromAge, toAge, relative amount per person]; ages not listed get 0
+// Aggregates: Md€ 2025 (BASELINE)
+export const GENERATIONAL_CATEGORIES = {
+  labour: {
+    label: "Cotisations sociales",
+    type: 'tax',
+    aggregate: BASELINE.securiteSociale.cotisations,
+    profile: [[18, 24, 0.35], [25, 29, 0.75], [30, 39, 1.0], [40, 54, 1.15], [55, 59, 1.0], [60, 64, 0.45], [65, 69, 0.08]],
+  },
+  income: {
+    label: "IR et CSG",
+    type: 'tax',
+    aggregate: BASELINE.etat.incomeTax + BASELINE.securiteSociale.csg,
+    profile: [[18, 24, 0.2], [25, 29, 0.6], [30, 39, 0.9], [40, 54, 1.1], [55, 59, 1.05], [60, 64, 0.85], [65, 74, 0.7], [75, 105, 0.55]],
+  },
+  consumption: {
+    label: "TVA",
+    type: 'tax',
+    aggregate: BASELINE.etat.vat + BASELINE.apul.tvaAffectee,
+    profile: [[0, 14, 0.35], [15, 19, 0.5], [20, 24, 0.8], [25, 64, 1.0], [65, 79, 0.9], [80, 105, 0.8]],
+  },
+  capital: {
+    label: "IS et taxe foncière",
+    type: 'tax',
+    aggregate: BASELINE.etat.corporateTax + BASELINE.apul.taxeFonciere,
+    profile: [[20, 29, 0.2], [30, 39, 0.5], [40, 49, 0.8], [50, 59, 1.1], [60, 79, 1.3], [80, 105, 1.2]],
+  },
+  pensions: {
+    label: "Retraites",
+    type: 'transfer',
+    aggregate: BASELINE.securiteSociale.vieillesse,
+    profile: [[55, 59, 0.1], [60, 61, 0.5], [62, 64, 0.8], [65, 105, 1.0]],
+  },
+  health: {
+    label: "Santé",
+    type: 'transfer',
+    aggregate: BASELINE.securiteSociale.maladie,
+    profile: [[0, 4, 0.9], [5, 14, 0.4], [15, 29, 0.5], [30, 44, 0.7], [45, 54, 1.0], [55, 64, 1.5], [65, 74, 2.3], [75, 84, 3.2], [85, 105, 3.8]],
+  },
+  autonomy: {
+    label: "Autonomie",
+    type: 'transfer',
+    aggregate: BASELINE.securiteSociale.autonomie,
+    profile: [[60, 74, 0.1], [75, 84, 1.0], [85, 89, 3.0], [90, 105, 5.0]],
+  },
+  education: {
+    label: "Éducation",
+    type: 'transfer',
+    aggregate: BASELINE.etat.education,
+    profile: [[3, 10, 1.0], [11, 17, 1.2], [18, 24, 0.5]],
+  },
+  family: {
+    label: "Famille",
+    type: 'transfer',
+    aggregate: BASELINE.securiteSociale.famille,
+    profile: [[0, 2, 1.5], [3, 19, 1.0]],
+  },
+  solidarity: {
+    label: "Solidarité",
+    type: 'transfer',
+    aggregate: BASELINE.etat.solidarity,
+    profile: [[20, 64, 1.0]],
+  },
+}
+
+// Category moved by each lever; levers not listed (défense, DGF, investissement
+// local) change unallocated spending only
+export const LEVER_CATEGORIES = {
+  incomeTaxChange: 'income',
+  csgRate: 'income',
+  socialContributions: 'labour',
+  vatChange: 'consumption',
+  corpTaxChange: 'capital',
+  spendingEducation: 'education',
+  spendingSolidarity: 'solidarity',
+  healthSpending: 'health',
+  pensionIndexation: 'pensions',
+}
+
+// =============================================================================
+// AGE PROFILES
+// =============================================================================
+
+/**
+ * Relative amount per person by single year of age.
+ *
+ * @param {array} bands - [[fromAge, toAge, value]]
+ * @param {number} maxAge - Open age group
+ * @returns {array} Value for ages 0..maxAge
+ */
+export function ageProfile(bands, maxAge = COHORT_PARAMS.maxAge) {
+  const profile = new Array(maxAge + 1).fill(0)
+  for (const [from, to, value] of bands) {
+    for (let x = from; x <= Math.min(to, maxAge); x++) profile[x] = value
+  }
+  return profile
+}
+
+// Md€ spread over ages in proportion to profile × population, in € per person
+function spread(amount, profile, ages) {
+  const weight = profile.reduce((sum, value, x) => sum + value * ages[x], 0)
+  return profile.map(value => (weight > 0 ? amount * 1e9 * value / weight : 0))
+}
+
+// Indicator profile of the ages in [from, to), for the ages a retirement-age change defers
+function ageRange(from, to, maxAge) {
+  const profile = new Array(maxAge + 1).fill(0)
+  for (let x = Math.floor(from); x < Math.ceil(to) && x <= maxAge; x++) profile[x] = 1
+  return profile
+}
+
+// =============================================================================
+// ACCOUNTS
+// =============================================================================
+
+/**
+ * Net tax per person by age and projection year (2025 €).
+ *
+ * @param {array} projection - projectFiscalPath() result
+ * @param {object} inputs - { population, policyDeltas, pensionReform, config }
+ *   population: projectPopulation() result, one entry per year from 2025
+ *   policyDeltas: { category: Md€ } change of each category's aggregate
+ *     (more taxes or more transfers), at projection prices
+ *   pensionReform: projectFiscalPath() pensionReform option, or null
+ * @returns {array} One entry per year: { year, tax, transfer, netTax (€ per person by age),
+ *   taxes, transfers, unallocated (Md€ 2025) }
+ */
+export function netTaxProfiles(projection, inputs) {
+  const { population, policyDeltas = {}, pensionReform = null, config = DEFAULT_MODEL_CONFIG } = inputs
+  const maxAge = population[0].ages.length - 1
+  const profiles = Object.fromEntries(Object.entries(GENERATIONAL_CATEGORIES)
+    .map(([key, category]) => [key, ageProfile(category.profile, maxAge)]))
+  const total = ages => ages.reduce((sum, n) => sum + n, 0)
+
+  // 2025 amount per person of each category
+  const baseAges = population[0].ages
+  const base = Object.fromEntries(Object.entries(GENERATIONAL_CATEGORIES)
+    .map(([key, category]) => [key, spread(category.aggregate, profiles[key], baseAges)]))
+
+  return projection.map((entry, t) => {
+    const ages = population[Math.min(t, population.length - 1)].ages
+    const deflator = entry.priceLevel / 100
+    const productivity = entry.realGdp / projection[0].realGdp * total(baseAges) / total(ages)
+
+    const tax = new Array(maxAge + 1).fill(0)
+    const transfer = new Array(maxAge + 1).fill(0)
+    const add = (perPerson, sign) => {
+      const target = sign > 0 ? tax : transfer
+      perPerson.forEach((value, x) => { target[x] += value })
+    }
+    for (const [key, category] of Object.entries(GENERATIONAL_CATEGORIES)) {
+      const sign = category.type === 'tax' ? 1 : -1
+      add(base[key].map(value => value * productivity), sign)
+      if (policyDeltas[key]) add(spread(policyDeltas[key] / deflator, profiles[key], ages), sign)
+    }
+
+    // Pension reform: the age part falls on the deferred ages, the rest on every retiree
+    if (entry.pensionReformSaving !== 0 || entry.pensionContributionGain !== 0) {
+      const { retireeFactor, ageShift } = pensionReformEffect(pensionReform, t, config.pensionReformParams, projection[0].year)
+      const ageSaving = Math.max(-Math.abs(entry.pensionReformSaving),
+        Math.min(entry.pensionReformSaving, config.pensionReformParams.pensionMass * (1 - retireeFactor)))
+      const from = entry.averageDepartureAge - ageShift
+      const deferred = ageRange(Math.min(from, from + ageShift), Math.max(from, from + ageShift), maxAge)
+      const deferredProfile = deferred.some(value => value > 0) ? deferred : profiles.pensions
+      add(spread(-ageSaving / deflator, deferredProfile, ages), -1)
+      add(spread(-(entry.pensionReformSaving - ageSaving) / deflator, profiles.pensions, ages), -1)
+      add(spread(entry.pensionContributionGain / deflator, deferredProfile, ages), 1)
+    }
+
+    // Unallocated spending: what reproduces the projected primary deficit
+    const aggregate = perPerson => perPerson.reduce((sum, value, x) => sum + value * ages[x], 0) / 1e9
+    const taxes = aggregate(tax)
+    const transfers = aggregate(transfer)
+    const primaryDeficit = entry.adjustedPrimaryDeficit / deflator
+    return {
+      year: entry.year,
+      tax,
+      transfer,
+      netTax: tax.map((value, x) => value - transfer[x]),
+      taxes,
+      transfers,
+      unallocated: taxes - transfers + primaryDeficit,
+    }
+  })
+}
+
+/**
+ * Generational accounts of a projection.
+ *
+ * @param {array} projection - projectFiscalPath() result
+ * @param {object} inputs - netTaxProfiles() inputs
+ * @param {object} params - GENERATIONAL_PARAMS
+ * @returns {object} { cohorts, newbornAccount, futureAccount, imbalance, imbalanceRatio,
+ *   livingNetTaxes, unallocatedSpending, initialDebt }
+ *   cohorts = [{ birthYear, age, account, taxes, transfers }] for the cohorts alive
+ *   in 2025 (€ 2025 per person, present value of the rest of their life);
+ *   futureAccount = growth-adjusted account of a generation born after 2025;
+ *   imbalance = futureAccount − newbornAccount (€), imbalanceRatio in % of the
+ *   newborn's taxes; aggregates in Md€ 2025 (present values)
+ */
+export function generationalAccounts(projection, inputs, params = GENERATIONAL_PARAMS) {
+  const { population } = inputs
+  const { discountRate: r, productivityGrowth: g } = params
+  if (r <= g) throw new Error('Generational accounts need a discount rate above productivity growth')
+
+  const flows = netTaxProfiles(projection, inputs)
+  const horizon = flows.length - 1
+  const maxAge = population[0].ages.length - 1
+  const baseYear = projection[0].year
+
+  // Mortality by year (held after the population projection ends)
+  const mortality = population.map(entry => mortalityRates(entry.lifeExpectancy))
+  const q = t => mortality[Math.min(t, mortality.length - 1)]
+
+  // Flow by age in year t, with the projection's last year extended at g
+  const grow = t => (t <= horizon ? 1 : (1 + g) ** (t - horizon))
+  const flowAt = t => flows[Math.min(t, horizon)]
+
+  // Living cohorts: remaining lifetime, survival-weighted, discounted to 2025
+  const cohorts = []
+  let livingNetTaxes = 0
+  for (let age = 0; age <= maxAge; age++) {
+    let survival = 1
+    let taxes = 0
+    let transfers = 0
+    for (let s = 0; age + s <= maxAge; s++) {
+      const weight = survival * grow(s) / (1 + r) ** s
+      taxes += flowAt(s).tax[age + s] * weight
+      transfers += flowAt(s).transfer[age + s] * weight
+      survival *= 1 - q(s)[age + s]
+    }
+    cohorts.push({
+      birthYear: baseYear - age,
+      age,
+      account: Math.round(taxes - transfers),
+      taxes: Math.round(taxes),
+      transfers: Math.round(transfers),
+    })
+    livingNetTaxes += (taxes - transfers) * population[0].ages[age] / 1e9
+  }
+
+  // Unallocated spending: projection years, then growing at g forever
+  let unallocatedSpending = 0
+  flows.forEach((flow, t) => { unallocatedSpending += flow.unallocated / (1 + r) ** t })
+  unallocatedSpending += flows[horizon].unallocated / (1 + r) ** horizon * (1 + g) / (r - g)
+
+  // Future generations: what is left, per growth-adjusted birth
+  const initialDebt = projection[0].debt
+  const futureNetTaxes = initialDebt + unallocatedSpending - livingNetTaxes
+  const births = t => population[Math.min(t, population.length - 1)].ages[0]
+  const last = population.length - 1
+  let adjustedBirths = 0
+  for (let t = 1; t <= last; t++) adjustedBirths += births(t) * ((1 + g) / (1 + r)) ** t
+  adjustedBirths += births(last) * ((1 + g) / (1 + r)) ** (last + 1) * (1 + r) / (r - g)
+  const futureAccount = futureNetTaxes * 1e9 / adjustedBirths
+
+  const newborn = cohorts[0]
+  return {
+    cohorts,
+    newbornAccount: newborn.account,
+    futureAccount: Math.round(futureAccount),
+    imbalance: Math.round(futureAccount - newborn.account),
+    imbalanceRatio: Math.round((futureAccount - newborn.account) / newborn.taxes * 1000) / 10,
+    livingNetTaxes: Math.round(livingNetTaxes * 10) / 10,
+    unallocatedSpending: Math.round(unallocatedSpending * 10) / 10,
+    initialDebt,
+  }
+}
+
+// =============================================================================
+// SCENARIO VS BASELINE
+// =============================================================================
+
+// Md€ change of each category's aggregate, lever by lever (tax levers: revenue;
+// spending levers: spending)
+function leverDeltas(levers, config) {
+  const deltas = {}
+  for (const [lever, category] of Object.entries(LEVER_CATEGORIES)) {
+    if (!levers[lever]) continue
+    const impact = calculatePolicyImpact({ [lever]: levers[lever] }, { config })
+    const change = GENERATIONAL_CATEGORIES[category].type === 'tax' ? impact.revenueChange : impact.spendingChange
+    deltas[category] = (deltas[category] || 0) + change
+  }
+  return deltas
+}
+
+/**
+ * Generational accounts of a scenario and of the unchanged-policy baseline.
+ *
+ * The baseline keeps the scenario's macro, debt, demography and calibration
+ * options, without levers, pension reform, structural reforms or asset sales.
+ *
+ * @param {object} levers - Lever positions (plain values; schedules are not supported)
+ * @param {object} options - projectFiscalPath() options; without `demography`,
+ *   the central population projection gives the age structure
+ * @param {object} params - GENERATIONAL_PARAMS overrides
+ * @returns {object} { scenario, baseline, cohorts, imbalanceChange, params }
+ *   scenario / baseline = generationalAccounts() results;
+ *   cohorts = [{ birthYear, age, scenario, baseline, diff }] accounts in € 2025;
+ *   imbalanceChange = scenario − baseline imbalance (€ per future-born person)
+ */
+export function runGenerationalAccounting(levers = {}, options = {}, params = {}) {
+  const accountParams = { ...GENERATIONAL_PARAMS, ...params }
+  const config = mergeConfig(DEFAULT_MODEL_CONFIG, options.config)
+  const { demography = null } = options
+  const population = typeof demography === 'string' || demography == null
+    ? getPopulationProjection(demography || 'central')
+    : demography
+
+  const projection = projectFiscalPath(calculatePolicyImpact(levers, { config }), { ...options, config })
+  const scenario = generationalAccounts(projection, {
+    population,
+    policyDeltas: leverDeltas(levers, config),
+    pensionReform: options.pensionReform || null,
+    config,
+  }, accountParams)
+
+  const baselineProjection = projectFiscalPath({}, {
+    ...options,
+    config,
+    pensionReform: null,
+    structuralReforms: null,
+    enableSocialHousingLiquidation: false,
+    assetSales: null,
+  })
+  const baseline = generationalAccounts(baselineProjection, { population, config }, accountParams)
+
+  return {
+    scenario,
+    baseline,
+    cohorts: scenario.cohorts.map((cohort, i) => ({
+      birthYear: cohort.birthYear,
+      age: cohort.age,
+      scenario: cohort.account,
+      baseline: baseline.cohorts[i].account,
+      diff: cohort.account - baseline.cohorts[i].account,
+    })),
+    imbalanceChange: scenario.imbalance - baseline.imbalance,
+    params: accountParams,
+  }
+}
+
+export default {
+  GENERATIONAL_PARAMS,
+  GENERATIONAL_CATEGORIES,
+  LEVER_CATEGORIES,
+  ageProfile,
+  netTaxProfiles,
+  generationalAccounts,
+  runGenerationalAccounting,
+}
@@ -0,0 +1,203 @@
+/**
+ * Goal-seek solver
+ *
+ * Finds the lever positions that reach a fiscal target: a deficit ratio at or
+ * below a ceiling in a given year, or a debt ratio that stops rising by a
+ * given year. Wraps calculatePolicyImpact() and projectFiscalPath().
+ *
+ * Several levers can reach the same target, so the solver moves every free
+ * lever by the same share of its remaining room, from its current position
+ * towards the bound that improves the target metric, and bisects on that
+ * share. The result is snapped to the slider steps: to the nearest step if the
+ * target still holds, otherwise rounding every lever towards its bound.
+ *
+ * Levers are plain values (full effect); schedules are not supported.
+ */
+
+import { LEVER_BOUNDS, SCHEDULE_BASE_YEAR, calculatePolicyImpact } from './policy-impact'
+import { projectFiscalPath } from './projection-engine-v1.8'
+
+// =============================================================================
+// SOLVER PARAMETERS
+// =============================================================================
+
+export const GOAL_SEEK_PARAMS = {
+  iterations: 30,        // Bisection steps on the share of room used (2^-30 precision)
+  tolerance: 0.005,      // pp of GDP accepted on the target
+}
+
+// Target types: { type: 'deficit', value, year } or { type: 'debtStable', year }
+export const GOAL_TARGET_TYPES = ['deficit', 'debtStable']
+
+// =============================================================================
+// TARGET EVALUATION
+// =============================================================================
+
+/**
+ * Value of the target metric in a projection and whether the target is met.
+ *
+ * deficit: deficitRatio of the target year, met if ≤ target.value
+ * debtStable: change of debtRatio in the target year, met if ≤ 0
+ * A path that exploded before the target year (maxDebtRatio) misses it.
+ *
+ * @param {array} projection - projectFiscalPath() result
+ * @param {object} target - { type, value, year }
+ * @param {number} tolerance - pp of GDP
+ * @returns {object} { value, met }
+ */
+export function evaluateTarget(projection, target, tolerance = GOAL_SEEK_PARAMS.tolerance) {
+  const index = projection.findIndex(entry => entry.year === target.year)
+  const last = projection[projection.length - 1]
+  if (index < 0 && last.explosive && target.year > last.year) {
+    // The path exploded (maxDebtRatio) before the target year
+    return { value: Infinity, met: false }
+  }
+  if (index < 0) {
+    throw new Error(`Target year ${target.year} is outside the projection`)
+  }
+
+  if (target.type === 'deficit') {
+    const value = projection[index].deficitRatio
+    return { value, met: value <= target.value + tolerance }
+  }
+  if (target.type === 'debtStable') {
+    if (index === 0) {
+      throw new Error('Debt stabilisation needs a target year after the first projection year')
+    }
+    const value = projection[index].debtRatio - projection[index - 1].debtRatio
+    return { value, met: value <= tolerance }
+  }
+  throw new Error(`Unknown target type: ${target.type}`)
+}
+
+// =============================================================================
+// SOLVER
+// =============================================================================
+
+// Round on the step grid, within bounds: to the nearest step, or towards
+// `direction` (+1 up, −1 down) when `direction` is given
+function snapToStep(value, bound, direction = 0) {
+  const steps = (value - bound.min) / bound.step
+  // Small epsilon so values already on the grid are not pushed a full step
+  const rounded = direction > 0 ? Math.ceil(steps - 1e-9)
+    : direction < 0 ? Math.floor(steps + 1e-9)
+    : Math.round(steps)
+  const snapped = bound.min + rounded * bound.step
+  return Math.min(bound.max, Math.max(bound.min, Math.round(snapped * 1000) / 1000))
+}
+
+/**
+ * Lever positions that reach a fiscal target.
+ *
+ * @param {object} target - { type: 'deficit', value, year } or { type: 'debtStable', year }
+ * @param {object} levers - Current lever positions (levers not freed stay fixed)
+ * @param {object} options - projectFiscalPath() options; `config` also feeds calculatePolicyImpact()
+ * @param {object} solverOptions - { freeLevers, bounds, iterations, tolerance }
+ *   freeLevers: lever keys the solver may move (default: every lever in bounds)
+ *   bounds: { key: { min, max, step } }, default LEVER_BOUNDS
+ * @returns {object} { feasible, alreadyMet, levers, changes, share, value, target, projection }
+ *   changes: { key: { from, to } } for the levers that moved
+ *   share: fraction of each lever's room used (0 = unchanged, 1 = at its bound)
+ *   feasible: false if the target is out of reach; levers are then at their bounds
+ */
+export function goalSeek(target, levers = {}, options = {}, solverOptions = {}) {
+  const {
+    bounds = LEVER_BOUNDS,
+    freeLevers = Object.keys(bounds),
+    iterations = GOAL_SEEK_PARAMS.iterations,
+    tolerance = GOAL_SEEK_PARAMS.tolerance,
+  } = solverOptions
+
+  if (!GOAL_TARGET_TYPES.includes(target.type)) {
+    throw new Error(`Unknown target type: ${target.type}`)
+  }
+  if (freeLevers.length === 0) {
+    throw new Error('Goal seek needs at least one lever to move')
+  }
+  for (const key of freeLevers) {
+    if (!bounds[key]) throw new Error(`No bounds for lever: ${key}`)
+  }
+
+  const { config } = options
+  const years = Math.max(options.years ?? 10, target.year - SCHEDULE_BASE_YEAR)
+  const run = moved => {
+    const projection = projectFiscalPath(calculatePolicyImpact(moved, { config }), { ...options, years })
+    return { projection, ...evaluateTarget(projection, target, tolerance) }
+  }
+
+  // Each lever heads for the bound that gives the better target metric on its
+  // own (spending cuts raise the debt ratio when the multiplier drag dominates)
+  const directions = {}
+  for (const key of freeLevers) {
+    const atMax = run({ ...levers, [key]: bounds[key].max }).value
+    const atMin = run({ ...levers, [key]: bounds[key].min }).value
+    directions[key] = atMax <= atMin ? bounds[key].max : bounds[key].min
+  }
+
+  const leversAt = share => {
+    const moved = { ...levers }
+    for (const key of freeLevers) {
+      const from = levers[key] ?? 0
+      moved[key] = from + share * (directions[key] - from)
+    }
+    return moved
+  }
+  const result = (share, moved, evaluation, feasible, alreadyMet = false) => {
+    const changes = {}
+    for (const key of freeLevers) {
+      const from = levers[key] ?? 0
+      if ((moved[key] ?? 0) !== from) changes[key] = { from, to: moved[key] }
+    }
+    return {
+      feasible,
+      alreadyMet,
+      levers: moved,
+      changes,
+      share,
+      value: Math.round(evaluation.value * 100) / 100,
+      target,
+      projection: evaluation.projection,
+    }
+  }
+
+  const current = run(levers)
+  if (current.met) return result(0, { ...levers }, current, true, true)
+
+  const fullMoved = leversAt(1)
+  const full = run(fullMoved)
+  if (!full.met) return result(1, fullMoved, full, false)
+
+  // Bisection: lo never meets the target, hi always does
+  let lo = 0
+  let hi = 1
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2
+    if (run(leversAt(mid)).met) hi = mid
+    else lo = mid
+  }
+
+  // Nearest slider steps if they still reach the target, else round towards the bounds
+  const solution = leversAt(hi)
+  const snap = rounding => {
+    const snapped = { ...solution }
+    for (const key of freeLevers) {
+      const direction = rounding === 'nearest' ? 0 : Math.sign(directions[key] - (levers[key] ?? 0))
+      snapped[key] = snapToStep(solution[key], bounds[key], direction)
+    }
+    return snapped
+  }
+  let snapped = snap('nearest')
+  let evaluation = run(snapped)
+  if (!evaluation.met) {
+    snapped = snap('towardsBound')
+    evaluation = run(snapped)
+  }
+  return result(Math.round(hi * 1000) / 1000, snapped, evaluation, evaluation.met)
+}
+
+export default {
+  GOAL_SEEK_PARAMS,
+  GOAL_TARGET_TYPES,
+  evaluateTarget,
+  goalSeek,
+}
@@ -0,0 +1,130 @@
+/**
+ * Scripted macro shock scenarios
+ *
+ * A library of historical episodes replayed on the projection. Each shock is a
+ * year-by-year profile of deviations from the baseline path, injected from a
+ * chosen projection year and scaled by an intensity (1 = the episode as it
+ * happened). projectFiscalPath() reads them through the `macroShocks` option
+ * and runs them through its usual channels: growth feeds revenue and the
+ * output gap, inflation the price level and indexation, the base rate and the
+ * spread the marginal rate, and unemployment above the Okun path costs
+ * unemployment benefits. Several shocks stack, and they add to the Monte
+ * Carlo draws and to any policy or reform preset.
+ *
+ * Profiles are stylised readings of the France episodes, net of the baseline
+ * trend (0.7% real growth, 1.8% inflation).
+ *
+ * Sources:
+ * - INSEE, comptes nationaux annuels 2011-2024 (PIB en volume, IPC, chômage BIT)
+ * - Banque de France, spread OAT-Bund 10 ans (2011-2012, juin 2024)
+ * - Unédic, situation financière 2024: coût d'un point de chômage
+ * - Cour des comptes, SPFP 2021 (crise sanitaire) et 2023 (choc énergétique)
+ */
+
+// =============================================================================
+// SHOCK LIBRARY
+// =============================================================================
+
+// Per year from the first shock year: realGrowth, inflation, baseRate, spread
+// (decimal deviations), unemployment (pp above the Okun path)
+export const MACRO_SHOCKS = {
+  spreadCrisis2011: {
+    label: "Crise des spreads (type 2011)",
+    description: "Spread OAT-Bund +150 bps au pic, récession de la zone euro, chômage +1 pt",
+    profile: [
+      { realGrowth: -0.005, spread: 0.0100, unemployment: 0.4 },
+      { realGrowth: -0.015, spread: 0.0150, unemployment: 0.8 },
+      { realGrowth: -0.005, spread: 0.0075, unemployment: 0.6 },
+      { spread: 0.0025, unemployment: 0.3 },
+    ],
+  },
+  pandemic2020: {
+    label: "Récession pandémique (type 2020)",
+    description: "PIB −7,5 % puis rebond de 6 %, chômage contenu par l'activité partielle",
+    profile: [
+      { realGrowth: -0.085, inflation: -0.005, unemployment: 0.5 },
+      { realGrowth: 0.055, unemployment: 0.3 },
+      { realGrowth: 0.015, inflation: 0.005 },
+    ],
+  },
+  energyShock2022: {
+    label: "Choc énergétique (type 2022)",
+    description: "IPC 5,2 % puis 4,9 %, resserrement monétaire BCE, croissance ralentie",
+    profile: [
+      { realGrowth: -0.010, inflation: 0.034, baseRate: 0.005 },
+      { realGrowth: -0.005, inflation: 0.031, baseRate: 0.010 },
+      { inflation: 0.004, baseRate: 0.005 },
+    ],
+  },
+  politicalCrisis: {
+    label: "Dissolution / crise politique",
+    description: "Spread OAT-Bund +30 bps, attentisme des ménages et des entreprises",
+    profile: [
+      { realGrowth: -0.003, spread: 0.0030 },
+      { realGrowth: -0.002, spread: 0.0020, unemployment: 0.2 },
+      { spread: 0.0010, unemployment: 0.1 },
+    ],
+  },
+}
+
+export const SHOCK_FIELDS = ['realGrowth', 'inflation', 'baseRate', 'spread', 'unemployment']
+
+export const MACRO_SHOCK_PARAMS = {
+  benefitCostPerPoint: 4.5,  // Md€ (2025) per pp of unemployment: ARE paid + cotisations lost (Unédic)
+}
+
+// =============================================================================
+// SHOCK PATH
+// =============================================================================
+
+/**
+ * Normalised shock selections.
+ *
+ * @param {array} macroShocks - MACRO_SHOCKS keys, or { key, startYear, intensity }
+ *   (first shock in projection year 1 at intensity 1 unless given)
+ * @param {object} library - MACRO_SHOCKS
+ * @returns {array} [{ key, startYear, intensity, profile }]
+ */
+export function resolveMacroShocks(macroShocks, library = MACRO_SHOCKS) {
+  return (macroShocks || []).map(entry => {
+    const selection = typeof entry === 'string' ? { key: entry } : entry
+    const shock = library[selection.key]
+    if (!shock) throw new Error(`Unknown macro shock: ${selection.key}`)
+    const intensity = selection.intensity ?? 1
+    if (!(intensity >= 0)) throw new Error(`Shock intensity must be non-negative: ${selection.key}`)
+    return {
+      key: selection.key,
+      startYear: selection.startYear ?? 1,
+      intensity,
+      profile: shock.profile,
+    }
+  })
+}
+
+/**
+ * Combined deviations in projection year t.
+ *
+ * @param {array} shocks - resolveMacroShocks() result
+ * @param {number} t - Projection year
+ * @returns {object} { realGrowth, inflation, baseRate, spread, unemployment, active }
+ *   active lists the keys of the shocks under way
+ */
+export function macroShockYear(shocks, t) {
+  const year = Object.fromEntries(SHOCK_FIELDS.map(field => [field, 0]))
+  year.active = []
+  for (const shock of shocks) {
+    const step = shock.profile[t - shock.startYear]
+    if (!step) continue
+    for (const field of SHOCK_FIELDS) year[field] += (step[field] || 0) * shock.intensity
+    year.active.push(shock.key)
+  }
+  return year
+}
+
+export default {
+  MACRO_SHOCKS,
+  SHOCK_FIELDS,
+  MACRO_SHOCK_PARAMS,
+  resolveMacroShocks,
+  macroShockYear,
+}
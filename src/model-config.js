@@ -0,0 +1,189 @@
+/**
+ * Model configuration
+ *
+ * Gathers every calibration constant read by calculatePolicyImpact() and
+ * projectFiscalPath() into one object, so an alternative calibration can be
+ * run next to the reference one without editing the source. createModelConfig()
+ * deep-merges partial overrides over the defaults; pass the result as
+ * `options.config` to both functions (and to runMonteCarlo through its options).
+ *
+ * Plain objects are merged field by field; numbers, arrays and strings are
+ * replaced. Unknown keys throw, so a typo cannot silently leave the reference
+ * calibration in place.
+ *
+ * Out of scope, on purpose:
+ * - BASELINE (policy-impact.js), including its APUL and ASSO blocks: observed
+ *   PLF 2025 / PLFSS 2026 accounts, not a calibration;
+ * - COHORT_PARAMS and DEMOGRAPHIC_HYPOTHESES (demographics.js): pass a
+ *   projectPopulation() result as `options.demography` instead;
+ * - MONTE_CARLO_PARAMS, overridden through runMonteCarlo()'s own options;
+ * - the tables of the analysis modules run on top of the projection (DSA
+ *   bound tests, sensitivity ranges, decile table, generational accounting),
+ *   which take their own parameters as arguments.
+ *
+ * Sources (calibration presets):
+ * - Banque de France, FR-BDF model (Lemoine et al., 2019): multiplicateurs
+ *   budgétaires à un an
+ * - OFCE, Creel, Heyer & Plane (2011), « Petit précis de politique budgétaire
+ *   par tous les temps »; OFCE e-mod.fr multiplicateurs (2017)
+ */
+
+import {
+  BEHAVIORAL_RESPONSE,
+  FISCAL_MULTIPLIERS,
+  MULTIPLIER_REGIME,
+  ONDAM_FLOOR,
+  APUL_RESPONSE,
+} from './policy-impact'
+import {
+  MACRO_BASELINE,
+  ROLLOVER_RATE,
+  DEFICIT_STRESS_THRESHOLD,
+  DEFICIT_STRESS_SENSITIVITY,
+  OUTPUT_GAP_PARAMS,
+  STRUCTURAL_BALANCE_PARAMS,
+  INFLATION_PARAMS,
+  DEMOGRAPHIC_PARAMS,
+  SENIOR_EMPLOYMENT,
+  PENSION_REFORM,
+  MIGRATION_PARAMS,
+  DEPENDANCE_PARAMS,
+  SOCIAL_HOUSING_LIQUIDATION,
+  REFORM_OVERLAP,
+  STRUCTURAL_REFORMS,
+} from './projection-engine-v1.8'
+import { PENSION_SYSTEM_PARAMS } from './pension-model'
+import { RATING_PARAMS } from './credit-rating'
+import { MACRO_SHOCK_PARAMS } from './macro-shocks'
+import { DEBT_STOCK_PARAMS } from './debt-stock'
+import { PILLAR_ACCOUNTS_PARAMS } from './pillar-accounts'
+import { FUNDED_PENSION_PARAMS } from './funded-pension'
+import { STATE_ASSETS } from './asset-sales'
+
+// =============================================================================
+// DEFAULT CONFIGURATION
+// =============================================================================
+
+// One key per module constant (camelCase of the constant name)
+export const DEFAULT_MODEL_CONFIG = {
+  // calculatePolicyImpact()
+  behavioralResponse: BEHAVIORAL_RESPONSE,
+  fiscalMultipliers: FISCAL_MULTIPLIERS,
+  multiplierRegime: MULTIPLIER_REGIME,
+  ondamFloor: ONDAM_FLOOR,
+  apulResponse: APUL_RESPONSE,
+
+  // projectFiscalPath()
+  macroBaseline: MACRO_BASELINE,
+  rolloverRate: ROLLOVER_RATE,
+  deficitStressThreshold: DEFICIT_STRESS_THRESHOLD,
+  deficitStressSensitivity: DEFICIT_STRESS_SENSITIVITY,
+  outputGapParams: OUTPUT_GAP_PARAMS,
+  structuralBalanceParams: STRUCTURAL_BALANCE_PARAMS,
+  inflationParams: INFLATION_PARAMS,
+  demographicParams: DEMOGRAPHIC_PARAMS,
+  seniorEmployment: SENIOR_EMPLOYMENT,
+  pensionReformParams: PENSION_REFORM,
+  pensionSystemParams: PENSION_SYSTEM_PARAMS,
+  migrationParams: MIGRATION_PARAMS,
+  dependanceParams: DEPENDANCE_PARAMS,
+  socialHousingLiquidation: SOCIAL_HOUSING_LIQUIDATION,
+  reformOverlap: REFORM_OVERLAP,
+  structuralReforms: STRUCTURAL_REFORMS,
+  ratingParams: RATING_PARAMS,
+  macroShockParams: MACRO_SHOCK_PARAMS,
+  debtStockParams: DEBT_STOCK_PARAMS,
+  pillarAccountsParams: PILLAR_ACCOUNTS_PARAMS,
+  fundedPensionParams: FUNDED_PENSION_PARAMS,
+  stateAssets: STATE_ASSETS,
+}
+
+// =============================================================================
+// CALIBRATION PRESETS
+// =============================================================================
+
+// Partial overrides for createModelConfig(); multipliers at one year, { expansion, recession }
+export const CALIBRATION_PRESETS = {
+  reference: {
+    label: "Référence (simulateur)",
+    description: "Calibration par défaut du modèle",
+    overrides: {},
+  },
+  banqueDeFrance: {
+    label: "Banque de France (FR-BDF)",
+    description: "Multiplicateurs plus faibles : fuites vers les importations, réaction des prix",
+    overrides: {
+      fiscalMultipliers: {
+        education:   { expansion: 0.70, recession: 1.10 },
+        defense:     { expansion: 0.50, recession: 0.90 },
+        solidarity:  { expansion: 0.30, recession: 0.70 },
+        pensions:    { expansion: 0.30, recession: 0.70 },
+        health:      { expansion: 0.55, recession: 0.85 },
+        localInvestment: { expansion: 0.80, recession: 1.30 },
+        localServices:   { expansion: 0.50, recession: 0.85 },
+      },
+    },
+  },
+  ofce: {
+    label: "OFCE",
+    description: "Multiplicateurs plus élevés, surtout en bas de cycle",
+    overrides: {
+      fiscalMultipliers: {
+        education:   { expansion: 1.10, recession: 1.70 },
+        defense:     { expansion: 0.80, recession: 1.30 },
+        solidarity:  { expansion: 0.60, recession: 1.10 },
+        pensions:    { expansion: 0.50, recession: 1.00 },
+        health:      { expansion: 0.90, recession: 1.30 },
+        localInvestment: { expansion: 1.10, recession: 1.80 },
+        localServices:   { expansion: 0.80, recession: 1.20 },
+      },
+    },
+  },
+}
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Deep-merge overrides over a base object (neither argument is mutated).
+ *
+ * @param {object} base - Full configuration (or section)
+ * @param {object} overrides - Partial values
+ * @param {string} path - Key path for error messages
+ * @returns {object} New merged object
+ */
+export function mergeConfig(base, overrides = {}, path = '') {
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const keyPath = path ? `${path}.${key}` : key
+    if (!(key in base)) {
+      throw new Error(`Unknown model config key: ${keyPath}`)
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value, keyPath)
+      : value
+  }
+  return merged
+}
+
+/**
+ * Full model configuration: DEFAULT_MODEL_CONFIG with overrides applied.
+ *
+ * @param {object} overrides - Partial config, e.g. CALIBRATION_PRESETS.ofce.overrides
+ * @returns {object} Config for `options.config` of calculatePolicyImpact() and projectFiscalPath()
+ */
+export function createModelConfig(overrides = {}) {
+  return mergeConfig(DEFAULT_MODEL_CONFIG, overrides)
+}
+
+export default {
+  DEFAULT_MODEL_CONFIG,
+  CALIBRATION_PRESETS,
+  mergeConfig,
+  createModelConfig,
+}
@@ -0,0 +1,222 @@
+/**
+ * Monte Carlo projection runner
+ *
+ * Wraps the deterministic projectFiscalPath() with year-by-year correlated
+ * shocks to real growth, inflation, the base interest rate and the political
+ * premium. Draws come from a seeded RNG so every run is reproducible.
+ *
+ * Sources (volatility / correlation calibration):
+ * - INSEE comptes nationaux 1996-2024 (real GDP growth, HICP), excl. 2020
+ * - Banque de France OAT 10Y series, Bloomberg OAT-Bund 10Y spread 2010-2025
+ */
+
+import { projectFiscalPath } from './projection-engine-v1.8'
+
+// =============================================================================
+// SHOCK CALIBRATION
+// =============================================================================
+// Annual shocks are i.i.d. across years and additive to the baseline path.
+// Order of variables in the correlation matrix: realGrowth, inflation,
+// baseRate, politicalPremium.
+
+export const MONTE_CARLO_PARAMS = {
+  draws: 500,
+  seed: 2025,
+
+  // Standard deviation of annual shocks (decimal)
+  volatility: {
+    realGrowth: 0.012,        // 1.2 pp — France real GDP 1996-2024 ex-Covid
+    inflation: 0.008,         // 0.8 pp — HICP excl. 2022 energy spike
+    baseRate: 0.006,          // 60 bps — annual change in 10Y OAT
+    politicalPremium: 0.0025, // 25 bps — OAT-Bund spread, 2010-2025
+  },
+
+  // Correlation matrix (symmetric, positive definite)
+  correlation: [
+    //  growth  infl   rate   premium
+    [   1.00,  0.30,  0.30, -0.40 ],  // realGrowth
+    [   0.30,  1.00,  0.50,  0.10 ],  // inflation
+    [   0.30,  0.50,  1.00,  0.20 ],  // baseRate
+    [  -0.40,  0.10,  0.20,  1.00 ],  // politicalPremium
+  ],
+
+  percentiles: [5, 25, 50, 75, 95],
+}
+
+const SHOCK_KEYS = ['realGrowth', 'inflation', 'baseRate', 'politicalPremium']
+
+// Output fields summarised into percentile bands
+const BAND_FIELDS = ['debtRatio', 'deficitRatio', 'effectiveInterestRate']
+
+// =============================================================================
+// RANDOM NUMBER GENERATION
+// =============================================================================
+
+/**
+ * Seeded pseudo-random generator (mulberry32).
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function} rng() returning a uniform draw in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0
+  return function rng() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let z = state
+    z = Math.imul(z ^ (z >>> 15), z | 1)
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61)
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Standard normal draw via Box-Muller.
+ */
+function standardNormal(rng) {
+  let u = 0
+  while (u === 0) u = rng()  // avoid log(0)
+  const v = rng()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+/**
+ * Cholesky decomposition of a symmetric positive-definite matrix.
+ *
+ * @param {number[][]} matrix
+ * @returns {number[][]} Lower-triangular L such that L·Lᵀ = matrix
+ */
+export function choleskyDecompose(matrix) {
+  const n = matrix.length
+  const L = matrix.map(() => new Array(n).fill(0))
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j]
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k]
+
+      if (i === j) {
+        if (sum <= 0) throw new Error('Correlation matrix is not positive definite')
+        L[i][i] = Math.sqrt(sum)
+      } else {
+        L[i][j] = sum / L[j][j]
+      }
+    }
+  }
+
+  return L
+}
+
+/**
+ * Draw one year of correlated shocks.
+ *
+ * @param {function} rng - Uniform generator from createRng()
+ * @param {number[][]} cholesky - Lower-triangular factor of the correlation matrix
+ * @param {object} volatility - Standard deviations keyed by shock name
+ * @returns {object} { realGrowth, inflation, baseRate, politicalPremium }
+ */
+export function drawCorrelatedShocks(rng, cholesky, volatility) {
+  const z = SHOCK_KEYS.map(() => standardNormal(rng))
+  const shock = {}
+  SHOCK_KEYS.forEach((key, i) => {
+    let correlated = 0
+    for (let k = 0; k <= i; k++) correlated += cholesky[i][k] * z[k]
+    shock[key] = correlated * volatility[key]
+  })
+  return shock
+}
+
+// =============================================================================
+// PERCENTILES
+// =============================================================================
+
+/**
+ * Percentile of a sorted array with linear interpolation.
+ *
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN
+  const rank = (p / 100) * (sorted.length - 1)
+  const lo = Math.floor(rank)
+  const hi = Math.ceil(rank)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo)
+}
+
+// =============================================================================
+// MONTE CARLO RUNNER
+// =============================================================================
+
+/**
+ * Run the projection under correlated stochastic shocks.
+ *
+ * @param {object} policyChanges - Same input as projectFiscalPath()
+ * @param {object} options - projectFiscalPath() options (years, reforms, …);
+ *   draws are added to options.shocks, which the central path also carries
+ * @param {object} mcOptions - { draws, seed, volatility, correlation, percentiles }
+ * @returns {object} { central, bands, draws, seed }
+ *   bands[t] = { year, debtRatio: { p5, p25, p50, p75, p95 }, deficitRatio, effectiveInterestRate }
+ */
+export function runMonteCarlo(policyChanges, options = {}, mcOptions = {}) {
+  const {
+    draws = MONTE_CARLO_PARAMS.draws,
+    seed = MONTE_CARLO_PARAMS.seed,
+    volatility = MONTE_CARLO_PARAMS.volatility,
+    correlation = MONTE_CARLO_PARAMS.correlation,
+    percentiles = MONTE_CARLO_PARAMS.percentiles,
+  } = mcOptions
+
+  const central = projectFiscalPath(policyChanges, options)
+  const years = central.length - 1
+
+  const rng = createRng(seed)
+  const cholesky = choleskyDecompose(correlation)
+
+  // samples[field][t] = array of outcomes across draws
+  const samples = {}
+  for (const field of BAND_FIELDS) {
+    samples[field] = central.map(() => [])
+  }
+
+  for (let d = 0; d < draws; d++) {
+    // Draws add to the caller's shocks (options.shocks), field by field
+    const shocks = []
+    for (let t = 0; t <= years; t++) {
+      const shock = { ...((options.shocks && options.shocks[t]) || {}) }
+      for (const [field, value] of Object.entries(drawCorrelatedShocks(rng, cholesky, volatility))) {
+        shock[field] = (shock[field] || 0) + value
+      }
+      shocks.push(shock)
+    }
+
+    // A draw stopped by maxDebtRatio holds its last (explosive) year
+    const path = projectFiscalPath(policyChanges, { ...options, shocks })
+    central.forEach((_, t) => {
+      const entry = path[Math.min(t, path.length - 1)]
+      for (const field of BAND_FIELDS) samples[field][t].push(entry[field])
+    })
+  }
+
+  const bands = central.map((entry, t) => {
+    const band = { year: entry.year }
+    for (const field of BAND_FIELDS) {
+      const sorted = samples[field][t].slice().sort((a, b) => a - b)
+      band[field] = {}
+      for (const p of percentiles) {
+        band[field][`p${p}`] = Math.round(percentile(sorted, p) * 100) / 100
+      }
+    }
+    return band
+  })
+
+  return { central, bands, draws, seed }
+}
+
+export default {
+  MONTE_CARLO_PARAMS,
+  createRng,
+  choleskyDecompose,
+  drawCorrelatedShocks,
+  percentile,
+  runMonteCarlo,
+}
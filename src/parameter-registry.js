@@ -0,0 +1,511 @@
+/**
+ * Parameter registry
+ *
+ * Machine-readable metadata for the calibrated constants of policy-impact.js
+ * and projection-engine-v1.8.js and of the modules they drive (rating premium,
+ * OAT ladder, CADES / ACOSS accounts, unemployment benefit cost): central
+ * value, low and high ends of the plausible range, unit, confidence and
+ * source. The central value is read from DEFAULT_MODEL_CONFIG, so the registry
+ * cannot drift from the code; each entry is addressed by its path in the model
+ * config (model-config.js).
+ *
+ * Entries without a range are observed data or legal/accounting conventions
+ * (2025 GDP, pension mass, FCTVA rate): they are listed but never varied.
+ * Real growth and inflation are scenario assumptions: they are varied through
+ * `macroOverrides`, so the calibration stays the reference of the revenue
+ * feedback (projection-engine, step 5).
+ *
+ * Scenario definitions are not calibration and stay out: political and
+ * pension presets, lever bounds and schedules, reform lags, durations and
+ * overlaps, the APUL absorption shares (they must sum to one). Analysis and
+ * option settings stay out too: the DSA bound-test sizes (DSA_PARAMS, passed
+ * to runDebtSustainabilityAnalysis()), the Monte Carlo volatilities, the
+ * funded pension fund of the capitalisation lever and the state asset
+ * valuations, which carry their own low / central / high (STATE_ASSETS).
+ *
+ * Sources: as listed per entry; reform sources from STRUCTURAL_REFORMS.
+ */
+
+import { DEFAULT_MODEL_CONFIG, CALIBRATION_PRESETS } from './model-config'
+import { DEBT_BUCKETS } from './debt-stock'
+
+// =============================================================================
+// UNITS, GROUPS, CONFIDENCE
+// =============================================================================
+
+// scale: displayed value = stored value × scale
+export const PARAMETER_UNITS = {
+  mdEur: { label: "Md€", scale: 1, decimals: 1 },
+  eur: { label: "€", scale: 1, decimals: 0 },
+  percent: { label: "%", scale: 100, decimals: 2 },   // Decimal share or rate
+  percentValue: { label: "%", scale: 1, decimals: 1 }, // Already in % (or % of GDP)
+  ppPerYear: { label: "pp/an", scale: 100, decimals: 2 },
+  bps: { label: "bps", scale: 10000, decimals: 0 },
+  ratio: { label: "", scale: 1, decimals: 2 },
+  years: { label: "ans", scale: 1, decimals: 0 },
+  people: { label: "personnes", scale: 1, decimals: 0 },
+  peoplePerYear: { label: "pers./an", scale: 1, decimals: 0 },
+}
+
+// Hypothèses tab sections, in display order
+export const PARAMETER_GROUPS = {
+  macro: "Paramètres macroéconomiques",
+  fiscal: "Élasticités fiscales et inflation",
+  behavioral: "Réponse comportementale aux taxes (ETI)",
+  multipliers: "Multiplicateurs fiscaux des dépenses",
+  riskPremium: "Prime de risque souverain + inertie dette",
+  debt: "Structure de la dette (OAT, CADES, ACOSS)",
+  demographic: "Démographie, migrations, emploi des seniors",
+  pensions: "Réforme des retraites",
+  spending: "Santé (ONDAM) et collectivités locales",
+  reforms: "Réformes structurelles",
+}
+
+// Same scale as STRUCTURAL_REFORMS.confidence
+export const CONFIDENCE_LABELS = {
+  'high': "Élevée",
+  'medium-high': "Assez élevée",
+  'medium': "Moyenne",
+  'medium-low': "Assez faible",
+  'low-medium': "Assez faible",
+  'low': "Faible",
+}
+
+// ± share of the central growth effect of a reform, by confidence
+export const CONFIDENCE_SPREAD = {
+  'high': 0.25,
+  'medium-high': 0.35,
+  'medium': 0.5,
+  'medium-low': 0.65,
+  'low-medium': 0.65,
+  'low': 0.8,
+}
+
+// Spreads of the ranges derived from the central value
+export const RANGE_SPREADS = {
+  efficiency: 0.15,         // ± on increase/decrease efficiency (range of the ETI estimates)
+  growthResponse: 0.5,      // ± 50% on growth drag/boost per pp
+  riskPremiumSlope: 0.5,    // ± 50% on each risk premium slope
+  ratingWeight: 0.5,        // ± 50% on each rating scorecard weight
+}
+
+const TAX_LABELS = {
+  incomeTax: "IR",
+  corporateTax: "IS",
+  vat: "TVA",
+  csg: "CSG",
+  socialContributions: "Cotisations",
+}
+
+// ETI sources, then growth response sources (policy-impact.js comments)
+const TAX_SOURCES = {
+  incomeTax: ["Saez, Slemrod & Giertz (2012) ; Kleven et al. (2014)", "Romer & Romer (2010), Kleven et al. (2014)"],
+  corporateTax: ["Gruber & Rauh (2007) ; profit-shifting OCDE", "Gechert & Heimberger (2022), Mertens & Ravn (2013)"],
+  vat: ["Mirrlees Review (2011)", "Mirrlees Review (2011)"],
+  csg: ["Saez et al. (2012), assiette large", "Mirrlees Review (2011), Saez et al. (2012)"],
+  socialContributions: ["OCDE Taxing Wages (coin fiscal)", "Crépon & Desplatz (2001), France Stratégie CICE (2020)"],
+}
+
+const RESPONSE_FIELDS = {
+  increaseEfficiency: { label: "efficacité d'une hausse", unit: 'percent', confidence: 'medium',
+    spread: RANGE_SPREADS.efficiency },
+  decreaseEfficiency: { label: "efficacité d'une baisse", unit: 'percent', confidence: 'medium-low',
+    spread: RANGE_SPREADS.efficiency },
+  growthDragPerPp: { label: "frein croissance par pp de hausse", unit: 'ppPerYear', confidence: 'medium-low',
+    relative: RANGE_SPREADS.growthResponse },
+  growthBoostPerPp: { label: "boost croissance par pp de baisse", unit: 'ppPerYear', confidence: 'low',
+    relative: RANGE_SPREADS.growthResponse },
+}
+
+const MULTIPLIER_LABELS = {
+  education: "Éducation",
+  defense: "Défense",
+  solidarity: "Solidarité",
+  pensions: "Retraites",
+  health: "Santé",
+  localInvestment: "Investissement local",
+  localServices: "Services locaux",
+}
+
+const REFORM_LINKS = {
+  productMarketRegulation: "https://www.oecd.org/economy/reform/indicators-of-product-market-regulation/",
+  housingAmbitious: "https://doi.org/10.1016/j.jue.2015.11.003",
+  education: "https://www.oecd.org/education/education-at-a-glance/",
+  energy: "https://www.cre.fr/",
+}
+
+const RATING_WEIGHT_LABELS = {
+  debtRatio: "dette/PIB",
+  debtTrend: "tendance de la dette/PIB",
+  deficitRatio: "déficit/PIB",
+  interestToRevenue: "intérêts/recettes",
+  realGrowth: "croissance réelle",
+}
+
+const INSEE = "https://www.insee.fr/fr/statistiques"
+const AFT = "https://www.aft.gouv.fr/"
+
+// =============================================================================
+// ENTRY HELPERS
+// =============================================================================
+
+/**
+ * Value at a path of the model config.
+ *
+ * @param {object} config - Model config (createModelConfig() result)
+ * @param {array} path - Keys, e.g. ['macroBaseline', 'riskPremium', 'slope1']
+ * @returns {*} Value
+ */
+export function valueAt(config, path) {
+  return path.reduce((node, key) => node[key], config)
+}
+
+const round = value => Math.round(value * 1e6) / 1e6
+
+// Central value ± spread × |central|, low end first
+const relativeRange = (central, spread) => {
+  const values = [central * (1 - spread), central * (1 + spread)].map(round)
+  return [Math.min(...values), Math.max(...values)]
+}
+
+const slopeRange = central => relativeRange(central, RANGE_SPREADS.riskPremiumSlope)
+
+// range: [low, high], central => [low, high], or null (observed / convention, never varied)
+function parameter(key, label, unit, rangeSpec, confidence, source, extra = {}) {
+  const path = key.split('.')
+  const central = valueAt(DEFAULT_MODEL_CONFIG, path)
+  const range = typeof rangeSpec === 'function' ? rangeSpec(central) : rangeSpec
+  return {
+    key,
+    path,
+    label,
+    unit,
+    central,
+    low: range ? range[0] : null,
+    high: range ? range[1] : null,
+    confidence,
+    source,
+    link: null,
+    note: null,
+    scenario: false,
+    reform: null,
+    ...extra,
+  }
+}
+
+const inGroup = (group, entries) => entries.map(entry => ({ ...entry, group }))
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+const { behavioralResponse, fiscalMultipliers, structuralReforms, ratingParams, debtStockParams } = DEFAULT_MODEL_CONFIG
+
+export const PARAMETER_REGISTRY = [
+  ...inGroup('macro', [
+    parameter('macroBaseline.gdp', "PIB nominal 2025", 'mdEur', null, 'high', "PLF 2025, INSEE",
+      { link: INSEE, note: "Base de calcul pour tous les ratios" }),
+    parameter('macroBaseline.debt', "Dette publique 2025", 'mdEur', null, 'high', "INSEE, dette de Maastricht"),
+    parameter('macroBaseline.primaryDeficit', "Déficit primaire 2025", 'mdEur', null, 'high', "PLF 2025",
+      { note: "Déficit total moins charge d'intérêts" }),
+    parameter('macroBaseline.realGrowth', "Croissance réelle tendancielle", 'percent', [0.004, 0.012], 'medium',
+      "HCFP, PLF 2025 révisé ; Banque de France", {
+        scenario: true,
+        link: "https://www.banque-france.fr/fr/publications-et-statistiques/publications/projections-macroeconomiques",
+        note: "Écart à 0,7 % → recettes via l'élasticité fiscale",
+      }),
+    parameter('macroBaseline.inflation', "Inflation", 'percent', [0.014, 0.022], 'medium-high', "BCE (cible 2 %), Banque de France",
+      { scenario: true, note: "Croissance nominale 2,5 % = 0,7 % réel + 1,8 % inflation" }),
+    parameter('macroBaseline.unemploymentRate', "Taux de chômage 2025", 'percentValue', null, 'high', "INSEE",
+      { link: INSEE, note: "Base pour la loi d'Okun" }),
+    parameter('macroBaseline.okunCoefficient', "Coefficient d'Okun", 'ratio', [0.3, 0.7], 'medium',
+      "Ball, Leigh & Loungani (2017)", { note: "pp de chômage par pp d'écart de croissance" }),
+    parameter('macroShockParams.benefitCostPerPoint', "Coût d'un point de chômage", 'mdEur', [3.5, 5.5], 'medium',
+      "Unédic, situation financière 2025", { note: "Allocations versées et cotisations perdues, par pp de chômage" }),
+    parameter('outputGapParams.initialGap', "Écart de production initial", 'percentValue', [-1, 0.5], 'medium',
+      "DG Trésor (≈ −0,2 % en 2025)"),
+    parameter('outputGapParams.persistence', "Persistance de l'écart de production", 'ratio', [0.6, 0.8], 'medium',
+      "HCFP (0,6-0,7)"),
+    parameter('structuralBalanceParams.budgetSemiElasticity', "Semi-élasticité du solde budgétaire", 'ratio', [0.45, 0.6],
+      'medium-high', "Commission européenne, Debt Sustainability Monitor 2023 ; HCFP",
+      { note: "Solde structurel = solde effectif − semi-élasticité × écart de production − mesures ponctuelles" }),
+  ]),
+
+  ...inGroup('fiscal', [
+    parameter('macroBaseline.taxElasticity', "Élasticité des recettes au PIB", 'ratio', [0.35, 0.55], 'medium',
+      "Girouard & André (2005), OCDE", {
+        link: "https://www.oecd.org/tax/public-finance/",
+        note: "Part de la croissance supplémentaire qui devient recettes",
+      }),
+    parameter('inflationParams.revenueBase', "Recettes indexées sur les prix (État + ASSO)", 'mdEur', null, 'high', "PLF / PLFSS 2025"),
+    parameter('inflationParams.incomeTaxBase', "Assiette IR", 'mdEur', null, 'high', "PLF 2025"),
+    parameter('inflationParams.incomeTaxExcessElasticity', "Surélasticité de l'IR au revenu nominal", 'ratio', [0.6, 1.0],
+      'medium', "DG Trésor, élasticités 2023", { note: "Dérive du barème s'il n'est pas indexé" }),
+    parameter('inflationParams.pensionMass', "Pensions revalorisées sur l'inflation N-1", 'mdEur', null, 'high', "CNAV, PLFSS 2025"),
+    parameter('inflationParams.otherPrimarySpending', "Autres dépenses primaires", 'mdEur', null, 'high', "PLF 2025"),
+    parameter('inflationParams.otherSpendingIndexation', "Part des autres dépenses indexée sur les prix", 'percent', [0.6, 0.9],
+      'medium', "Cour des comptes, SPFP 2023 (choc 2022)"),
+    parameter('inflationParams.fisherPassThrough', "Transmission de l'inflation au taux marginal", 'ratio', [0.4, 0.8],
+      'medium-low', "BCE / Banque de France, transmission des taux"),
+  ]),
+
+  ...inGroup('behavioral', Object.entries(behavioralResponse).flatMap(([tax, response]) =>
+    Object.keys(response).filter(field => RESPONSE_FIELDS[field]).map(field => {
+      const meta = RESPONSE_FIELDS[field]
+      const range = central => (meta.relative
+        ? relativeRange(central, meta.relative)
+        : [central - meta.spread, central + meta.spread].map(round))
+      return parameter(`behavioralResponse.${tax}.${field}`, `${TAX_LABELS[tax]} : ${meta.label}`, meta.unit, range,
+        meta.confidence, TAX_SOURCES[tax][field.startsWith('growth') ? 1 : 0])
+    }))),
+
+  ...inGroup('multipliers', [
+    ...Object.entries(fiscalMultipliers).flatMap(([category, multiplier]) =>
+      ['expansion', 'recession'].map(regime => {
+        const values = [multiplier[regime], ...Object.values(CALIBRATION_PRESETS)
+          .map(preset => preset.overrides.fiscalMultipliers?.[category]?.[regime])
+          .filter(value => value != null)]
+        return parameter(`fiscalMultipliers.${category}.${regime}`,
+          `${MULTIPLIER_LABELS[category]} (${regime === 'expansion' ? 'expansion' : 'récession'})`, 'ratio',
+          [Math.min(...values), Math.max(...values)], 'medium',
+          "Banque de France FR-BDF (2019), OFCE (2017), Blanchard & Leigh (2013)",
+          { note: "Fourchette : calibrations Banque de France et OFCE" })
+      })),
+    parameter('multiplierRegime.expansionGap', "Écart de production du régime d'expansion", 'percentValue', null, 'medium',
+      "Auerbach & Gorodnichenko (2012)"),
+    parameter('multiplierRegime.recessionGap', "Écart de production du régime de récession", 'percentValue', [-3, -1],
+      'medium-low', "Auerbach & Gorodnichenko (2012), Blanchard & Leigh (2013)"),
+  ]),
+
+  ...inGroup('riskPremium', [
+    parameter('macroBaseline.baseInterestRate', "Taux de base (calé sur un taux moyen de 2,1 %)", 'bps', null, 'high',
+      "Agence France Trésor", { link: "https://www.aft.gouv.fr/", note: "Charge d'intérêts ≈ 69 Md€ en 2025" }),
+    parameter('macroBaseline.riskPremium.threshold1', "Seuil du régime modéré (dette/PIB)", 'percentValue', [50, 70], 'low',
+      "Kumar & Baldacci (2010), FMI"),
+    parameter('macroBaseline.riskPremium.slope1', "Prime de risque 60-90 % dette/PIB", 'bps', slopeRange,
+      'medium', "Kumar & Baldacci (2010), FMI",
+      { link: "https://www.imf.org/external/pubs/ft/wp/2010/wp10184.pdf", note: "Par pp de dette/PIB ; régime normal" }),
+    parameter('macroBaseline.riskPremium.threshold2', "Seuil du régime élevé", 'percentValue', [80, 100], 'low',
+      "EC Debt Sustainability Monitor"),
+    parameter('macroBaseline.riskPremium.slope2', "Prime de risque 90-120 % dette/PIB", 'bps', slopeRange,
+      'medium-low', "EC Debt Sustainability Monitor", {
+        link: "https://economy-finance.ec.europa.eu/economic-and-fiscal-governance/fiscal-sustainability_en",
+        note: "Par pp de dette/PIB ; accélération non linéaire",
+      }),
+    parameter('macroBaseline.riskPremium.threshold3', "Seuil du régime de crise", 'percentValue', [110, 130], 'low',
+      "Consensus académique, OAT France 2010-2012"),
+    parameter('macroBaseline.riskPremium.slope3', "Prime de risque > 120 % dette/PIB", 'bps', slopeRange,
+      'low', "Consensus académique, OAT France 2010-2012", { note: "Par pp de dette/PIB ; régime de crise, doom loop" }),
+    parameter('macroBaseline.riskPremium.politicalPremium', "Prime politique (spread OAT)", 'bps', [0.0010, 0.0040],
+      'medium', "Bloomberg OAT-Bund 10Y T4 2024, BCE FSR nov. 2024", { note: "Déjà intégrée au taux 2025" }),
+    parameter('deficitStressThreshold', "Seuil de la prime de déficit", 'percentValue', [3, 5], 'medium-low',
+      "Module 1 — profil OAT AFT 2025"),
+    parameter('deficitStressSensitivity', "Prime de déficit au-delà du seuil", 'bps', [0.0010, 0.0025], 'medium-low',
+      "Module 1 — profil OAT AFT 2025", { note: "Par pp de déficit/PIB" }),
+    parameter('rolloverRate', "Taux de renouvellement de la dette", 'percent', [0.10, 0.15], 'medium-high',
+      "Module 1 — maturité OAT AFT 2025", { note: "Maturité moyenne 6,7-10 ans ; inertie du taux moyen" }),
+    parameter('ratingParams.premiumPerNotch', "Prime par cran de notation", 'bps', [0.0005, 0.0020], 'medium-low',
+      "Fitch Sovereign Rating Model ; Afonso, Furceri & Gomes (2012)", { note: "Appliquée avec l'option « Notation souveraine »" }),
+    parameter('ratingParams.forcedSellerSteps.0.premium', "Ventes forcées sous A-", 'bps', null, 'low',
+      "Stylisé d'après Italie 2012", { note: "Sortie des mandats « catégorie A »" }),
+    parameter('ratingParams.forcedSellerSteps.1.premium', "Ventes forcées sous BBB-", 'bps', null, 'low',
+      "Stylisé d'après Grèce 2011", { note: "Sortie des indices investment grade" }),
+    ...Object.keys(ratingParams.weights).map(key =>
+      parameter(`ratingParams.weights.${key}`, `Notation : poids ${RATING_WEIGHT_LABELS[key]}`, 'ratio',
+        central => relativeRange(central, RANGE_SPREADS.ratingWeight), 'low', "Fitch Sovereign Rating Model (stylisé)",
+        { note: "Crans perdus par unité de dégradation depuis 2025" })),
+    parameter('ratingParams.hysteresis', "Notation : hystérésis", 'ratio', [0.1, 0.5], 'low',
+      "Stylisé, calendrier des revues Fitch / S&P", { note: "Crans au-delà du cran courant avant un changement" }),
+  ]),
+
+  ...inGroup('debt', [
+    ...Object.keys(debtStockParams.initialComposition).map(bucket =>
+      parameter(`debtStockParams.initialComposition.${bucket}`, `Part de l'encours : ${DEBT_BUCKETS[bucket].label}`,
+        'percent', null, 'high', "AFT, encours fin 2025", { link: AFT })),
+    ...Object.keys(debtStockParams.termSpreads).map(bucket =>
+      parameter(`debtStockParams.termSpreads.${bucket}`, `Écart au 10 ans : ${DEBT_BUCKETS[bucket].label}`, 'bps', null,
+        'medium-high', "Courbe OAT, septembre 2025", { link: AFT, note: "Constant sur l'horizon ; modèle de dette par lignes" })),
+    parameter('pillarAccountsParams.initialDebt.cades', "Dette CADES restant à amortir", 'mdEur', null, 'high',
+      "CADES, rapport annuel 2024"),
+    parameter('pillarAccountsParams.initialDebt.acoss', "Encours ACOSS", 'mdEur', null, 'high',
+      "Urssaf Caisse nationale, financement 2025"),
+    parameter('pillarAccountsParams.initialDebt.otherAsso', "Dette des autres ASSO", 'mdEur', null, 'medium',
+      "INSEE, comptes des APU 2024", { note: "Hôpitaux, Unédic, complémentaires ; constante" }),
+    parameter('pillarAccountsParams.initialDebt.apul', "Dette des APUL", 'mdEur', null, 'high', "INSEE, comptes des APU 2024"),
+    parameter('pillarAccountsParams.cadesResources.crds', "Ressources CADES : CRDS", 'mdEur', null, 'high', "LFSS 2026"),
+    parameter('pillarAccountsParams.cadesResources.csg', "Ressources CADES : part de CSG", 'mdEur', null, 'high', "LFSS 2026"),
+    parameter('pillarAccountsParams.cadesRate', "Coût moyen de la dette CADES", 'percent', null, 'medium-high',
+      "CADES, rapport annuel 2024"),
+    parameter('pillarAccountsParams.moneyMarketRate', "Taux monétaire (€STR)", 'percent', [0.015, 0.030], 'medium',
+      "Banque de France €STR 2025", { note: "Coût du financement court de l'ACOSS" }),
+    parameter('pillarAccountsParams.acossSpread', "Marge ACOSS sur l'€STR", 'bps', null, 'high', "NEU CP / ECP ACOSS 2025"),
+    parameter('pillarAccountsParams.acossCeiling', "Plafond d'avances ACOSS", 'mdEur', null, 'high', "LFSS 2026",
+      { note: "Au-delà, reprise de dette par la CADES" }),
+    parameter('pillarAccountsParams.acossFloorAfterTransfer', "Encours ACOSS après reprise", 'mdEur', null, 'medium',
+      "Convention du modèle"),
+    parameter('pillarAccountsParams.apulRate', "Coût moyen de la dette APUL", 'percent', null, 'high',
+      "Charges financières / dette APUL (BASELINE)"),
+  ]),
+
+  ...inGroup('demographic', [
+    parameter('demographicParams.dependencyRatioDriftPerYear', "Dérive du ratio de dépendance", 'ppPerYear', [0.0036, 0.0060],
+      'medium', "INSEE 2024, projections de population (variantes)", { link: INSEE }),
+    parameter('demographicParams.pensionElasticityToDependency', "Élasticité pensions / dépendance", 'ratio', [0.6, 1.0],
+      'medium', "COR 2024, rapport annuel"),
+    parameter('demographicParams.healthElasticityToDependency', "Élasticité santé / dépendance", 'ratio', [0.3, 0.7],
+      'medium-low', "DREES 2024"),
+    parameter('demographicParams.pensionBaseline', "Dépenses de retraite (base)", 'mdEur', null, 'high', "PLFSS 2025"),
+    parameter('demographicParams.healthBaseline', "Dépenses de santé (base)", 'mdEur', null, 'high', "PLFSS 2025 (ONDAM)"),
+    parameter('dependanceParams.baseline', "Dépenses d'autonomie 2025", 'mdEur', null, 'high', "PLFSS 2025, branche autonomie"),
+    parameter('dependanceParams.annualGrowthRate', "Croissance des dépenses d'autonomie", 'percent', [0.04, 0.07], 'medium-low',
+      "DREES, projections dépendance ; PLFSS 2025"),
+    parameter('dependanceParams.gdpGrowthBaseline', "Croissance nominale de référence (autonomie)", 'percent', null, 'high',
+      "PLF 2025"),
+    parameter('migrationParams.immigration.annualFlow', "Immigration annuelle", 'peoplePerYear', [230000, 310000], 'medium',
+      "INSEE 2023", { link: INSEE }),
+    parameter('migrationParams.immigration.employmentRate', "Taux d'emploi des immigrés", 'percent', [0.50, 0.64], 'medium',
+      "INSEE 2023"),
+    parameter('migrationParams.immigration.productivityFactor', "Productivité relative des immigrés", 'ratio', [0.65, 0.85],
+      'low', "francetdb.com"),
+    parameter('migrationParams.emigration.annualFlow', "Émigration annuelle", 'peoplePerYear', [170000, 230000], 'medium-low',
+      "INSEE 2023"),
+    parameter('migrationParams.emigration.employmentRate', "Taux d'emploi des émigrés", 'percent', [0.82, 0.92], 'medium-low',
+      "francetdb.com"),
+    parameter('migrationParams.emigration.productivityFactor', "Productivité relative des émigrés", 'ratio', [1.0, 1.2],
+      'low', "francetdb.com", { note: "Fuite des cerveaux : solde net négatif en travailleurs effectifs" }),
+    parameter('migrationParams.avgCotisationsPerWorker', "Cotisations par actif", 'eur', null, 'high', "URSSAF"),
+    parameter('migrationParams.avgGdpPerWorker', "PIB par actif occupé", 'eur', null, 'high', "INSEE"),
+    parameter('seniorEmployment.currentRate', "Taux d'emploi des 55-64 ans", 'percent', null, 'high', "DARES 2024"),
+    parameter('seniorEmployment.euBenchmark', "Référence UE (emploi des seniors)", 'percent', null, 'high', "Eurostat"),
+    parameter('seniorEmployment.seniorPopulation', "Population des 55-64 ans", 'people', null, 'high', "INSEE"),
+    parameter('seniorEmployment.avgCotisationsPerWorker', "Cotisations par senior en emploi", 'eur', null, 'high', "URSSAF"),
+    parameter('seniorEmployment.rateGainPerReformYear', "Gain d'emploi senior par année de réforme", 'ppPerYear',
+      [0.003, 0.008], 'medium-low', "DARES 2024, réformes Hartz"),
+    parameter('seniorEmployment.maxGain', "Gain maximal d'emploi senior", 'percent', [0.05, 0.09], 'medium-low',
+      "Eurostat (écart à la moyenne UE)"),
+  ]),
+
+  ...inGroup('pensions', [
+    parameter('pensionReformParams.pensionMass', "Masse des pensions (vieillesse)", 'mdEur', null, 'high',
+      "PLFSS 2025, francetdb.com", { note: "Base du calcul des réformes" }),
+    parameter('pensionReformParams.cotisantsPerRetraite', "Cotisants par retraité 2025", 'ratio', null, 'high', "COR 2024"),
+    parameter('pensionReformParams.ratioDeclinePerYear', "Baisse annuelle du ratio cotisants/retraité", 'ratio',
+      [0.008, 0.016], 'medium', "COR 2024, rapport annuel", { note: "Hors modèle par cohortes" }),
+    parameter('pensionReformParams.part65', "Part des 65 ans et plus", 'percentValue', null, 'high', "INSEE"),
+    parameter('pensionReformParams.part65GrowthPerYear', "Hausse annuelle de la part des 65+", 'ratio', null,
+      'medium', "INSEE, projections de population", { note: "Non utilisé par le modèle" }),
+    parameter('pensionReformParams.retirementAge.current', "Âge légal de départ", 'years', null, 'high', "Réforme 2023"),
+    parameter('pensionReformParams.retirementAge.pensionMassEffectPerYear', "Effet d'un an de recul de l'âge", 'percent',
+      [-0.035, -0.015], 'medium', "francetdb.com rtRunModel()", { note: "Retraités et masse des pensions" }),
+    parameter('pensionReformParams.retirementAge.rampUpYears', "Montée en charge du recul de l'âge", 'years', [6, 10],
+      'medium', "Réformes 2010 et 2023"),
+    parameter('pensionReformParams.desindexation.revaloReductionPerPoint', "Revalorisation perdue par point de désindexation",
+      'percent', null, 'high', "Définition du levier"),
+    parameter('pensionReformParams.notionnel.pensionMassReduction', "Comptes notionnels : baisse de la masse", 'percent',
+      [0.03, 0.09], 'low', "francetdb.com, modèle NDC suédois"),
+    parameter('pensionReformParams.notionnel.rampUpYears', "Comptes notionnels : mise en place", 'years', [10, 20], 'medium-low',
+      "Suède 1999-2014"),
+    parameter('pensionReformParams.noriaEffect.maxDampening', "Effet noria : atténuation maximale", 'percent', null,
+      'low', "COR 2024", { note: "Non utilisé par le modèle" }),
+    parameter('pensionReformParams.noriaEffect.dampeningPerYear', "Effet noria : atténuation annuelle", 'percent',
+      null, 'low', "COR 2024", { note: "Non utilisé par le modèle" }),
+    parameter('pensionReformParams.pensionFloor', "Plancher de la masse des pensions", 'percent', [0.6, 0.7], 'medium-low',
+      "Contrainte politique modélisée", { note: "Part du niveau sans réforme" }),
+  ]),
+
+  ...inGroup('spending', [
+    parameter('ondamFloor.threshold', "ONDAM : seuil des rendements décroissants", 'percentValue', [-4, -2], 'medium-low',
+      "DREES 2024, FNAIM", { note: "Coupes santé amorties au-delà (déserts médicaux)" }),
+    parameter('ondamFloor.dampingFactor', "ONDAM : part réalisée au-delà du seuil", 'percent', [0.3, 0.7], 'low', "DREES 2024"),
+    parameter('ondamFloor.hardFloor', "ONDAM : plancher", 'percentValue', [-9, -5], 'low', "DREES 2024"),
+    parameter('apulResponse.fctvaRate', "Taux du FCTVA", 'percent', null, 'high', "Code général des collectivités territoriales"),
+    parameter('apulResponse.maxDesendettementYears', "Capacité de désendettement maximale", 'years', null, 'high',
+      "LPFP 2018-2022"),
+  ]),
+
+  ...inGroup('reforms', [
+    ...Object.entries(structuralReforms).map(([key, reform]) =>
+      parameter(`structuralReforms.${key}.growthEffect`, reform.label, 'ppPerYear',
+        relativeRange(reform.growthEffect, CONFIDENCE_SPREAD[reform.confidence] ?? CONFIDENCE_SPREAD.medium),
+        reform.confidence, reform.source, {
+          reform: key,
+          link: REFORM_LINKS[key] || null,
+          note: `Délai ${reform.lag} ans, durée ${reform.duration} ans`,
+        })),
+    parameter('socialHousingLiquidation.annualProceeds', "Liquidation HLM : produit annuel", 'mdEur', [55, 90], 'low',
+      "ANCOLS 2025, MeilleursAgents, USH", { note: "Parc de 750 Md€ (fourchette 550-900) vendu sur 10 ans" }),
+    parameter('socialHousingLiquidation.growthEffect', "Liquidation HLM : effet croissance", 'ppPerYear', [-0.0002, 0.0006],
+      'low', "UK Right to Buy (1980)", { note: "Signe ambigu" }),
+  ]),
+]
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Registry entries that carry a range (the ones a scenario can vary).
+ *
+ * @param {array} registry - PARAMETER_REGISTRY
+ * @returns {array} Entries with low and high
+ */
+export function rangedParameters(registry = PARAMETER_REGISTRY) {
+  return registry.filter(entry => entry.low != null && entry.high != null)
+}
+
+/**
+ * Display value of a parameter: scaled, French decimal comma, unit.
+ *
+ * @param {number} value - Stored value
+ * @param {string} unit - PARAMETER_UNITS key
+ * @returns {string} e.g. "3 bps", "0,45", "2,50 %"
+ */
+export function formatParameterValue(value, unit) {
+  const { label, scale, decimals } = PARAMETER_UNITS[unit]
+  const [whole, fraction] = Math.abs(value * scale).toFixed(decimals).split('.')
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ')
+  const number = `${value < 0 ? '−' : ''}${grouped}${fraction ? `,${fraction}` : ''}`
+  return label ? `${number} ${label}` : number
+}
+
+/**
+ * Model config overrides and macroOverrides that set parameters to given values.
+ *
+ * @param {object} values - { registry key: value }
+ * @param {array} registry - PARAMETER_REGISTRY
+ * @returns {object} { config, macroOverrides }: config is a createModelConfig()
+ *   partial; scenario entries (real growth, inflation) go to macroOverrides
+ */
+export function parameterOverrides(values, registry = PARAMETER_REGISTRY) {
+  const config = {}
+  const macroOverrides = {}
+  for (const [key, value] of Object.entries(values)) {
+    const entry = registry.find(candidate => candidate.key === key)
+    if (!entry) throw new Error(`Unknown parameter: ${key}`)
+    if (entry.scenario) {
+      macroOverrides[entry.path[entry.path.length - 1]] = value
+      continue
+    }
+    // Arrays are replaced whole by mergeConfig(): start from a copy of the default
+    let node = config
+    entry.path.slice(0, -1).forEach((part, i) => {
+      const fallback = valueAt(DEFAULT_MODEL_CONFIG, entry.path.slice(0, i + 1))
+      node = node[part] = node[part] || (Array.isArray(fallback) ? fallback.map(item => ({ ...item })) : {})
+    })
+    node[entry.path[entry.path.length - 1]] = value
+  }
+  return { config, macroOverrides }
+}
+
+export default {
+  PARAMETER_UNITS,
+  PARAMETER_GROUPS,
+  CONFIDENCE_LABELS,
+  CONFIDENCE_SPREAD,
+  RANGE_SPREADS,
+  PARAMETER_REGISTRY,
+  valueAt,
+  rangedParameters,
+  formatParameterValue,
+  parameterOverrides,
+}
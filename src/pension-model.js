@@ -0,0 +1,223 @@
+/**
+ * Pension system (retraites par répartition)
+ *
+ * Tracks the PAYG pension system each year: contributors, retirees, average
+ * pension, average activity income and the system balance. Reports the COR
+ * indicators: solde du système (% PIB), âge moyen de départ, pension moyenne
+ * relative au revenu d'activité moyen and niveau de vie relatif des retraités.
+ * Used by projectFiscalPath() in step 5i.
+ *
+ * Contributors and retirees follow the cotisants/retraité decline of
+ * PENSION_REFORM. With the cohort demography (demographics.js), they follow
+ * the population on either side of the average departure age instead.
+ * Reforms act on these quantities:
+ * - retirement age: fewer retirees, and part of the deferred retirees keep
+ *   working and contributing
+ * - desindexation, pension cap, notional accounts: lower average pension
+ *
+ * Md€ amounts follow the engine's convention: the 2025 pension mass plus the
+ * pension share of the demographic pressure, the N-1 indexation and the
+ * capitalisation flows. Reform savings are measured on the 2025 mass.
+ *
+ * Sources:
+ * - COR, rapport annuel 2024: 1,7 cotisant par retraité, solde −0,2 % du PIB,
+ *   âge conjoncturel de départ 62,8 ans, pension moyenne ≈ 50 % du revenu
+ *   d'activité moyen, niveau de vie des retraités ≈ 100 % de l'ensemble
+ * - DREES, Les retraités et les retraites (2024): 17 M retraités de droit direct
+ * - LFSS 2023 (réforme des retraites): âge légal 64 ans pour la génération 1968
+ */
+
+import { contributionBase } from './funded-pension'
+
+// =============================================================================
+// SYSTEM CALIBRATION (2025)
+// =============================================================================
+
+export const PENSION_SYSTEM_PARAMS = {
+  retirees: 17.0,                  // M retraités de droit direct
+  initialBalanceRatio: -0.2,       // % GDP, sets the other resources (impôts affectés, transferts)
+  relativePension: 50,             // % average pension / average activity income
+  relativeLivingStandard: 100,     // % retirees' living standard / whole population
+  pensionShareOfIncome: 0.75,      // Pensions in retirees' income; the rest tracks the population
+  departureAge: {
+    initial: 62.8,                 // Average departure age (2023)
+    legislatedRise: 1.0,           // 2023 reform (legal age 62 → 64), effective-age gain
+    riseYears: 8,                  // Fully in force for the 1968 generation (2032)
+  },
+  deferredRetireeEmployment: 0.58, // Deferred retirees still in work (senior employment rate)
+  firstWorkingAge: 20,
+}
+
+// =============================================================================
+// REFORM EFFECTS
+// =============================================================================
+
+/**
+ * Effect of a pension reform in projection year t.
+ *
+ * Each year of retirement age above PENSION_REFORM.retirementAge.current
+ * removes 2.5% of retirees; desindexation (cumulative), the cap and notional
+ * accounts cut the average pension. Their effects on the mass add up and are
+ * floored at pensionFloor of the unreformed mass.
+ *
+ * @param {object|null} pensionReform - { retirementAge, desindexation, pensionCap, notionnel }
+ * @param {number} t - Projection year
+ * @param {object} reformParams - PENSION_REFORM
+ * @param {number} baseYear - Calendar year of t = 0
+ * @returns {object} { retireeFactor, pensionFactor, massFactor, ageShift }
+ *   factors multiply the unreformed retirees, average pension and mass
+ *   (massFactor = retireeFactor × pensionFactor); ageShift in years
+ */
+export function pensionReformEffect(pensionReform, t, reformParams, baseYear) {
+  if (!pensionReform) return { retireeFactor: 1, pensionFactor: 1, massFactor: 1, ageShift: 0 }
+
+  // Retirement age: each year above 64 → −2.5% retirees (and pension mass)
+  const ageAboveCurrent = pensionReform.retirementAge - reformParams.retirementAge.current
+  const ageRamp = Math.min(t / reformParams.retirementAge.rampUpYears, 1)
+  const retireeCut = ageAboveCurrent * Math.abs(reformParams.retirementAge.pensionMassEffectPerYear) * ageRamp
+
+  // Average pension: cumulative desindexation, cap, notional accounts
+  let pensionCut = 0
+  if (pensionReform.desindexation !== 0) {
+    const desindexRamp = Math.min(t / reformParams.desindexation.rampYears, 1)
+    pensionCut += pensionReform.desindexation * reformParams.desindexation.revaloReductionPerPoint
+      * t * desindexRamp
+  }
+  if (pensionReform.pensionCap > 0) {
+    pensionCut += (pensionReform.pensionCap / 100) * Math.min(t / reformParams.pensionCap.rampYears, 1)
+  }
+  if (pensionReform.notionnel) {
+    const yearsActive = Math.max(0, t - (reformParams.notionnel.startYear - baseYear))
+    pensionCut += reformParams.notionnel.pensionMassReduction
+      * Math.min(yearsActive / reformParams.notionnel.rampUpYears, 1)
+  }
+
+  // Floor: the mass cannot fall below pensionFloor of the unreformed level
+  const massFactor = Math.max(1 - retireeCut - pensionCut, reformParams.pensionFloor)
+  const retireeFactor = 1 - retireeCut
+  return {
+    retireeFactor,
+    pensionFactor: massFactor / retireeFactor,
+    massFactor,
+    ageShift: ageAboveCurrent * ageRamp,
+  }
+}
+
+// =============================================================================
+// ANNUAL ACCOUNTS
+// =============================================================================
+
+// Baseline average departure age in year t (2023 reform phase-in)
+export function baselineDepartureAge(t, params = PENSION_SYSTEM_PARAMS) {
+  const { initial, legislatedRise, riseYears } = params.departureAge
+  return initial + legislatedRise * Math.min(t / riseYears, 1)
+}
+
+// Persons aged [from, to) with a fractional upper bound
+function sumAges(ages, from, to) {
+  let total = 0
+  for (let x = from; x < Math.min(Math.floor(to), ages.length); x++) total += ages[x]
+  if (to < ages.length) total += (to - Math.floor(to)) * ages[Math.floor(to)]
+  return total
+}
+
+/**
+ * Pension system in projection year t.
+ *
+ * @param {object} inputs
+ *   t: projection year
+ *   population: demographics entry for year t ({ ages }), or null for the linear path
+ *   basePopulation: demographics entry for year 0
+ *   effect: pensionReformEffect() for year t
+ *   pensionPressure: pension share of the demographic pressure (Md€)
+ *   pressureScale: GDP scaling included in pensionPressure (cohort mode), taken
+ *     out for the average pension, which is compared with 2025 activity income
+ *   indexation: pension revaluation surprise on N-1 prices (Md€)
+ *   capitalisationContributions, paygRelief: funded-pillar flows (Md€)
+ *   gdp, baseGdp: GDP this year and in year 0 (Md€)
+ * @param {object} reformParams - PENSION_REFORM (pensionMass, cotisantsPerRetraite, ratioDeclinePerYear,
+ *   capitalisation for the cotisations base)
+ * @param {object} params - PENSION_SYSTEM_PARAMS
+ * @returns {object} { contributors, retirees (M), contributorsPerRetiree,
+ *   averagePension, averageIncome (k€), relativePension, relativeLivingStandard (%),
+ *   departureAge, spending, resources, balance, reformSaving, contributionGain (Md€),
+ *   balanceRatio (% GDP) }
+ */
+export function pensionSystemYear(inputs, reformParams, params = PENSION_SYSTEM_PARAMS) {
+  const {
+    t,
+    population = null,
+    basePopulation = null,
+    effect,
+    pensionPressure = 0,
+    pressureScale = 1,
+    indexation = 0,
+    capitalisationContributions = 0,
+    paygRelief = 0,
+    gdp,
+    baseGdp,
+  } = inputs
+
+  const initialRatio = reformParams.cotisantsPerRetraite
+  const baseContributors = params.retirees * initialRatio
+
+  // Unreformed contributors and retirees
+  let contributors = baseContributors
+  let retirees = baseContributors / (initialRatio - reformParams.ratioDeclinePerYear * t)
+  if (population) {
+    const age = baselineDepartureAge(t, params)
+    const age0 = baselineDepartureAge(0, params)
+    const maxAge = population.ages.length
+    contributors = baseContributors * sumAges(population.ages, params.firstWorkingAge, age)
+      / sumAges(basePopulation.ages, params.firstWorkingAge, age0)
+    retirees = params.retirees * (sumAges(population.ages, 0, maxAge) - sumAges(population.ages, 0, age))
+      / (sumAges(basePopulation.ages, 0, maxAge) - sumAges(basePopulation.ages, 0, age0))
+  }
+
+  // Reform: fewer retirees, part of them still contributing; lower average pension
+  const reformedRetirees = retirees * effect.retireeFactor
+  const reformedContributors = contributors + (retirees - reformedRetirees) * params.deferredRetireeEmployment
+  const reformSaving = reformParams.pensionMass * (1 - effect.massFactor)
+  const contributions = contributionBase(reformParams.capitalisation)  // ~184.6 Md€ cotisations vieillesse
+  const contributionGain = contributions * (reformedContributors / contributors - 1)
+
+  // Accounts: pension mass in the engine's convention, resources at their 2025 level
+  const mass = reformParams.pensionMass + pensionPressure + indexation - reformSaving
+  const spending = mass - paygRelief
+  const otherResources = reformParams.pensionMass + params.initialBalanceRatio / 100 * baseGdp
+    - contributions
+  const resources = contributions + contributionGain + otherResources - capitalisationContributions
+  const balance = resources - spending
+
+  // Average pension vs average activity income (2025 wage bill shared by the unreformed contributors)
+  const averagePension = (mass - pensionPressure + pensionPressure / pressureScale) / reformedRetirees
+  const baseAveragePension = reformParams.pensionMass / params.retirees
+  const averageIncome = baseAveragePension / (params.relativePension / 100) * baseContributors / contributors
+  const relativePension = averagePension / averageIncome * 100
+  const relativeLivingStandard = params.relativeLivingStandard
+    * (params.pensionShareOfIncome * relativePension / params.relativePension + 1 - params.pensionShareOfIncome)
+
+  return {
+    contributors: reformedContributors,
+    retirees: reformedRetirees,
+    contributorsPerRetiree: reformedContributors / reformedRetirees,
+    averagePension,
+    averageIncome,
+    relativePension,
+    relativeLivingStandard,
+    departureAge: baselineDepartureAge(t, params) + effect.ageShift,
+    spending,
+    resources,
+    balance,
+    balanceRatio: balance / gdp * 100,
+    reformSaving,
+    contributionGain,
+  }
+}
+
+export default {
+  PENSION_SYSTEM_PARAMS,
+  pensionReformEffect,
+  baselineDepartureAge,
+  pensionSystemYear,
+}
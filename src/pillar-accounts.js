@@ -0,0 +1,150 @@
+/**
+ * Per-pillar debt and deficit accounts
+ *
+ * Splits the consolidated APU debt into État, ASSO (administrations de sécurité
+ * sociale) and APUL stocks. Inside ASSO, CADES amortises its transferred debt
+ * with CRDS and its CSG share, while ACOSS carries the régimes' current deficits
+ * as short-term paper at money-market rates. When ACOSS breaches its legal
+ * borrowing ceiling, the excess is transferred to CADES. Used by
+ * projectFiscalPath(); the État account is the residual, so pillar deficits and
+ * debts always add up to the consolidated totals.
+ *
+ * Sources:
+ * - CADES rapport annuel 2024 (dette restant à amortir, ressources CRDS / CSG)
+ * - LFSS 2026 (plafond d'avances ACOSS), ACOSS/Urssaf Caisse nationale financement 2025
+ * - INSEE comptes des APU 2024 (dette Maastricht par sous-secteur)
+ * - Banque de France €STR 2025
+ */
+
+import { BASELINE } from './policy-impact'
+
+// =============================================================================
+// ACCOUNTS CALIBRATION
+// =============================================================================
+
+export const PILLAR_ACCOUNTS_PARAMS = {
+  // Maastricht debt at end-2024 (Md€); État = 3 300 − ASSO − APUL = 2 760
+  initialDebt: {
+    cades: 135.0,        // Dette restant à amortir CADES
+    acoss: 50.0,         // Encours ACOSS (NEU CP, ECP, Caisse des dépôts)
+    otherAsso: 100.0,    // Hôpitaux, Unédic, régimes complémentaires (held constant)
+    apul: BASELINE.apul.debt,
+  },
+
+  // CADES resources (Md€/yr): amortisation = resources − interest
+  cadesResources: {
+    crds: 8.3,           // CRDS 0,5% on all income
+    csg: 9.0,            // 0,45 pt of CSG affected to CADES
+  },
+  cadesRate: 0.020,      // Average cost of CADES debt (medium/long-term, legacy issues)
+
+  // ACOSS short-term financing
+  moneyMarketRate: 0.020,  // €STR 2025
+  acossSpread: 0.0010,     // 10 bps over €STR on NEU CP / ECP
+  acossCeiling: 83.0,      // Plafond d'avances LFSS 2026
+  acossFloorAfterTransfer: 20.0,  // Working balance ACOSS keeps after a CADES transfer
+
+  apulRate: BASELINE.apul.chargesFinancieres / BASELINE.apul.debt,  // ~2.9%
+}
+
+// =============================================================================
+// ACCOUNT STATE
+// =============================================================================
+
+/**
+ * Opening balances.
+ *
+ * @param {object} params - PILLAR_ACCOUNTS_PARAMS (config `pillarAccountsParams`)
+ * @returns {object} { cadesDebt, acossDebt, otherAssoDebt, apulDebt }
+ */
+export function createPillarAccounts(params = PILLAR_ACCOUNTS_PARAMS) {
+  const { initialDebt } = params
+  return {
+    cadesDebt: initialDebt.cades,
+    acossDebt: initialDebt.acoss,
+    otherAssoDebt: initialDebt.otherAsso,
+    apulDebt: initialDebt.apul,
+  }
+}
+
+/**
+ * ASSO debt (CADES + ACOSS + other ASSO), Md€.
+ */
+export function assoDebt(accounts) {
+  return accounts.cadesDebt + accounts.acossDebt + accounts.otherAssoDebt
+}
+
+/**
+ * Interest charge per account for the year (Md€).
+ *
+ * @param {object} accounts - Start-of-year balances
+ * @param {object} rates - { averageCost, moneyMarketRate }
+ *   averageCost: consolidated APU cost of debt this year (other ASSO debt)
+ * @param {object} params - PILLAR_ACCOUNTS_PARAMS (config `pillarAccountsParams`)
+ * @returns {object} { cades, acoss, otherAsso, asso, apul }
+ */
+export function pillarInterest(accounts, rates = {}, params = PILLAR_ACCOUNTS_PARAMS) {
+  const {
+    averageCost = 0,
+    moneyMarketRate = params.moneyMarketRate,
+  } = rates
+  const cades = accounts.cadesDebt * params.cadesRate
+  const acoss = accounts.acossDebt * (moneyMarketRate + params.acossSpread)
+  const otherAsso = accounts.otherAssoDebt * averageCost
+  const apul = accounts.apulDebt * params.apulRate
+  return { cades, acoss, otherAsso, asso: cades + acoss + otherAsso, apul }
+}
+
+// =============================================================================
+// ANNUAL ROLL
+// =============================================================================
+
+/**
+ * Roll the ASSO and APUL accounts forward one year.
+ *
+ * CADES amortises resources net of its interest (capped at its remaining
+ * debt). ACOSS finances the rest of the ASSO deficit plus what CADES repaid,
+ * so ASSO debt moves by exactly the ASSO deficit. If ACOSS then exceeds its
+ * ceiling, everything above the working floor is transferred to CADES.
+ *
+ * @param {object} accounts - Start-of-year balances
+ * @param {object} params - { assoDeficit, apulDeficit, cadesInterest }
+ * @param {object} accountParams - PILLAR_ACCOUNTS_PARAMS (config `pillarAccountsParams`)
+ * @returns {object} { accounts, cadesAmortisation, cadesTransfer }
+ */
+export function rollPillarAccounts(accounts, params, accountParams = PILLAR_ACCOUNTS_PARAMS) {
+  const { assoDeficit, apulDeficit, cadesInterest } = params
+  const { cadesResources, acossCeiling, acossFloorAfterTransfer } = accountParams
+
+  const resources = cadesResources.crds + cadesResources.csg
+  const cadesAmortisation = Math.min(Math.max(0, resources - cadesInterest), accounts.cadesDebt)
+
+  let cadesDebt = accounts.cadesDebt - cadesAmortisation
+  let acossDebt = accounts.acossDebt + assoDeficit + cadesAmortisation
+
+  let cadesTransfer = 0
+  if (acossDebt > acossCeiling) {
+    cadesTransfer = acossDebt - acossFloorAfterTransfer
+    acossDebt = acossFloorAfterTransfer
+    cadesDebt += cadesTransfer
+  }
+
+  return {
+    accounts: {
+      ...accounts,
+      cadesDebt,
+      acossDebt,
+      apulDebt: accounts.apulDebt + apulDeficit,
+    },
+    cadesAmortisation,
+    cadesTransfer,
+  }
+}
+
+export default {
+  PILLAR_ACCOUNTS_PARAMS,
+  createPillarAccounts,
+  assoDebt,
+  pillarInterest,
+  rollPillarAccounts,
+}
@@ -56,6 +56,58 @@ export const BASELINE = {
     spendingTotal: 1131.6,   // 444.97 + 686.6
     deficit: -147.2,         // -129.7 + (-17.5)
   },
+
+  // Administrations publiques locales (APUL) - Source: INSEE comptes APU 2024,
+  // OFGL 2024, PLF 2025 (DGF, concours financiers)
+  apul: {
+    revenuTotal: 310.0,
+    taxeFonciere: 46.0,          // TFPB (communes + EPCI)
+    tvaAffectee: 51.0,           // Fractions de TVA (compensation TH 2021 + CVAE 2023)
+    dgf: 27.2,                   // Dotation globale de fonctionnement (transfert État)
+    autresConcoursEtat: 25.0,    // FCTVA, DSIL/DETR, compensations fiscales (transferts État)
+    autresImpots: 90.8,          // DMTO, CFE, versement mobilité, fractions TICPE…
+    recettesInvestissement: 20.0, // Subventions d'équipement, cessions (hors FCTVA)
+    autresRecettes: 50.0,        // Tarifs, produits des services, domaine
+
+    spendingTotal: 319.3,
+    fonctionnement: 240.0,       // Dépenses de fonctionnement (personnel ~95)
+    investissement: 72.0,        // Dépenses d'équipement + subventions versées
+    chargesFinancieres: 7.3,     // Intérêts de la dette locale
+
+    deficit: -9.3,               // Besoin de financement APUL 2025 (PLF 2025)
+    debt: 255.0,                 // Dette APUL Maastricht (~9% PIB)
+    remboursementCapital: 17.0,  // Annuité en capital (plancher épargne brute, règle d'or)
+  },
+
+  // APU Maastricht (État + ASSO + APUL); État → APUL transfers consolidated out
+  // Deficit = sum of sub-sector deficits = MACRO_BASELINE primary 87.2 + interest 69.3
+  apu: {
+    revenuTotal: 1232.5,     // 974.7 + 310.0 − 27.2 DGF − 25.0 autres concours
+    spendingTotal: 1398.7,   // 1131.6 + 319.3 − 52.2
+    deficit: -156.5,         // -147.2 + (-9.3)
+  },
+}
+
+// =============================================================================
+// LEVER BOUNDS
+// =============================================================================
+// Slider range and step of each lever (plain values, full effect).
+// Units: tax rates in pp, spending in % of the baseline line, DGF in Md€,
+// pension indexation in pp vs inflation.
+
+export const LEVER_BOUNDS = {
+  incomeTaxChange:     { min: -10, max: 10, step: 1 },
+  vatChange:           { min: -5,  max: 5,  step: 0.5 },
+  corpTaxChange:       { min: -10, max: 5,  step: 1 },
+  spendingEducation:   { min: -20, max: 20, step: 1 },
+  spendingDefense:     { min: -15, max: 15, step: 1 },
+  spendingSolidarity:  { min: -30, max: 30, step: 1 },
+  dgfChange:           { min: -27, max: 10, step: 0.5 },
+  localInvestment:     { min: -30, max: 30, step: 1 },
+  pensionIndexation:   { min: -2,  max: 1,  step: 0.1 },
+  healthSpending:      { min: -10, max: 10, step: 1 },
+  socialContributions: { min: -5,  max: 5,  step: 0.5 },
+  csgRate:             { min: -2,  max: 2,  step: 0.5 },
 }
 
 // =============================================================================
@@ -220,7 +272,8 @@ export const BEHAVIORAL_RESPONSE = {
 // FISCAL MULTIPLIERS (Module 4)
 // =============================================================================
 // Source: Dynamic assumptions.txt Module 4
-// France 2025 output gap ≈ 0 → expansion multipliers used as default
+// France 2025 output gap ≈ 0 → expansion multipliers used as default;
+// the projection engine blends toward recession values as the gap turns negative
 // Note: monetary offset = 0.00 (ECB is supranational; no country-level crowding-out)
 
 export const FISCAL_MULTIPLIERS = {
@@ -229,6 +282,43 @@ export const FISCAL_MULTIPLIERS = {
   solidarity:  { expansion: 0.40, recession: 0.90 }, // transfers
   pensions:    { expansion: 0.40, recession: 0.90 }, // transfers
   health:      { expansion: 0.70, recession: 1.00 }, // mixed
+  localInvestment: { expansion: 0.90, recession: 1.50 }, // APUL investment (~55% of APU FBCF)
+  localServices:   { expansion: 0.60, recession: 1.00 }, // APUL operating spending
+}
+
+// Output-gap thresholds for multiplier regime blending (% of potential GDP)
+// Gap ≥ 0 → expansion multipliers; gap ≤ -2% → recession multipliers; linear in between.
+// Source: Auerbach & Gorodnichenko (2012), Blanchard & Leigh (2013)
+export const MULTIPLIER_REGIME = {
+  expansionGap: 0,
+  recessionGap: -2.0,
+}
+
+/**
+ * Weight of the recession regime for a given output gap.
+ *
+ * @param {number} outputGap - Output gap (% of potential GDP, negative = slack)
+ * @param {object} regime - Gap thresholds, default MULTIPLIER_REGIME
+ * @returns {number} 0 (pure expansion) to 1 (pure recession)
+ */
+export function getRecessionWeight(outputGap = 0, regime = MULTIPLIER_REGIME) {
+  const { expansionGap, recessionGap } = regime
+  if (outputGap >= expansionGap) return 0
+  if (outputGap <= recessionGap) return 1
+  return (expansionGap - outputGap) / (expansionGap - recessionGap)
+}
+
+/**
+ * Blend a spending multiplier between expansion and recession regimes.
+ *
+ * @param {object} multiplier - { expansion, recession } entry of FISCAL_MULTIPLIERS
+ * @param {number} outputGap - Output gap (% of potential GDP)
+ * @param {object} regime - Gap thresholds, default MULTIPLIER_REGIME
+ * @returns {number} Effective multiplier
+ */
+export function blendMultiplier(multiplier, outputGap = 0, regime = MULTIPLIER_REGIME) {
+  const weight = getRecessionWeight(outputGap, regime)
+  return multiplier.expansion + (multiplier.recession - multiplier.expansion) * weight
 }
 
 // =============================================================================
@@ -250,21 +340,22 @@ export const ONDAM_FLOOR = {
  * Cuts beyond -3% are damped by 50%; hard floor at -7%.
  *
  * @param {number} requestedCut - Requested health spending change (%)
+ * @param {object} floor - Constraint parameters, default ONDAM_FLOOR
  * @returns {{ effectiveCut: number, warning: string|null, warningLevel: string|null }}
  */
-export function applyOndamFloor(requestedCut) {
+export function applyOndamFloor(requestedCut, floor = ONDAM_FLOOR) {
   // No constraint for increases or mild cuts
-  if (requestedCut >= ONDAM_FLOOR.threshold) {
+  if (requestedCut >= floor.threshold) {
     return { effectiveCut: requestedCut, warning: null, warningLevel: null }
   }
 
   // Damped region: only 50% of cut beyond threshold materialises
-  const excess = requestedCut - ONDAM_FLOOR.threshold
-  let effectiveCut = ONDAM_FLOOR.threshold + excess * ONDAM_FLOOR.dampingFactor
+  const excess = requestedCut - floor.threshold
+  let effectiveCut = floor.threshold + excess * floor.dampingFactor
 
   // Hard floor
-  if (effectiveCut < ONDAM_FLOOR.hardFloor) {
-    effectiveCut = ONDAM_FLOOR.hardFloor
+  if (effectiveCut < floor.hardFloor) {
+    effectiveCut = floor.hardFloor
   }
 
   const warningLevel = requestedCut < -6 ? 'red' : 'yellow'
@@ -273,9 +364,166 @@ export function applyOndamFloor(requestedCut) {
   return { effectiveCut, warning, warningLevel }
 }
 
+// =============================================================================
+// COLLECTIVITÉS LOCALES (APUL) RESPONSE
+// =============================================================================
+// Règle d'or: local authorities may borrow only to invest; the operating section
+// must balance and gross savings (épargne brute) must cover capital repayments.
+// A DGF change is absorbed through investment, operating spending, local taxes and
+// borrowing. Source: Cour des comptes, rapport finances locales 2018 (baisse DGF
+// 2014-2017: −11 Md€ → investissement −25%, fiscalité +, épargne brute −)
+
+export const APUL_RESPONSE = {
+  dgfAbsorption: {
+    investment: 0.50,   // équipement cut / raised
+    operating: 0.25,    // fonctionnement savings / extra
+    localTax: 0.15,     // taux de taxe foncière (opposite sign)
+    borrowing: 0.10,    // residual financed by debt
+  },
+  fctvaRate: 0.16404,   // FCTVA: État reimburses 16.404% of eligible local investment
+  maxDesendettementYears: 12,  // Capacité de désendettement ceiling (LPFP 2018-2022)
+}
+
+/**
+ * APUL response to DGF and local investment levers under the règle d'or.
+ *
+ * Gross savings = operating revenue − operating spending (incl. interest). If a
+ * DGF cut pushes them below capital repayments, the shortfall must be closed by
+ * taxe foncière (borrowing for operating needs is illegal). Extra investment can
+ * be borrowed only while debt / gross savings stays under 12 years.
+ *
+ * @param {number} dgfChange - Md€ change in DGF paid by the État
+ * @param {number} localInvestment - % change in APUL investment (autonomous)
+ * @param {object} response - Absorption and règle d'or parameters, default APUL_RESPONSE
+ * @returns {object} { revenue, spending, transfers, investmentChange, operatingChange,
+ *   localTaxChange, grossSavings, desendettementYears, goldenRuleBinding }
+ */
+export function calculateApulImpact(dgfChange = 0, localInvestment = 0, response = APUL_RESPONSE) {
+  const apul = BASELINE.apul
+  const { dgfAbsorption, fctvaRate, maxDesendettementYears } = response
+  let goldenRuleBinding = false
+
+  // DGF absorption (same sign as the DGF change, tax moves the other way)
+  const operatingChange = dgfChange * dgfAbsorption.operating
+  let localTaxChange = -dgfChange * dgfAbsorption.localTax
+  const investmentFromDgf = dgfChange * dgfAbsorption.investment
+
+  // Règle d'or 1: gross savings must cover capital repayments
+  const baseGrossSavings = (apul.revenuTotal - apul.recettesInvestissement)
+    - (apul.fonctionnement + apul.chargesFinancieres)
+  let grossSavings = baseGrossSavings + dgfChange + localTaxChange - operatingChange
+  if (grossSavings < apul.remboursementCapital) {
+    localTaxChange += apul.remboursementCapital - grossSavings
+    grossSavings = apul.remboursementCapital
+    goldenRuleBinding = true
+  }
+
+  // Règle d'or 2: autonomous investment is borrowed (net of FCTVA) within debt capacity
+  let investmentAuto = localInvestment * apul.investissement / 100
+  const borrowingHeadroom = maxDesendettementYears * grossSavings - apul.debt
+  const autoBorrowing = investmentAuto * (1 - fctvaRate)
+  if (autoBorrowing > borrowingHeadroom) {
+    investmentAuto = Math.max(0, borrowingHeadroom) / (1 - fctvaRate)
+    goldenRuleBinding = true
+  }
+
+  const investmentChange = investmentFromDgf + investmentAuto
+  const fctvaChange = investmentChange * fctvaRate
+  const transfers = dgfChange + fctvaChange
+
+  const revenue = transfers + localTaxChange
+  const spending = investmentChange + operatingChange
+  const apulDebt = apul.debt + (spending - revenue)
+
+  return {
+    revenue,
+    spending,
+    transfers,
+    investmentChange,
+    operatingChange,
+    localTaxChange,
+    grossSavings,
+    desendettementYears: grossSavings > 0 ? apulDebt / grossSavings : Infinity,
+    goldenRuleBinding,
+  }
+}
+
 // GDP reference for multiplier calculations (Md€)
 const GDP_BASE = 2850  // MACRO_BASELINE.gdp
 
+// =============================================================================
+// LEVER SCHEDULES
+// =============================================================================
+// Any lever may be a plain number (full effect from the first year, permanent)
+// or a schedule:
+//   { value, startYear, rampYears, sunsetYear } — linear ramp to `value` over
+//     `rampYears` starting in `startYear`, back to 0 from `sunsetYear`
+//   { path, startYear } — explicit per-year values from `startYear`; the last
+//     value is held afterwards
+// Years are calendar years; the projection starts in SCHEDULE_BASE_YEAR.
+
+export const SCHEDULE_BASE_YEAR = 2025
+
+// Reference trajectories (values in lever units)
+export const LEVER_SCHEDULE_PRESETS = {
+  lpmDefense: {
+    label: "LPM 2024-2030 (défense)",
+    description: "Marches de la loi de programmation militaire : 50,5 Md€ (2025) → 67,4 Md€ (2030)",
+    lever: 'spendingDefense',
+    // % of BASELINE.etat.defense (65.0): +3.2, +6.4, +10.8, +13.7, +16.9 Md€
+    schedule: { path: [0, 4.9, 9.8, 16.6, 21.1, 26.0] },
+  },
+  csgRamp: {
+    label: "CSG +1 pt sur 3 ans",
+    description: "Hausse de CSG étalée sur 2026-2028",
+    lever: 'csgRate',
+    schedule: { value: 1, startYear: 2026, rampYears: 3 },
+  },
+}
+
+/**
+ * True if the lever is a schedule object rather than a plain number.
+ */
+export function isLeverSchedule(lever) {
+  return lever != null && typeof lever === 'object'
+}
+
+/**
+ * Value of one lever in a given year.
+ *
+ * @param {number|object} lever - Plain value or schedule (see above)
+ * @param {number} year - Calendar year
+ * @returns {number} Lever value in force that year
+ */
+export function resolveLever(lever, year = SCHEDULE_BASE_YEAR) {
+  if (!isLeverSchedule(lever)) return lever ?? 0
+
+  const { startYear = SCHEDULE_BASE_YEAR } = lever
+  if (year < startYear) return 0
+
+  if (Array.isArray(lever.path)) {
+    if (lever.path.length === 0) return 0
+    const index = Math.min(year - startYear, lever.path.length - 1)
+    return lever.path[index]
+  }
+
+  const { value = 0, rampYears = 0, sunsetYear = null } = lever
+  if (sunsetYear != null && year >= sunsetYear) return 0
+  const ramp = rampYears > 0 ? Math.min(1, (year - startYear + 1) / rampYears) : 1
+  return value * ramp
+}
+
+/**
+ * Resolve every lever of a lever set for a given year.
+ */
+export function resolveLevers(levers = {}, year = SCHEDULE_BASE_YEAR) {
+  const resolved = {}
+  for (const [key, lever] of Object.entries(levers)) {
+    resolved[key] = resolveLever(lever, year)
+  }
+  return resolved
+}
+
 // =============================================================================
 // POLICY IMPACT CALCULATION
 // =============================================================================
@@ -283,10 +531,35 @@ const GDP_BASE = 2850  // MACRO_BASELINE.gdp
 /**
  * Calculate the fiscal impact of policy lever positions.
  *
- * @param {object} levers - Slider positions (all default to 0)
- * @returns {object} { revenueChange, spendingChange, growthEffect, etat, ss }
+ * `growthEffectDetail` splits the growth effect into its tax component and the
+ * spending component under each multiplier regime, so the projection engine can
+ * re-blend spending multipliers year by year as the output gap moves.
+ *
+ * `etat`, `ss` and `apul` are per sub-sector (État spending includes DGF/FCTVA
+ * transfers to APUL); revenueChange/spendingChange are consolidated APU totals.
+ *
+ * Scheduled levers are evaluated in `options.year`; use
+ * calculatePolicyImpactPath() for the whole trajectory.
+ *
+ * @param {object} levers - Slider positions or schedules (all default to 0)
+ * @param {object} options - { outputGap, year, config }
+ *   outputGap: % of potential GDP, default 0 = expansion
+ *   year: calendar year for scheduled levers, default SCHEDULE_BASE_YEAR
+ *   config: model calibration, createModelConfig() from model-config.js
+ *     (behavioralResponse, fiscalMultipliers, multiplierRegime, ondamFloor, apulResponse)
+ *
+ * @returns {object} { revenueChange, spendingChange, growthEffect, growthEffectDetail, etat, ss, apul }
  */
-export function calculatePolicyImpact(levers = {}) {
+export function calculatePolicyImpact(levers = {}, options = {}) {
+  const { outputGap = 0, year = SCHEDULE_BASE_YEAR, config = {} } = options
+  const {
+    behavioralResponse = BEHAVIORAL_RESPONSE,
+    fiscalMultipliers = FISCAL_MULTIPLIERS,
+    multiplierRegime = MULTIPLIER_REGIME,
+    ondamFloor = ONDAM_FLOOR,
+    apulResponse = APUL_RESPONSE,
+  } = config
+
   const {
     incomeTaxChange = 0,
     vatChange = 0,
@@ -298,7 +571,9 @@ export function calculatePolicyImpact(levers = {}) {
     healthSpending = 0,
     socialContributions = 0,
     csgRate = 0,
-  } = levers
+    dgfChange = 0,
+    localInvestment = 0,
+  } = resolveLevers(levers, year)
 
   // Helper: apply behavioral efficiency based on direction of lever
   function applyEfficiency(rawRevenue, lever, response) {
@@ -312,71 +587,91 @@ export function calculatePolicyImpact(levers = {}) {
   const vatRevenueRaw    = vatChange       * BASELINE.etat.vat         / 20 * 0.95
   const corpRevenueRaw   = corpTaxChange   * BASELINE.etat.corporateTax / 25 * 0.7
 
-  const incomeRevenue = applyEfficiency(incomeRevenueRaw, incomeTaxChange, BEHAVIORAL_RESPONSE.incomeTax)
-  const vatRevenue    = applyEfficiency(vatRevenueRaw,    vatChange,       BEHAVIORAL_RESPONSE.vat)
-  const corpRevenue   = applyEfficiency(corpRevenueRaw,   corpTaxChange,   BEHAVIORAL_RESPONSE.corporateTax)
+  const incomeRevenue = applyEfficiency(incomeRevenueRaw, incomeTaxChange, behavioralResponse.incomeTax)
+  const vatRevenue    = applyEfficiency(vatRevenueRaw,    vatChange,       behavioralResponse.vat)
+  const corpRevenue   = applyEfficiency(corpRevenueRaw,   corpTaxChange,   behavioralResponse.corporateTax)
 
   // ÉTAT spending changes
   const educationSpending  = spendingEducation  * BASELINE.etat.education  / 100
   const defenseSpending    = spendingDefense    * BASELINE.etat.defense    / 100
   const solidaritySpending = spendingSolidarity * BASELINE.etat.solidarity / 100
 
+  // COLLECTIVITÉS LOCALES — DGF and FCTVA are État spending and APUL revenue
+  const apulImpact = calculateApulImpact(dgfChange, localInvestment, apulResponse)
+
   const etatRevenueChange  = incomeRevenue + vatRevenue + corpRevenue
-  const etatSpendingChange = educationSpending + defenseSpending + solidaritySpending
+  const etatSpendingChange = educationSpending + defenseSpending + solidaritySpending + apulImpact.transfers
 
   // SÉCURITÉ SOCIALE revenue changes — static estimate × behavioral efficiency
   const socialContribRevenueRaw = socialContributions * BASELINE.securiteSociale.cotisations / 41
   const csgRevenueRaw           = csgRate             * BASELINE.securiteSociale.csg         / 9.2
 
-  const socialContribRevenue = applyEfficiency(socialContribRevenueRaw, socialContributions, BEHAVIORAL_RESPONSE.socialContributions)
-  const csgRevenue           = applyEfficiency(csgRevenueRaw,           csgRate,             BEHAVIORAL_RESPONSE.csg)
+  const socialContribRevenue = applyEfficiency(socialContribRevenueRaw, socialContributions, behavioralResponse.socialContributions)
+  const csgRevenue           = applyEfficiency(csgRevenueRaw,           csgRate,             behavioralResponse.csg)
 
   // SÉCURITÉ SOCIALE spending changes
   const pensionSpendingChange = pensionIndexation * BASELINE.securiteSociale.vieillesse / 100
 
   // Apply ONDAM floor constraint to health spending cuts
-  const ondamResult = applyOndamFloor(healthSpending)
+  const ondamResult = applyOndamFloor(healthSpending, ondamFloor)
   const effectiveHealthSpending = ondamResult.effectiveCut
   const healthSpendingChange  = effectiveHealthSpending * BASELINE.securiteSociale.maladie / 100
 
   const ssRevenueChange  = socialContribRevenue + csgRevenue
   const ssSpendingChange = pensionSpendingChange + healthSpendingChange
 
-  // INTEGRATED totals
-  const totalRevenueChange  = etatRevenueChange  + ssRevenueChange
-  const totalSpendingChange = etatSpendingChange + ssSpendingChange
+  // APU totals — État → APUL transfers consolidated out
+  const totalRevenueChange  = etatRevenueChange  + ssRevenueChange  + apulImpact.revenue  - apulImpact.transfers
+  const totalSpendingChange = etatSpendingChange + ssSpendingChange + apulImpact.spending - apulImpact.transfers
 
   // Growth effects — behavioral tax response (drag for increases only; max(0, lever))
-  const incomeTaxGrowthDrag      = BEHAVIORAL_RESPONSE.incomeTax.growthDragPerPp       * Math.max(0, incomeTaxChange)
-  const vatGrowthDrag            = BEHAVIORAL_RESPONSE.vat.growthDragPerPp             * Math.max(0, vatChange)
-  const corpTaxGrowthDrag        = BEHAVIORAL_RESPONSE.corporateTax.growthDragPerPp    * Math.max(0, corpTaxChange)
-  const csgGrowthDrag            = BEHAVIORAL_RESPONSE.csg.growthDragPerPp             * Math.max(0, csgRate)
-  const socialContribGrowthDrag  = BEHAVIORAL_RESPONSE.socialContributions.growthDragPerPp * Math.max(0, socialContributions)
+  const incomeTaxGrowthDrag      = behavioralResponse.incomeTax.growthDragPerPp       * Math.max(0, incomeTaxChange)
+  const vatGrowthDrag            = behavioralResponse.vat.growthDragPerPp             * Math.max(0, vatChange)
+  const corpTaxGrowthDrag        = behavioralResponse.corporateTax.growthDragPerPp    * Math.max(0, corpTaxChange)
+  const csgGrowthDrag            = behavioralResponse.csg.growthDragPerPp             * Math.max(0, csgRate)
+  const socialContribGrowthDrag  = behavioralResponse.socialContributions.growthDragPerPp * Math.max(0, socialContributions)
 
   // Growth effects — tax cut boosts (only for DECREASES, symmetric to drag)
   // Sources: Romer & Romer (2010), Gechert & Heimberger (2022), Crépon & Desplatz (2001)
-  const incomeTaxGrowthBoost     = (BEHAVIORAL_RESPONSE.incomeTax.growthBoostPerPp || 0)           * Math.max(0, -incomeTaxChange)
-  const vatGrowthBoost           = (BEHAVIORAL_RESPONSE.vat.growthBoostPerPp || 0)                 * Math.max(0, -vatChange)
-  const corpTaxGrowthBoost       = (BEHAVIORAL_RESPONSE.corporateTax.growthBoostPerPp || 0)        * Math.max(0, -corpTaxChange)
-  const csgGrowthBoost           = (BEHAVIORAL_RESPONSE.csg.growthBoostPerPp || 0)                 * Math.max(0, -csgRate)
-  const socialContribGrowthBoost = (BEHAVIORAL_RESPONSE.socialContributions.growthBoostPerPp || 0) * Math.max(0, -socialContributions)
+  const incomeTaxGrowthBoost     = (behavioralResponse.incomeTax.growthBoostPerPp || 0)           * Math.max(0, -incomeTaxChange)
+  const vatGrowthBoost           = (behavioralResponse.vat.growthBoostPerPp || 0)                 * Math.max(0, -vatChange)
+  const corpTaxGrowthBoost       = (behavioralResponse.corporateTax.growthBoostPerPp || 0)        * Math.max(0, -corpTaxChange)
+  const csgGrowthBoost           = (behavioralResponse.csg.growthBoostPerPp || 0)                 * Math.max(0, -csgRate)
+  const socialContribGrowthBoost = (behavioralResponse.socialContributions.growthBoostPerPp || 0) * Math.max(0, -socialContributions)
 
   // Growth effects — fiscal multipliers for spending (positive for increases, negative for cuts)
-  const educationGrowthEffect  = educationSpending    / GDP_BASE * FISCAL_MULTIPLIERS.education.expansion
-  const defenseGrowthEffect    = defenseSpending      / GDP_BASE * FISCAL_MULTIPLIERS.defense.expansion
-  const solidarityGrowthEffect = solidaritySpending   / GDP_BASE * FISCAL_MULTIPLIERS.solidarity.expansion
-  const healthGrowthEffect     = healthSpendingChange / GDP_BASE * FISCAL_MULTIPLIERS.health.expansion
-  const pensionGrowthEffect    = pensionSpendingChange / GDP_BASE * FISCAL_MULTIPLIERS.pensions.expansion
+  // Evaluated under both regimes; the effective value blends them by output gap.
+  function spendingGrowthEffect(regime) {
+    const m = (category) => fiscalMultipliers[category][regime]
+    return educationSpending     / GDP_BASE * m('education')
+         + defenseSpending       / GDP_BASE * m('defense')
+         + solidaritySpending    / GDP_BASE * m('solidarity')
+         + healthSpendingChange  / GDP_BASE * m('health')
+         + pensionSpendingChange / GDP_BASE * m('pensions')
+         + apulImpact.investmentChange / GDP_BASE * m('localInvestment')
+         + apulImpact.operatingChange  / GDP_BASE * m('localServices')
+  }
 
-  const growthEffect =
+  const spendingGrowthExpansion = spendingGrowthEffect('expansion')
+  const spendingGrowthRecession = spendingGrowthEffect('recession')
+  const recessionWeight = getRecessionWeight(outputGap, multiplierRegime)
+
+  const taxGrowthEffect =
     incomeTaxGrowthDrag + vatGrowthDrag + corpTaxGrowthDrag + csgGrowthDrag + socialContribGrowthDrag +
-    incomeTaxGrowthBoost + vatGrowthBoost + corpTaxGrowthBoost + csgGrowthBoost + socialContribGrowthBoost +
-    educationGrowthEffect + defenseGrowthEffect + solidarityGrowthEffect + healthGrowthEffect + pensionGrowthEffect
+    incomeTaxGrowthBoost + vatGrowthBoost + corpTaxGrowthBoost + csgGrowthBoost + socialContribGrowthBoost
+
+  const growthEffect = taxGrowthEffect + spendingGrowthExpansion
+    + (spendingGrowthRecession - spendingGrowthExpansion) * recessionWeight
 
   return {
     revenueChange: totalRevenueChange,
     spendingChange: totalSpendingChange,
     growthEffect,
+    growthEffectDetail: {
+      tax: taxGrowthEffect,
+      spendingExpansion: spendingGrowthExpansion,
+      spendingRecession: spendingGrowthRecession,
+    },
 
     etat: {
       revenue: etatRevenueChange,
@@ -386,6 +681,7 @@ export function calculatePolicyImpact(levers = {}) {
       revenue: ssRevenueChange,
       spending: ssSpendingChange,
     },
+    apul: apulImpact,
 
     // ONDAM floor constraint feedback
     ondamWarning: ondamResult.warning,
@@ -393,3 +689,23 @@ export function calculatePolicyImpact(levers = {}) {
     ondamEffectiveCut: effectiveHealthSpending,
   }
 }
+
+/**
+ * Year-by-year policy impact for scheduled levers.
+ *
+ * projectFiscalPath() accepts the returned array in place of a single impact
+ * and applies entry t in projection year t.
+ *
+ * @param {object} levers - Plain values and/or schedules
+ * @param {number} years - Projection horizon (returns years + 1 entries)
+ * @param {object} options - Same as calculatePolicyImpact() (`year` is ignored)
+ * @returns {array} One calculatePolicyImpact() result per year, with `year`
+ */
+export function calculatePolicyImpactPath(levers = {}, years = 10, options = {}) {
+  const path = []
+  for (let t = 0; t <= years; t++) {
+    const year = SCHEDULE_BASE_YEAR + t
+    path.push({ year, ...calculatePolicyImpact(levers, { ...options, year }) })
+  }
+  return path
+}
@@ -7,14 +7,48 @@
  * - Debt stock inertia (avg portfolio rate, 12.5% annual rollover)
  * - Deficit-sensitive interest rate premium (stress regime)
  * - Unemployment via Okun's Law
+ * - Output gap tracking with regime-dependent spending multipliers
+ * - Optional OAT maturity ladder (debt-stock.js) in place of the flat rollover
+ * - Inflation as its own path (price level, indexation, Fisher pass-through)
+ * - Per-pillar accounts: État, ASSO (CADES / ACOSS) and APUL (pillar-accounts.js)
+ * - Funded pension pillar (funded-pension.js) for `pensionReform.capitalisation`
+ * - Injectable calibration (`config` option, see model-config.js)
+ * - Cohort demographics (`demography` option, see demographics.js) for long horizons
+ * - Pension system accounts and COR indicators (pension-model.js)
  *
  * Academic sources:
  * - Interest rates: IMF (2017), EC (2018), Kumar & Baldacci (2010)
  * - Structural reforms: OECD (2014), IMF Article IV France (2025)
  * - Debt inertia: OAT maturity profile (AFT 2025), Module 1
  * - Okun's Law: INSEE, standard France coefficient
+ * - Multiplier regimes: Auerbach & Gorodnichenko (2012), Blanchard & Leigh (2013)
  */
 
+import { BASELINE, getRecessionWeight } from './policy-impact'
+import {
+  DEBT_STOCK_PARAMS,
+  ISSUANCE_MIX_PRESETS,
+  createDebtLadder,
+  ladderInterest,
+  ladderRedemptions,
+  ladderStock,
+  averageMaturity,
+  rollDebtLadder,
+} from './debt-stock'
+import {
+  PILLAR_ACCOUNTS_PARAMS,
+  createPillarAccounts,
+  assoDebt,
+  pillarInterest,
+  rollPillarAccounts,
+} from './pillar-accounts'
+import { FUNDED_PENSION_PARAMS, createFund, rollFund } from './funded-pension'
+import { COHORT_PARAMS, getPopulationProjection } from './demographics'
+import { PENSION_SYSTEM_PARAMS, pensionReformEffect, pensionSystemYear } from './pension-model'
+import { STATE_ASSETS, resolveAssetSales, assetSaleYear } from './asset-sales'
+import { MACRO_SHOCK_PARAMS, resolveMacroShocks, macroShockYear } from './macro-shocks'
+import { RATING_PARAMS, ratingIndex, ratingScore, nextRating, ratingPremium } from './credit-rating'
+
 // =============================================================================
 // BASELINE PARAMETERS
 // =============================================================================
@@ -71,17 +105,128 @@ export const MACRO_BASELINE = {
   okunCoefficient: 0.5,      // standard for France
 }
 
+/**
+ * Resolve the macro assumptions of a scenario: MACRO_BASELINE with overrides
+ * applied (e.g. PENSION_REFORM_PRESETS[key].macroOverrides).
+ *
+ * Derived fields follow their inputs unless overridden themselves:
+ * nominalGrowth = realGrowth + inflation, debtToGdp = debt / gdp.
+ * `riskPremium` is merged field by field.
+ *
+ * @param {object|null} overrides - Any subset of MACRO_BASELINE fields
+ * @param {object} base - Calibration to override (config.macroBaseline)
+ * @returns {object} Full macro assumptions
+ */
+export function resolveMacroBaseline(overrides = null, base = MACRO_BASELINE) {
+  if (!overrides) return base
+  const macro = {
+    ...base,
+    ...overrides,
+    riskPremium: { ...base.riskPremium, ...overrides.riskPremium },
+  }
+  if (overrides.nominalGrowth == null && (overrides.realGrowth != null || overrides.inflation != null)) {
+    macro.nominalGrowth = macro.realGrowth + macro.inflation
+  }
+  if (overrides.debtToGdp == null && (overrides.debt != null || overrides.gdp != null)) {
+    macro.debtToGdp = macro.debt / macro.gdp * 100
+  }
+  return macro
+}
+
+/**
+ * List the MACRO_BASELINE fields a set of overrides actually changes.
+ *
+ * @param {object|null} overrides
+ * @param {object} base - Calibration compared against (config.macroBaseline)
+ * @returns {array} [{ key, value, baseline }] (nested riskPremium fields as 'riskPremium.x')
+ */
+export function listMacroOverrides(overrides = null, base = MACRO_BASELINE) {
+  if (!overrides) return []
+  const changed = []
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key === 'riskPremium' && value) {
+      for (const [sub, subValue] of Object.entries(value)) {
+        const baseline = base.riskPremium[sub]
+        if (subValue !== baseline) changed.push({ key: `riskPremium.${sub}`, value: subValue, baseline })
+      }
+    } else if (value !== base[key]) {
+      changed.push({ key, value, baseline: base[key] })
+    }
+  }
+  return changed
+}
+
 // =============================================================================
 // DEBT STOCK INERTIA PARAMETERS (Module 1)
 // =============================================================================
 
 // Annual rollover rate: 12.5% of stock matures each year (avg OAT maturity ~8 years)
+// Default debt model; `debtModel: 'ladder'` uses the explicit OAT ladder instead
 export const ROLLOVER_RATE = 0.125
 
 // Deficit stress premium: 17 bps per 1pp deficit/GDP above threshold
 export const DEFICIT_STRESS_THRESHOLD = 4.0      // % GDP
 export const DEFICIT_STRESS_SENSITIVITY = 0.0017 // 17 bps per 1% deficit/GDP above threshold
 
+// =============================================================================
+// LONG HORIZON
+// =============================================================================
+
+// Horizon of the long-term mode: to the end of the INSEE projections (2070)
+export const LONG_HORIZON_YEARS = COHORT_PARAMS.endYear - COHORT_PARAMS.baseYear
+
+// Debt/GDP (%) past which a path is explosive and stops (`maxDebtRatio`): above
+// the highest ratio of an advanced economy (Japan, ~260%). Beyond it the risk
+// premium compounds the debt until it overflows to Infinity.
+export const EXPLOSIVE_DEBT_RATIO = 300
+
+// Output gap (% of potential GDP): gap_t = persistence × gap_{t-1} + (realGrowth_t - potentialGrowth_t)
+// Potential growth = baseline real growth + structural reform boost; everything else
+// (policy demand effects, shocks) opens or closes the gap.
+// Spending multipliers respond to the previous year's gap (recognition lag).
+// Source: DG Trésor output gap 2025 ≈ -0.2% (treated as closed); HCFP persistence ~0.6-0.7
+export const OUTPUT_GAP_PARAMS = {
+  initialGap: 0,
+  persistence: 0.7,
+}
+
+// Structural balance = headline balance − cyclical component − one-offs (% GDP)
+// Cyclical component = semi-elasticity × output gap; one-offs are temporary
+// measures with no lasting effect on the balance (social housing sale proceeds).
+// Source: Commission européenne, Debt Sustainability Monitor 2023 (France 0,53);
+// HCFP avis sur les PLF (solde structurel, effort structurel)
+export const STRUCTURAL_BALANCE_PARAMS = {
+  budgetSemiElasticity: 0.53,  // Balance change (pp GDP) per pp of output gap
+}
+
+// =============================================================================
+// INFLATION PARAMETERS
+// =============================================================================
+// Inflation surprises (vs the 1.8% baseline) act through the price level gap,
+// not through the real-growth stabiliser: revenue follows prices at once,
+// pensions and other spending are revalued on the previous year's prices.
+// Sources: DG Trésor élasticités 2023, Cour des comptes SPFP 2023 (choc 2022),
+// CNAV revalorisation (1er janvier, inflation N-1), ECB/BdF rate pass-through
+
+export const INFLATION_PARAMS = {
+  revenueBase: 974.7,               // Md€ — integrated État + ASSO revenue (unit price elasticity)
+  incomeTaxBase: 94.1,              // Md€ — IR
+  incomeTaxExcessElasticity: 0.8,   // IR elasticity to nominal income ~1.8 → fiscal drag if brackets lag
+  pensionMass: 303.4,               // Md€ — revalued on N-1 CPI
+  otherPrimarySpending: 774.0,      // Md€ — 1131.6 total − 303.4 pensions − ~54 interest
+  otherSpendingIndexation: 0.8,     // share of other spending that follows N-1 prices (wages, ONDAM, transfers)
+  fisherPassThrough: 0.6,           // pp marginal rate per pp inflation surprise
+}
+
+// Absolute inflation paths (decimal, one entry per projection year; missing years → baseline)
+export const INFLATION_SCENARIOS = {
+  surprise2022: {
+    label: "Choc inflationniste type 2022",
+    description: "IPC 5,2% puis 4,9%, retour à 2% en 3 ans (profil France 2022-2024)",
+    path: [0.018, 0.052, 0.049, 0.020],
+  },
+}
+
 // =============================================================================
 // STRUCTURAL REFORM PARAMETERS
 // =============================================================================
@@ -209,6 +354,18 @@ export const STRUCTURAL_REFORMS = {
   },
 }
 
+// Overlap between structural reforms selected together:
+// REFORM_OVERLAP[a][b] = share of reform b's growth effect already contained in reform a.
+// The composite packages contain their components; the contrat unique covers
+// half of what Hartz-IV does on the labour market. Pairs not listed do not overlap.
+export const REFORM_OVERLAP = {
+  ambitious: { hartzIV: 1, productMarketRegulation: 1, housingAmbitious: 1, education: 1, modest: 1 },
+  modest: { hartzIV: 1, productMarketRegulation: 1 },
+  radicalFlex: { hartzIV: 0.5 },
+  housingAmbitious: { housingRentControl: 1 },
+  housingModerate: { housingRentControl: 1 },
+}
+
 // =============================================================================
 // SOCIAL HOUSING LIQUIDATION PARAMETERS
 // =============================================================================
@@ -249,10 +406,16 @@ export const DEMOGRAPHIC_PARAMS = {
 
 // Pre-computed annual demographic pressure increment (Md EUR/year)
 // = 0.0048 * (303.4 * 0.80 + 262.3 * 0.50) = 0.0048 * (242.72 + 131.15) = 0.0048 * 373.87 ≈ 1.795
-export const DEMOGRAPHIC_PRESSURE_PER_YEAR =
-  DEMOGRAPHIC_PARAMS.dependencyRatioDriftPerYear *
-  (DEMOGRAPHIC_PARAMS.pensionBaseline * DEMOGRAPHIC_PARAMS.pensionElasticityToDependency +
-   DEMOGRAPHIC_PARAMS.healthBaseline * DEMOGRAPHIC_PARAMS.healthElasticityToDependency)
+export const DEMOGRAPHIC_PRESSURE_PER_YEAR = demographicPressurePerYear(DEMOGRAPHIC_PARAMS)
+
+/**
+ * Annual demographic pressure increment (Md EUR/year) for a DEMOGRAPHIC_PARAMS calibration.
+ */
+export function demographicPressurePerYear(params = DEMOGRAPHIC_PARAMS) {
+  return params.dependencyRatioDriftPerYear *
+    (params.pensionBaseline * params.pensionElasticityToDependency +
+     params.healthBaseline * params.healthElasticityToDependency)
+}
 
 // =============================================================================
 // SENIOR EMPLOYMENT PARAMETERS
@@ -280,16 +443,15 @@ export const SENIOR_EMPLOYMENT = {
 export const PENSION_REFORM = {
   // Baseline pension mass (303.4 Md€ Sécu vieillesse — same as DEMOGRAPHIC_PARAMS.pensionBaseline)
   pensionMass: 303.4,
-  cotisantsPerRetraite: 1.70,
-  ratioDeclinePerYear: 0.012,
+  cotisantsPerRetraite: 1.70,            // 2025; pension-model.js derives contributors and retirees
+  ratioDeclinePerYear: 0.012,            // Linear path without the cohort demography
   part65: 21.5,
   part65GrowthPerYear: 0.4,
 
   // Retirement age mechanics (francetdb: rtRunModel)
   retirementAge: {
     current: 64,
-    pensionMassEffectPerYear: -0.025,    // -2.5% pension mass per year above current age
-    ratioImprovementPerYear: 0.1,        // +0.1 cotisants/retraité per year above current
+    pensionMassEffectPerYear: -0.025,    // -2.5% retirees (and pension mass) per year above current age
     rampUpYears: 8,                      // 8-year phase-in for full effect
   },
 
@@ -304,10 +466,10 @@ export const PENSION_REFORM = {
     rampYears: 3,                        // 3-year phase-in
   },
 
-  // Capitalisation (redirection of cotisations to private funds)
+  // Capitalisation (redirection of cotisations to private funds) — see funded-pension.js
   capitalisation: {
-    transitionYears: 20,
-    cotisationsShareOfRecettes: 0.28,
+    transitionYears: 20,                 // Funded payouts ramp to their steady state over 20 years
+    cotisationsShareOfRecettes: 0.28,    // Pension cotisations: 28% of Sécu revenue (~184.6 Md€), the diverted base
   },
 
   // Swedish notional accounts
@@ -353,9 +515,16 @@ export const MIGRATION_PARAMS = {
 // immigrantWorkers = 270k × 0.57 × 0.75 = 115,425
 // emigrantWorkers = 200k × 0.88 × 1.10 = 193,600
 // net = 115,425 - 193,600 = -78,175
-export const MIGRATION_NET_WORKERS_PER_YEAR =
-  MIGRATION_PARAMS.immigration.annualFlow * MIGRATION_PARAMS.immigration.employmentRate * MIGRATION_PARAMS.immigration.productivityFactor -
-  MIGRATION_PARAMS.emigration.annualFlow * MIGRATION_PARAMS.emigration.employmentRate * MIGRATION_PARAMS.emigration.productivityFactor
+export const MIGRATION_NET_WORKERS_PER_YEAR = migrationNetWorkersPerYear(MIGRATION_PARAMS)
+
+/**
+ * Net effective worker change per year for a MIGRATION_PARAMS calibration.
+ */
+export function migrationNetWorkersPerYear(params = MIGRATION_PARAMS) {
+  const { immigration, emigration } = params
+  return immigration.annualFlow * immigration.employmentRate * immigration.productivityFactor -
+    emigration.annualFlow * emigration.employmentRate * emigration.productivityFactor
+}
 
 // =============================================================================
 // DEPENDANCE (AUTONOMIE) SPENDING PARAMETERS
@@ -391,13 +560,15 @@ export function calculateInterestRate(debtRatio, deficitRatio = 0, options = {})
     baseRate = MACRO_BASELINE.baseInterestRate,
     enablePremium = true,
     politicalRisk = 0,
+    riskPremium = MACRO_BASELINE.riskPremium,
+    deficitStressThreshold = DEFICIT_STRESS_THRESHOLD,
+    deficitStressSensitivity = DEFICIT_STRESS_SENSITIVITY,
   } = options
 
   if (!enablePremium) {
-    return baseRate + politicalRisk + MACRO_BASELINE.riskPremium.politicalPremium
+    return baseRate + politicalRisk + riskPremium.politicalPremium
   }
 
-  const { riskPremium } = MACRO_BASELINE
   let premium = 0
 
   // Regime 1: Low debt (<60% GDP) - no premium
@@ -426,11 +597,11 @@ export function calculateInterestRate(debtRatio, deficitRatio = 0, options = {})
 
   // Deficit stress premium (Module 1): 17 bps per 1pp above 4% threshold
   let deficitPremium = 0
-  if (deficitRatio > DEFICIT_STRESS_THRESHOLD) {
-    deficitPremium = (deficitRatio - DEFICIT_STRESS_THRESHOLD) * DEFICIT_STRESS_SENSITIVITY
+  if (deficitRatio > deficitStressThreshold) {
+    deficitPremium = (deficitRatio - deficitStressThreshold) * deficitStressSensitivity
   }
 
-  return baseRate + premium + deficitPremium + politicalRisk + MACRO_BASELINE.riskPremium.politicalPremium
+  return baseRate + premium + deficitPremium + politicalRisk + riskPremium.politicalPremium
 }
 
 // =============================================================================
@@ -468,6 +639,35 @@ export function calculateReformGrowthBoost(year, reform) {
   return growthEffect * Math.pow(decayRate, yearsSincePeak)
 }
 
+/**
+ * Growth boost of several structural reforms in year t, each on its own lag
+ * and duration.
+ *
+ * Where two reforms overlap, the shared part is counted once and taken off the
+ * contained reform: b loses overlap[a][b] × min(boost_a, boost_b), against the
+ * reform a that overlaps it most this year.
+ *
+ * @param {number} year - Years since reform announcement
+ * @param {array} reforms - [{ key, reform }] with reform from STRUCTURAL_REFORMS
+ * @param {object} overlap - REFORM_OVERLAP
+ * @returns {object} { total, byReform } boosts (decimal), byReform by key after overlap
+ */
+export function calculateReformGrowthBoosts(year, reforms, overlap = REFORM_OVERLAP) {
+  const gross = reforms.map(({ reform }) => calculateReformGrowthBoost(year, reform))
+  const byReform = {}
+  let total = 0
+  reforms.forEach(({ key }, i) => {
+    let shared = 0
+    reforms.forEach(({ key: other }, j) => {
+      const share = overlap[other]?.[key] || 0
+      if (j !== i && share > 0) shared = Math.max(shared, share * Math.min(gross[i], gross[j]))
+    })
+    byReform[key] = gross[i] - shared
+    total += byReform[key]
+  })
+  return { total, byReform }
+}
+
 // =============================================================================
 // MULTI-YEAR FISCAL PROJECTION
 // =============================================================================
@@ -483,8 +683,86 @@ export function calculateReformGrowthBoost(year, reform) {
  * 5. Deficit stress premium (flow-based interest rate component)
  * 6. Structural reforms (productivity/potential growth)
  * 7. Unemployment via Okun's Law
+ * 8. Output gap — blends spending multipliers toward recession values when
+ *    negative (needs `growthEffectDetail` from calculatePolicyImpact)
+ * 9. Structural balance — headline balance net of the cyclical component
+ *    (semi-elasticity × output gap) and of one-offs (HLM sale proceeds)
+ *
+ * `debtModel: 'ladder'` replaces step 4 with the OAT maturity ladder of
+ * debt-stock.js, refinanced with `issuanceMix` (defaults to the AFT 2025 mix).
+ *
+ * Optional `shocks` (one entry per year, all decimals) perturb nominal growth,
+ * inflation, the base rate and the political premium; used by monte-carlo.js.
+ * `primaryDeficit` (share of GDP) adds to the year's deficit, e.g. the primary
+ * balance bound test of dsa.js; `debt` (share of GDP) adds to the debt at the
+ * end of the year without going through the deficit (stock-flow adjustment),
+ * e.g. the contingent-liability bound test.
+ * `macroShocks` replays scripted episodes (macro-shocks.js) from a chosen year
+ * and intensity on top of them; their spread adds to the marginal rate and
+ * their unemployment to the Okun path, at the cost of unemployment benefits.
+ *
+ * `inflationPath` sets inflation year by year (absolute, decimal); shocks add
+ * on top. Inflation drives the price level, OATi indexation, pension and
+ * spending revalorisation, IR bracket drag (`bracketIndexation: false` freezes
+ * the brackets) and a Fisher pass-through to the marginal rate.
+ *
+ * `structuralReforms` lists STRUCTURAL_REFORMS keys. Each reform follows its
+ * own lifecycle (calculateReformGrowthBoost) and the overlap between them comes
+ * from REFORM_OVERLAP (config `reformOverlap`); the reform parameters can be
+ * recalibrated through config `structuralReforms`. `reformBoosts` reports each
+ * year's boost by reform. `structuralReform` takes a single reform object
+ * instead (custom parameters, key `custom`).
+ *
+ * Each year also reports the pension system (pension-model.js): contributors,
+ * retirees, average pension, departure age and the COR balance. Pension
+ * reforms act on those quantities; a later retirement age also brings the
+ * contributions of the deferred retirees who keep working.
+ *
+ * `assetSales` sells stakes of the APE portfolio (asset-sales.js). Proceeds
+ * reduce the debt as a stock-flow adjustment, not the deficit; the forgone
+ * dividends add to the deficit from the year after each sale.
+ *
+ * Each year is rated at its start (credit-rating.js) on the debt ratio, the
+ * three-year debt trend, last year's deficit, interest / revenue and average
+ * real growth. With `enableRatingPremium` the rating premium (per notch lost
+ * since 2025, plus the forced-seller steps) adds to the marginal rate; it
+ * comes on top of the continuous debt/deficit premium of calculateInterestRate.
+ *
+ * Each year also reports per-pillar deficits and debts. ASSO and APUL carry
+ * their baseline balances, their own lever effects (`ss` / `apul` from
+ * calculatePolicyImpact) and the social channels (demography, pensions,
+ * dependance); État is the residual so the pillars sum to the totals.
  *
- * @param {object} policyChanges - User's policy adjustments
+ * `policyChanges` is either one calculatePolicyImpact() result, applied every
+ * year, or an array from calculatePolicyImpactPath() with one entry per year
+ * (the last entry is held if the array is shorter than the horizon).
+ *
+ * `macroOverrides` replaces any MACRO_BASELINE field for this scenario (see
+ * resolveMacroBaseline), e.g. `{ realGrowth: 0.016 }` for COR optimiste.
+ * MACRO_BASELINE stays the calibration reference: the 87.2 Md€ primary
+ * deficit assumes 0.7% real growth and 1.8% inflation, so trend growth above
+ * it yields revenue through the tax elasticity, and a different inflation
+ * rate acts like a flat `inflationPath`.
+ *
+ * `config` swaps the calibration constants for one run: pass a
+ * createModelConfig() result from model-config.js (fields it leaves out fall
+ * back to this module's constants).
+ *
+ * `demography` replaces the linear drift of steps 5b and 5f with a cohort
+ * projection (demographics.js): a DEMOGRAPHIC_SCENARIOS key or a
+ * projectPopulation() result, starting in the first projection year (its last
+ * year is held beyond its horizon). Pension and health pressure take the
+ * change of the old-age dependency ratio since year 0 in place of
+ * `t × dependencyRatioDriftPerYear`, and dependance follows the share of the
+ * 85+ instead of compounding at 5.5%. Both are scaled with nominal GDP. null
+ * (default) keeps the linear drift.
+ *
+ * `maxDebtRatio` (% GDP, e.g. EXPLOSIVE_DEBT_RATIO) stops the projection after
+ * the first year whose debt ratio exceeds it; that year is flagged
+ * `explosive`, so the result is shorter than `years + 1`. null (default)
+ * projects the whole horizon.
+ *
+ * @param {object|array} policyChanges - User's policy adjustments
  * @param {object} options - Projection configuration
  * @returns {array} Year-by-year projection
  */
@@ -493,178 +771,462 @@ export function projectFiscalPath(policyChanges, options = {}) {
     years = 10,
     enableRiskPremium = true,
     politicalRiskPremium = 0,
-    structuralReform = null,  // From STRUCTURAL_REFORMS
+    structuralReform = null,  // Single reform object, e.g. STRUCTURAL_REFORMS.hartzIV
+    structuralReforms = null,     // STRUCTURAL_REFORMS keys, each on its own lifecycle
     enableDemographicDrift = true,
-    structuralReformKeys = null,  // Array of reform keys for senior employment calc
-    pensionReform = null,         // { retirementAge, desindexation, pensionCap, capitalisation, notionnel }
+    structuralReformKeys = null,  // Labour reform keys behind a `structuralReform` object (senior employment)
+    pensionReform = null,         // { retirementAge, desindexation, pensionCap, capitalisation, notionnel, fundReturn }
     enableMigrationImpact = true,
     enableDependanceDrift = true,
     enableSocialHousingLiquidation = false,
+    assetSales = null,            // APE stakes sold: STATE_ASSETS keys or { key, valuation, startYear, saleYears }
+    enableRatingPremium = false,  // Downgrades raise the marginal rate (credit-rating.js)
+    shocks = null,                // Per-year additive shocks [{ realGrowth, inflation, baseRate, politicalPremium, primaryDeficit, debt }]
+    macroShocks = null,           // Scripted episodes: MACRO_SHOCKS keys or { key, startYear, intensity }
+    enableOutputGap = true,       // Regime-dependent spending multipliers
+    debtModel = 'rollover',       // 'rollover' (flat ROLLOVER_RATE) | 'ladder' (OAT maturity ladder)
+    issuanceMix = ISSUANCE_MIX_PRESETS.aft2025.mix,
+    inflationPath = null,         // Absolute inflation per year, e.g. INFLATION_SCENARIOS.surprise2022.path
+    bracketIndexation = true,     // IR brackets indexed on N-1 inflation (false = gel du barème)
+    macroOverrides = null,        // Any MACRO_BASELINE fields, e.g. { realGrowth: 0.016 }
+    config = {},                  // Model calibration, createModelConfig() from model-config.js
+    demography = null,            // Cohort demographics: DEMOGRAPHIC_SCENARIOS key or projectPopulation() result
+    maxDebtRatio = null,          // Stop once debt/GDP (%) exceeds it, e.g. EXPLOSIVE_DEBT_RATIO
   } = options
 
   const {
-    revenueChange = 0,
-    spendingChange = 0,
-    growthEffect = 0,        // From tax/spending policy changes
-  } = policyChanges
+    macroBaseline = MACRO_BASELINE,
+    rolloverRate = ROLLOVER_RATE,
+    deficitStressThreshold = DEFICIT_STRESS_THRESHOLD,
+    deficitStressSensitivity = DEFICIT_STRESS_SENSITIVITY,
+    outputGapParams = OUTPUT_GAP_PARAMS,
+    structuralBalanceParams = STRUCTURAL_BALANCE_PARAMS,
+    inflationParams = INFLATION_PARAMS,
+    demographicParams = DEMOGRAPHIC_PARAMS,
+    seniorEmployment = SENIOR_EMPLOYMENT,
+    pensionReformParams = PENSION_REFORM,
+    pensionSystemParams = PENSION_SYSTEM_PARAMS,
+    migrationParams = MIGRATION_PARAMS,
+    dependanceParams = DEPENDANCE_PARAMS,
+    socialHousingLiquidation = SOCIAL_HOUSING_LIQUIDATION,
+    reformOverlap = REFORM_OVERLAP,
+    structuralReforms: reformLibrary = STRUCTURAL_REFORMS,
+    ratingParams = RATING_PARAMS,
+    macroShockParams = MACRO_SHOCK_PARAMS,
+    debtStockParams = DEBT_STOCK_PARAMS,
+    pillarAccountsParams = PILLAR_ACCOUNTS_PARAMS,
+    fundedPensionParams = FUNDED_PENSION_PARAMS,
+    stateAssets = STATE_ASSETS,
+    multiplierRegime,
+  } = config
+  const demographicPressureStep = demographicPressurePerYear(demographicParams)
+  const migrationNetWorkers = migrationNetWorkersPerYear(migrationParams)
+  const rateOptions = { deficitStressThreshold, deficitStressSensitivity }
+
+  // Structural reforms, each with its own lifecycle
+  const reforms = (structuralReforms || []).map(key => {
+    if (!reformLibrary[key]) throw new Error(`Unknown structural reform: ${key}`)
+    return { key, reform: reformLibrary[key] }
+  })
+  if (structuralReform) reforms.push({ key: 'custom', reform: structuralReform, laborKeys: structuralReformKeys })
+
+  // APE asset sales schedule
+  const sales = resolveAssetSales(assetSales, stateAssets)
+
+  // Scripted macro shocks (added to the per-year `shocks`)
+  const scriptedShocks = resolveMacroShocks(macroShocks)
+
+  // Cohort population path (null = linear drift)
+  const population = typeof demography === 'string' ? getPopulationProjection(demography) : demography
+  const populationAt = t => population[Math.min(t, population.length - 1)]
+
+  // Scenario macro assumptions (the calibration's macroBaseline remains the reference)
+  const macro = resolveMacroBaseline(macroOverrides, macroBaseline)
+
+  // One impact for every year, or one per year (calculatePolicyImpactPath)
+  const impactPath = Array.isArray(policyChanges) ? policyChanges : null
 
   const results = []
 
   // Initialize state variables
-  let gdp = MACRO_BASELINE.gdp
-  let debt = MACRO_BASELINE.debt
-
-  // Deficit improvement from policy (positive = better)
-  const deficitImprovement = revenueChange - spendingChange
+  let gdp = macro.gdp
+  let debt = macro.debt
 
   // Initial portfolio rate: based on debt/GDP only (no deficit premium for initial stock)
   // This reflects that existing debt was issued at historical rates
-  let avgPortfolioRate = calculateInterestRate(MACRO_BASELINE.debtToGdp, 0, {
+  let avgPortfolioRate = calculateInterestRate(macro.debtToGdp, 0, {
+    baseRate: macro.baseInterestRate,
     enablePremium: enableRiskPremium,
     politicalRisk: politicalRiskPremium,
+    riskPremium: macro.riskPremium,
+    ...rateOptions,
   })
 
   // Initial deficit/GDP ratio for deficit stress premium (France 2025 actual)
-  let prevDeficitRatio = Math.abs(MACRO_BASELINE.primaryDeficit / MACRO_BASELINE.gdp * 100) + 2.43
+  let prevDeficitRatio = Math.abs(macro.primaryDeficit / macro.gdp * 100) + 2.43
   // ≈ 5.17% (primary deficit/GDP + interest/GDP at baseline)
 
+  let outputGap = outputGapParams.initialGap
+  let prevStructuralPrimaryBalance = null
+
+  // Potential GDP follows the no-policy path (trend growth at this run's
+  // prices, gap closing at its persistence) lifted by the structural reforms;
+  // demand effects and shocks move GDP but not potential
+  let trendGdp = gdp
+  let trendGap = outputGapParams.initialGap
+  let reformLevel = 1
+
+  // Sovereign rating: indicators known at the start of each year, anchored on 2025
+  const initialDebtRatio = debt / gdp * 100
+  const debtRatioHistory = [3, 2, 1].map(k => initialDebtRatio - k * ratingParams.initialDebtTrend)
+  const realGrowthHistory = [macro.realGrowth * 100]
+  let ratingDeficitRatio = prevDeficitRatio  // Signed: a surplus improves the score
+  let prevInterestToRevenue = debt * avgPortfolioRate / (ratingParams.revenueShare * gdp) * 100
+  let initialRatingIndicators = null
+  let rating = ratingParams.initialRating
+
+  // Funded pension pillar (only when capitalisation > 0)
+  const capitalisationShare = pensionReform?.capitalisation || 0
+  let fund = createFund()
+
+  // APE sales to date (Md€): proceeds and dividends lost, kept apart
+  let cumulativeSaleProceeds = 0
+  let cumulativeForgoneDividends = 0
+
+  // Per-pillar accounts: baseline primary balances calibrated so that year 0
+  // reproduces the BASELINE sub-sector deficits
+  let accounts = createPillarAccounts(pillarAccountsParams)
+  const openingInterest = pillarInterest(accounts, { averageCost: avgPortfolioRate }, pillarAccountsParams)
+  const assoPrimaryBase = -BASELINE.securiteSociale.deficit - openingInterest.asso
+  const apulPrimaryBase = -BASELINE.apul.deficit - openingInterest.apul
+  const assoRevenueShare = BASELINE.securiteSociale.revenuTotal / BASELINE.integrated.revenuTotal
+  const assoIndexedSpending = inflationParams.pensionMass + inflationParams.otherSpendingIndexation
+    * (BASELINE.securiteSociale.spendingTotal - inflationParams.pensionMass)
+
+  // Price level (2025 = 100) and its gap vs the baseline 1.8% path
+  let priceLevel = 100
+  let baselinePriceLevel = 100
+  let prevPriceGap = 0
+
+  // OAT ladder: legacy vintages priced so their average cost matches the portfolio rate
+  let ladder = debtModel === 'ladder'
+    ? createDebtLadder(debt, avgPortfolioRate, { inflation: macro.inflation }, debtStockParams)
+    : null
+
   for (let t = 0; t <= years; t++) {
-    // 1. Calculate growth rate this year
-    let nominalGrowth = MACRO_BASELINE.nominalGrowth
+    // 0a. Policy impact in force this year (last entry held beyond the path)
+    const {
+      revenueChange = 0,
+      spendingChange = 0,
+      growthEffect = 0,        // From tax/spending policy changes
+      growthEffectDetail = null, // { tax, spendingExpansion, spendingRecession }
+      ss = null,               // { revenue, spending } — Sécurité sociale share of the levers
+      apul = null,             // { revenue, spending } — collectivités locales share
+    } = (impactPath ? impactPath[Math.min(t, impactPath.length - 1)] : policyChanges) || {}
+
+    // Deficit improvement from policy (positive = better), in total and by pillar
+    const deficitImprovement = revenueChange - spendingChange
+    const assoImprovement = ss ? ss.revenue - ss.spending : 0
+    const apulImprovement = apul ? apul.revenue - apul.spending : 0
+
+    // 0b. Exogenous shocks this year (Monte Carlo draws, stress scenarios)
+    //     plus the scripted episodes under way
+    const shock = (shocks && shocks[t]) || {}
+    const scripted = macroShockYear(scriptedShocks, t)
+    const shockRealGrowth = (shock.realGrowth || 0) + scripted.realGrowth
+    const pathInflation = (inflationPath && inflationPath[t] != null) ? inflationPath[t] : macro.inflation
+    const inflationThisYear = pathInflation + (shock.inflation || 0) + scripted.inflation
+    const inflationSurprise = inflationThisYear - macroBaseline.inflation
+    const baseRateThisYear = macro.baseInterestRate + (shock.baseRate || 0) + scripted.baseRate
+      + inflationSurprise * inflationParams.fisherPassThrough
+
+    // Price level gap for this year's flows (end-of-year prices vs baseline)
+    const priceGap = (priceLevel * (1 + inflationThisYear)) / (baselinePriceLevel * (1 + macroBaseline.inflation)) - 1
+
+    // 1. Calculate growth rate this year (scenario trend real growth + this year's inflation)
+    let nominalGrowth = macro.nominalGrowth - macro.inflation + shockRealGrowth + inflationThisYear
+
+    // Add policy-driven growth effect (spending multipliers blended by last year's gap)
+    const recessionWeight = enableOutputGap ? getRecessionWeight(outputGap, multiplierRegime) : 0
+    const policyGrowthEffect = growthEffectDetail
+      ? growthEffectDetail.tax + growthEffectDetail.spendingExpansion
+        + (growthEffectDetail.spendingRecession - growthEffectDetail.spendingExpansion) * recessionWeight
+      : growthEffect
+    nominalGrowth += policyGrowthEffect
+
+    // Add structural reform boosts (if selected)
+    const { total: reformBoost, byReform: reformBoosts } = calculateReformGrowthBoosts(t, reforms, reformOverlap)
+    nominalGrowth += reformBoost
 
-    // Add policy-driven growth effect
-    nominalGrowth += growthEffect
+    // 2. Calculate marginal interest rate (includes deficit stress premium)
+    const debtRatio = (debt / gdp) * 100
 
-    // Add structural reform boost (if selected)
-    if (structuralReform) {
-      const reformBoost = calculateReformGrowthBoost(t, structuralReform)
-      nominalGrowth += reformBoost
+    // 2b. Sovereign rating on last year's outcomes; one notch a year at most
+    const ratingIndicators = {
+      debtRatio,
+      debtTrend: (debtRatio - debtRatioHistory[debtRatioHistory.length - 3]) / 3,
+      deficitRatio: ratingDeficitRatio,
+      interestToRevenue: prevInterestToRevenue,
+      realGrowth: realGrowthHistory.slice(-3).reduce((sum, g) => sum + g, 0)
+        / Math.min(realGrowthHistory.length, 3),
     }
+    if (!initialRatingIndicators) initialRatingIndicators = ratingIndicators
+    const score = ratingScore(ratingIndicators, initialRatingIndicators, ratingParams)
+    const prevRating = rating
+    rating = nextRating(rating, score, ratingParams)
+    const ratingPremiumThisYear = enableRatingPremium ? ratingPremium(rating, ratingParams) : 0
 
-    // 2. Calculate marginal interest rate (includes deficit stress premium)
-    const debtRatio = (debt / gdp) * 100
     const effectiveRate = calculateInterestRate(debtRatio, prevDeficitRatio, {
+      baseRate: baseRateThisYear,
       enablePremium: enableRiskPremium,
-      politicalRisk: politicalRiskPremium,
-    })
+      politicalRisk: politicalRiskPremium + (shock.politicalPremium || 0) + scripted.spread,
+      riskPremium: macro.riskPremium,
+      ...rateOptions,
+    }) + ratingPremiumThisYear
 
     // 3. Debt stock inertia: interest uses avg portfolio rate (start of year)
     //    Then update portfolio rate for next year via 12.5% annual rollover
-    const interest = debt * avgPortfolioRate
-    avgPortfolioRate = avgPortfolioRate * (1 - ROLLOVER_RATE) + effectiveRate * ROLLOVER_RATE
+    //    (ladder: interest from vintage coupons; rate updated once the ladder rolls)
+    let interest
+    let redemptions
+    if (ladder) {
+      interest = ladderInterest(ladder, inflationThisYear)
+      redemptions = ladderRedemptions(ladder)
+    } else {
+      // OATi share of the stock carries the inflation surprise through indexation
+      interest = debt * avgPortfolioRate
+        + debt * debtStockParams.initialComposition.oati * inflationSurprise
+      redemptions = debt * rolloverRate
+      avgPortfolioRate = avgPortfolioRate * (1 - rolloverRate) + effectiveRate * rolloverRate
+    }
 
     // 4. Calculate fiscal outcomes
-    const primaryDeficit = MACRO_BASELINE.primaryDeficit - deficitImprovement
+    const primaryDeficit = macro.primaryDeficit - deficitImprovement
     const totalDeficit = primaryDeficit + interest
 
     // 5. Calculate fiscal feedback from growth
-    // Higher growth → more revenue (automatic stabilizers)
-    const growthFeedback = (nominalGrowth - MACRO_BASELINE.nominalGrowth) * gdp * MACRO_BASELINE.taxElasticity
+    // Higher growth → more revenue (automatic stabilizers); inflation surprises act via 5h
+    // Measured against the calibration growth, so a higher trend (macroOverrides) counts too
+    const growthFeedback = (nominalGrowth - inflationSurprise - macroBaseline.nominalGrowth)
+      * gdp * macro.taxElasticity
 
     // 5b. Demographic pressure: pension + health spending grow faster than GDP
-    const demographicPressure = enableDemographicDrift ? t * DEMOGRAPHIC_PRESSURE_PER_YEAR : 0
+    // Cohort mode: the projected dependency ratio replaces the constant drift
+    const cohort = population ? populationAt(t) : null
+    const pensionWeight = demographicParams.pensionBaseline * demographicParams.pensionElasticityToDependency
+    let demographicPressure = 0
+    let pensionPressure = 0   // Pension share, for the pension system accounts (5i)
+    if (enableDemographicDrift && population) {
+      const ratioChange = (cohort.oldAgeDependencyRatio - population[0].oldAgeDependencyRatio) / 100
+      demographicPressure = demographicPressureStep / demographicParams.dependencyRatioDriftPerYear
+        * ratioChange * gdp / macro.gdp
+      pensionPressure = pensionWeight * ratioChange * gdp / macro.gdp
+    } else if (enableDemographicDrift) {
+      demographicPressure = t * demographicPressureStep
+      pensionPressure = t * demographicParams.dependencyRatioDriftPerYear * pensionWeight
+    }
 
     // 5c. Senior employment revenue (only when labor market reform is active)
+    //     Reforms act on the same senior population: the largest rate gain applies
     let seniorRevenue = 0
     // Reforms that include labor market component and thus generate senior employment gains
     const laborReformKeys = ['hartzIV', 'radicalFlex', 'ambitious', 'modest']
-    const hasLaborReform = structuralReform && (
-      structuralReform.seniorEmploymentGain != null ||
-      (structuralReformKeys && laborReformKeys.some(k => structuralReformKeys.includes(k)))
-    )
-    if (hasLaborReform && structuralReform) {
-      const maxGain = structuralReform.seniorEmploymentGain || SENIOR_EMPLOYMENT.maxGain
-      const reformMaturityYears = Math.max(0, t - structuralReform.lag)
-      const rateGain = Math.min(reformMaturityYears * SENIOR_EMPLOYMENT.rateGainPerReformYear, maxGain)
-      const additionalWorkers = SENIOR_EMPLOYMENT.seniorPopulation * rateGain
-      seniorRevenue = additionalWorkers * SENIOR_EMPLOYMENT.avgCotisationsPerWorker / 1e9  // Md EUR
+    let rateGain = 0
+    for (const { key, reform, laborKeys } of reforms) {
+      const isLaborReform = reform.seniorEmploymentGain != null || laborReformKeys.includes(key)
+        || (laborKeys && laborReformKeys.some(k => laborKeys.includes(k)))
+      if (!isLaborReform) continue
+      const maxGain = reform.seniorEmploymentGain || seniorEmployment.maxGain
+      const reformMaturityYears = Math.max(0, t - reform.lag)
+      rateGain = Math.max(rateGain, Math.min(reformMaturityYears * seniorEmployment.rateGainPerReformYear, maxGain))
+    }
+    if (rateGain > 0) {
+      const additionalWorkers = seniorEmployment.seniorPopulation * rateGain
+      seniorRevenue = additionalWorkers * seniorEmployment.avgCotisationsPerWorker / 1e9  // Md EUR
     }
 
-    // 5d. Pension reform effects (dynamic, year-by-year)
-    let pensionReformSaving = 0
-    if (pensionReform) {
-      const basePensionMass = PENSION_REFORM.pensionMass
-
-      // Retirement age effect: each year above 64 → -2.5% pension mass
-      const ageAboveCurrent = pensionReform.retirementAge - PENSION_REFORM.retirementAge.current
-      if (ageAboveCurrent !== 0) {
-        const rampFactor = Math.min(t / PENSION_REFORM.retirementAge.rampUpYears, 1)
-        pensionReformSaving += basePensionMass * ageAboveCurrent
-          * Math.abs(PENSION_REFORM.retirementAge.pensionMassEffectPerYear) * rampFactor
-      }
-
-      // Desindexation: cumulative reduction over time
-      if (pensionReform.desindexation !== 0) {
-        const desindexRamp = Math.min(t / PENSION_REFORM.desindexation.rampYears, 1)
-        const annualReduction = pensionReform.desindexation
-          * PENSION_REFORM.desindexation.revaloReductionPerPoint
-        pensionReformSaving += basePensionMass * annualReduction * t * desindexRamp
-      }
-
-      // Pension cap: direct % cut of pension mass
-      if (pensionReform.pensionCap > 0) {
-        const capRamp = Math.min(t / PENSION_REFORM.pensionCap.rampYears, 1)
-        pensionReformSaving += basePensionMass * (pensionReform.pensionCap / 100) * capRamp
-      }
-
-      // Notional accounts: -6% pension mass over 15 years
-      if (pensionReform.notionnel) {
-        const yearsActive = Math.max(0, t - (PENSION_REFORM.notionnel.startYear - MACRO_BASELINE.year))
-        const notionnelRamp = Math.min(yearsActive / PENSION_REFORM.notionnel.rampUpYears, 1)
-        pensionReformSaving += basePensionMass * PENSION_REFORM.notionnel.pensionMassReduction * notionnelRamp
-      }
-
-      // Apply pension floor: savings cannot reduce pension mass below 65% of baseline
-      const maxSaving = basePensionMass * (1 - PENSION_REFORM.pensionFloor)
-      pensionReformSaving = Math.min(pensionReformSaving, maxSaving)
+    // 5d. Pension reform: fewer retirees (age), lower average pension (desindexation,
+    //     cap, notional accounts); the pension system accounts follow in 5i
+    const reformEffect = pensionReformEffect(pensionReform, t, pensionReformParams, macro.year)
+
+    // 5d-bis. Capitalisation: cotisations diverted to the fund (double payment),
+    //         funded pensions later replace PAYG entitlements
+    let capitalisationContributions = 0
+    let fundedPensions = 0
+    let paygRelief = 0
+    const openingFundAssets = fund.assets
+    if (capitalisationShare > 0) {
+      const fundYear = rollFund(fund, {
+        share: capitalisationShare,
+        t,
+        gdpIndex: gdp / macro.gdp,
+        nominalReturn: pensionReform.fundReturn,
+      }, pensionReformParams, fundedPensionParams)
+      fund = fundYear.fund
+      capitalisationContributions = fundYear.contributions
+      fundedPensions = fundYear.payouts
+      paygRelief = fundYear.paygRelief
     }
 
     // 5e. Migration fiscal impact
     let migrationImpact = 0
     if (enableMigrationImpact) {
       // Cumulative net worker change × avg cotisations
-      migrationImpact = t * MIGRATION_NET_WORKERS_PER_YEAR * MIGRATION_PARAMS.avgCotisationsPerWorker / 1e9
+      migrationImpact = t * migrationNetWorkers * migrationParams.avgCotisationsPerWorker / 1e9
     }
 
     // 5f. Dependance spending growth (excess over GDP growth)
+    // Cohort mode: follows the share of the 85+ instead of compounding at 5.5%
     let dependancePressure = 0
-    if (enableDependanceDrift) {
-      dependancePressure = DEPENDANCE_PARAMS.baseline *
-        (Math.pow(1 + DEPENDANCE_PARAMS.annualGrowthRate, t) -
-         Math.pow(1 + DEPENDANCE_PARAMS.gdpGrowthBaseline, t))
+    if (enableDependanceDrift && population) {
+      dependancePressure = dependanceParams.baseline
+        * (cohort.veryOldShare / population[0].veryOldShare - 1) * gdp / macro.gdp
+    } else if (enableDependanceDrift) {
+      dependancePressure = dependanceParams.baseline *
+        (Math.pow(1 + dependanceParams.annualGrowthRate, t) -
+         Math.pow(1 + dependanceParams.gdpGrowthBaseline, t))
     }
 
     // 5g. Social housing liquidation windfall (one-time asset sale, years 1-10)
     let socialHousingWindfall = 0
-    if (enableSocialHousingLiquidation && t >= 1 && t <= SOCIAL_HOUSING_LIQUIDATION.saleDurationYears) {
-      socialHousingWindfall = SOCIAL_HOUSING_LIQUIDATION.annualProceeds  // 75 Md€/yr for 10 years
+    if (enableSocialHousingLiquidation && t >= 1 && t <= socialHousingLiquidation.saleDurationYears) {
+      socialHousingWindfall = socialHousingLiquidation.annualProceeds  // 75 Md€/yr for 10 years
     }
 
-    const adjustedDeficit = totalDeficit - growthFeedback + demographicPressure
-      - seniorRevenue - pensionReformSaving - migrationImpact + dependancePressure
-      - socialHousingWindfall
+    // 5g-bis. APE asset sales: proceeds cut the debt (stock-flow adjustment),
+    //         the dividends of the stakes already sold are lost
+    const assetSale = assetSaleYear(sales, t, gdp / macro.gdp)
+    const forgoneDividends = assetSale.forgoneDividends
+
+    // Net stock-flow adjustment: sale proceeds lower the debt, a `debt` shock
+    // (called guarantees, bank support) raises it
+    const stockFlowAdjustment = (shock.debt || 0) * gdp - assetSale.proceeds
+
+    // Net yearly effect, flow against flow: interest saved at the marginal rate
+    // on the proceeds received up to last year (the debt they cut), minus the
+    // dividends lost
+    const saleInterestSaved = effectiveRate * cumulativeSaleProceeds
+    const assetSaleNetEffect = saleInterestSaved - forgoneDividends
+    cumulativeSaleProceeds += assetSale.proceeds
+    cumulativeForgoneDividends += forgoneDividends
+
+    // 5h. Inflation: revenue tracks this year's prices, spending is revalued on N-1 prices
+    const bracketLag = bracketIndexation ? prevPriceGap : 0
+    const inflationRevenue = inflationParams.revenueBase * priceGap
+      + inflationParams.incomeTaxBase * inflationParams.incomeTaxExcessElasticity * (priceGap - bracketLag)
+    const indexationSpending = inflationParams.pensionMass * prevPriceGap
+      + inflationParams.otherPrimarySpending * inflationParams.otherSpendingIndexation * prevPriceGap
+
+    // 5i. Pension system: contributors, retirees, average pension, COR balance
+    const pensionSystem = pensionSystemYear({
+      t,
+      population: cohort,
+      basePopulation: population ? population[0] : null,
+      effect: reformEffect,
+      pensionPressure,
+      pressureScale: population ? gdp / macro.gdp : 1,
+      indexation: inflationParams.pensionMass * prevPriceGap,
+      capitalisationContributions,
+      paygRelief,
+      gdp,
+      baseGdp: macro.gdp,
+    }, pensionReformParams, pensionSystemParams)
+    const pensionReformSaving = pensionSystem.reformSaving
+    const pensionContributionGain = pensionSystem.contributionGain
+
+    // 5j. Unemployment benefits for the shock unemployment above the Okun path (Unédic, ASSO)
+    const unemploymentBenefitCost = scripted.unemployment * macroShockParams.benefitCostPerPoint
+      * gdp / macroBaseline.gdp
+
+    // Primary deficit after the feedback channels, kept apart from interest so it
+    // stays exact when the interest bill explodes
+    const adjustedPrimaryDeficit = primaryDeficit - growthFeedback + demographicPressure
+      - seniorRevenue - pensionReformSaving - pensionContributionGain - migrationImpact + dependancePressure
+      - socialHousingWindfall - inflationRevenue + indexationSpending
+      + capitalisationContributions - paygRelief + forgoneDividends + unemploymentBenefitCost
+      + (shock.primaryDeficit || 0) * gdp
+    const adjustedDeficit = totalDeficit + adjustedPrimaryDeficit - primaryDeficit
 
     // 6. Unemployment via Okun's Law
     // Δunemployment = -okunCoefficient × (realGrowth - potentialRealGrowth)
-    const realGrowthThisYear = nominalGrowth - MACRO_BASELINE.inflation
-    const unemploymentRate = MACRO_BASELINE.unemploymentRate
-      + (MACRO_BASELINE.realGrowth - realGrowthThisYear) * MACRO_BASELINE.okunCoefficient
+    const realGrowthThisYear = nominalGrowth - inflationThisYear
+    const unemploymentRate = macro.unemploymentRate
+      + (macro.realGrowth - realGrowthThisYear) * macro.okunCoefficient
+      + scripted.unemployment
+
+    // 6b. Output gap: demand effects and shocks open it, persistence closes it.
+    //     The gap in force this year is last year's end-of-year gap.
+    const cyclicalGap = outputGap
+    const potentialGrowth = macro.realGrowth + reformBoost
+    outputGap = outputGapParams.persistence * outputGap
+      + (realGrowthThisYear - potentialGrowth) * 100
+
+    // 6b-bis. Structural balance: the headline balance without its cyclical
+    //         component and without one-offs (% GDP); effort = change of the
+    //         structural primary balance
+    const potentialGdp = trendGdp / (1 + trendGap / 100) * reformLevel
+    const cyclicalBalance = structuralBalanceParams.budgetSemiElasticity * cyclicalGap
+    const oneOffs = socialHousingWindfall
+    const structuralBalance = -(adjustedDeficit + oneOffs) / gdp * 100 - cyclicalBalance
+    const structuralPrimaryBalance = structuralBalance + interest / gdp * 100
+    const structuralEffort = prevStructuralPrimaryBalance === null
+      ? null
+      : structuralPrimaryBalance - prevStructuralPrimaryBalance
+    prevStructuralPrimaryBalance = structuralPrimaryBalance
+
+    // 6c. Refinance the ladder: redemptions + deficit − sale proceeds issued at this year's marginal rate
+    let nextLadder = null
+    if (ladder) {
+      nextLadder = rollDebtLadder(ladder, {
+        deficit: adjustedDeficit + stockFlowAdjustment,
+        marginalRate: effectiveRate,
+        issuanceMix,
+        inflation: inflationThisYear,
+        expectedInflation: inflationThisYear,
+      }, debtStockParams).ladder
+      avgPortfolioRate = ladderInterest(nextLadder, macro.inflation) / ladderStock(nextLadder)
+    }
+
+    // 6d. Per-pillar accounts (start-of-year stocks, ACOSS at money-market rates)
+    const moneyMarketRate = pillarAccountsParams.moneyMarketRate
+      + baseRateThisYear - macroBaseline.baseInterestRate
+    const accountInterest = pillarInterest(accounts, { averageCost: interest / debt, moneyMarketRate }, pillarAccountsParams)
+    const assoDeficit = assoPrimaryBase - assoImprovement + accountInterest.asso
+      + demographicPressure + dependancePressure
+      - seniorRevenue - pensionReformSaving - pensionContributionGain - migrationImpact
+      + capitalisationContributions - paygRelief + unemploymentBenefitCost
+      - assoRevenueShare * (growthFeedback + inflationRevenue)
+      + assoIndexedSpending * prevPriceGap
+    const apulDeficit = apulPrimaryBase - apulImprovement + accountInterest.apul
+    const etatDeficit = adjustedDeficit - assoDeficit - apulDeficit
+    const openingAssoDebt = assoDebt(accounts)
+    const openingApulDebt = accounts.apulDebt
+    const openingCades = accounts.cadesDebt
+    const openingAcoss = accounts.acossDebt
+    const roll = rollPillarAccounts(accounts, {
+      assoDeficit,
+      apulDeficit,
+      cadesInterest: accountInterest.cades,
+    }, pillarAccountsParams)
 
     // 7. Store results
+    const explosive = maxDebtRatio != null && debtRatio > maxDebtRatio
     results.push({
-      year: MACRO_BASELINE.year + t,
+      year: macro.year + t,
 
       // Flow variables (Md EUR)
       gdp: Math.round(gdp * 10) / 10,
       deficit: Math.round(adjustedDeficit * 10) / 10,
       interest: Math.round(interest * 10) / 10,
       primaryDeficit: Math.round(primaryDeficit * 10) / 10,
+      adjustedPrimaryDeficit: Math.round(adjustedPrimaryDeficit * 10) / 10,  // deficit − interest
 
       // Stock variable (Md EUR)
       debt: Math.round(debt * 10) / 10,
 
       // Ratios (% GDP)
       debtRatio: Math.round(debtRatio * 10) / 10,
+      explosive,  // Above maxDebtRatio: last year of the projection
       deficitRatio: Math.round((adjustedDeficit / gdp * 100) * 10) / 10,
       interestRatio: Math.round((interest / gdp * 100) * 100) / 100,
 
@@ -676,23 +1238,127 @@ export function projectFiscalPath(policyChanges, options = {}) {
 
       // Growth
       nominalGrowthRate: Math.round(nominalGrowth * 10000) / 100,
+      realGrowthRate: Math.round(realGrowthThisYear * 10000) / 100,
+      inflationRate: Math.round(inflationThisYear * 10000) / 100,
+
+      // Structural reform growth boost (pp): total and by reform key, after overlap
+      reformBoost: Math.round(reformBoost * 100000) / 1000,
+      reformBoosts: Object.fromEntries(Object.entries(reformBoosts)
+        .map(([key, boost]) => [key, Math.round(boost * 100000) / 1000])),
+
+      // Real GDP (Md EUR, 2025 prices) and price level (2025 = 100), start of year
+      realGdp: Math.round(gdp / (priceLevel / 100) * 10) / 10,
+      priceLevel: Math.round(priceLevel * 100) / 100,
 
       // Risk premium breakdown (marginal rate - base, for transparency)
-      riskPremiumBps: Math.round((effectiveRate - MACRO_BASELINE.baseInterestRate) * 10000),
+      riskPremiumBps: Math.round((effectiveRate - baseRateThisYear) * 10000),
+
+      // Sovereign rating at the start of the year: notch, scorecard (RATING_SCALE
+      // index), change in notches (−1 = one-notch downgrade), premium applied (bps)
+      rating,
+      ratingScore: Math.round(score * 100) / 100,
+      ratingChange: ratingIndex(prevRating) - ratingIndex(rating),
+      ratingPremiumBps: Math.round(ratingPremiumThisYear * 10000),
 
       // New decomposition fields (backward compatible — appended)
       demographicPressure: Math.round(demographicPressure * 10) / 10,
       seniorRevenue: Math.round(seniorRevenue * 10) / 10,
       pensionReformSaving: Math.round(pensionReformSaving * 10) / 10,
+      pensionContributionGain: Math.round(pensionContributionGain * 10) / 10,
       migrationImpact: Math.round(migrationImpact * 10) / 10,
       dependancePressure: Math.round(dependancePressure * 10) / 10,
       socialHousingWindfall: Math.round(socialHousingWindfall * 10) / 10,
+
+      // APE asset sales (Md EUR): proceeds (one-off debt reduction) and dividends
+      // lost (yearly flow), this year and cumulated since year 0; the stock is
+      // never netted against the flow. Net effect = interest saved − dividends
+      // lost (> 0: the sales improve this year's balance)
+      assetSaleProceeds: Math.round(assetSale.proceeds * 10) / 10,
+      forgoneDividends: Math.round(forgoneDividends * 10) / 10,
+      saleInterestSaved: Math.round(saleInterestSaved * 100) / 100,
+      assetSaleNetEffect: Math.round(assetSaleNetEffect * 100) / 100,
+      cumulativeSaleProceeds: Math.round(cumulativeSaleProceeds * 10) / 10,
+      cumulativeForgoneDividends: Math.round(cumulativeForgoneDividends * 10) / 10,
+
+      // Old-age dependency ratio (65+ / 20-64, %) of the cohort projection, null with the linear drift
+      dependencyRatio: cohort ? Math.round(cohort.oldAgeDependencyRatio * 10) / 10 : null,
+
+      // Pension system (COR indicators): M persons, k€ per year, %, years, Md€, % GDP
+      contributors: Math.round(pensionSystem.contributors * 100) / 100,
+      retirees: Math.round(pensionSystem.retirees * 100) / 100,
+      contributorsPerRetiree: Math.round(pensionSystem.contributorsPerRetiree * 100) / 100,
+      averagePension: Math.round(pensionSystem.averagePension * 100) / 100,
+      relativePension: Math.round(pensionSystem.relativePension * 10) / 10,
+      relativeLivingStandard: Math.round(pensionSystem.relativeLivingStandard * 10) / 10,
+      averageDepartureAge: Math.round(pensionSystem.departureAge * 10) / 10,
+      pensionBalance: Math.round(pensionSystem.balance * 10) / 10,
+      pensionBalanceRatio: Math.round(pensionSystem.balanceRatio * 100) / 100,
+
+      // Scripted macro shocks under way (MACRO_SHOCKS keys) and the benefits
+      // paid on their unemployment (Md EUR)
+      macroShocks: scripted.active,
+      unemploymentBenefitCost: Math.round(unemploymentBenefitCost * 10) / 10,
+
+      // Output gap (% potential GDP): end of year, and in force this year (end
+      // of last year; drives the cyclical balance); recession-regime weight used this year
+      outputGap: Math.round(outputGap * 100) / 100,
+      cyclicalGap: Math.round(cyclicalGap * 100) / 100,
+      recessionWeight: Math.round(recessionWeight * 100) / 100,
+
+      // Structural position: potential GDP (Md EUR), one-offs (Md EUR, improve the
+      // headline balance), balances and effort (% GDP); effort is null in year 0
+      potentialGdp: Math.round(potentialGdp * 10) / 10,
+      oneOffs: Math.round(oneOffs * 10) / 10,
+      cyclicalBalance: Math.round(cyclicalBalance * 100) / 100,
+      structuralBalance: Math.round(structuralBalance * 100) / 100,
+      structuralPrimaryBalance: Math.round(structuralPrimaryBalance * 100) / 100,
+      structuralEffort: structuralEffort === null ? null : Math.round(structuralEffort * 100) / 100,
+
+      // Refinancing profile: principal falling due this year (Md EUR), avg residual maturity (years)
+      redemptions: Math.round(redemptions * 10) / 10,
+      averageMaturity: Math.round((ladder ? averageMaturity(ladder) : 1 / rolloverRate) * 10) / 10,
+
+      // Inflation channels vs baseline prices (Md EUR)
+      inflationRevenue: Math.round(inflationRevenue * 10) / 10,
+      indexationSpending: Math.round(indexationSpending * 10) / 10,
+
+      // Per-pillar accounts (Md EUR): deficits this year, debts at start of year
+      etatDeficit: Math.round(etatDeficit * 10) / 10,
+      assoDeficit: Math.round(assoDeficit * 10) / 10,
+      apulDeficit: Math.round(apulDeficit * 10) / 10,
+      etatDebt: Math.round((debt - openingAssoDebt - openingApulDebt) * 10) / 10,
+      assoDebt: Math.round(openingAssoDebt * 10) / 10,
+      apulDebt: Math.round(openingApulDebt * 10) / 10,
+      cadesDebt: Math.round(openingCades * 10) / 10,
+      acossDebt: Math.round(openingAcoss * 10) / 10,
+      cadesAmortisation: Math.round(roll.cadesAmortisation * 10) / 10,
+      cadesTransfer: Math.round(roll.cadesTransfer * 10) / 10,
+
+      // Funded pillar (Md EUR): cotisations lost by PAYG, funded pensions paid,
+      // PAYG mass avoided, fund assets at start of year (outside APU)
+      capitalisationContributions: Math.round(capitalisationContributions * 10) / 10,
+      fundedPensions: Math.round(fundedPensions * 10) / 10,
+      paygRelief: Math.round(paygRelief * 10) / 10,
+      fundAssets: Math.round(openingFundAssets * 10) / 10,
     })
+    if (explosive) break
 
     // 8. Evolve to next year
     prevDeficitRatio = Math.abs(adjustedDeficit / gdp * 100)
+    ratingDeficitRatio = adjustedDeficit / gdp * 100
+    prevInterestToRevenue = interest / (ratingParams.revenueShare * gdp + revenueChange) * 100
+    debtRatioHistory.push(debtRatio)
+    realGrowthHistory.push(realGrowthThisYear * 100)
     gdp = gdp * (1 + nominalGrowth)
-    debt = debt + adjustedDeficit
+    trendGdp = trendGdp * (1 + macro.nominalGrowth - macro.inflation + inflationThisYear)
+    trendGap = outputGapParams.persistence * trendGap
+    reformLevel = reformLevel * (1 + reformBoost)
+    debt = debt + adjustedDeficit + stockFlowAdjustment
+    if (ladder) ladder = nextLadder
+    accounts = roll.accounts
+    priceLevel *= 1 + inflationThisYear
+    baselinePriceLevel *= 1 + macroBaseline.inflation
+    prevPriceGap = priceGap
   }
 
   return results
@@ -705,7 +1371,7 @@ export function projectFiscalPath(policyChanges, options = {}) {
 /**
  * Generate baseline projection (no policy change, no reforms)
  */
-export function getBaselineProjection(years = 10) {
+export function getBaselineProjection(years = 10, macroOverrides = null, config = {}, demography = null, maxDebtRatio = null) {
   return projectFiscalPath({
     revenueChange: 0,
     spendingChange: 0,
@@ -714,6 +1380,10 @@ export function getBaselineProjection(years = 10) {
     years,
     enableRiskPremium: true,
     structuralReform: null,
+    macroOverrides,
+    config,
+    demography,
+    maxDebtRatio,
   })
 }
 
@@ -820,7 +1490,14 @@ export default {
   ROLLOVER_RATE,
   DEFICIT_STRESS_THRESHOLD,
   DEFICIT_STRESS_SENSITIVITY,
+  LONG_HORIZON_YEARS,
+  EXPLOSIVE_DEBT_RATIO,
+  OUTPUT_GAP_PARAMS,
+  STRUCTURAL_BALANCE_PARAMS,
+  INFLATION_PARAMS,
+  INFLATION_SCENARIOS,
   STRUCTURAL_REFORMS,
+  REFORM_OVERLAP,
   SOCIAL_HOUSING_LIQUIDATION,
   DEMOGRAPHIC_PARAMS,
   DEMOGRAPHIC_PRESSURE_PER_YEAR,
@@ -829,8 +1506,13 @@ export default {
   MIGRATION_PARAMS,
   MIGRATION_NET_WORKERS_PER_YEAR,
   DEPENDANCE_PARAMS,
+  demographicPressurePerYear,
+  migrationNetWorkersPerYear,
+  resolveMacroBaseline,
+  listMacroOverrides,
   calculateInterestRate,
   calculateReformGrowthBoost,
+  calculateReformGrowthBoosts,
   projectFiscalPath,
   getBaselineProjection,
   compareProjections,
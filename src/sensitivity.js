@@ -0,0 +1,296 @@
+/**
+ * Parameter sensitivity (tornado analysis)
+ *
+ * Moves one calibrated parameter at a time to the low and high ends of its
+ * range in the parameter registry (parameter-registry.js), everything else at
+ * the central calibration, and records the change in the year-10 debt ratio
+ * and in the cumulative deficit. Sorting the parameters by swing shows which
+ * assumptions drive a result.
+ *
+ * Perturbations are createModelConfig() overrides, so they reach both
+ * calculatePolicyImpact() and projectFiscalPath(); real growth and inflation
+ * go through `macroOverrides`. Behavioural responses and spending multipliers
+ * only matter through the levers, so their swing is zero on an unchanged
+ * policy. A reform's growth effect is tested with the reform in the scenario;
+ * for a reform not selected, low and high are compared with the scenario plus
+ * that reform at its central calibration.
+ *
+ * runRangeScenarios() combines the one-at-a-time results into a low and a
+ * high scenario: every parameter at the end of its range that lowers (raises)
+ * the year-10 debt ratio.
+ *
+ * SENSITIVITY_PARAMS spreads and ranges default to the registry's; overriding
+ * one moves the matching ranges around the central values of the config.
+ *
+ * Levers are plain values (full effect); schedules are not supported.
+ */
+
+import { calculatePolicyImpact } from './policy-impact'
+import { projectFiscalPath } from './projection-engine-v1.8'
+import { DEFAULT_MODEL_CONFIG, mergeConfig } from './model-config'
+import {
+  PARAMETER_REGISTRY,
+  CONFIDENCE_SPREAD,
+  RANGE_SPREADS,
+  rangedParameters,
+  valueAt,
+  parameterOverrides,
+} from './parameter-registry'
+
+// =============================================================================
+// RANGES
+// =============================================================================
+
+// SENSITIVITY_PARAMS range fields and the registry entry each one sets
+const RANGE_KEYS = {
+  rolloverRate: 'rolloverRate',
+  taxElasticity: 'macroBaseline.taxElasticity',
+  okunCoefficient: 'macroBaseline.okunCoefficient',
+  dependencyRatioDriftPerYear: 'demographicParams.dependencyRatioDriftPerYear',
+}
+
+const registryRange = key => {
+  const entry = PARAMETER_REGISTRY.find(candidate => candidate.key === key)
+  return [entry.low, entry.high]
+}
+
+export const SENSITIVITY_PARAMS = {
+  horizon: 10,                  // Projection year of the debt ratio; deficits summed up to it
+  efficiencySpread: RANGE_SPREADS.efficiency,
+  growthResponseSpread: RANGE_SPREADS.growthResponse,
+  riskPremiumSlopeSpread: RANGE_SPREADS.riskPremiumSlope,
+  ...Object.fromEntries(Object.entries(RANGE_KEYS).map(([field, key]) => [field, registryRange(key)])),
+  reformSpread: CONFIDENCE_SPREAD,  // ± share of the growth effect by STRUCTURAL_REFORMS confidence
+}
+
+export const SENSITIVITY_GROUPS = {
+  behavioral: "Réponse comportementale",
+  multipliers: "Multiplicateurs",
+  riskPremium: "Prime de risque",
+  debt: "Dette",
+  macro: "Macro",
+  demography: "Démographie",
+  pensions: "Retraites",
+  spending: "Santé et collectivités",
+  reforms: "Réformes structurelles",
+}
+
+// SENSITIVITY_GROUPS key of each model config section (macro otherwise)
+const SECTION_GROUPS = {
+  behavioralResponse: 'behavioral',
+  fiscalMultipliers: 'multipliers',
+  deficitStressThreshold: 'riskPremium',
+  deficitStressSensitivity: 'riskPremium',
+  ratingParams: 'riskPremium',
+  rolloverRate: 'debt',
+  socialHousingLiquidation: 'debt',
+  debtStockParams: 'debt',
+  pillarAccountsParams: 'debt',
+  demographicParams: 'demography',
+  migrationParams: 'demography',
+  dependanceParams: 'demography',
+  seniorEmployment: 'demography',
+  pensionReformParams: 'pensions',
+  ondamFloor: 'spending',
+  apulResponse: 'spending',
+  structuralReforms: 'reforms',
+}
+
+function sensitivityGroup(path) {
+  if (path[0] === 'macroBaseline' && path[1] === 'riskPremium') return 'riskPremium'
+  return SECTION_GROUPS[path[0]] || 'macro'
+}
+
+const round = value => Math.round(value * 1e6) / 1e6
+
+// Central value ± spread × |central|, low end first
+const relativeRange = (central, spread) => {
+  const values = [central * (1 - spread), central * (1 + spread)].map(round)
+  return [Math.min(...values), Math.max(...values)]
+}
+
+// Range of a registry entry under `params`, around its central value in the config
+function parameterRange(entry, central, params) {
+  const field = entry.path[entry.path.length - 1]
+  if (entry.path[0] === 'behavioralResponse') {
+    return field.endsWith('Efficiency')
+      ? [central - params.efficiencySpread, central + params.efficiencySpread].map(round)
+      : relativeRange(central, params.growthResponseSpread)
+  }
+  if (entry.path[1] === 'riskPremium' && field.startsWith('slope')) {
+    return relativeRange(central, params.riskPremiumSlopeSpread)
+  }
+  if (entry.reform) {
+    return relativeRange(central, params.reformSpread[entry.confidence] ?? params.reformSpread.medium)
+  }
+  const rangeField = Object.keys(RANGE_KEYS).find(candidate => RANGE_KEYS[candidate] === entry.key)
+  return rangeField ? params[rangeField] : [entry.low, entry.high]
+}
+
+// =============================================================================
+// PARAMETER LIST
+// =============================================================================
+
+/**
+ * Parameters perturbed by runSensitivity(): the registry entries with a range.
+ *
+ * @param {object} config - Full model config (central values)
+ * @param {object} params - SENSITIVITY_PARAMS
+ * @param {object|null} macroOverrides - Scenario macro overrides (central real growth, inflation)
+ * @param {array} registry - PARAMETER_REGISTRY
+ * @returns {array} [{ key, label, group, path, value, low, high, scenario, reform }]
+ *   group: SENSITIVITY_GROUPS key; path in the model config, key = path
+ *   joined by '.', reform = reform key (reform parameters only)
+ */
+export function sensitivityParameters(config = DEFAULT_MODEL_CONFIG, params = SENSITIVITY_PARAMS, macroOverrides = null,
+  registry = PARAMETER_REGISTRY) {
+  const rangeParams = { ...SENSITIVITY_PARAMS, ...params }
+  return rangedParameters(registry).map(entry => {
+    const field = entry.path[entry.path.length - 1]
+    const value = entry.scenario && macroOverrides?.[field] != null ? macroOverrides[field] : valueAt(config, entry.path)
+    const [low, high] = parameterRange(entry, valueAt(config, entry.path), rangeParams)
+    return {
+      key: entry.key,
+      label: entry.label,
+      group: sensitivityGroup(entry.path),
+      path: entry.path,
+      value,
+      low,
+      high,
+      scenario: entry.scenario,
+      reform: entry.reform,
+    }
+  })
+}
+
+// =============================================================================
+// TORNADO
+// =============================================================================
+
+// Year-`horizon` debt ratio and deficits summed over years 0..horizon (Md€)
+function outcome(projection, horizon) {
+  const last = Math.min(horizon, projection.length - 1)
+  return {
+    debtRatio: projection[last].debtRatio,
+    cumulativeDeficit: Math.round(projection.slice(0, last + 1).reduce((sum, entry) => sum + entry.deficit, 0) * 10) / 10,
+  }
+}
+
+const diff = (value, reference) => ({
+  ...value,
+  debtRatioDiff: Math.round((value.debtRatio - reference.debtRatio) * 100) / 100,
+  cumulativeDeficitDiff: Math.round((value.cumulativeDeficit - reference.cumulativeDeficit) * 10) / 10,
+})
+
+// Projection with registry parameters set to `values` ({ key: value })
+function projectWithParameters(levers, options, values, years) {
+  const overrides = parameterOverrides(values)
+  const config = mergeConfig(mergeConfig(DEFAULT_MODEL_CONFIG, options.config), overrides.config)
+  const macroOverrides = Object.keys(overrides.macroOverrides).length > 0
+    ? { ...options.macroOverrides, ...overrides.macroOverrides }
+    : options.macroOverrides
+  return projectFiscalPath(
+    calculatePolicyImpact(levers, { config }),
+    { ...options, years, config, macroOverrides },
+  )
+}
+
+/**
+ * One-at-a-time sensitivity of a scenario to every calibrated parameter.
+ *
+ * @param {object} levers - Lever positions (calculatePolicyImpact input)
+ * @param {object} options - projectFiscalPath() options; `config` also feeds calculatePolicyImpact()
+ * @param {object} sensitivityOptions - { parameters, params }
+ *   parameters: sensitivityParameters() subset (default: all of them)
+ *   params: SENSITIVITY_PARAMS overrides
+ * @returns {object} { base, results }
+ *   base = { debtRatio, cumulativeDeficit } of the scenario
+ *   results = [{ key, label, group, value, low, high, lowOutcome, highOutcome,
+ *   debtRatioSwing, deficitSwing, reformAdded }] by decreasing debtRatioSwing;
+ *   outcomes carry debtRatioDiff (pp) and cumulativeDeficitDiff (Md€) vs the
+ *   reference run (the scenario, plus the reform when reformAdded)
+ */
+export function runSensitivity(levers = {}, options = {}, sensitivityOptions = {}) {
+  const params = { ...SENSITIVITY_PARAMS, ...sensitivityOptions.params }
+  const config = mergeConfig(DEFAULT_MODEL_CONFIG, options.config)
+  const parameters = sensitivityOptions.parameters || sensitivityParameters(config, params, options.macroOverrides)
+  const years = Math.max(options.years ?? 10, params.horizon)
+  const scenarioReforms = options.structuralReforms || []
+
+  const run = (values, structuralReforms = options.structuralReforms) => outcome(
+    projectWithParameters(levers, { ...options, structuralReforms }, values, years),
+    params.horizon,
+  )
+
+  const base = run({})
+
+  const results = parameters.map(parameter => {
+    const reformAdded = parameter.reform != null && !scenarioReforms.includes(parameter.reform)
+    const reforms = reformAdded ? [...scenarioReforms, parameter.reform] : options.structuralReforms
+    const reference = reformAdded ? run({}, reforms) : base
+    const at = value => diff(run({ [parameter.key]: value }, reforms), reference)
+    const lowOutcome = at(parameter.low)
+    const highOutcome = at(parameter.high)
+    return {
+      key: parameter.key,
+      label: parameter.label,
+      group: parameter.group,
+      value: parameter.value,
+      low: parameter.low,
+      high: parameter.high,
+      lowOutcome,
+      highOutcome,
+      debtRatioSwing: Math.round(Math.abs(highOutcome.debtRatio - lowOutcome.debtRatio) * 100) / 100,
+      deficitSwing: Math.round(Math.abs(highOutcome.cumulativeDeficit - lowOutcome.cumulativeDeficit) * 10) / 10,
+      reformAdded,
+    }
+  })
+
+  results.sort((a, b) => b.debtRatioSwing - a.debtRatioSwing)
+  return { base, results }
+}
+
+// =============================================================================
+// LOW / HIGH SCENARIOS
+// =============================================================================
+
+/**
+ * Scenario re-run with every parameter at the favourable, then the
+ * unfavourable, end of its range.
+ *
+ * The end is the one that lowers (low scenario) or raises (high scenario) the
+ * year-10 debt ratio in runSensitivity(); parameters without effect on the
+ * scenario, and reforms it does not include, stay central.
+ *
+ * @param {object} levers - Lever positions
+ * @param {object} options - projectFiscalPath() options
+ * @param {object} sensitivityOptions - runSensitivity() options, or { sensitivity }
+ *   to reuse a runSensitivity() result of the same scenario
+ * @returns {object} { low, high } = { values, projection }, values = { key: value }
+ */
+export function runRangeScenarios(levers = {}, options = {}, sensitivityOptions = {}) {
+  const { sensitivity = runSensitivity(levers, options, sensitivityOptions) } = sensitivityOptions
+  const years = Math.max(options.years ?? 10, SENSITIVITY_PARAMS.horizon)
+
+  const low = {}
+  const high = {}
+  for (const result of sensitivity.results) {
+    if (result.reformAdded || result.debtRatioSwing === 0) continue
+    const lowFirst = result.lowOutcome.debtRatio <= result.highOutcome.debtRatio
+    low[result.key] = lowFirst ? result.low : result.high
+    high[result.key] = lowFirst ? result.high : result.low
+  }
+
+  return {
+    low: { values: low, projection: projectWithParameters(levers, options, low, years) },
+    high: { values: high, projection: projectWithParameters(levers, options, high, years) },
+  }
+}
+
+export default {
+  SENSITIVITY_PARAMS,
+  SENSITIVITY_GROUPS,
+  sensitivityParameters,
+  runSensitivity,
+  runRangeScenarios,
+}